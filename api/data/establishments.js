@@ -0,0 +1,100 @@
+/**
+ * establishments.js
+ * Начальные данные заведений. Загружаются в хранилище при первом запуске сервера,
+ * если коллекция заведений еще не создана.
+ * Формат часов работы (openingHours) описан в api/lib/openingHours.js.
+ */
+
+// Одинаковые интервалы работы на каждый день недели
+const everyDay = (intervals) => ({
+    mon: intervals, tue: intervals, wed: intervals, thu: intervals, fri: intervals, sat: intervals, sun: intervals
+});
+
+module.exports = [
+    {
+        id: 'est1',
+        name: 'Кафе "Уют"',
+        description: 'Небольшое и уютное кафе с домашней выпечкой.',
+        category: 'coffee_shops',
+        priceCategory: '$',
+        coordinates: [55.75, 37.62],
+        photos: ['https://via.placeholder.com/150/FF0000/FFFFFF?text=Cafe1', 'https://via.placeholder.com/150/FF0000/FFFFFF?text=Cafe2'],
+        rating: 4.5,
+        openingHours: {
+            timezone: 'Europe/Moscow',
+            weekly: {
+                ...everyDay([{ open: '08:00', close: '21:00' }]),
+                sun: [{ open: '10:00', close: '18:00' }]
+            },
+            holidays: [{ date: '2027-01-01', intervals: [] }]
+        },
+        contact: 'Тел: +7 (XXX) XXX-XX-XX, Email: cozycafe@example.com',
+        reviews: [
+            { author: 'Анна К.', text: 'Отличное место для завтрака!', rating: 5 },
+            { author: 'Петр С.', text: 'Вкусный кофе, но иногда шумно.', rating: 4 }
+        ]
+    },
+    {
+        id: 'est2',
+        name: 'Ресторан "Гурман"',
+        description: 'Изысканная кухня и превосходный сервис.',
+        category: 'restaurants',
+        priceCategory: '$$$',
+        coordinates: [55.78, 37.60],
+        photos: ['https://via.placeholder.com/150/0000FF/FFFFFF?text=Resto1', 'https://via.placeholder.com/150/0000FF/FFFFFF?text=Resto2'],
+        rating: 4.8,
+        openingHours: {
+            timezone: 'Europe/Moscow',
+            weekly: {
+                ...everyDay([{ open: '12:00', close: '23:00' }]),
+                mon: [], // Выходной
+                fri: [{ open: '12:00', close: '02:00' }], // Работает после полуночи
+                sat: [{ open: '12:00', close: '02:00' }]
+            },
+            holidays: []
+        },
+        contact: 'Тел: +7 (XXX) YYY-YY-YY, Сайт: gourmet.ru',
+        reviews: [
+            { author: 'Елена В.', text: 'Незабываемый ужин, все на высшем уровне.', rating: 5 },
+            { author: 'Дмитрий Л.', text: 'Цены кусаются, но оно того стоит.', rating: 4 }
+        ]
+    },
+    {
+        id: 'est3',
+        name: 'Магазин "Продукты 24/7"',
+        description: 'Круглосуточный магазин с широким ассортиментом.',
+        category: 'grocery_stores',
+        priceCategory: '$',
+        coordinates: [55.73, 37.65],
+        photos: ['https://via.placeholder.com/150/00FF00/FFFFFF?text=Shop1'],
+        rating: 3.9,
+        openingHours: {
+            timezone: 'Europe/Moscow',
+            weekly: everyDay([{ open: '00:00', close: '24:00' }]), // Круглосуточно
+            holidays: []
+        },
+        contact: 'Тел: +7 (XXX) ZZZ-ZZ-ZZ',
+        reviews: [
+            { author: 'Олег П.', text: 'Удобно, что работает всегда.', rating: 4 }
+        ]
+    },
+    {
+        id: 'est4',
+        name: 'Пекарня "Свежий Хлеб"',
+        description: 'Всегда свежий хлеб и ароматная выпечка.',
+        category: 'confectioneries',
+        priceCategory: '$$',
+        coordinates: [55.74, 37.58],
+        photos: ['https://via.placeholder.com/150/FFFF00/000000?text=Bakery1'],
+        rating: 4.7,
+        openingHours: {
+            timezone: 'Europe/Moscow',
+            weekly: everyDay([{ open: '07:00', close: '13:00' }, { open: '14:00', close: '20:00' }]), // Перерыв 13:00–14:00
+            holidays: [{ date: '2027-01-01', intervals: [] }, { date: '2027-01-02', intervals: [{ open: '10:00', close: '16:00' }] }]
+        },
+        contact: 'Тел: +7 (XXX) AAA-AA-AA',
+        reviews: [
+            { author: 'Мария И.', text: 'Лучший хлеб в городе!', rating: 5 }
+        ]
+    }
+];
@@ -2,8 +2,30 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
-const fetch = require('node-fetch'); // Для выполнения HTTP-запросов
-const { LRUCache } = require('lru-cache'); // Для кэширования ответов API
+const fns = require('./lib/fns'); // Проверка ИНН через DaData.ru
+const geocoding = require('./lib/geocoding'); // Поиск адресов и адрес по координатам через DaData.ru
+const { createStorage } = require('./lib/storage'); // Слой хранения данных
+const establishments = require('./lib/establishments'); // Логика работы с заведениями
+const seedEstablishments = require('./data/establishments'); // Начальные данные заведений
+const { createTelegramAuth } = require('./lib/telegramAuth'); // Проверка initData Telegram Mini App
+const { createTelegramBotClient } = require('./lib/telegramBot'); // Клиент Telegram Bot API
+const notifications = require('./lib/notifications'); // Подписки и рассылка уведомлений
+const businessProfiles = require('./lib/businessProfiles'); // Профили предпринимателей
+const uploads = require('./lib/uploads'); // Загрузка и обработка изображений
+const reviews = require('./lib/reviews'); // Отзывы и рейтинг заведений
+const categories = require('./lib/categories'); // Справочник категорий заведений
+const { createSpatialIndex } = require('./lib/spatialIndex'); // Пространственный индекс заведений
+const viewport = require('./lib/viewport'); // Запросы по видимой области карты
+const search = require('./lib/search'); // Полнотекстовый поиск заведений
+const geo = require('./lib/geo'); // Расстояния и поиск в радиусе
+const recommendations = require('./lib/recommendations'); // Персональные рекомендации
+const userEvents = require('./lib/events'); // Журнал действий пользователей
+const stats = require('./lib/stats'); // Статистика заведений для владельцев
+const favorites = require('./lib/favorites'); // Избранное и списки заведений
+const { createMiniAppLinks, START_PARAM_PATTERN } = require('./lib/miniAppLinks'); // Ссылки на Mini App с параметром запуска
+const inlineMode = require('./lib/inlineQuery'); // Инлайн-режим бота
+const moderation = require('./lib/moderation'); // Модерация и роль администратора
+const reports = require('./lib/reports'); // Сообщения пользователей о проблемах с заведениями
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -12,14 +34,128 @@ const port = process.env.PORT || 3000;
 // В реальном проекте эти данные должны храниться в переменных окружения (например, через .env файл)
 const DADATA_API_KEY = process.env.DADATA_API_KEY || '0cda37fe74232b4d3fdaf80b13d5fc1f6b98fcd3'; // Ваш API-ключ DaData
 const DADATA_SECRET_KEY = process.env.DADATA_SECRET_KEY || 'your_dadata_secret_key_here'; // Ваш секретный ключ DaData
-const DADATA_SUGGESTION_URL = 'https://suggestions.dadata.ru/suggestions/api/4_1/rs/findById/party';
+// DADATA_API_BASE_URL позволяет подменить API подсказок DaData локальной заглушкой (например, в тестах).
+const DADATA_API_BASE_URL = process.env.DADATA_API_BASE_URL || 'https://suggestions.dadata.ru/suggestions/api/4_1/rs';
+const DADATA_SUGGESTION_URL = `${DADATA_API_BASE_URL}/findById/party`;
 
-// --- Кэширование запросов к DaData ---
-const cache = new LRUCache({
-    max: 100, // Максимальное количество элементов в кэше
-    ttl: 1000 * 60 * 60, // Время жизни кэша: 1 час
+// --- Ограничения поиска ---
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 500;
+const SEARCH_MAX_QUERY_LENGTH = 200;
+
+// Проверка ИНН с кэшированием ответов DaData
+const fnsVerifier = fns.createFnsVerifier({
+    apiKey: DADATA_API_KEY,
+    secretKey: DADATA_SECRET_KEY,
+    suggestionUrl: DADATA_SUGGESTION_URL,
+});
+
+// Поиск адресов и определение адреса по координатам с кэшированием ответов DaData
+const geocoder = geocoding.createGeocoder({
+    provider: geocoding.createDadataAddressProvider({ apiKey: DADATA_API_KEY, baseUrl: DADATA_API_BASE_URL }),
+});
+
+// --- Авторизация через Telegram ---
+// TELEGRAM_BOT_TOKEN используется для проверки подписи initData.
+// TELEGRAM_DEV_USER_ID позволяет работать локально вне Telegram (игнорируется в production).
+const { attachTelegramUser, requireTelegramUser } = createTelegramAuth({
+    botToken: process.env.TELEGRAM_BOT_TOKEN,
+    maxAgeSeconds: process.env.TELEGRAM_INIT_DATA_MAX_AGE ? Number(process.env.TELEGRAM_INIT_DATA_MAX_AGE) : undefined,
+    devUserId: process.env.TELEGRAM_DEV_USER_ID,
+});
+
+// --- Модерация ---
+// ADMIN_TELEGRAM_IDS — ID пользователей Telegram с ролью администратора (через запятую).
+const { isAdmin, requireAdmin } = moderation.createAdminAuth({
+    adminIds: moderation.parseAdminIds(process.env.ADMIN_TELEGRAM_IDS),
+});
+// REPORTS_AUTO_HIDE_THRESHOLD — сколько разных пользователей должны сообщить о проблеме с заведением,
+// чтобы оно было скрыто до проверки модератором (по умолчанию 3).
+const reportsAutoHideThreshold = reports.parseAutoHideThreshold(process.env.REPORTS_AUTO_HIDE_THRESHOLD);
+
+// --- Ссылки на Mini App ---
+// TELEGRAM_MINI_APP_URL — адрес Mini App в Telegram (https://t.me/<бот>/<приложение>) для ссылок "Поделиться".
+const miniAppLinks = createMiniAppLinks({ miniAppUrl: process.env.TELEGRAM_MINI_APP_URL });
+// TELEGRAM_WEB_APP_URL — HTTPS-адрес веб-страницы Mini App для кнопки над результатами инлайн-режима.
+const TELEGRAM_WEB_APP_URL = process.env.TELEGRAM_WEB_APP_URL || null;
+
+// --- Telegram Bot API ---
+// TELEGRAM_API_BASE_URL позволяет подменить https://api.telegram.org локальной заглушкой (например, в тестах).
+const bot = createTelegramBotClient({
+    token: process.env.TELEGRAM_BOT_TOKEN,
+    apiBaseUrl: process.env.TELEGRAM_API_BASE_URL,
+});
+
+// --- Хранилище данных ---
+// Драйвер выбирается через STORAGE_DRIVER (json | memory), каталог с данными — через DATA_DIR.
+// На Vercel файловая система доступна для записи только в /tmp, поэтому там нужно задать DATA_DIR=/tmp.
+const storage = createStorage();
+// Заблокированные модератором пользователи не могут добавлять, изменять и удалять данные
+const rejectBannedUser = moderation.createBanCheck(storage);
+// После заполнения начальными данными устаревшие ID категорий (cafe, shop и т.д.) заменяются актуальными.
+const storageReady = storage.seed(establishments.COLLECTION, seedEstablishments)
+    .then(() => categories.migrateStoredCategories(storage, [
+        { collection: establishments.COLLECTION, field: 'category' },
+        { collection: notifications.COLLECTION, field: 'categories' },
+    ]))
+    .then((migratedCount) => {
+        if (migratedCount > 0) {
+            console.log(`Обновлены устаревшие категории в ${migratedCount} записях.`);
+        }
+    });
+
+/**
+ * @function cacheByStorageVersion
+ * @description Кэширует индекс, построенный по коллекции хранилища. Индекс перестраивается
+ * при первом обращении после изменения этой коллекции.
+ * @param {string} collection - Коллекция, по которой строится индекс.
+ * @param {function(): Promise<*>} build - Строит индекс.
+ * @returns {function(): Promise<*>} Возвращает актуальный индекс.
+ */
+const cacheByStorageVersion = (collection, build) => {
+    let cached = { version: null, value: null };
+    return async () => {
+        const version = storage.getVersion(collection);
+        if (cached.version !== version) {
+            cached = { version, value: await build() };
+        }
+        return cached.value;
+    };
+};
+
+// Пространственный индекс заведений для запросов по области карты (?bbox=)
+const getEstablishmentIndex = cacheByStorageVersion(establishments.COLLECTION, async () => {
+    const index = createSpatialIndex();
+    const items = await storage.list(establishments.COLLECTION);
+    items.forEach(item => {
+        if (establishments.isValidCoordinates(item.coordinates)) index.insert(item.coordinates, item);
+    });
+    return index;
 });
 
+// Поисковый индекс заведений. Категория индексируется названиями подкатегории и ее группы.
+const getSearchIndex = cacheByStorageVersion(establishments.COLLECTION, async () => {
+    const items = await storage.list(establishments.COLLECTION);
+    return search.createSearchIndex(items, {
+        getCategoryText: (categoryId) => {
+            const category = categories.findCategory(categoryId);
+            if (!category) return '';
+            const group = category.parentId ? categories.findCategory(category.parentId) : null;
+            return group ? `${category.name} ${group.name}` : category.name;
+        },
+    });
+});
+
+// --- Загруженные изображения ---
+// Каталог задается через UPLOADS_DIR (по умолчанию <DATA_DIR>/uploads).
+const imageStore = uploads.createImageStore(
+    process.env.UPLOADS_DIR || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'uploads')
+);
+const uploadMiddleware = uploads.createUploadMiddleware();
+
+// --- Рассылка уведомлений подписчикам ---
+const notificationDispatcher = notifications.createNotificationDispatcher({ storage, bot });
+
 // Настройка CORS для разрешения запросов с любых источников
 // В продакшене рекомендуется ограничить домен вашего Telegram Mini App
 app.use(cors());
@@ -31,81 +167,1175 @@ app.use(bodyParser.json());
 // Vercel будет использовать эту настройку для статических файлов, но Express также может их обслуживать локально
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
+// Отдача загруженных изображений. Имена файлов уникальны, поэтому их можно долго кэшировать.
+app.use(uploads.PUBLIC_PATH, express.static(imageStore.uploadsDir, { maxAge: '30d', immutable: true }));
+app.get(`${uploads.PUBLIC_PATH}/*`, (req, res) => {
+    res.status(404).json({ message: 'Изображение не найдено.' });
+});
+
+// Дожидаемся инициализации хранилища перед обработкой запросов к API
+app.use('/api', (req, res, next) => {
+    storageReady.then(() => next(), next);
+});
+
+// Проверяем initData для всех маршрутов API и прикрепляем пользователя Telegram к запросу (req.telegramUser)
+app.use('/api', attachTelegramUser);
+
 // --- API маршрут для проверки ИНН через DaData.ru ---
-app.post('/api/fns/verify-inn', async (req, res) => {
-    const { inn } = req.body;
+// Запросы к DaData платные, поэтому проверка доступна только пользователям Telegram.
+app.post('/api/fns/verify-inn', requireTelegramUser, async (req, res) => {
+    const { httpStatus, result } = await fnsVerifier.verifyInn(req.body.inn);
+    return res.status(httpStatus).json(result);
+});
 
-    if (!inn) {
-        return res.status(400).json({ message: 'ИНН не предоставлен.' });
+// --- API маршруты геокодирования (окно выбора местоположения) ---
+// Поиск адресов: ?q=<адрес>, в ответе { results: [{ address, coordinates }] }
+app.get('/api/geocode', requireTelegramUser, async (req, res) => {
+    const { httpStatus, result } = await geocoder.search(req.query.q);
+    return res.status(httpStatus).json(result);
+});
+
+// Адрес точки: ?lat=<широта>&lon=<долгота>, в ответе { address }
+app.get('/api/geocode/reverse', requireTelegramUser, async (req, res) => {
+    const { httpStatus, result } = await geocoder.reverse(req.query.lat, req.query.lon);
+    return res.status(httpStatus).json(result);
+});
+
+// --- API маршрут для справочника категорий ---
+// Возвращает дерево категорий и соответствие устаревших ID актуальным (для миграции данных на клиенте).
+app.get('/api/categories', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({ categories: categories.CATEGORIES, legacyIds: categories.LEGACY_CATEGORY_IDS });
+});
+
+// --- API маршруты для заведений ---
+
+// Получение списка заведений: опубликованные, а также черновики текущего пользователя.
+// Фильтры (см. establishments.parseListFilters):
+// - ?category= — категория; фильтр по группе включает ее подкатегории;
+// - ?openNow=1 — только открытые сейчас (по часовому поясу заведения);
+// - ?priceMin=&priceMax= — ценовой диапазон (1 — $, 4 — $$$$);
+// - ?minRating= — минимальный рейтинг; ?hasPhotos=1 — только с фотографиями.
+// С параметрами ?bbox=minLat,minLon,maxLat,maxLon&zoom= возвращаются только заведения в области карты
+// в виде { establishments, clusters }: если заведений слишком много, часть из них объединяется в кластеры
+// (см. lib/viewport.js).
+// С параметрами ?near=lat,lon&radius= (радиус в метрах, по умолчанию 1000) возвращаются заведения
+// в радиусе от точки, отсортированные по расстоянию; расстояние в метрах — в поле distance.
+// Без bbox и near возвращается массив всех подходящих заведений.
+app.get('/api/establishments', async (req, res) => {
+    const { value: filters, error } = establishments.parseListFilters(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
     }
+    const now = new Date();
+    const isMatching = (item) => establishments.isVisibleTo(item, req.telegramUser)
+        && establishments.matchesListFilters(item, filters, now);
 
-    // Простая валидация ИНН (на клиенте будет более строгая)
-    if (!/^\d{10}$|^\d{12}$/.test(inn)) {
-        return res.status(400).json({ message: 'Некорректный формат ИНН.' });
+    if (req.query.bbox !== undefined && req.query.near !== undefined) {
+        return res.status(400).json({ message: 'Параметры bbox и near нельзя указывать одновременно.' });
     }
 
-    // Проверяем кэш
-    if (cache.has(inn)) {
-        console.log(`ИНН ${inn} найден в кэше.`);
-        return res.json(cache.get(inn));
+    if (req.query.near !== undefined) {
+        const near = geo.parseNear(req.query.near, req.query.radius);
+        if (near.error) {
+            return res.status(400).json({ message: near.error });
+        }
+        const { center, radius } = near.value;
+        try {
+            const index = await getEstablishmentIndex();
+            const items = index.query(geo.boundingBoxAround(center, radius))
+                .filter(isMatching)
+                .map(item => ({ ...item, distance: Math.round(geo.haversineDistance(center, item.coordinates)) }))
+                .filter(item => item.distance <= radius)
+                .sort((a, b) => a.distance - b.distance);
+            return res.json(items);
+        } catch (error) {
+            console.error('Ошибка при поиске заведений рядом:', error);
+            return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+        }
+    }
+
+    if (req.query.bbox !== undefined) {
+        const bbox = viewport.parseBbox(req.query.bbox);
+        const zoom = viewport.parseZoom(req.query.zoom);
+        if (bbox.error || zoom.error) {
+            return res.status(400).json({ message: bbox.error || zoom.error });
+        }
+        try {
+            const index = await getEstablishmentIndex();
+            const items = index.query(bbox.value).filter(isMatching);
+            return res.json(viewport.clusterEstablishments(items, zoom.value));
+        } catch (error) {
+            console.error('Ошибка при получении заведений в области карты:', error);
+            return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+        }
     }
 
     try {
-        const response = await fetch(DADATA_SUGGESTION_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-                'Authorization': `Token ${DADATA_API_KEY}`,
-                'X-Secret': DADATA_SECRET_KEY,
-            },
-            body: JSON.stringify({ query: inn }),
+        const items = await storage.list(establishments.COLLECTION);
+        return res.json(items.filter(isMatching));
+    } catch (error) {
+        console.error('Ошибка при получении списка заведений:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// --- API маршрут для поиска заведений ---
+// Ищет по названию, описанию, названиям категорий и контактам с учетом морфологии, опечаток
+// и неправильной раскладки клавиатуры (см. lib/search.js). Результаты отсортированы по релевантности.
+// ?q= — запрос; ?limit= — количество результатов (по умолчанию 20, не более 500);
+// поддерживаются те же фильтры, что и в GET /api/establishments.
+app.get('/api/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+        return res.status(400).json({ message: 'Поисковый запрос не указан.' });
+    }
+    if (query.length > SEARCH_MAX_QUERY_LENGTH) {
+        return res.status(400).json({ message: `Поисковый запрос длиннее ${SEARCH_MAX_QUERY_LENGTH} символов.` });
+    }
+    const limit = req.query.limit === undefined ? SEARCH_DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+        return res.status(400).json({ message: `Параметр limit задается числом от 1 до ${SEARCH_MAX_LIMIT}.` });
+    }
+    const { value: filters, error } = establishments.parseListFilters(req.query);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    const now = new Date();
+
+    try {
+        const index = await getSearchIndex();
+        const { results, correctedQuery } = index.search(query, {
+            filter: (item) => establishments.isVisibleTo(item, req.telegramUser)
+                && establishments.matchesListFilters(item, filters, now),
+        });
+        return res.json({
+            query,
+            correctedQuery,
+            total: results.length,
+            results: results.slice(0, limit).map(({ item, score }) => ({ establishment: item, score })),
         });
+    } catch (error) {
+        console.error('Ошибка при поиске заведений:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// --- API маршрут для персональных рекомендаций ---
+// Избранное и история хранятся на устройстве пользователя, поэтому клиент передает их в теле запроса.
+// Для пользователя Telegram история дополняется его журналом событий (см. /api/events).
+// Тело: { favoriteCategories, favoriteEstablishments, history: [{establishmentId, type: 'view'|'route', at}],
+// location: [широта, долгота] | null, limit }. Расчет оценки описан в lib/recommendations.js.
+app.post('/api/recommendations', async (req, res) => {
+    const { value, error } = recommendations.sanitizeRecommendationRequest(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Ошибка при запросе к DaData: ${response.status} - ${errorText}`);
-            return res.status(response.status).json({ message: 'Ошибка при проверке ИНН через ФНС. Попробуйте позже.', details: errorText });
+    try {
+        if (req.telegramUser) {
+            const events = await userEvents.getEvents(storage, String(req.telegramUser.id));
+            value.history = recommendations.mergeHistory(value.history, events);
         }
+        const items = await storage.list(establishments.COLLECTION);
+        const results = recommendations.recommend(items.filter(item => establishments.isPublished(item)), value);
+        return res.json({ results });
+    } catch (err) {
+        console.error('Ошибка при расчете рекомендаций:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
 
-        const data = await response.json();
+// --- API маршруты для журнала действий пользователя ---
+// Клиент копит события и отправляет их пакетами. Журнал хранится по ID пользователя Telegram
+// с ограничением по сроку и количеству событий (см. lib/events.js).
 
-        if (data.suggestions && data.suggestions.length > 0) {
-            const companyData = data.suggestions[0].data;
-            const result = {
-                status: 'success',
-                message: 'Организация найдена.',
-                company: {
-                    name: companyData.name.full_with_opf || companyData.name.short_with_opf || companyData.name.full || companyData.name.short,
-                    ogrn: companyData.ogrn || companyData.ogrnip,
-                    address: companyData.address.value,
-                    okved: companyData.okved || (companyData.okveds && companyData.okveds[0] && companyData.okveds[0].name),
-                    state: companyData.state.status.toLowerCase(), // active, liquidating, liquidated
-                },
+// Добавление пакета событий. События также учитываются в статистике заведений.
+app.post('/api/events', requireTelegramUser, async (req, res) => {
+    const { value, error } = userEvents.sanitizeEventBatch(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const userId = String(req.telegramUser.id);
+        await userEvents.appendEvents(storage, userId, value);
+        await stats.recordEvents(storage, value, await storage.list(establishments.COLLECTION), userId);
+        return res.status(201).json({ success: true, accepted: value.length });
+    } catch (err) {
+        console.error('Ошибка при сохранении событий пользователя:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Журнал событий текущего пользователя
+app.get('/api/events', requireTelegramUser, async (req, res) => {
+    try {
+        return res.json({ events: await userEvents.getEvents(storage, String(req.telegramUser.id)) });
+    } catch (err) {
+        console.error('Ошибка при получении событий пользователя:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Удаление всего журнала текущего пользователя ("Очистить мою историю")
+// Доступно и заблокированным пользователям: журнал содержит только их собственные действия.
+app.delete('/api/events', requireTelegramUser, async (req, res) => {
+    try {
+        await storage.remove(userEvents.COLLECTION, String(req.telegramUser.id));
+        return res.json({ success: true, message: 'История очищена.' });
+    } catch (err) {
+        console.error('Ошибка при удалении событий пользователя:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// --- API маршрут для ссылок на Mini App ---
+// Ссылка вида https://t.me/<бот>/<приложение>?startapp=<параметр> для кнопок "Поделиться":
+// est_<ID> — заведение, cat_<ID> — категория, list_<ID> — список, filter-... — фильтры карты.
+// Если адрес Mini App не настроен (TELEGRAM_MINI_APP_URL), возвращается { link: null }.
+app.get('/api/share-link', (req, res) => {
+    const startParam = typeof req.query.startParam === 'string' ? req.query.startParam : '';
+    if (!START_PARAM_PATTERN.test(startParam)) {
+        return res.status(400).json({ message: 'Параметр запуска может содержать только латинские буквы, цифры, "_" и "-" (не более 64 символов).' });
+    }
+    res.set('Cache-Control', 'public, max-age=3600');
+    return res.json({ link: miniAppLinks.build(startParam) });
+});
+
+// --- API маршруты для избранного ---
+// Избранное хранится по ID пользователя Telegram и одинаково на всех его устройствах.
+
+// Избранное текущего пользователя
+app.get('/api/favorites', requireTelegramUser, async (req, res) => {
+    try {
+        const record = await storage.get(favorites.COLLECTION, String(req.telegramUser.id));
+        return res.json({
+            categories: record ? record.categories : [],
+            establishments: record ? record.establishments : [],
+            updatedAt: record ? record.updatedAt : null,
+        });
+    } catch (err) {
+        console.error('Ошибка при получении избранного:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Сохранение избранного текущего пользователя (списки заменяются целиком)
+app.put('/api/favorites', requireTelegramUser, async (req, res) => {
+    const { value, error } = favorites.sanitizeFavorites(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const record = await storage.upsert(favorites.COLLECTION, String(req.telegramUser.id), {
+            ...value,
+            updatedAt: new Date().toISOString(),
+        });
+        return res.json({ categories: record.categories, establishments: record.establishments, updatedAt: record.updatedAt });
+    } catch (err) {
+        console.error('Ошибка при сохранении избранного:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// --- API маршруты для списков заведений ---
+// Списком можно поделиться ссылкой на Mini App с параметром запуска list_<ID списка>.
+// Просмотр списка доступен всем по ссылке, изменение — только владельцу.
+
+/**
+ * @function toListResponse
+ * @description Готовит список для ответа клиенту: без ID владельца, со ссылкой "Поделиться".
+ * @param {object} list - Список из хранилища.
+ * @returns {object}
+ */
+const toListResponse = (list) => ({
+    id: list.id,
+    name: list.name,
+    establishmentIds: list.establishmentIds,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt,
+    shareLink: miniAppLinks.build(`list_${list.id}`),
+});
+
+// Списки текущего пользователя
+app.get('/api/favorite-lists', requireTelegramUser, async (req, res) => {
+    try {
+        const lists = await storage.list(favorites.LISTS_COLLECTION);
+        return res.json(lists
+            .filter(list => favorites.isListOwner(list, req.telegramUser))
+            .map(toListResponse));
+    } catch (err) {
+        console.error('Ошибка при получении списков:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Создание списка
+app.post('/api/favorite-lists', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const { value, error } = favorites.sanitizeList(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const lists = await storage.list(favorites.LISTS_COLLECTION);
+        if (lists.filter(list => favorites.isListOwner(list, req.telegramUser)).length >= favorites.MAX_LISTS_PER_USER) {
+            return res.status(409).json({ message: `Можно создать не более ${favorites.MAX_LISTS_PER_USER} списков.` });
+        }
+        const now = new Date().toISOString();
+        const list = await storage.insert(favorites.LISTS_COLLECTION, {
+            ...value,
+            ownerId: String(req.telegramUser.id),
+            createdAt: now,
+            updatedAt: now,
+        }, 'fl');
+        return res.status(201).json(toListResponse(list));
+    } catch (err) {
+        console.error('Ошибка при создании списка:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Просмотр списка по ссылке: заведения отдаются целиком, в порядке списка.
+// Удаленные и скрытые заведения пропускаются.
+app.get('/api/favorite-lists/:id', async (req, res) => {
+    try {
+        const list = await storage.get(favorites.LISTS_COLLECTION, req.params.id);
+        if (!list) {
+            return res.status(404).json({ message: 'Список не найден.' });
+        }
+        const items = await storage.list(establishments.COLLECTION);
+        const byId = new Map(items
+            .filter(item => establishments.isVisibleTo(item, req.telegramUser))
+            .map(item => [item.id, item]));
+        return res.json({
+            ...toListResponse(list),
+            isOwn: favorites.isListOwner(list, req.telegramUser),
+            establishments: list.establishmentIds.map(id => byId.get(id)).filter(Boolean),
+        });
+    } catch (err) {
+        console.error('Ошибка при получении списка:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Изменение списка (название и/или состав) владельцем
+app.put('/api/favorite-lists/:id', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const { value, error } = favorites.sanitizeList(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const existing = await storage.get(favorites.LISTS_COLLECTION, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ message: 'Список не найден.' });
+        }
+        if (!favorites.isListOwner(existing, req.telegramUser)) {
+            return res.status(403).json({ message: 'Изменять список может только его владелец.' });
+        }
+        const list = await storage.update(favorites.LISTS_COLLECTION, existing.id, {
+            ...value,
+            updatedAt: new Date().toISOString(),
+        });
+        return res.json(toListResponse(list));
+    } catch (err) {
+        console.error('Ошибка при изменении списка:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Удаление списка владельцем
+app.delete('/api/favorite-lists/:id', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    try {
+        const existing = await storage.get(favorites.LISTS_COLLECTION, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ message: 'Список не найден.' });
+        }
+        if (!favorites.isListOwner(existing, req.telegramUser)) {
+            return res.status(403).json({ message: 'Удалить список может только его владелец.' });
+        }
+        await storage.remove(favorites.LISTS_COLLECTION, existing.id);
+        return res.json({ success: true, message: 'Список удален.' });
+    } catch (err) {
+        console.error('Ошибка при удалении списка:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Получение одного заведения по ID
+app.get('/api/establishments/:id', async (req, res) => {
+    try {
+        const item = await storage.get(establishments.COLLECTION, req.params.id);
+        if (!item || !establishments.isVisibleTo(item, req.telegramUser)) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        return res.json(item);
+    } catch (error) {
+        console.error('Ошибка при получении заведения:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Статистика заведения для владельца: просмотры, маршруты, добавления в избранное и показы в поиске.
+// ?period=day (30 дней, по умолчанию) | week (12 недель) | month (12 месяцев).
+app.get('/api/establishments/:id/stats', requireTelegramUser, async (req, res) => {
+    const period = req.query.period === undefined ? 'day' : req.query.period;
+    if (!Object.prototype.hasOwnProperty.call(stats.PERIODS, period)) {
+        return res.status(400).json({ message: 'Параметр period задается значением day, week или month.' });
+    }
+
+    try {
+        const item = await storage.get(establishments.COLLECTION, req.params.id);
+        if (!item || !establishments.isVisibleTo(item, req.telegramUser)) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        if (!establishments.isOwner(item, req.telegramUser)) {
+            return res.status(403).json({ message: 'Статистика доступна только владельцу заведения.' });
+        }
+        const record = await storage.get(stats.COLLECTION, item.id);
+        return res.json({ establishmentId: item.id, ...stats.buildReport(record, item, period) });
+    } catch (error) {
+        console.error('Ошибка при получении статистики заведения:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Создание нового заведения (владельцем становится текущий пользователь Telegram).
+// Сразу публикуются только заведения предпринимателей с проверенным действующим ИНН,
+// остальные сохраняются как черновик (status: pending) до верификации.
+app.post('/api/establishments', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const { value, error } = establishments.sanitizeEstablishment(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const profile = await storage.get(businessProfiles.COLLECTION, String(req.telegramUser.id));
+        if (!profile) {
+            return res.status(403).json({ message: 'Добавлять заведения могут только зарегистрированные предприниматели.' });
+        }
+        const status = businessProfiles.isVerifiedBusiness(profile)
+            ? establishments.STATUS.PUBLISHED
+            : establishments.STATUS.PENDING;
+
+        const now = new Date().toISOString();
+        const item = await storage.insert(establishments.COLLECTION, {
+            ...value,
+            rating: 0, // Новое заведение начинается с 0 рейтинга
+            reviewCount: 0,
+            reviews: [],
+            ownerId: String(req.telegramUser.id),
+            status,
+            revision: 1,
+            createdAt: now,
+            updatedAt: now,
+        }, 'est');
+
+        if (establishments.isPublished(item)) {
+            notifyAboutNewEstablishment(item);
+        }
+
+        return res.status(201).json(item);
+    } catch (err) {
+        console.error('Ошибка при создании заведения:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+/**
+ * @function notifyAboutNewEstablishment
+ * @description Сообщает подписчикам о новом опубликованном заведении (не дожидаясь окончания рассылки).
+ * @param {object} item - Опубликованное заведение.
+ */
+const notifyAboutNewEstablishment = (item) => {
+    notificationDispatcher.notifySubscribers({
+        text: `Новое заведение на MapCost: ${item.name}`,
+        category: item.category,
+    }).catch(err => console.error('Ошибка рассылки уведомлений о новом заведении:', err));
+};
+
+/**
+ * @function createHttpError
+ * @description Создает ошибку с HTTP-статусом для отказа внутри атомарного изменения записи.
+ * @param {number} httpStatus - HTTP-статус ответа.
+ * @param {string} message - Сообщение для клиента.
+ * @returns {Error}
+ */
+const createHttpError = (httpStatus, message) => {
+    const error = new Error(message);
+    error.httpStatus = httpStatus;
+    return error;
+};
+
+// Обновление существующего заведения (только владельцем).
+// В теле запроса обязателен revision — версия заведения, которую редактировал владелец.
+// Если с тех пор заведение изменилось (например, с другого устройства), изменения не применяются:
+// ответ 409 содержит текущую версию заведения (current), чтобы клиент мог объединить изменения.
+app.put('/api/establishments/:id', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const { value, error } = establishments.sanitizeEstablishment(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+    const baseRevision = establishments.parseBaseRevision(req.body.revision);
+    if (!baseRevision) {
+        return res.status(400).json({ message: 'Не указана версия заведения, с которой начато редактирование.' });
+    }
+
+    try {
+        const item = await storage.modify(establishments.COLLECTION, req.params.id, (existing) => {
+            if (!establishments.isOwner(existing, req.telegramUser)) {
+                throw createHttpError(403, 'Недостаточно прав для изменения заведения.');
+            }
+            const revision = establishments.getRevision(existing);
+            if (revision !== baseRevision) {
+                const conflict = createHttpError(409, 'Заведение уже изменено с другого устройства. Объедините изменения и сохраните снова.');
+                conflict.current = { ...existing, revision };
+                throw conflict;
+            }
+            return {
+                ...existing,
+                ...value,
+                revision: revision + 1,
+                updatedAt: new Date().toISOString(),
             };
+        });
+        if (!item) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        return res.json(item);
+    } catch (err) {
+        if (err.httpStatus === 409) {
+            return res.status(409).json({ message: err.message, current: err.current });
+        }
+        if (err.httpStatus) {
+            return res.status(err.httpStatus).json({ message: err.message });
+        }
+        console.error('Ошибка при обновлении заведения:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Удаление заведения (только владельцем)
+app.delete('/api/establishments/:id', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    try {
+        const existing = await storage.get(establishments.COLLECTION, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        if (!establishments.isOwner(existing, req.telegramUser)) {
+            return res.status(403).json({ message: 'Недостаточно прав для удаления заведения.' });
+        }
+        const removed = await storage.remove(establishments.COLLECTION, req.params.id);
+        if (!removed) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        return res.json({ success: true, message: 'Заведение удалено.' });
+    } catch (error) {
+        console.error('Ошибка при удалении заведения:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// --- API маршруты для отзывов ---
+// Отзывы хранятся внутри заведения; рейтинг пересчитывается сервером при каждом изменении.
 
-            // Дополнительная проверка статуса организации
-            if (result.company.state !== 'active') {
-                result.status = 'warning';
-                result.message = 'Организация найдена, но не является действующей.';
+/**
+ * @function changeReviews
+ * @description Атомарно изменяет отзывы заведения и отправляет ответ клиенту.
+ * Функция `change` получает заведение и текущие отзывы и возвращает { reviews, review }
+ * либо бросает ошибку из createHttpError.
+ * @param {object} req - Запрос Express (с req.params.id и req.telegramUser).
+ * @param {object} res - Ответ Express.
+ * @param {function(object, Array<object>): {reviews: Array<object>, review: object|null}} change
+ * @param {number} [successStatus=200] - HTTP-статус успешного ответа.
+ */
+const changeReviews = async (req, res, change, successStatus = 200) => {
+    try {
+        let review = null;
+        const item = await storage.modify(establishments.COLLECTION, req.params.id, (existing) => {
+            if (!establishments.isVisibleTo(existing, req.telegramUser)) {
+                throw createHttpError(404, 'Заведение не найдено.');
             }
+            const result = change(existing, existing.reviews || []);
+            review = result.review;
+            return reviews.withReviews(existing, result.reviews);
+        });
+        if (!item) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        return res.status(successStatus).json({ review, establishment: item });
+    } catch (error) {
+        if (error.httpStatus) {
+            return res.status(error.httpStatus).json({ message: error.message });
+        }
+        console.error('Ошибка при изменении отзывов:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+};
 
-            cache.set(inn, result); // Кэшируем результат
-            return res.json(result);
-        } else {
-            const result = {
-                status: 'error',
-                message: 'Организация с таким ИНН не найдена.',
-            };
-            cache.set(inn, result); // Кэшируем даже отрицательный результат
-            return res.status(404).json(result);
+/**
+ * @function findOwnReviewIndex
+ * @description Находит отзыв по ID и проверяет, что его автор — текущий пользователь.
+ * @param {Array<object>} items - Отзывы заведения.
+ * @param {string} reviewId - ID отзыва.
+ * @param {object} telegramUser - Текущий пользователь.
+ * @returns {number} Индекс отзыва.
+ */
+const findOwnReviewIndex = (items, reviewId, telegramUser) => {
+    const index = items.findIndex(review => review.id === reviewId);
+    if (index === -1) {
+        throw createHttpError(404, 'Отзыв не найден.');
+    }
+    if (items[index].userId !== String(telegramUser.id)) {
+        throw createHttpError(403, 'Изменять отзыв может только его автор.');
+    }
+    return index;
+};
+
+// Получение отзывов заведения и его рейтинга
+app.get('/api/establishments/:id/reviews', async (req, res) => {
+    try {
+        const item = await storage.get(establishments.COLLECTION, req.params.id);
+        if (!item || !establishments.isVisibleTo(item, req.telegramUser)) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
         }
+        const itemReviews = item.reviews || [];
+        return res.json({ rating: item.rating || 0, reviewCount: itemReviews.length, reviews: itemReviews });
     } catch (error) {
-        console.error('Ошибка на сервере при проверке ИНН:', error);
+        console.error('Ошибка при получении отзывов:', error);
         return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
     }
 });
 
+// Добавление отзыва: один отзыв от пользователя Telegram на заведение, владелец не может оценивать свое заведение
+app.post('/api/establishments/:id/reviews', requireTelegramUser, rejectBannedUser, (req, res) => {
+    const { value, error } = reviews.sanitizeReview(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    return changeReviews(req, res, (item, items) => {
+        if (establishments.isOwner(item, req.telegramUser)) {
+            throw createHttpError(403, 'Нельзя оставить отзыв о собственном заведении.');
+        }
+        if (items.some(review => review.userId === String(req.telegramUser.id))) {
+            throw createHttpError(409, 'Вы уже оставили отзыв об этом заведении. Его можно отредактировать.');
+        }
+        const review = reviews.createReview(req.telegramUser, value);
+        return { reviews: [...items, review], review };
+    }, 201);
+});
+
+// Редактирование своего отзыва
+app.put('/api/establishments/:id/reviews/:reviewId', requireTelegramUser, rejectBannedUser, (req, res) => {
+    const { value, error } = reviews.sanitizeReview(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    return changeReviews(req, res, (item, items) => {
+        const index = findOwnReviewIndex(items, req.params.reviewId, req.telegramUser);
+        const review = { ...items[index], ...value, updatedAt: new Date().toISOString() };
+        return { reviews: items.map((existing, i) => (i === index ? review : existing)), review };
+    });
+});
+
+// Удаление своего отзыва
+app.delete('/api/establishments/:id/reviews/:reviewId', requireTelegramUser, rejectBannedUser, (req, res) => changeReviews(req, res, (item, items) => {
+    const index = findOwnReviewIndex(items, req.params.reviewId, req.telegramUser);
+    return { reviews: items.filter((existing, i) => i !== index), review: null };
+}));
+
+// Публичный ответ владельца на отзыв (один на отзыв: повторный запрос заменяет текст ответа)
+app.put('/api/establishments/:id/reviews/:reviewId/reply', requireTelegramUser, rejectBannedUser, (req, res) => {
+    const { value, error } = reviews.sanitizeReply(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    return changeReviews(req, res, (item, items) => {
+        if (!establishments.isOwner(item, req.telegramUser)) {
+            throw createHttpError(403, 'Отвечать на отзывы может только владелец заведения.');
+        }
+        const index = items.findIndex(review => review.id === req.params.reviewId);
+        if (index === -1) {
+            throw createHttpError(404, 'Отзыв не найден.');
+        }
+        const now = new Date().toISOString();
+        const previousReply = items[index].reply;
+        const review = {
+            ...items[index],
+            reply: { text: value, createdAt: previousReply ? previousReply.createdAt : now, updatedAt: now },
+        };
+        return { reviews: items.map((existing, i) => (i === index ? review : existing)), review };
+    });
+});
+
+// Жалоба на отзыв: отзыв попадает в очередь модерации (каждый пользователь учитывается один раз)
+app.post('/api/establishments/:id/reviews/:reviewId/flag', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    try {
+        const item = await storage.get(establishments.COLLECTION, req.params.id);
+        if (!item || !establishments.isVisibleTo(item, req.telegramUser)) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        const review = (item.reviews || []).find(existing => existing.id === req.params.reviewId);
+        if (!review) {
+            return res.status(404).json({ message: 'Отзыв не найден.' });
+        }
+        if (review.userId === String(req.telegramUser.id)) {
+            return res.status(400).json({ message: 'Нельзя пожаловаться на собственный отзыв.' });
+        }
+        await moderation.addFlag(storage, {
+            type: moderation.FLAG_TYPES.REVIEW,
+            establishmentId: item.id,
+            target: review.id,
+            userId: String(req.telegramUser.id),
+        });
+        return res.status(201).json({ success: true, message: 'Жалоба отправлена модераторам.' });
+    } catch (error) {
+        console.error('Ошибка при отправке жалобы на отзыв:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Жалоба на фото заведения: { url } — адрес фото. Фото попадает в очередь модерации.
+app.post('/api/establishments/:id/photos/flag', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const url = req.body && typeof req.body.url === 'string' ? req.body.url : '';
+    try {
+        const item = await storage.get(establishments.COLLECTION, req.params.id);
+        if (!item || !establishments.isVisibleTo(item, req.telegramUser)) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        if (!(item.photos || []).some(photo => moderation.getPhotoUrl(photo) === url)) {
+            return res.status(404).json({ message: 'Фото не найдено.' });
+        }
+        if (establishments.isOwner(item, req.telegramUser)) {
+            return res.status(400).json({ message: 'Нельзя пожаловаться на фото собственного заведения.' });
+        }
+        await moderation.addFlag(storage, {
+            type: moderation.FLAG_TYPES.PHOTO,
+            establishmentId: item.id,
+            target: url,
+            userId: String(req.telegramUser.id),
+        });
+        return res.status(201).json({ success: true, message: 'Жалоба отправлена модераторам.' });
+    } catch (error) {
+        console.error('Ошибка при отправке жалобы на фото:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Сообщение о проблеме с заведением: { reason, comment }. Каждый пользователь учитывается один раз;
+// после REPORTS_AUTO_HIDE_THRESHOLD сообщений заведение скрывается до проверки модератором.
+app.post('/api/establishments/:id/reports', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const { value, error } = reports.sanitizeReport(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const item = await storage.get(establishments.COLLECTION, req.params.id);
+        if (!item || !establishments.isVisibleTo(item, req.telegramUser)) {
+            return res.status(404).json({ message: 'Заведение не найдено.' });
+        }
+        if (establishments.isOwner(item, req.telegramUser)) {
+            return res.status(400).json({ message: 'Нельзя сообщить о проблеме с собственным заведением.' });
+        }
+        const { establishment } = await reports.addReport(storage, {
+            establishmentId: item.id,
+            userId: String(req.telegramUser.id),
+            ...value,
+        }, reportsAutoHideThreshold);
+        return res.status(201).json({
+            success: true,
+            message: 'Спасибо! Модератор проверит заведение.',
+            isHidden: Boolean(establishment && !establishments.isPublished(establishment)),
+        });
+    } catch (err) {
+        console.error('Ошибка при отправке сообщения о проблеме:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// --- API маршрут для загрузки изображений ---
+// Принимает multipart/form-data с файлами в поле `photos`, возвращает ссылки на полный размер и миниатюру.
+app.post('/api/uploads', requireTelegramUser, rejectBannedUser, (req, res) => {
+    uploadMiddleware(req, res, async (uploadError) => {
+        if (uploadError) {
+            const { httpStatus, message } = uploads.getUploadErrorResponse(uploadError);
+            return res.status(httpStatus).json({ message });
+        }
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ message: 'Файлы не предоставлены.' });
+        }
+
+        try {
+            const files = [];
+            for (const file of req.files) {
+                files.push(await imageStore.saveImage(file.buffer));
+            }
+            return res.status(201).json({ files });
+        } catch (error) {
+            const { httpStatus, message } = uploads.getUploadErrorResponse(error);
+            if (httpStatus === 500) {
+                console.error('Ошибка при обработке загруженного изображения:', error);
+            }
+            return res.status(httpStatus).json({ message });
+        }
+    });
+});
+
+// --- API маршруты для профиля предпринимателя ---
+// Профиль хранится по ID пользователя Telegram, поэтому доступен с любого устройства.
+// Статус верификации (isVerified, fnsData) выставляет только сервер по результату проверки ИНН.
+
+/**
+ * @function withOwnEstablishments
+ * @description Дополняет профиль списком заведений, владельцем которых является пользователь.
+ * @param {object} profile - Профиль из хранилища.
+ * @returns {Promise<object>} Профиль для ответа клиенту.
+ */
+const withOwnEstablishments = async (profile) => {
+    const items = await storage.list(establishments.COLLECTION);
+    return {
+        ...profile,
+        type: 'business',
+        establishments: items
+            .filter(item => item.ownerId === profile.id)
+            .map(item => ({
+                id: item.id,
+                name: item.name,
+                status: item.status || establishments.STATUS.PUBLISHED,
+                moderation: item.moderation || null, // Решение модератора, если заведение снято
+            })),
+    };
+};
+
+/**
+ * @function publishPendingEstablishments
+ * @description Публикует все черновики заведений предпринимателя (после верификации ИНН).
+ * @param {string} ownerId - ID пользователя Telegram владельца.
+ * @returns {Promise<void>}
+ */
+const publishPendingEstablishments = async (ownerId) => {
+    const items = await storage.list(establishments.COLLECTION);
+    const pending = items.filter(item => item.ownerId === ownerId && item.status === establishments.STATUS.PENDING);
+    for (const item of pending) {
+        const published = await storage.update(establishments.COLLECTION, item.id, {
+            status: establishments.STATUS.PUBLISHED,
+            updatedAt: new Date().toISOString(),
+        });
+        if (establishments.isPublished(published)) {
+            notifyAboutNewEstablishment(published);
+        }
+    }
+};
+
+/**
+ * @function verifyProfileInn
+ * @description Проверяет ИНН через ФНС и возвращает поля верификации для сохранения в профиле.
+ * @param {string} inn - ИНН из профиля.
+ * @returns {Promise<{inn: string, isVerified: boolean, fnsData: object|null}>}
+ */
+const verifyProfileInn = async (inn) => {
+    if (!inn) {
+        return { inn: '', isVerified: false, fnsData: null };
+    }
+    const verification = await fnsVerifier.verifyInn(inn);
+    return {
+        inn,
+        isVerified: verification.httpStatus === 200 && verification.result.status === 'success',
+        fnsData: verification.result.company || null,
+    };
+};
+
+// Получение профиля текущего предпринимателя
+app.get('/api/business-profile', requireTelegramUser, async (req, res) => {
+    try {
+        const profile = await storage.get(businessProfiles.COLLECTION, String(req.telegramUser.id));
+        if (!profile) {
+            return res.status(404).json({ message: 'Профиль предпринимателя не найден.' });
+        }
+        return res.json(await withOwnEstablishments(profile));
+    } catch (error) {
+        console.error('Ошибка при получении профиля предпринимателя:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Регистрация предпринимателя
+app.post('/api/register-business', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const { value, error } = businessProfiles.sanitizeBusinessProfile(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const userId = String(req.telegramUser.id);
+        const existing = await storage.get(businessProfiles.COLLECTION, userId);
+        if (existing) {
+            return res.status(409).json({ message: 'Профиль предпринимателя уже зарегистрирован.' });
+        }
+
+        const now = new Date().toISOString();
+        const profile = await storage.upsert(businessProfiles.COLLECTION, userId, {
+            ...value,
+            ...(await verifyProfileInn(value.inn)),
+            createdAt: now,
+            updatedAt: now,
+        });
+        return res.status(201).json(await withOwnEstablishments(profile));
+    } catch (err) {
+        console.error('Ошибка при регистрации предпринимателя:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// Обновление профиля предпринимателя
+app.put('/api/update-business-profile', requireTelegramUser, rejectBannedUser, async (req, res) => {
+    const { value, error } = businessProfiles.sanitizeBusinessProfile(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const userId = String(req.telegramUser.id);
+        const existing = await storage.get(businessProfiles.COLLECTION, userId);
+        if (!existing) {
+            return res.status(404).json({ message: 'Профиль предпринимателя не найден.' });
+        }
+
+        const patch = { ...value, updatedAt: new Date().toISOString() };
+        // ИНН перепроверяется при его изменении, а у непроверенного профиля — при каждом сохранении:
+        // прошлая проверка могла не пройти из-за временной ошибки ФНС или сети
+        const inn = value.inn !== undefined ? value.inn : existing.inn;
+        if (inn !== existing.inn || !businessProfiles.isVerifiedBusiness(existing)) {
+            Object.assign(patch, await verifyProfileInn(inn));
+        }
+        const profile = await storage.update(businessProfiles.COLLECTION, userId, patch);
+
+        // После успешной верификации публикуем черновики заведений предпринимателя
+        if (businessProfiles.isVerifiedBusiness(profile) && !businessProfiles.isVerifiedBusiness(existing)) {
+            await publishPendingEstablishments(userId);
+        }
+        return res.json(await withOwnEstablishments(profile));
+    } catch (err) {
+        console.error('Ошибка при обновлении профиля предпринимателя:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// --- API маршруты для уведомлений ---
+// Подписка всегда относится к пользователю из проверенного initData, а не к ID из тела запроса.
+
+// Подписка на уведомления (с необязательным списком категорий)
+app.post('/api/notifications/subscribe', requireTelegramUser, async (req, res) => {
+    const categories = notifications.sanitizeCategories(req.body.categories);
+    if (!categories) {
+        return res.status(400).json({ success: false, message: 'Некорректный список категорий.' });
+    }
+
+    try {
+        const userId = String(req.telegramUser.id);
+        const existing = await storage.get(notifications.COLLECTION, userId);
+        const now = new Date().toISOString();
+        const subscription = await storage.upsert(notifications.COLLECTION, userId, {
+            chatId: req.telegramUser.id, // Для личных сообщений ID чата совпадает с ID пользователя
+            subscribed: true,
+            categories: req.body.categories !== undefined ? categories : (existing ? existing.categories : []),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+        });
+        return res.json({ success: true, message: 'Подписка оформлена.', subscribed: true, categories: subscription.categories });
+    } catch (error) {
+        console.error('Ошибка при подписке на уведомления:', error);
+        return res.status(500).json({ success: false, message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Отписка от уведомлений (настройки категорий сохраняются)
+app.post('/api/notifications/unsubscribe', requireTelegramUser, async (req, res) => {
+    try {
+        const userId = String(req.telegramUser.id);
+        const existing = await storage.get(notifications.COLLECTION, userId);
+        if (existing) {
+            await storage.update(notifications.COLLECTION, userId, {
+                subscribed: false,
+                updatedAt: new Date().toISOString(),
+            });
+        }
+        return res.json({ success: true, message: 'Подписка отменена.', subscribed: false });
+    } catch (error) {
+        console.error('Ошибка при отписке от уведомлений:', error);
+        return res.status(500).json({ success: false, message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Статус подписки текущего пользователя
+app.get('/api/notifications/status', requireTelegramUser, async (req, res) => {
+    try {
+        const subscription = await storage.get(notifications.COLLECTION, String(req.telegramUser.id));
+        return res.json({
+            subscribed: Boolean(subscription && subscription.subscribed),
+            categories: subscription ? subscription.categories : [],
+        });
+    } catch (error) {
+        console.error('Ошибка при проверке статуса уведомлений:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Обновление категорий, о которых пользователь хочет получать уведомления
+app.put('/api/notifications/preferences', requireTelegramUser, async (req, res) => {
+    const categories = notifications.sanitizeCategories(req.body.categories);
+    if (!categories) {
+        return res.status(400).json({ success: false, message: 'Некорректный список категорий.' });
+    }
+
+    try {
+        const userId = String(req.telegramUser.id);
+        const existing = await storage.get(notifications.COLLECTION, userId);
+        const now = new Date().toISOString();
+        const subscription = await storage.upsert(notifications.COLLECTION, userId, {
+            chatId: req.telegramUser.id,
+            subscribed: existing ? existing.subscribed : false,
+            categories,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+        });
+        return res.json({ success: true, message: 'Настройки уведомлений сохранены.', subscribed: subscription.subscribed, categories: subscription.categories });
+    } catch (error) {
+        console.error('Ошибка при сохранении настроек уведомлений:', error);
+        return res.status(500).json({ success: false, message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// --- API маршруты модерации ---
+// Очередь и решения доступны только администраторам (ADMIN_TELEGRAM_IDS), см. lib/moderation.js.
+
+// Есть ли у текущего пользователя роль администратора (клиент показывает вход в модерацию)
+app.get('/api/admin/status', requireTelegramUser, (req, res) => res.json({ isAdmin: isAdmin(req.telegramUser) }));
+
+// Очередь модерации: новые и измененные заведения, отзывы и фото с жалобами,
+// заведения, о проблемах с которыми сообщили пользователи
+app.get('/api/admin/queue', requireTelegramUser, requireAdmin, async (req, res) => {
+    try {
+        const [items, flags, reportRecords] = await Promise.all([
+            storage.list(establishments.COLLECTION),
+            storage.list(moderation.FLAGS_COLLECTION),
+            storage.list(reports.COLLECTION),
+        ]);
+        return res.json({
+            ...moderation.buildQueue(items, flags),
+            reports: reports.buildQueueEntries(items, reportRecords),
+        });
+    } catch (error) {
+        console.error('Ошибка при получении очереди модерации:', error);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: error.message });
+    }
+});
+
+// Решение по элементу очереди: { action: approve | reject | ban, reason }.
+// type — establishment или report (id — ID заведения), review или photo (id — ID записи жалоб из очереди).
+app.post('/api/admin/queue/:type/:id', requireTelegramUser, requireAdmin, async (req, res) => {
+    if (!moderation.ITEM_TYPES.includes(req.params.type)) {
+        return res.status(404).json({ message: 'Неизвестный тип элемента очереди.' });
+    }
+    const { value, error } = moderation.sanitizeDecision(req.body);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    try {
+        const adminId = String(req.telegramUser.id);
+        if (req.params.type === 'establishment' || req.params.type === 'report') {
+            const moderate = req.params.type === 'report' ? moderation.moderateReports : moderation.moderateEstablishment;
+            const result = await moderate(storage, req.params.id, value, adminId);
+            if (result.error) {
+                return res.status(400).json({ message: result.error });
+            }
+            if (!result.item) {
+                return res.status(404).json({ message: 'Заведение не найдено.' });
+            }
+            return res.json({ success: true, establishment: result.item });
+        }
+
+        const flag = await storage.get(moderation.FLAGS_COLLECTION, req.params.id);
+        if (!flag || flag.type !== req.params.type) {
+            return res.status(404).json({ message: 'Жалоба не найдена.' });
+        }
+        const result = await moderation.moderateFlag(storage, flag, value, adminId);
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+        return res.json({ success: true });
+    } catch (err) {
+        console.error('Ошибка при применении решения модератора:', err);
+        return res.status(500).json({ message: 'Внутренняя ошибка сервера.', details: err.message });
+    }
+});
+
+// --- Вебхук Telegram Bot API ---
+// Адрес вебхука задается у бота методом setWebhook: https://<домен>/api/telegram/webhook.
+// Если задан TELEGRAM_WEBHOOK_SECRET (тот же secret_token, что передан в setWebhook), обновления
+// без заголовка X-Telegram-Bot-Api-Secret-Token с этим значением отклоняются.
+// Сейчас обрабатываются только инлайн-запросы (lib/inlineQuery.js), остальные обновления игнорируются.
+// Проверка: npm test (scripts/check-inline.js отправляет обновление api/fixtures/inlineQueryUpdate.json).
+app.post('/api/telegram/webhook', async (req, res) => {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (secret && req.get('X-Telegram-Bot-Api-Secret-Token') !== secret) {
+        return res.status(403).json({ message: 'Неверный секретный токен вебхука.' });
+    }
+    const update = req.body && typeof req.body === 'object' ? req.body : {};
+    if (!update.inline_query || typeof update.inline_query !== 'object') {
+        return res.json({ ok: true });
+    }
+
+    try {
+        const inlineQuery = update.inline_query;
+        const request = inlineMode.parseInlineQuery(inlineQuery);
+        const published = (item) => establishments.isPublished(item) && establishments.isValidCoordinates(item.coordinates);
+
+        let items;
+        if (request.type === 'establishment') {
+            const item = await storage.get(establishments.COLLECTION, request.establishmentId);
+            items = item && published(item) ? [item] : [];
+        } else if (request.type === 'search') {
+            const index = await getSearchIndex();
+            items = index.search(request.text, { filter: published }).results.map(({ item }) => item);
+        } else if (request.location) {
+            const center = request.location;
+            items = (await storage.list(establishments.COLLECTION))
+                .filter(published)
+                .sort((a, b) => geo.haversineDistance(center, a.coordinates) - geo.haversineDistance(center, b.coordinates));
+        } else {
+            items = (await storage.list(establishments.COLLECTION))
+                .filter(published)
+                .sort((a, b) => (Number(b.rating) || 0) - (Number(a.rating) || 0));
+        }
+
+        const page = items.slice(request.offset, request.offset + inlineMode.MAX_RESULTS);
+        const nextOffset = request.offset + page.length < items.length ? request.offset + page.length : 0;
+        const results = page.map(item => {
+            const category = categories.findCategory(item.category);
+            return inlineMode.toVenueResult(item, {
+                address: item.address
+                    || [category ? category.name : null, item.priceCategory, item.rating ? `⭐ ${item.rating}` : null]
+                        .filter(Boolean).join(' · ') || 'MapCost',
+                link: miniAppLinks.build(`est_${item.id}`),
+            });
+        });
+        return res.json(inlineMode.createAnswer(inlineQuery, results, nextOffset, TELEGRAM_WEB_APP_URL));
+    } catch (error) {
+        // Telegram повторяет обновления, на которые вебхук ответил ошибкой, поэтому отвечаем 200
+        console.error('Ошибка при обработке инлайн-запроса:', error);
+        return res.json({ ok: false });
+    }
+});
+
 // Пример API маршрута
 app.get('/api/hello', (req, res) => {
   res.json({ message: 'Hello from MapCost API!' });
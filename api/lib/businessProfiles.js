@@ -0,0 +1,107 @@
+/**
+ * businessProfiles.js
+ * Профили предпринимателей: проверка и нормализация данных форм регистрации
+ * и редактирования профиля. Запись хранится по ID пользователя Telegram.
+ */
+const { isValidCoordinates } = require('./establishments');
+const { INN_PATTERN } = require('./fns');
+
+// Коллекция хранилища с профилями предпринимателей
+const COLLECTION = 'businessProfiles';
+
+// Категории бизнеса из формы регистрации
+const BUSINESS_CATEGORIES = ['food', 'services', 'retail', 'other'];
+
+// Тот же формат, что и в клиентской валидации формы (validateEmail)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @function sanitizeBusinessProfile
+ * @description Проверяет и нормализует данные профиля предпринимателя.
+ * Поля верификации (isVerified, fnsData) из запроса игнорируются: их заполняет сервер.
+ * @param {object} input - Тело запроса.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Частичное обновление (обязательные поля можно не передавать).
+ * @returns {{ value: object|null, error: string|null }} Нормализованные данные или текст ошибки.
+ */
+const sanitizeBusinessProfile = (input, { partial = false } = {}) => {
+    if (!input || typeof input !== 'object') {
+        return { value: null, error: 'Данные профиля не предоставлены.' };
+    }
+
+    const value = {};
+    const requiredStrings = {
+        businessName: 'Название компании обязательно.',
+        contactPerson: 'Контактное лицо обязательно.',
+        email: 'Email обязателен.',
+    };
+
+    for (const [field, message] of Object.entries(requiredStrings)) {
+        if (input[field] !== undefined || !partial) {
+            const fieldValue = typeof input[field] === 'string' ? input[field].trim() : '';
+            if (!fieldValue) return { value: null, error: message };
+            value[field] = fieldValue;
+        }
+    }
+
+    if (value.email !== undefined && !EMAIL_PATTERN.test(value.email)) {
+        return { value: null, error: 'Некорректный Email.' };
+    }
+
+    if (input.businessCategory !== undefined || !partial) {
+        if (!BUSINESS_CATEGORIES.includes(input.businessCategory)) {
+            return { value: null, error: 'Некорректная категория бизнеса.' };
+        }
+        value.businessCategory = input.businessCategory;
+    }
+
+    if (input.businessLocation !== undefined || !partial) {
+        if (!isValidCoordinates(input.businessLocation)) {
+            return { value: null, error: 'Некорректное местоположение бизнеса.' };
+        }
+        value.businessLocation = input.businessLocation;
+    }
+
+    if (input.businessDescription !== undefined) {
+        value.businessDescription = String(input.businessDescription).trim();
+    } else if (!partial) {
+        value.businessDescription = '';
+    }
+
+    if (input.businessLogo !== undefined) {
+        value.businessLogo = String(input.businessLogo);
+    } else if (!partial) {
+        value.businessLogo = '';
+    }
+
+    if (input.inn !== undefined) {
+        const inn = String(input.inn).trim();
+        if (inn && !INN_PATTERN.test(inn)) {
+            return { value: null, error: 'Некорректный формат ИНН.' };
+        }
+        value.inn = inn;
+    } else if (!partial) {
+        value.inn = '';
+    }
+
+    return { value, error: null };
+};
+
+/**
+ * @function isVerifiedBusiness
+ * @description Проверяет, что ИНН предпринимателя прошел проверку через ФНС
+ * и организация является действующей (state === 'active').
+ * Только такие предприниматели могут публиковать заведения на карте.
+ * @param {object|null} profile - Профиль предпринимателя из хранилища.
+ * @returns {boolean}
+ */
+const isVerifiedBusiness = (profile) => Boolean(
+    profile && profile.isVerified && profile.fnsData && profile.fnsData.state === 'active'
+);
+
+module.exports = {
+    COLLECTION,
+    BUSINESS_CATEGORIES,
+    sanitizeBusinessProfile,
+    isVerifiedBusiness,
+};
@@ -0,0 +1,105 @@
+/**
+ * categories.js
+ * Работа со справочником категорий: поиск категории по ID, проверка принадлежности
+ * подкатегории к группе и перевод устаревших ID категорий в актуальные.
+ *
+ * Устаревшие ID (cafe, restaurant, shop и т.д.) использовались в ранних версиях клиента
+ * и могли сохраниться в хранилище и в localStorage пользователей.
+ */
+const CATEGORIES = require('../data/categories');
+
+// Соответствие устаревших ID категорий актуальным
+const LEGACY_CATEGORY_IDS = {
+    cafe: 'coffee_shops',
+    restaurant: 'restaurants',
+    bar: 'bars_pubs',
+    fastfood: 'fast_food',
+    shop: 'shopping_stores',
+    service: 'services_household',
+};
+
+// Плоский индекс: ID категории -> { id, name, icon, color, parentId }
+const index = new Map();
+CATEGORIES.forEach(group => {
+    index.set(group.id, { id: group.id, name: group.name, icon: group.icon, color: group.color, parentId: null });
+    group.subcategories.forEach(sub => {
+        index.set(sub.id, { id: sub.id, name: sub.name, icon: sub.icon, color: group.color, parentId: group.id });
+    });
+});
+
+/**
+ * @function findCategory
+ * @description Возвращает категорию или подкатегорию по ID.
+ * @param {string} id - ID категории.
+ * @returns {object|null} { id, name, icon, color, parentId } или null.
+ */
+const findCategory = (id) => index.get(id) || null;
+
+/**
+ * @function normalizeCategoryId
+ * @description Переводит устаревший ID категории в актуальный и проверяет, что категория существует.
+ * @param {string} id - ID категории (актуальный или устаревший).
+ * @returns {string|null} Актуальный ID или null, если категория неизвестна.
+ */
+const normalizeCategoryId = (id) => {
+    if (typeof id !== 'string') return null;
+    const trimmed = id.trim();
+    const migrated = LEGACY_CATEGORY_IDS[trimmed] || trimmed;
+    return index.has(migrated) ? migrated : null;
+};
+
+/**
+ * @function categoryMatches
+ * @description Проверяет, подходит ли категория заведения под фильтр. Фильтр по группе
+ * включает все ее подкатегории, фильтр по подкатегории — только саму подкатегорию.
+ * @param {string} categoryId - Категория заведения.
+ * @param {string} filterId - Категория из фильтра.
+ * @returns {boolean}
+ */
+const categoryMatches = (categoryId, filterId) => {
+    if (categoryId === filterId) return true;
+    const category = findCategory(categoryId);
+    return Boolean(category && category.parentId === filterId);
+};
+
+/**
+ * @function migrateStoredCategories
+ * @description Заменяет устаревшие ID категорий в записях хранилища.
+ * Поле может содержать один ID (строку) или список ID. Неизвестные ID не изменяются.
+ * @param {object} storage - Хранилище.
+ * @param {Array<{collection: string, field: string}>} targets - Коллекции и поля для миграции.
+ * @returns {Promise<number>} Количество измененных записей.
+ */
+const migrateStoredCategories = async (storage, targets) => {
+    const migrate = (id) => LEGACY_CATEGORY_IDS[id] || id;
+    let migratedCount = 0;
+
+    for (const { collection, field } of targets) {
+        const records = await storage.list(collection);
+        for (const record of records) {
+            const value = record[field];
+            const needsMigration = Array.isArray(value)
+                ? value.some(id => LEGACY_CATEGORY_IDS[id])
+                : Boolean(LEGACY_CATEGORY_IDS[value]);
+            if (!needsMigration) continue;
+
+            await storage.modify(collection, record.id, (current) => ({
+                ...current,
+                [field]: Array.isArray(current[field])
+                    ? [...new Set(current[field].map(migrate))]
+                    : migrate(current[field]),
+            }));
+            migratedCount += 1;
+        }
+    }
+    return migratedCount;
+};
+
+module.exports = {
+    CATEGORIES,
+    LEGACY_CATEGORY_IDS,
+    findCategory,
+    normalizeCategoryId,
+    categoryMatches,
+    migrateStoredCategories,
+};
@@ -0,0 +1,318 @@
+/**
+ * establishments.js
+ * Общая логика работы с заведениями на сервере: проверка и нормализация данных,
+ * приходящих из формы добавления/редактирования заведения.
+ *
+ * У каждого заведения есть номер версии (revision), который увеличивается при каждом
+ * изменении владельцем, и время последнего изменения (updatedAt). Изменение принимается,
+ * только если клиент редактировал текущую версию; иначе сервер отвечает 409,
+ * и клиент предлагает владельцу объединить изменения (см. EstablishmentMerge в app.js).
+ * Отзывы и рейтинг версию не меняют: они не пересекаются с данными из формы владельца.
+ */
+const { normalizeCategoryId, categoryMatches } = require('./categories');
+const { sanitizeOpeningHours, isOpenAt } = require('./openingHours');
+
+// Коллекция хранилища, в которой лежат заведения
+const COLLECTION = 'establishments';
+
+// Статусы публикации заведения:
+// - published: заведение видно всем на карте;
+// - pending:   черновик, ожидающий верификации владельца (виден только владельцу).
+// У заведений без поля status (начальные данные) статус считается published.
+const STATUS = {
+    PUBLISHED: 'published',
+    PENDING: 'pending',
+};
+
+// Решение модератора (поле moderation: { status, reason, at }, см. moderation.js):
+// - rejected: заведение снято модератором и видно только владельцу;
+// - hidden:   заведение скрыто до проверки модератором по сообщениям пользователей (см. reports.js)
+//             и тоже видно только владельцу.
+const MODERATION_STATUS = {
+    REJECTED: 'rejected',
+    HIDDEN: 'hidden',
+};
+
+// Максимальная длина адреса (адрес подставляется из геокодера, но владелец может его исправить)
+const MAX_ADDRESS_LENGTH = 300;
+
+// Допустимые значения ценовой категории (пустая строка — "Не указано")
+const PRICE_CATEGORIES = ['', '$', '$$', '$$$', '$$$$'];
+
+/**
+ * @function isValidCoordinates
+ * @description Проверяет, что координаты заданы массивом [широта, долгота] в допустимых пределах.
+ * @param {*} coordinates - Проверяемое значение.
+ * @returns {boolean} True, если координаты корректны.
+ */
+const isValidCoordinates = (coordinates) => Array.isArray(coordinates)
+    && coordinates.length === 2
+    && coordinates.every(value => typeof value === 'number' && Number.isFinite(value))
+    && Math.abs(coordinates[0]) <= 90
+    && Math.abs(coordinates[1]) <= 180;
+
+/**
+ * @function isValidPhoto
+ * @description Проверяет элемент списка фотографий. Фото задается либо ссылкой (старый формат),
+ * либо объектом { url, thumbnailUrl }, который возвращает /api/uploads.
+ * @param {*} photo - Проверяемое значение.
+ * @returns {boolean}
+ */
+const isValidPhoto = (photo) => typeof photo === 'string'
+    || (photo !== null && typeof photo === 'object' && typeof photo.url === 'string'
+        && (photo.thumbnailUrl === undefined || typeof photo.thumbnailUrl === 'string'));
+
+/**
+ * @function sanitizeEstablishment
+ * @description Проверяет и нормализует данные заведения из тела запроса.
+ * Лишние поля (id, rating, reviews и т.п.) отбрасываются: ими управляет только сервер.
+ * @param {object} input - Тело запроса.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Частичное обновление (обязательные поля можно не передавать).
+ * @returns {{ value: object|null, error: string|null }} Нормализованные данные или текст ошибки.
+ */
+const sanitizeEstablishment = (input, { partial = false } = {}) => {
+    if (!input || typeof input !== 'object') {
+        return { value: null, error: 'Данные заведения не предоставлены.' };
+    }
+
+    const value = {};
+
+    if (input.name !== undefined || !partial) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) return { value: null, error: 'Название заведения обязательно.' };
+        value.name = name;
+    }
+
+    if (input.category !== undefined || !partial) {
+        if (typeof input.category !== 'string' || !input.category.trim()) {
+            return { value: null, error: 'Категория заведения обязательна.' };
+        }
+        const category = normalizeCategoryId(input.category); // Устаревшие ID переводятся в актуальные
+        if (!category) return { value: null, error: 'Неизвестная категория заведения.' };
+        value.category = category;
+    }
+
+    if (input.coordinates !== undefined || !partial) {
+        if (!isValidCoordinates(input.coordinates)) {
+            return { value: null, error: 'Некорректные координаты заведения.' };
+        }
+        value.coordinates = input.coordinates;
+    }
+
+    if (input.description !== undefined) {
+        value.description = String(input.description).trim();
+    } else if (!partial) {
+        value.description = '';
+    }
+
+    if (input.contact !== undefined) {
+        value.contact = String(input.contact).trim();
+    } else if (!partial) {
+        value.contact = '';
+    }
+
+    if (input.address !== undefined) {
+        const address = String(input.address).trim();
+        if (address.length > MAX_ADDRESS_LENGTH) {
+            return { value: null, error: `Адрес не должен быть длиннее ${MAX_ADDRESS_LENGTH} символов.` };
+        }
+        value.address = address;
+    } else if (!partial) {
+        value.address = '';
+    }
+
+    if (input.priceCategory !== undefined) {
+        if (!PRICE_CATEGORIES.includes(input.priceCategory)) {
+            return { value: null, error: 'Некорректная ценовая категория.' };
+        }
+        value.priceCategory = input.priceCategory;
+    } else if (!partial) {
+        value.priceCategory = '';
+    }
+
+    if (input.photos !== undefined) {
+        if (!Array.isArray(input.photos) || !input.photos.every(isValidPhoto)) {
+            return { value: null, error: 'Фотографии должны быть списком ссылок.' };
+        }
+        value.photos = input.photos.map(photo => (typeof photo === 'string'
+            ? photo
+            : { url: photo.url, thumbnailUrl: photo.thumbnailUrl || photo.url }));
+    } else if (!partial) {
+        value.photos = [];
+    }
+
+    if (input.openingHours !== undefined) {
+        const openingHours = sanitizeOpeningHours(input.openingHours);
+        if (openingHours.error) return { value: null, error: openingHours.error };
+        value.openingHours = openingHours.value;
+    } else if (!partial) {
+        value.openingHours = null; // Часы работы не указаны
+    }
+
+    return { value, error: null };
+};
+
+/**
+ * @function getRevision
+ * @description Возвращает номер версии заведения. У заведений, сохраненных до появления
+ * версий (в том числе начальных данных), версия считается первой.
+ * @param {object} establishment - Заведение из хранилища.
+ * @returns {number}
+ */
+const getRevision = (establishment) => (Number.isInteger(establishment.revision) && establishment.revision > 0
+    ? establishment.revision
+    : 1);
+
+/**
+ * @function parseBaseRevision
+ * @description Проверяет номер версии, от которой клиент начал редактирование.
+ * @param {*} value - Поле revision из тела запроса.
+ * @returns {number|null} Номер версии или null, если он не передан или некорректен.
+ */
+const parseBaseRevision = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+/**
+ * @function isOwner
+ * @description Проверяет, является ли пользователь Telegram владельцем заведения.
+ * @param {object} establishment - Заведение из хранилища.
+ * @param {object|null} telegramUser - Проверенный пользователь Telegram (`req.telegramUser`).
+ * @returns {boolean} True, если пользователь — владелец заведения.
+ */
+const isOwner = (establishment, telegramUser) => Boolean(
+    establishment && telegramUser && establishment.ownerId && establishment.ownerId === String(telegramUser.id)
+);
+
+/**
+ * @function isRejected
+ * @description Проверяет, снято ли заведение модератором.
+ * @param {object} establishment - Заведение из хранилища.
+ * @returns {boolean}
+ */
+const isRejected = (establishment) => Boolean(establishment.moderation
+    && establishment.moderation.status === MODERATION_STATUS.REJECTED);
+
+/**
+ * @function isHidden
+ * @description Проверяет, скрыто ли заведение модерацией: снято модератором
+ * или скрыто до проверки по сообщениям пользователей.
+ * @param {object} establishment - Заведение из хранилища.
+ * @returns {boolean}
+ */
+const isHidden = (establishment) => Boolean(establishment.moderation
+    && Object.values(MODERATION_STATUS).includes(establishment.moderation.status));
+
+/**
+ * @function isPublished
+ * @description Проверяет, опубликовано ли заведение (видно ли оно всем пользователям):
+ * оно не черновик и не скрыто модерацией.
+ * @param {object} establishment - Заведение из хранилища.
+ * @returns {boolean}
+ */
+const isPublished = (establishment) => (!establishment.status || establishment.status === STATUS.PUBLISHED)
+    && !isHidden(establishment);
+
+/**
+ * @function isVisibleTo
+ * @description Проверяет, может ли пользователь видеть заведение: опубликованные видны всем,
+ * неопубликованные — только владельцу.
+ * @param {object} establishment - Заведение из хранилища.
+ * @param {object|null} telegramUser - Проверенный пользователь Telegram.
+ * @returns {boolean}
+ */
+const isVisibleTo = (establishment, telegramUser) => isPublished(establishment) || isOwner(establishment, telegramUser);
+
+/**
+ * @function getPriceLevel
+ * @description Возвращает уровень цен заведения: 1 ($) – 4 ($$$$), 0 — не указан.
+ * @param {object} establishment - Заведение.
+ * @returns {number}
+ */
+const getPriceLevel = (establishment) => Math.max(PRICE_CATEGORIES.indexOf(establishment.priceCategory || ''), 0);
+
+/**
+ * @function parseListFilters
+ * @description Разбирает параметры фильтрации списка заведений из query-строки:
+ * category, openNow, priceMin/priceMax (1–4), minRating (0–5), hasPhotos.
+ * @param {object} query - req.query.
+ * @returns {{ value: object|null, error: string|null }}
+ */
+const parseListFilters = (query) => {
+    const isFlag = (value) => value === '1' || value === 'true';
+    const filters = {
+        category: null,
+        openNow: isFlag(query.openNow),
+        hasPhotos: isFlag(query.hasPhotos),
+        priceMin: 0, // 0 — без ограничения
+        priceMax: 0,
+        minRating: 0,
+    };
+
+    if (query.category) {
+        filters.category = normalizeCategoryId(query.category);
+        if (!filters.category) return { value: null, error: 'Неизвестная категория заведения.' };
+    }
+
+    for (const field of ['priceMin', 'priceMax']) {
+        if (query[field] !== undefined && query[field] !== '') {
+            const level = Number(query[field]);
+            if (!Number.isInteger(level) || level < 1 || level > PRICE_CATEGORIES.length - 1) {
+                return { value: null, error: 'Ценовой диапазон задается числами от 1 до 4.' };
+            }
+            filters[field] = level;
+        }
+    }
+    if (filters.priceMin && filters.priceMax && filters.priceMin > filters.priceMax) {
+        return { value: null, error: 'Минимальная ценовая категория больше максимальной.' };
+    }
+
+    if (query.minRating !== undefined && query.minRating !== '') {
+        const minRating = Number(query.minRating);
+        if (!Number.isFinite(minRating) || minRating < 0 || minRating > 5) {
+            return { value: null, error: 'Минимальный рейтинг задается числом от 0 до 5.' };
+        }
+        filters.minRating = minRating;
+    }
+
+    return { value: filters, error: null };
+};
+
+/**
+ * @function matchesListFilters
+ * @description Проверяет заведение по фильтрам из parseListFilters. При фильтре по цене
+ * заведения без ценовой категории не показываются, при фильтре "открыто сейчас" — без часов работы.
+ * @param {object} establishment - Заведение.
+ * @param {object} filters - Фильтры.
+ * @param {Date} [now=new Date()] - Момент для фильтра "открыто сейчас".
+ * @returns {boolean}
+ */
+const matchesListFilters = (establishment, filters, now = new Date()) => {
+    if (filters.category && !categoryMatches(establishment.category, filters.category)) return false;
+    if (filters.priceMin || filters.priceMax) {
+        const level = getPriceLevel(establishment);
+        if (!level || level < (filters.priceMin || 1) || level > (filters.priceMax || PRICE_CATEGORIES.length - 1)) return false;
+    }
+    if (filters.minRating && (establishment.rating || 0) < filters.minRating) return false;
+    if (filters.hasPhotos && !(establishment.photos && establishment.photos.length > 0)) return false;
+    if (filters.openNow && !isOpenAt(establishment.openingHours, now)) return false;
+    return true;
+};
+
+module.exports = {
+    COLLECTION,
+    STATUS,
+    MODERATION_STATUS,
+    PRICE_CATEGORIES,
+    isValidCoordinates,
+    sanitizeEstablishment,
+    getRevision,
+    parseBaseRevision,
+    isOwner,
+    isRejected,
+    isHidden,
+    isPublished,
+    isVisibleTo,
+    getPriceLevel,
+    parseListFilters,
+    matchesListFilters,
+};
@@ -0,0 +1,140 @@
+/**
+ * events.js
+ * Журнал действий пользователя: открытия карточек заведений, построенные маршруты,
+ * изменения избранного и поисковые запросы. Журнал используется для рекомендаций.
+ *
+ * Журнал хранится в коллекции `userEvents`, одна запись на пользователя (ключ — ID пользователя
+ * Telegram) со списком событий. Хранятся не более MAX_EVENTS_PER_USER последних событий
+ * и только за последние RETENTION_DAYS дней. Пользователь может удалить журнал целиком.
+ */
+
+// Коллекция хранилища с журналами пользователей
+const COLLECTION = 'userEvents';
+
+// Типы событий. Для событий с заведением обязателен establishmentId, для поиска — query
+// и, необязательно, establishmentIds — заведения, показанные в результатах (для статистики показов).
+const EVENT_TYPES = {
+    VIEW: 'view', // Открыта карточка заведения
+    ROUTE: 'route', // Построен маршрут до заведения
+    FAVORITE: 'favorite', // Заведение добавлено в избранное
+    UNFAVORITE: 'unfavorite', // Заведение удалено из избранного
+    SEARCH: 'search', // Поисковый запрос
+};
+const ESTABLISHMENT_EVENT_TYPES = [EVENT_TYPES.VIEW, EVENT_TYPES.ROUTE, EVENT_TYPES.FAVORITE, EVENT_TYPES.UNFAVORITE];
+
+// Ограничения хранения и размера пакета
+const MAX_EVENTS_PER_USER = 500;
+const RETENTION_DAYS = 180;
+const MAX_BATCH_SIZE = 50;
+const MAX_QUERY_LENGTH = 200;
+const MAX_SEARCH_RESULTS = 20; // Сколько показанных результатов поиска можно передать с запросом
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function sanitizeEventBatch
+ * @description Проверяет пакет событий из тела запроса. Время события задает клиент
+ * (события копятся на устройстве, пока нет сети), но оно не может быть позже текущего момента.
+ * Давние события принимаются: они нужны для рекомендаций, а в статистику заведений
+ * попадают только свежие (см. stats.recordEvents).
+ * @param {object} input - Тело запроса { events: [{ type, establishmentId?, query?, establishmentIds?, at }] }.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {{ value: Array<object>|null, error: string|null }}
+ */
+const sanitizeEventBatch = (input, now = new Date()) => {
+    const events = input && Array.isArray(input.events) ? input.events : null;
+    if (!events || events.length === 0 || events.length > MAX_BATCH_SIZE) {
+        return { value: null, error: `События передаются списком от 1 до ${MAX_BATCH_SIZE} элементов.` };
+    }
+
+    const value = [];
+    for (const event of events) {
+        if (!event || typeof event !== 'object' || !Object.values(EVENT_TYPES).includes(event.type)) {
+            return { value: null, error: 'Неизвестный тип события.' };
+        }
+        const time = typeof event.at === 'string' ? Date.parse(event.at) : NaN;
+        if (!Number.isFinite(time)) {
+            return { value: null, error: 'Некорректное время события.' };
+        }
+        const sanitized = { type: event.type, at: new Date(Math.min(time, now.getTime())).toISOString() };
+
+        if (ESTABLISHMENT_EVENT_TYPES.includes(event.type)) {
+            if (typeof event.establishmentId !== 'string' || !event.establishmentId) {
+                return { value: null, error: 'Для события не указано заведение.' };
+            }
+            sanitized.establishmentId = event.establishmentId;
+        } else {
+            const query = typeof event.query === 'string' ? event.query.trim() : '';
+            if (!query || query.length > MAX_QUERY_LENGTH) {
+                return { value: null, error: `Поисковый запрос задается строкой до ${MAX_QUERY_LENGTH} символов.` };
+            }
+            sanitized.query = query;
+            if (event.establishmentIds !== undefined) {
+                const ids = event.establishmentIds;
+                if (!Array.isArray(ids) || ids.length > MAX_SEARCH_RESULTS || !ids.every(id => typeof id === 'string' && id)) {
+                    return { value: null, error: `Результаты поиска передаются списком до ${MAX_SEARCH_RESULTS} ID заведений.` };
+                }
+                sanitized.establishmentIds = ids;
+            }
+        }
+        value.push(sanitized);
+    }
+    return { value, error: null };
+};
+
+/**
+ * @function applyRetention
+ * @description Оставляет в журнале только события за срок хранения и не более
+ * MAX_EVENTS_PER_USER последних. События упорядочиваются по времени.
+ * @param {Array<object>} events - События журнала.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Array<object>}
+ */
+const applyRetention = (events, now = new Date()) => {
+    const oldest = now.getTime() - RETENTION_DAYS * DAY_MS;
+    return events
+        .filter(event => Date.parse(event.at) >= oldest)
+        .sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+        .slice(-MAX_EVENTS_PER_USER);
+};
+
+/**
+ * @function appendEvents
+ * @description Добавляет события в журнал пользователя с учетом срока и объема хранения.
+ * @param {object} storage - Хранилище.
+ * @param {string} userId - ID пользователя Telegram.
+ * @param {Array<object>} events - Проверенные события (см. sanitizeEventBatch).
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<object>} Обновленная запись журнала.
+ */
+const appendEvents = async (storage, userId, events, now = new Date()) => {
+    const append = (current) => ({
+        ...current,
+        events: applyRetention([...(current.events || []), ...events], now),
+        updatedAt: now.toISOString(),
+    });
+    return storage.modifyOrCreate(COLLECTION, userId, {}, append);
+};
+
+/**
+ * @function getEvents
+ * @description Возвращает события журнала пользователя за срок хранения.
+ * @param {object} storage - Хранилище.
+ * @param {string} userId - ID пользователя Telegram.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<Array<object>>}
+ */
+const getEvents = async (storage, userId, now = new Date()) => {
+    const record = await storage.get(COLLECTION, userId);
+    return record ? applyRetention(record.events || [], now) : [];
+};
+
+module.exports = {
+    COLLECTION,
+    EVENT_TYPES,
+    MAX_BATCH_SIZE,
+    RETENTION_DAYS,
+    sanitizeEventBatch,
+    appendEvents,
+    getEvents,
+};
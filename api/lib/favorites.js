@@ -0,0 +1,110 @@
+/**
+ * favorites.js
+ * Избранное пользователя на сервере и именованные списки заведений ("Завтраки", "С детьми" и т.п.).
+ *
+ * Избранное хранится в коллекции `userFavorites`, ключ записи — ID пользователя Telegram,
+ * поэтому оно одинаково на всех устройствах пользователя.
+ * Списки хранятся в коллекции `favoriteLists`. Список видит любой, у кого есть ссылка
+ * (ID списка случайный и не перебирается), изменять его может только владелец.
+ */
+const { normalizeCategoryId } = require('./categories');
+
+// Коллекции хранилища
+const COLLECTION = 'userFavorites';
+const LISTS_COLLECTION = 'favoriteLists';
+
+// Ограничения
+const MAX_FAVORITE_ESTABLISHMENTS = 500;
+const MAX_LISTS_PER_USER = 20;
+const MAX_LIST_ITEMS = 200;
+const MAX_LIST_NAME_LENGTH = 60;
+
+/**
+ * @function sanitizeEstablishmentIds
+ * @description Проверяет список ID заведений и убирает повторы.
+ * @param {*} value - Значение из запроса.
+ * @param {number} maxLength - Максимальная длина списка.
+ * @returns {Array<string>|null} Список ID или null, если значение некорректно.
+ */
+const sanitizeEstablishmentIds = (value, maxLength) => {
+    if (!Array.isArray(value) || !value.every(id => typeof id === 'string' && id)) return null;
+    const ids = [...new Set(value)];
+    return ids.length <= maxLength ? ids : null;
+};
+
+/**
+ * @function sanitizeFavorites
+ * @description Проверяет избранное из тела запроса: любимые категории и избранные заведения.
+ * Неизвестные категории отбрасываются, устаревшие ID переводятся в актуальные.
+ * @param {object} input - Тело запроса { categories, establishments }.
+ * @returns {{ value: {categories: Array<string>, establishments: Array<string>}|null, error: string|null }}
+ */
+const sanitizeFavorites = (input) => {
+    const body = input && typeof input === 'object' ? input : {};
+    if (!Array.isArray(body.categories) || !body.categories.every(id => typeof id === 'string')) {
+        return { value: null, error: 'Любимые категории передаются списком ID.' };
+    }
+    const establishments = sanitizeEstablishmentIds(body.establishments, MAX_FAVORITE_ESTABLISHMENTS);
+    if (!establishments) {
+        return { value: null, error: `Избранные заведения передаются списком не более чем из ${MAX_FAVORITE_ESTABLISHMENTS} ID.` };
+    }
+    return {
+        value: {
+            categories: [...new Set(body.categories.map(normalizeCategoryId).filter(Boolean))],
+            establishments,
+        },
+        error: null,
+    };
+};
+
+/**
+ * @function sanitizeList
+ * @description Проверяет данные списка из тела запроса.
+ * @param {object} input - Тело запроса { name, establishmentIds }.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Частичное обновление (поля можно не передавать).
+ * @returns {{ value: object|null, error: string|null }}
+ */
+const sanitizeList = (input, { partial = false } = {}) => {
+    const body = input && typeof input === 'object' ? input : {};
+    const value = {};
+
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name || name.length > MAX_LIST_NAME_LENGTH) {
+            return { value: null, error: `Название списка обязательно и не длиннее ${MAX_LIST_NAME_LENGTH} символов.` };
+        }
+        value.name = name;
+    }
+
+    if (body.establishmentIds !== undefined) {
+        const ids = sanitizeEstablishmentIds(body.establishmentIds, MAX_LIST_ITEMS);
+        if (!ids) {
+            return { value: null, error: `В списке может быть не более ${MAX_LIST_ITEMS} заведений.` };
+        }
+        value.establishmentIds = ids;
+    } else if (!partial) {
+        value.establishmentIds = [];
+    }
+
+    return { value, error: null };
+};
+
+/**
+ * @function isListOwner
+ * @description Проверяет, является ли пользователь Telegram владельцем списка.
+ * @param {object} list - Список из хранилища.
+ * @param {object|null} telegramUser - Проверенный пользователь Telegram.
+ * @returns {boolean}
+ */
+const isListOwner = (list, telegramUser) => Boolean(list && telegramUser && list.ownerId === String(telegramUser.id));
+
+module.exports = {
+    COLLECTION,
+    LISTS_COLLECTION,
+    MAX_LISTS_PER_USER,
+    MAX_LIST_ITEMS,
+    sanitizeFavorites,
+    sanitizeList,
+    isListOwner,
+};
@@ -0,0 +1,115 @@
+/**
+ * fns.js
+ * Проверка ИНН организаций через DaData.ru (данные ФНС).
+ * Используется маршрутом /api/fns/verify-inn и при регистрации/обновлении бизнес-профиля.
+ */
+const { LRUCache } = require('lru-cache');
+
+// Формат ИНН: 10 цифр для юрлиц, 12 — для ИП
+const INN_PATTERN = /^\d{10}$|^\d{12}$/;
+
+/**
+ * @function createFnsVerifier
+ * @description Создает функцию проверки ИНН с кэшированием ответов DaData.
+ * @param {object} options
+ * @param {string} options.apiKey - API-ключ DaData.
+ * @param {string} options.secretKey - Секретный ключ DaData.
+ * @param {string} options.suggestionUrl - Адрес метода findById/party.
+ * @returns {{ verifyInn: function }}
+ */
+const createFnsVerifier = ({ apiKey, secretKey, suggestionUrl }) => {
+    // --- Кэширование запросов к DaData ---
+    const cache = new LRUCache({
+        max: 100, // Максимальное количество элементов в кэше
+        ttl: 1000 * 60 * 60, // Время жизни кэша: 1 час
+    });
+
+    /**
+     * Проверяет ИНН и возвращает HTTP-статус и тело ответа для клиента.
+     * В `result.company.state` возвращается статус организации (active, liquidating, liquidated).
+     * @param {string} inn - ИНН для проверки.
+     * @returns {Promise<{ httpStatus: number, result: object }>}
+     */
+    const verifyInn = async (inn) => {
+        if (!inn) {
+            return { httpStatus: 400, result: { message: 'ИНН не предоставлен.' } };
+        }
+
+        // Простая валидация ИНН (на клиенте будет более строгая)
+        if (!INN_PATTERN.test(inn)) {
+            return { httpStatus: 400, result: { message: 'Некорректный формат ИНН.' } };
+        }
+
+        // Проверяем кэш
+        if (cache.has(inn)) {
+            console.log(`ИНН ${inn} найден в кэше.`);
+            return cache.get(inn);
+        }
+
+        try {
+            const response = await fetch(suggestionUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Authorization': `Token ${apiKey}`,
+                    'X-Secret': secretKey,
+                },
+                body: JSON.stringify({ query: inn }),
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error(`Ошибка при запросе к DaData: ${response.status} - ${errorText}`);
+                return { httpStatus: response.status, result: { message: 'Ошибка при проверке ИНН через ФНС. Попробуйте позже.', details: errorText } };
+            }
+
+            const data = await response.json();
+
+            if (data.suggestions && data.suggestions.length > 0) {
+                const companyData = data.suggestions[0].data;
+                const result = {
+                    status: 'success',
+                    message: 'Организация найдена.',
+                    company: {
+                        name: companyData.name.full_with_opf || companyData.name.short_with_opf || companyData.name.full || companyData.name.short,
+                        ogrn: companyData.ogrn || companyData.ogrnip,
+                        address: companyData.address.value,
+                        okved: companyData.okved || (companyData.okveds && companyData.okveds[0] && companyData.okveds[0].name),
+                        state: companyData.state.status.toLowerCase(), // active, liquidating, liquidated
+                    },
+                };
+
+                // Дополнительная проверка статуса организации
+                if (result.company.state !== 'active') {
+                    result.status = 'warning';
+                    result.message = 'Организация найдена, но не является действующей.';
+                }
+
+                const verification = { httpStatus: 200, result };
+                cache.set(inn, verification); // Кэшируем результат
+                return verification;
+            }
+
+            const verification = {
+                httpStatus: 404,
+                result: {
+                    status: 'error',
+                    message: 'Организация с таким ИНН не найдена.',
+                },
+            };
+            cache.set(inn, verification); // Кэшируем даже отрицательный результат
+            return verification;
+        } catch (error) {
+            console.error('Ошибка на сервере при проверке ИНН:', error);
+            return { httpStatus: 500, result: { message: 'Внутренняя ошибка сервера.', details: error.message } };
+        }
+    };
+
+    return { verifyInn };
+};
+
+module.exports = {
+    INN_PATTERN,
+    createFnsVerifier,
+};
@@ -0,0 +1,83 @@
+/**
+ * geo.js
+ * Расстояния на земной поверхности и поиск заведений в радиусе от точки (?near=lat,lon&radius=).
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8; // Средний радиус Земли
+const METERS_PER_DEGREE_LAT = (Math.PI * EARTH_RADIUS_METERS) / 180;
+
+// Радиус поиска в метрах: по умолчанию, минимальный и максимальный
+const DEFAULT_RADIUS = 1000;
+const MIN_RADIUS = 50;
+const MAX_RADIUS = 50000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * @function haversineDistance
+ * @description Вычисляет расстояние между двумя точками по формуле гаверсинусов.
+ * @param {Array<number>} from - [широта, долгота].
+ * @param {Array<number>} to - [широта, долгота].
+ * @returns {number} Расстояние в метрах.
+ */
+const haversineDistance = ([lat1, lon1], [lat2, lon2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * @function boundingBoxAround
+ * @description Возвращает прямоугольную область, содержащую круг заданного радиуса.
+ * Используется для предварительного отбора точек через пространственный индекс.
+ * @param {Array<number>} center - [широта, долгота].
+ * @param {number} radius - Радиус в метрах.
+ * @returns {{ minLat: number, minLon: number, maxLat: number, maxLon: number }}
+ * Если minLon > maxLon, область пересекает 180-й меридиан.
+ */
+const boundingBoxAround = ([lat, lon], radius) => {
+    const dLat = radius / METERS_PER_DEGREE_LAT;
+    const minLat = Math.max(lat - dLat, -90);
+    const maxLat = Math.min(lat + dLat, 90);
+    const cosLat = Math.cos(toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+    // Вблизи полюса круг охватывает все долготы
+    if (maxLat === 90 || minLat === -90 || cosLat < 1e-6 || radius / (METERS_PER_DEGREE_LAT * cosLat) >= 180) {
+        return { minLat, minLon: -180, maxLat, maxLon: 180 };
+    }
+    const dLon = radius / (METERS_PER_DEGREE_LAT * cosLat);
+    const wrap = (value) => ((value + 180) % 360 + 360) % 360 - 180;
+    return { minLat, minLon: wrap(lon - dLon), maxLat, maxLon: wrap(lon + dLon) };
+};
+
+/**
+ * @function parseNear
+ * @description Разбирает параметры поиска рядом с точкой: near=lat,lon и radius (в метрах).
+ * @param {string} near - Значение параметра near.
+ * @param {string|undefined} radius - Значение параметра radius.
+ * @returns {{ value: {center: Array<number>, radius: number}|null, error: string|null }}
+ */
+const parseNear = (near, radius) => {
+    // Пустая строка дает Number('') === 0, поэтому пустые части считаются ошибкой (как в viewport.parseBbox)
+    const center = typeof near === 'string'
+        ? near.split(',').map(part => (part.trim() === '' ? NaN : Number(part)))
+        : [];
+    if (center.length !== 2 || !center.every(Number.isFinite) || Math.abs(center[0]) > 90 || Math.abs(center[1]) > 180) {
+        return { value: null, error: 'Параметр near задается как широта,долгота.' };
+    }
+    const meters = radius === undefined || radius === '' ? DEFAULT_RADIUS : Number(radius);
+    if (!Number.isFinite(meters) || meters < MIN_RADIUS || meters > MAX_RADIUS) {
+        return { value: null, error: `Радиус поиска задается в метрах от ${MIN_RADIUS} до ${MAX_RADIUS}.` };
+    }
+    return { value: { center, radius: meters }, error: null };
+};
+
+module.exports = {
+    DEFAULT_RADIUS,
+    MIN_RADIUS,
+    MAX_RADIUS,
+    haversineDistance,
+    boundingBoxAround,
+    parseNear,
+};
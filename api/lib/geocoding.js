@@ -0,0 +1,156 @@
+/**
+ * geocoding.js
+ * Поиск адресов и определение адреса по координатам для окна выбора местоположения
+ * (LocationPickerModal в app.js). Запросы идут через сервер, чтобы ключ API не попадал на клиент,
+ * а ответы кэшируются: окно запрашивает адрес при каждом перемещении метки.
+ *
+ * Геокодер работает с любым поставщиком, у которого есть методы search и reverse
+ * (см. createDadataAddressProvider), поэтому в тестах поставщика можно заменить заглушкой.
+ */
+const { LRUCache } = require('lru-cache');
+
+const MAX_QUERY_LENGTH = 200;
+const MIN_QUERY_LENGTH = 3;
+const MAX_RESULTS = 5;
+// В каком радиусе от точки искать ближайший адрес
+const REVERSE_RADIUS_METERS = 100;
+// Точность координат в ключе кэша: 5 знаков — около метра
+const CACHE_COORDINATE_DIGITS = 5;
+
+/**
+ * @function createDadataAddressProvider
+ * @description Создает поставщика адресов на основе подсказок DaData (suggest/address и geolocate/address).
+ * @param {object} options
+ * @param {string} options.apiKey - API-ключ DaData.
+ * @param {string} options.baseUrl - Базовый адрес API подсказок DaData.
+ * @returns {{ search: function(string, number): Promise<Array<object>>, reverse: function(Array<number>): Promise<string|null> }}
+ */
+const createDadataAddressProvider = ({ apiKey, baseUrl }) => {
+    const request = async (method, body) => {
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/${method}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'Authorization': `Token ${apiKey}`,
+            },
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) {
+            throw new Error(`DaData ${method}: ${response.status} - ${await response.text()}`);
+        }
+        const data = await response.json();
+        return data.suggestions || [];
+    };
+
+    return {
+        /**
+         * Ищет адреса по строке запроса. Адреса без координат (например, только город без дома
+         * на бесплатном тарифе) пропускаются: их нельзя отметить на карте.
+         * @param {string} query - Строка запроса.
+         * @param {number} count - Сколько адресов вернуть.
+         * @returns {Promise<Array<{address: string, coordinates: Array<number>}>>}
+         */
+        search: async (query, count) => (await request('suggest/address', { query, count }))
+            .map(suggestion => ({
+                address: suggestion.value,
+                coordinates: [Number.parseFloat(suggestion.data.geo_lat), Number.parseFloat(suggestion.data.geo_lon)],
+            }))
+            .filter(result => result.coordinates.every(Number.isFinite)),
+
+        /**
+         * Возвращает ближайший к точке адрес.
+         * @param {Array<number>} coordinates - [широта, долгота].
+         * @returns {Promise<string|null>}
+         */
+        reverse: async ([lat, lon]) => {
+            const [suggestion] = await request('geolocate/address', { lat, lon, count: 1, radius_meters: REVERSE_RADIUS_METERS });
+            return suggestion ? suggestion.value : null;
+        },
+    };
+};
+
+/**
+ * @function parseCoordinate
+ * @description Разбирает координату из параметра запроса. Пустая строка не считается нулем.
+ * @param {*} value - Значение параметра.
+ * @returns {number} NaN, если значение не число.
+ */
+const parseCoordinate = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+
+/**
+ * @function createGeocoder
+ * @description Создает геокодер с кэшированием ответов поставщика.
+ * Как и проверка ИНН (fns.js), функции возвращают HTTP-статус и тело ответа для клиента.
+ * @param {object} options
+ * @param {{search: function, reverse: function}} options.provider - Поставщик адресов.
+ * @returns {{ search: function(string): Promise<object>, reverse: function(*, *): Promise<object> }}
+ */
+const createGeocoder = ({ provider }) => {
+    const cache = new LRUCache({
+        max: 500, // Окно выбора запрашивает адрес при каждом перемещении метки
+        ttl: 1000 * 60 * 60 * 24, // Адреса меняются редко: храним сутки
+    });
+
+    /**
+     * Возвращает ответ из кэша или запрашивает его у поставщика.
+     * Ошибки поставщика не кэшируются.
+     * @param {string} key - Ключ кэша.
+     * @param {function(): Promise<object>} load - Запрос к поставщику.
+     * @returns {Promise<{ httpStatus: number, result: object }>}
+     */
+    const cached = async (key, load) => {
+        if (cache.has(key)) return cache.get(key);
+        try {
+            const answer = await load();
+            cache.set(key, answer); // Кэшируем и отрицательный результат
+            return answer;
+        } catch (error) {
+            console.error('Ошибка при запросе к геокодеру:', error);
+            return { httpStatus: 502, result: { message: 'Сервис адресов временно недоступен. Попробуйте позже.' } };
+        }
+    };
+
+    /**
+     * Ищет адреса по строке запроса.
+     * @param {string} query - Строка запроса.
+     * @returns {Promise<{ httpStatus: number, result: object }>} В `result.results` — адреса с координатами.
+     */
+    const search = async (query) => {
+        const text = typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '';
+        if (text.length < MIN_QUERY_LENGTH || text.length > MAX_QUERY_LENGTH) {
+            return { httpStatus: 400, result: { message: `Введите адрес длиной от ${MIN_QUERY_LENGTH} до ${MAX_QUERY_LENGTH} символов.` } };
+        }
+        return cached(`search:${text.toLowerCase()}`, async () => ({
+            httpStatus: 200,
+            result: { results: await provider.search(text, MAX_RESULTS) },
+        }));
+    };
+
+    /**
+     * Определяет адрес точки.
+     * @param {string} lat - Широта из параметра запроса.
+     * @param {string} lon - Долгота из параметра запроса.
+     * @returns {Promise<{ httpStatus: number, result: object }>} В `result.address` — адрес.
+     */
+    const reverse = async (lat, lon) => {
+        const coordinates = [parseCoordinate(lat), parseCoordinate(lon)];
+        if (!coordinates.every(Number.isFinite) || Math.abs(coordinates[0]) > 90 || Math.abs(coordinates[1]) > 180) {
+            return { httpStatus: 400, result: { message: 'Некорректные координаты.' } };
+        }
+        const rounded = coordinates.map(value => Number(value.toFixed(CACHE_COORDINATE_DIGITS)));
+        return cached(`reverse:${rounded.join(',')}`, async () => {
+            const address = await provider.reverse(rounded);
+            return address
+                ? { httpStatus: 200, result: { address } }
+                : { httpStatus: 404, result: { message: 'Адрес не найден.' } };
+        });
+    };
+
+    return { search, reverse };
+};
+
+module.exports = {
+    createDadataAddressProvider,
+    createGeocoder,
+};
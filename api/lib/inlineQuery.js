@@ -0,0 +1,115 @@
+/**
+ * inlineQuery.js
+ * Инлайн-режим бота: пользователь набирает в любом чате "@<бот> кофе" и выбирает
+ * карточку заведения (InlineQueryResultVenue) с точкой на карте и кнопкой,
+ * открывающей Mini App на этом заведении.
+ *
+ * Запросы:
+ * - текст — полнотекстовый поиск заведений (см. search.js);
+ * - est_<ID> — одно заведение (такой запрос вставляет кнопка "Поделиться" в карточке заведения);
+ * - пустой запрос — ближайшие заведения, если Telegram передал местоположение пользователя,
+ *   иначе заведения с лучшим рейтингом.
+ *
+ * Над результатами показывается кнопка, открывающая Mini App (InlineQueryResultsButton с web_app),
+ * если задан адрес веб-страницы приложения.
+ *
+ * Инлайн-режим и запрос местоположения включаются у бота в @BotFather (/setinline, /setinlinegeo).
+ */
+
+// Telegram принимает не более 50 результатов за ответ, остальные запрашиваются с offset
+const MAX_RESULTS = 20;
+// Сколько секунд Telegram может кэшировать ответ на одинаковый запрос
+const CACHE_TIME_SECONDS = 60;
+const MAX_QUERY_LENGTH = 200;
+const ESTABLISHMENT_QUERY_PREFIX = 'est_';
+const WEB_APP_BUTTON_TEXT = 'Открыть карту MapCost';
+
+/**
+ * @function parseInlineQuery
+ * @description Разбирает инлайн-запрос из обновления Telegram.
+ * @param {object} inlineQuery - Объект InlineQuery ({ id, from, query, offset, location? }).
+ * @returns {{ type: string, text: string, establishmentId: string|null, location: Array<number>|null, offset: number }}
+ * type: 'establishment', 'search' или 'browse' (пустой запрос).
+ */
+const parseInlineQuery = (inlineQuery) => {
+    const text = String(inlineQuery.query || '').trim().slice(0, MAX_QUERY_LENGTH);
+    const { location } = inlineQuery;
+    const offset = Number.parseInt(inlineQuery.offset, 10);
+    const parsed = {
+        type: 'browse',
+        text,
+        establishmentId: null,
+        location: location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude)
+            ? [location.latitude, location.longitude]
+            : null,
+        offset: Number.isInteger(offset) && offset > 0 ? offset : 0,
+    };
+    if (text.startsWith(ESTABLISHMENT_QUERY_PREFIX) && text.length > ESTABLISHMENT_QUERY_PREFIX.length) {
+        return { ...parsed, type: 'establishment', establishmentId: text.slice(ESTABLISHMENT_QUERY_PREFIX.length) };
+    }
+    return text ? { ...parsed, type: 'search' } : parsed;
+};
+
+/**
+ * @function toVenueResult
+ * @description Превращает заведение в результат InlineQueryResultVenue.
+ * @param {object} establishment - Заведение.
+ * @param {object} options
+ * @param {string} options.address - Вторая строка карточки (адрес или описание места).
+ * @param {string|null} options.link - Ссылка на Mini App с этим заведением (null — без кнопки).
+ * @returns {object}
+ */
+const toVenueResult = (establishment, { address, link }) => {
+    const result = {
+        type: 'venue',
+        id: establishment.id,
+        latitude: establishment.coordinates[0],
+        longitude: establishment.coordinates[1],
+        title: establishment.name,
+        address,
+    };
+    if (link) {
+        result.reply_markup = { inline_keyboard: [[{ text: 'Открыть в MapCost', url: link }]] };
+    }
+    // Миниатюра нужна по абсолютному адресу: загруженные в приложение фото отдаются по относительному
+    const photo = (establishment.photos || [])[0];
+    const photoUrl = typeof photo === 'string' ? photo : photo && (photo.thumbnailUrl || photo.url);
+    if (typeof photoUrl === 'string' && /^https:\/\//.test(photoUrl)) {
+        result.thumbnail_url = photoUrl;
+    }
+    return result;
+};
+
+/**
+ * @function createAnswer
+ * @description Собирает ответ на инлайн-запрос. Ответ возвращается прямо в ответе на запрос
+ * вебхука (method: 'answerInlineQuery'), без отдельного вызова Bot API.
+ * @param {object} inlineQuery - Объект InlineQuery.
+ * @param {Array<object>} results - Результаты текущей страницы.
+ * @param {number} nextOffset - Смещение следующей страницы или 0, если страниц больше нет.
+ * @param {string|null} [webAppUrl=null] - HTTPS-адрес веб-страницы Mini App для кнопки над результатами
+ * (null — без кнопки).
+ * @returns {object}
+ */
+const createAnswer = (inlineQuery, results, nextOffset, webAppUrl = null) => {
+    const answer = {
+        method: 'answerInlineQuery',
+        inline_query_id: inlineQuery.id,
+        results,
+        cache_time: CACHE_TIME_SECONDS,
+        // Ближайшие заведения зависят от местоположения пользователя
+        is_personal: Boolean(inlineQuery.location),
+        next_offset: nextOffset ? String(nextOffset) : '',
+    };
+    if (webAppUrl) {
+        answer.button = { text: WEB_APP_BUTTON_TEXT, web_app: { url: webAppUrl } };
+    }
+    return answer;
+};
+
+module.exports = {
+    MAX_RESULTS,
+    parseInlineQuery,
+    toVenueResult,
+    createAnswer,
+};
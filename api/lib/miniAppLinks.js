@@ -0,0 +1,38 @@
+/**
+ * miniAppLinks.js
+ * Ссылки, открывающие Mini App с параметром запуска (start_param):
+ * https://t.me/<бот>/<приложение>?startapp=<параметр>.
+ *
+ * Адрес Mini App задается переменной окружения TELEGRAM_MINI_APP_URL (например,
+ * https://t.me/mapcost_bot/app). Если он не задан, ссылки не строятся и клиент
+ * использует адрес веб-страницы приложения.
+ */
+
+// Допустимые символы start_param по документации Telegram
+const START_PARAM_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * @function createMiniAppLinks
+ * @description Создает построитель ссылок на Mini App.
+ * @param {object} options
+ * @param {string} [options.miniAppUrl] - Адрес Mini App в Telegram.
+ * @returns {{ build: function(string): (string|null) }}
+ */
+const createMiniAppLinks = ({ miniAppUrl } = {}) => ({
+    /**
+     * Возвращает ссылку на Mini App с параметром запуска.
+     * @param {string} startParam - Параметр запуска.
+     * @returns {string|null} Ссылка или null, если адрес Mini App не настроен или параметр недопустим.
+     */
+    build: (startParam) => {
+        if (!miniAppUrl || !START_PARAM_PATTERN.test(startParam)) return null;
+        const url = new URL(miniAppUrl);
+        url.searchParams.set('startapp', startParam);
+        return url.toString();
+    },
+});
+
+module.exports = {
+    START_PARAM_PATTERN,
+    createMiniAppLinks,
+};
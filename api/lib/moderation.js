@@ -0,0 +1,387 @@
+/**
+ * moderation.js
+ * Модерация: роль администратора, очередь проверки и блокировка пользователей.
+ *
+ * Администраторы задаются списком ID пользователей Telegram (переменная окружения ADMIN_TELEGRAM_IDS,
+ * через запятую). Модерация последующая: заведения публикуются как раньше, а модератор проверяет
+ * их после публикации. В очередь модерации попадают:
+ * - новые и измененные владельцами заведения: версия заведения (revision) новее последней
+ *   проверенной модератором (moderatedRevision). Заведения без владельца (начальные данные) не проверяются;
+ * - отзывы, на которые пожаловались пользователи;
+ * - фотографии заведений, на которые пожаловались пользователи;
+ * - заведения, о проблемах с которыми сообщили пользователи (см. reports.js).
+ * Жалобы на отзывы и фото хранятся в коллекции `moderationFlags`, одна запись на отзыв или фото,
+ * со списком пожаловавшихся пользователей: каждый пользователь учитывается один раз.
+ * Списки пожаловавшихся видны только администраторам.
+ *
+ * Действия модератора:
+ * - approve — оставить как есть (жалобы снимаются, заведение, скрытое по сообщениям, снова видно всем);
+ * - reject — скрыть заведение (его видит только владелец, с причиной), удалить отзыв или убрать фото;
+ * - ban — то же, что reject, и блокировка автора: заблокированный пользователь не может добавлять
+ *   и изменять заведения, отзывы и фото, а все его заведения скрываются.
+ *   Блокировка снимается удалением записи пользователя из коллекции `bannedUsers`.
+ */
+const crypto = require('crypto');
+const establishments = require('./establishments');
+const reviews = require('./reviews');
+const reports = require('./reports');
+
+// Коллекции хранилища
+const FLAGS_COLLECTION = 'moderationFlags';
+const BANS_COLLECTION = 'bannedUsers';
+
+// На что можно пожаловаться
+const FLAG_TYPES = {
+    REVIEW: 'review',
+    PHOTO: 'photo',
+};
+// Типы элементов очереди: заведения, жалобы и сообщения о проблемах с заведениями
+const ITEM_TYPES = ['establishment', ...Object.values(FLAG_TYPES), 'report'];
+const ACTIONS = {
+    APPROVE: 'approve',
+    REJECT: 'reject',
+    BAN: 'ban',
+};
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * @function parseAdminIds
+ * @description Разбирает список ID администраторов из переменной окружения.
+ * @param {string} [value] - ID пользователей Telegram через запятую.
+ * @returns {Set<string>}
+ */
+const parseAdminIds = (value) => new Set(String(value || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => /^\d+$/.test(id)));
+
+/**
+ * @function createAdminAuth
+ * @description Создает проверку роли администратора. Используется после requireTelegramUser:
+ * пользователь уже проверен по initData.
+ * @param {object} options
+ * @param {Set<string>} options.adminIds - ID администраторов (см. parseAdminIds).
+ * @returns {{ isAdmin: function(object|null): boolean, requireAdmin: function }}
+ */
+const createAdminAuth = ({ adminIds }) => {
+    if (adminIds.size === 0) {
+        console.warn('ADMIN_TELEGRAM_IDS не задан: модерация недоступна.');
+    }
+
+    const isAdmin = (telegramUser) => Boolean(telegramUser && adminIds.has(String(telegramUser.id)));
+
+    const requireAdmin = (req, res, next) => {
+        if (!isAdmin(req.telegramUser)) {
+            return res.status(403).json({ message: 'Доступно только администраторам.' });
+        }
+        next();
+    };
+
+    return { isAdmin, requireAdmin };
+};
+
+/**
+ * @function createBanCheck
+ * @description Создает middleware, который не дает заблокированным пользователям
+ * добавлять и изменять данные. Используется после requireTelegramUser.
+ * @param {object} storage - Хранилище.
+ * @returns {function} Middleware Express.
+ */
+const createBanCheck = (storage) => async (req, res, next) => {
+    try {
+        const ban = await storage.get(BANS_COLLECTION, String(req.telegramUser.id));
+        if (ban) {
+            return res.status(403).json({ message: 'Ваш аккаунт заблокирован модератором.' });
+        }
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+};
+
+/**
+ * @function sanitizeDecision
+ * @description Проверяет решение модератора из тела запроса.
+ * @param {object} input - Тело запроса { action, reason }.
+ * @returns {{ value: {action: string, reason: string}|null, error: string|null }}
+ */
+const sanitizeDecision = (input) => {
+    const body = input && typeof input === 'object' ? input : {};
+    if (!Object.values(ACTIONS).includes(body.action)) {
+        return { value: null, error: 'Действие задается значением approve, reject или ban.' };
+    }
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (reason.length > MAX_REASON_LENGTH) {
+        return { value: null, error: `Причина не должна быть длиннее ${MAX_REASON_LENGTH} символов.` };
+    }
+    return { value: { action: body.action, reason }, error: null };
+};
+
+/**
+ * @function getPhotoUrl
+ * @description Возвращает адрес фото заведения (фото задается ссылкой или объектом { url, thumbnailUrl }).
+ * @param {string|object} photo
+ * @returns {string}
+ */
+const getPhotoUrl = (photo) => (typeof photo === 'string' ? photo : photo.url);
+
+/**
+ * @function getFlagId
+ * @description Возвращает ID записи жалоб на отзыв или фото заведения.
+ * @param {string} type - Тип из FLAG_TYPES.
+ * @param {string} establishmentId - ID заведения.
+ * @param {string} target - ID отзыва или адрес фото.
+ * @returns {string}
+ */
+const getFlagId = (type, establishmentId, target) => {
+    const hash = crypto.createHash('sha256').update(`${establishmentId}\n${target}`).digest('hex').slice(0, 16);
+    return `${type}_${hash}`;
+};
+
+/**
+ * @function addFlag
+ * @description Добавляет жалобу пользователя на отзыв или фото. Повторная жалоба того же
+ * пользователя не учитывается.
+ * @param {object} storage - Хранилище.
+ * @param {object} flag
+ * @param {string} flag.type - Тип из FLAG_TYPES.
+ * @param {string} flag.establishmentId - ID заведения.
+ * @param {string} flag.target - ID отзыва или адрес фото.
+ * @param {string} flag.userId - ID пожаловавшегося пользователя Telegram.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<object>} Запись жалоб.
+ */
+const addFlag = async (storage, { type, establishmentId, target, userId }, now = new Date()) => {
+    const id = getFlagId(type, establishmentId, target);
+    const append = (current) => ({
+        ...current,
+        reporterIds: [...new Set([...(current.reporterIds || []), userId])],
+        updatedAt: now.toISOString(),
+    });
+    return storage.modifyOrCreate(FLAGS_COLLECTION, id, { type, establishmentId, target, createdAt: now.toISOString() }, append);
+};
+
+/**
+ * @function needsReview
+ * @description Проверяет, ждет ли заведение проверки модератором (новое или измененное владельцем).
+ * @param {object} establishment - Заведение.
+ * @returns {boolean}
+ */
+const needsReview = (establishment) => Boolean(establishment.ownerId)
+    && establishments.getRevision(establishment) > (establishment.moderatedRevision || 0);
+
+/**
+ * @function buildQueue
+ * @description Собирает очередь модерации, от давних элементов к новым.
+ * Жалобы на уже удаленные отзывы и фото пропускаются.
+ * @param {Array<object>} items - Все заведения.
+ * @param {Array<object>} flags - Все записи жалоб.
+ * @returns {{ establishments: Array<object>, reviews: Array<object>, photos: Array<object>}}
+ */
+const buildQueue = (items, flags) => {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const byDate = (a, b) => Date.parse(a.updatedAt) - Date.parse(b.updatedAt);
+    const flagged = (type, findTarget) => flags
+        .filter(flag => flag.type === type && byId.has(flag.establishmentId))
+        .map(flag => {
+            const establishment = byId.get(flag.establishmentId);
+            const target = findTarget(establishment, flag.target);
+            return target && {
+                id: flag.id,
+                establishment: { id: establishment.id, name: establishment.name },
+                [type]: target,
+                reportCount: (flag.reporterIds || []).length,
+                updatedAt: flag.updatedAt,
+            };
+        })
+        .filter(Boolean)
+        .sort(byDate);
+
+    return {
+        establishments: items
+            .filter(needsReview)
+            .map(item => ({
+                id: item.id,
+                isNew: !item.moderatedRevision,
+                establishment: item,
+                updatedAt: item.updatedAt || item.createdAt,
+            }))
+            .sort(byDate),
+        reviews: flagged(FLAG_TYPES.REVIEW, (establishment, reviewId) => (establishment.reviews || [])
+            .find(review => review.id === reviewId)),
+        photos: flagged(FLAG_TYPES.PHOTO, (establishment, url) => (establishment.photos || [])
+            .find(photo => getPhotoUrl(photo) === url)),
+    };
+};
+
+/**
+ * @function rejectEstablishment
+ * @description Возвращает заведение, скрытое модератором с указанной причиной.
+ * @param {object} establishment - Заведение.
+ * @param {string} reason - Причина для владельца.
+ * @param {Date} now - Текущий момент.
+ * @returns {object}
+ */
+const rejectEstablishment = (establishment, reason, now) => ({
+    ...establishment,
+    moderation: { status: establishments.MODERATION_STATUS.REJECTED, reason, at: now.toISOString() },
+    moderatedRevision: establishments.getRevision(establishment),
+});
+
+/**
+ * @function banUser
+ * @description Блокирует пользователя и скрывает все его заведения.
+ * @param {object} storage - Хранилище.
+ * @param {string} userId - ID пользователя Telegram.
+ * @param {object} details
+ * @param {string} details.reason - Причина блокировки.
+ * @param {string} details.bannedBy - ID администратора.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<void>}
+ */
+const banUser = async (storage, userId, { reason, bannedBy }, now = new Date()) => {
+    await storage.upsert(BANS_COLLECTION, userId, { reason, bannedBy, bannedAt: now.toISOString() });
+    const owned = (await storage.list(establishments.COLLECTION)).filter(item => item.ownerId === userId);
+    for (const item of owned) {
+        await storage.modify(establishments.COLLECTION, item.id, current => (establishments.isRejected(current)
+            ? current
+            : rejectEstablishment(current, `Владелец заблокирован${reason ? `: ${reason}` : ''}`, now)));
+    }
+};
+
+/**
+ * @function moderateEstablishment
+ * @description Применяет решение модератора к заведению из очереди.
+ * @param {object} storage - Хранилище.
+ * @param {string} id - ID заведения.
+ * @param {{action: string, reason: string}} decision - Проверенное решение (см. sanitizeDecision).
+ * @param {string} adminId - ID администратора.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<{item: object|null, error: string|null}>} Заведение после решения (null, если
+ * оно не найдено) или текст ошибки, если решение применить нельзя.
+ */
+const moderateEstablishment = async (storage, id, { action, reason }, adminId, now = new Date()) => {
+    const existing = await storage.get(establishments.COLLECTION, id);
+    if (existing && action === ACTIONS.BAN && !existing.ownerId) {
+        return { item: null, error: 'У заведения нет владельца, которого можно заблокировать.' };
+    }
+    const item = await storage.modify(establishments.COLLECTION, id, current => (action === ACTIONS.APPROVE
+        ? { ...current, moderation: null, moderatedRevision: establishments.getRevision(current) }
+        : rejectEstablishment(current, reason, now)));
+    if (item && action === ACTIONS.BAN) {
+        await banUser(storage, item.ownerId, { reason, bannedBy: adminId }, now);
+    }
+    return { item, error: null };
+};
+
+/**
+ * @function moderateReports
+ * @description Применяет решение модератора к заведению, о проблемах с которым сообщили пользователи.
+ * При одобрении заведение, скрытое по сообщениям, снова публикуется; отклонение и блокировка
+ * работают как для заведения из очереди (см. moderateEstablishment). Сообщения снимаются.
+ * @param {object} storage - Хранилище.
+ * @param {string} id - ID заведения (совпадает с ID записи сообщений).
+ * @param {{action: string, reason: string}} decision - Проверенное решение.
+ * @param {string} adminId - ID администратора.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<{item: object|null, error: string|null}>} Как у moderateEstablishment.
+ */
+const moderateReports = async (storage, id, decision, adminId, now = new Date()) => {
+    const result = decision.action === ACTIONS.APPROVE
+        ? {
+            item: await storage.modify(establishments.COLLECTION, id, current => (reports.isAutoHidden(current)
+                ? { ...current, moderation: null }
+                : current)),
+            error: null,
+        }
+        : await moderateEstablishment(storage, id, decision, adminId, now);
+    if (!result.error) {
+        await storage.remove(reports.COLLECTION, id);
+    }
+    return result;
+};
+
+/**
+ * @function getFlagAuthorId
+ * @description Возвращает автора отзыва или фото, на которые пожаловались.
+ * Фото заведения загружает его владелец; у отзывов из начальных данных автора нет.
+ * @param {object} establishment - Заведение.
+ * @param {object} flag - Запись жалоб.
+ * @returns {string|null}
+ */
+const getFlagAuthorId = (establishment, flag) => {
+    if (flag.type === FLAG_TYPES.PHOTO) return establishment.ownerId || null;
+    const review = (establishment.reviews || []).find(existing => existing.id === flag.target);
+    return (review && review.userId) || null;
+};
+
+/**
+ * @function removeFlagTarget
+ * @description Возвращает заведение без отзыва или фото, на которые пожаловались.
+ * Удаление фото — изменение данных владельца, поэтому версия заведения увеличивается:
+ * сохранение формы, открытой до этого, приведет к объединению изменений, а не вернет фото.
+ * @param {object} establishment - Заведение.
+ * @param {object} flag - Запись жалоб.
+ * @param {Date} now - Текущий момент.
+ * @returns {object}
+ */
+const removeFlagTarget = (establishment, flag, now) => {
+    if (flag.type === FLAG_TYPES.REVIEW) {
+        return reviews.withReviews(establishment, (establishment.reviews || []).filter(review => review.id !== flag.target));
+    }
+    const revision = establishments.getRevision(establishment);
+    return {
+        ...establishment,
+        photos: (establishment.photos || []).filter(photo => getPhotoUrl(photo) !== flag.target),
+        revision: revision + 1,
+        updatedAt: now.toISOString(),
+        // Удаление фото модератором само по себе проверки не требует
+        moderatedRevision: establishment.moderatedRevision === revision ? revision + 1 : establishment.moderatedRevision,
+    };
+};
+
+/**
+ * @function moderateFlag
+ * @description Применяет решение модератора к отзыву или фото, на которые пожаловались:
+ * при отклонении отзыв удаляется (рейтинг пересчитывается), а фото убирается из заведения.
+ * В любом случае жалобы снимаются.
+ * @param {object} storage - Хранилище.
+ * @param {object} flag - Запись жалоб.
+ * @param {{action: string, reason: string}} decision - Проверенное решение.
+ * @param {string} adminId - ID администратора.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<{error: string|null}>} Текст ошибки, если решение применить нельзя.
+ */
+const moderateFlag = async (storage, flag, { action, reason }, adminId, now = new Date()) => {
+    if (action !== ACTIONS.APPROVE) {
+        const establishment = await storage.get(establishments.COLLECTION, flag.establishmentId);
+        const authorId = establishment ? getFlagAuthorId(establishment, flag) : null;
+        if (action === ACTIONS.BAN && !authorId) {
+            return { error: 'У этого отзыва или фото нет автора, которого можно заблокировать.' };
+        }
+        await storage.modify(establishments.COLLECTION, flag.establishmentId, current => removeFlagTarget(current, flag, now));
+        if (action === ACTIONS.BAN) {
+            await banUser(storage, authorId, { reason, bannedBy: adminId }, now);
+        }
+    }
+    await storage.remove(FLAGS_COLLECTION, flag.id);
+    return { error: null };
+};
+
+module.exports = {
+    FLAGS_COLLECTION,
+    BANS_COLLECTION,
+    FLAG_TYPES,
+    ITEM_TYPES,
+    ACTIONS,
+    parseAdminIds,
+    createAdminAuth,
+    createBanCheck,
+    sanitizeDecision,
+    getPhotoUrl,
+    addFlag,
+    buildQueue,
+    moderateEstablishment,
+    moderateReports,
+    moderateFlag,
+};
@@ -0,0 +1,94 @@
+/**
+ * notifications.js
+ * Подписки пользователей на уведомления и рассылка сообщений через Telegram-бота.
+ *
+ * Подписка хранится в коллекции `notificationSubscriptions`, ключ записи — ID пользователя Telegram.
+ * Поле `categories` задает категории заведений, о которых пользователь хочет получать уведомления
+ * (пустой список — все категории).
+ */
+
+const { normalizeCategoryId, categoryMatches } = require('./categories');
+
+// Коллекция хранилища с подписками
+const COLLECTION = 'notificationSubscriptions';
+
+/**
+ * @function sanitizeCategories
+ * @description Нормализует список категорий из тела запроса (устаревшие ID переводятся в актуальные).
+ * @param {*} categories - Значение из запроса.
+ * @returns {Array<string>|null} Список ID категорий или null, если значение некорректно
+ * или содержит неизвестную категорию.
+ */
+const sanitizeCategories = (categories) => {
+    if (categories === undefined) return [];
+    if (!Array.isArray(categories)) return null;
+    const normalized = categories.map(normalizeCategoryId);
+    if (normalized.some(id => !id)) return null;
+    return [...new Set(normalized)];
+};
+
+/**
+ * @function matchesCategory
+ * @description Проверяет, хочет ли подписчик получать уведомления о данной категории.
+ * Подписка на группу категорий включает все ее подкатегории.
+ * @param {object} subscription - Запись подписки.
+ * @param {string|null} category - Категория события (null — событие без категории).
+ * @returns {boolean}
+ */
+const matchesCategory = (subscription, category) => {
+    const categories = subscription.categories || [];
+    return !category || categories.length === 0 || categories.some(id => categoryMatches(category, id));
+};
+
+/**
+ * @function createNotificationDispatcher
+ * @description Создает рассыльщик уведомлений подписчикам.
+ * @param {object} options
+ * @param {object} options.storage - Хранилище данных.
+ * @param {object} options.bot - Клиент Telegram Bot API (см. telegramBot.js).
+ * @returns {{ notifySubscribers: function }}
+ */
+const createNotificationDispatcher = ({ storage, bot }) => {
+    /**
+     * Отправляет сообщение всем подписчикам, заинтересованным в категории.
+     * Если пользователь заблокировал бота (403), его подписка отключается.
+     * @param {object} message
+     * @param {string} message.text - Текст сообщения.
+     * @param {string|null} [message.category] - Категория заведения, к которой относится событие.
+     * @param {object} [message.extra] - Дополнительные параметры sendMessage (reply_markup и т.д.).
+     * @returns {Promise<{sent: number, failed: number}>} Статистика рассылки.
+     */
+    const notifySubscribers = async ({ text, category = null, extra = {} }) => {
+        const subscriptions = await storage.list(COLLECTION);
+        const recipients = subscriptions.filter(sub => sub.subscribed && matchesCategory(sub, category));
+
+        let sent = 0;
+        let failed = 0;
+        // Отправляем последовательно, чтобы не упереться в лимиты Bot API
+        for (const subscription of recipients) {
+            try {
+                await bot.sendMessage(subscription.chatId, text, extra);
+                sent++;
+            } catch (error) {
+                failed++;
+                console.error(`Ошибка отправки уведомления пользователю ${subscription.id}:`, error.message);
+                if (error.errorCode === 403) {
+                    await storage.update(COLLECTION, subscription.id, {
+                        subscribed: false,
+                        updatedAt: new Date().toISOString(),
+                    });
+                }
+            }
+        }
+        return { sent, failed };
+    };
+
+    return { notifySubscribers };
+};
+
+module.exports = {
+    COLLECTION,
+    sanitizeCategories,
+    matchesCategory,
+    createNotificationDispatcher,
+};
@@ -0,0 +1,252 @@
+/**
+ * openingHours.js
+ * Часы работы заведений: проверка формата и вычисление статуса "открыто сейчас".
+ *
+ * Формат поля `openingHours` заведения:
+ * {
+ *   timezone: 'Europe/Moscow',                       // Часовой пояс заведения (IANA)
+ *   weekly: { mon: [{ open: '09:00', close: '13:00' }, { open: '14:00', close: '20:00' }], ... },
+ *   holidays: [{ date: '2026-01-01', intervals: [] }] // Особые дни: пустой список — выходной
+ * }
+ * - Несколько интервалов за день задают перерывы (промежутки между интервалами).
+ * - Если close <= open, интервал продолжается после полуночи (например, 22:00–02:00);
+ *   интервал 00:00–00:00 (или 00:00–24:00) означает работу весь день.
+ * - День без интервалов (или отсутствующий в weekly) — выходной.
+ * Время сравнивается в часовом поясе заведения, а не сервера или пользователя.
+ *
+ * Та же логика вычисления статуса реализована на клиенте (модуль OpeningHours в public/app.js).
+ */
+
+// Ключи дней недели в порядке Date.getUTCDay() (0 — воскресенье)
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_TIMEZONE = 'Europe/Moscow';
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_INTERVALS_PER_DAY = 6;
+const MAX_HOLIDAYS = 366;
+
+/**
+ * @function toMinutes
+ * @description Переводит время "ЧЧ:ММ" в минуты от начала суток.
+ * @param {string} time - Время в формате ЧЧ:ММ.
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * @function isValidTimezone
+ * @description Проверяет, что часовой пояс известен среде выполнения (Intl).
+ * @param {string} timezone - Название часового пояса IANA.
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * @function sanitizeIntervals
+ * @description Проверяет список интервалов работы за один день.
+ * @param {*} intervals - Значение из запроса.
+ * @returns {Array<{open: string, close: string}>|null} Интервалы, отсортированные по началу, или null.
+ */
+const sanitizeIntervals = (intervals) => {
+    if (!Array.isArray(intervals) || intervals.length > MAX_INTERVALS_PER_DAY) return null;
+    const result = [];
+    for (const interval of intervals) {
+        if (!interval || !TIME_PATTERN.test(interval.open) || !TIME_PATTERN.test(interval.close)) return null;
+        if (interval.open === '24:00') return null;
+        if (interval.open === interval.close && interval.open !== '00:00') return null;
+        result.push({ open: interval.open, close: interval.close });
+    }
+    return result.sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+};
+
+/**
+ * @function sanitizeOpeningHours
+ * @description Проверяет и нормализует часы работы заведения из тела запроса.
+ * @param {*} input - Значение поля openingHours (null — часы работы не указаны).
+ * @returns {{ value: object|null, error: string|null }}
+ */
+const sanitizeOpeningHours = (input) => {
+    if (input === null) return { value: null, error: null };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, error: 'Некорректный формат часов работы.' };
+    }
+
+    const timezone = input.timezone === undefined ? DEFAULT_TIMEZONE : input.timezone;
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+        return { value: null, error: 'Неизвестный часовой пояс.' };
+    }
+
+    const weekly = {};
+    const inputWeekly = input.weekly || {};
+    if (typeof inputWeekly !== 'object' || Array.isArray(inputWeekly)
+        || Object.keys(inputWeekly).some(day => !DAY_KEYS.includes(day))) {
+        return { value: null, error: 'Некорректное расписание по дням недели.' };
+    }
+    for (const day of DAY_KEYS) {
+        const intervals = sanitizeIntervals(inputWeekly[day] || []);
+        if (!intervals) {
+            return { value: null, error: 'Некорректные интервалы работы (формат ЧЧ:ММ, не более 6 интервалов в день).' };
+        }
+        weekly[day] = intervals;
+    }
+
+    const inputHolidays = input.holidays || [];
+    if (!Array.isArray(inputHolidays) || inputHolidays.length > MAX_HOLIDAYS) {
+        return { value: null, error: 'Некорректный список особых дней.' };
+    }
+    const holidays = [];
+    for (const holiday of inputHolidays) {
+        if (!holiday || !DATE_PATTERN.test(holiday.date) || Number.isNaN(Date.parse(holiday.date))) {
+            return { value: null, error: 'Некорректная дата особого дня (формат ГГГГ-ММ-ДД).' };
+        }
+        const intervals = sanitizeIntervals(holiday.intervals || []);
+        if (!intervals) {
+            return { value: null, error: 'Некорректные интервалы работы в особый день.' };
+        }
+        holidays.push({ date: holiday.date, intervals });
+    }
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+
+    return { value: { timezone, weekly, holidays }, error: null };
+};
+
+/**
+ * @function getLocalDate
+ * @description Возвращает дату (ГГГГ-ММ-ДД) и время (минуты от полуночи) в указанном часовом поясе.
+ * @param {Date} date - Момент времени.
+ * @param {string} timezone - Часовой пояс IANA.
+ * @returns {{ date: string, minutes: number }}
+ */
+const getLocalDate = (date, timezone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+};
+
+/**
+ * @function addDays
+ * @description Сдвигает календарную дату на указанное количество дней.
+ * @param {string} date - Дата ГГГГ-ММ-ДД.
+ * @param {number} days - Количество дней (может быть отрицательным).
+ * @returns {{ date: string, dayKey: string }} Новая дата и ключ дня недели.
+ */
+const addDays = (date, days) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1, day + days));
+    return { date: shifted.toISOString().slice(0, 10), dayKey: DAY_KEYS[shifted.getUTCDay()] };
+};
+
+/**
+ * @function getIntervalsForDate
+ * @description Возвращает интервалы работы на конкретную дату с учетом особых дней.
+ * @param {object} hours - Часы работы заведения.
+ * @param {string} date - Дата ГГГГ-ММ-ДД.
+ * @param {string} dayKey - Ключ дня недели.
+ * @returns {Array<{open: string, close: string}>}
+ */
+const getIntervalsForDate = (hours, date, dayKey) => {
+    const holiday = (hours.holidays || []).find(item => item.date === date);
+    if (holiday) return holiday.intervals || [];
+    return (hours.weekly && hours.weekly[dayKey]) || [];
+};
+
+/**
+ * @function getOpeningStatus
+ * @description Вычисляет, открыто ли заведение в указанный момент, когда оно закроется
+ * или когда откроется снова (в пределах недели).
+ * Смежные интервалы (например, 22:00–24:00 и 00:00–02:00 следующего дня) объединяются.
+ * @param {object|null} hours - Часы работы заведения.
+ * @param {Date} [now=new Date()] - Момент времени.
+ * @returns {{ known: boolean, isOpen: boolean, alwaysOpen: boolean,
+ *   closesAt: {dayOffset: number, time: string}|null, opensAt: {dayOffset: number, time: string}|null }}
+ * dayOffset — через сколько дней (по местному календарю заведения) наступит событие.
+ */
+const getOpeningStatus = (hours, now = new Date()) => {
+    const unknown = { known: false, isOpen: false, alwaysOpen: false, closesAt: null, opensAt: null };
+    if (!hours || !hours.weekly) return unknown;
+
+    const timezone = hours.timezone || DEFAULT_TIMEZONE;
+    const local = getLocalDate(now, timezone);
+
+    // Интервалы со вчерашнего дня по следующую неделю в минутах относительно начала "сегодня"
+    const spans = [];
+    for (let offset = -1; offset <= 7; offset++) {
+        const { date, dayKey } = addDays(local.date, offset);
+        getIntervalsForDate(hours, date, dayKey).forEach(interval => {
+            const open = toMinutes(interval.open);
+            let close = toMinutes(interval.close);
+            if (close <= open) close += MINUTES_PER_DAY; // Работа после полуночи
+            spans.push([offset * MINUTES_PER_DAY + open, offset * MINUTES_PER_DAY + close]);
+        });
+    }
+    spans.sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    spans.forEach(span => {
+        const last = merged[merged.length - 1];
+        if (last && span[0] <= last[1]) {
+            last[1] = Math.max(last[1], span[1]);
+        } else {
+            merged.push([...span]);
+        }
+    });
+
+    const toMoment = (minutes) => {
+        const dayOffset = Math.floor(minutes / MINUTES_PER_DAY);
+        const inDay = minutes - dayOffset * MINUTES_PER_DAY;
+        const time = `${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}`;
+        return { dayOffset, time };
+    };
+
+    const current = merged.find(([start, end]) => start <= local.minutes && local.minutes < end);
+    if (current) {
+        // Интервал, который тянется до конца просматриваемой недели, считаем круглосуточной работой
+        const alwaysOpen = current[0] <= -MINUTES_PER_DAY && current[1] >= 7 * MINUTES_PER_DAY;
+        return { known: true, isOpen: true, alwaysOpen, closesAt: alwaysOpen ? null : toMoment(current[1]), opensAt: null };
+    }
+    const next = merged.find(([start]) => start > local.minutes);
+    return { known: true, isOpen: false, alwaysOpen: false, closesAt: null, opensAt: next ? toMoment(next[0]) : null };
+};
+
+/**
+ * @function isOpenAt
+ * @description Проверяет, открыто ли заведение в указанный момент.
+ * Заведения без часов работы считаются закрытыми (статус неизвестен).
+ * @param {object|null} hours - Часы работы заведения.
+ * @param {Date} [now=new Date()] - Момент времени.
+ * @returns {boolean}
+ */
+const isOpenAt = (hours, now = new Date()) => getOpeningStatus(hours, now).isOpen;
+
+module.exports = {
+    DAY_KEYS,
+    DEFAULT_TIMEZONE,
+    getLocalDate,
+    addDays,
+    sanitizeOpeningHours,
+    getOpeningStatus,
+    isOpenAt,
+};
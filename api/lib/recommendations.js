@@ -0,0 +1,246 @@
+/**
+ * recommendations.js
+ * Персональные рекомендации заведений. Оценка заведения складывается из интереса пользователя
+ * к его категории, рейтинга и близости к пользователю.
+ *
+ * Интерес к категории считается по любимым категориям, категориям избранных заведений и истории
+ * (просмотры карточек и построенные маршруты; недавние события весят больше). Совпадение по группе
+ * категорий (например, другая подкатегория "Еды") учитывается с половинным весом.
+ *
+ * История берется из запроса и, для пользователя Telegram, из его журнала событий на сервере.
+ *
+ * Клиент повторяет этот расчет в RecommendationSystem (public/app.js), когда сервер недоступен,
+ * поэтому формулы и константы нужно менять в обоих местах.
+ */
+const { findCategory, normalizeCategoryId, categoryMatches } = require('./categories');
+const { isValidCoordinates } = require('./establishments');
+const { haversineDistance } = require('./geo');
+
+// Типы событий истории и их вес в интересе к категории
+const HISTORY_WEIGHTS = {
+    view: 0.5,
+    route: 1.5,
+};
+// Вклад в интерес к категории: любимая категория и категория избранного заведения
+const FAVORITE_CATEGORY_AFFINITY = 3;
+const FAVORITE_ESTABLISHMENT_AFFINITY = 2;
+// Вес события истории уменьшается вдвое за этот срок
+const HISTORY_HALF_LIFE_DAYS = 14;
+// Интерес, при котором оценка категории достигает ~63% от максимума
+const AFFINITY_SCALE = 3;
+// Расстояние, на котором оценка близости падает в e раз
+const PROXIMITY_SCALE_METERS = 2000;
+// Вклад составляющих в итоговую оценку
+const SCORE_WEIGHTS = {
+    category: 0.5,
+    rating: 0.2,
+    proximity: 0.3,
+};
+// Множитель для заведений, которые пользователь уже открывал: рекомендации должны показывать новое
+const SEEN_PENALTY = 0.8;
+// Пороги для причин "Высокий рейтинг" и "Рядом с вами"
+const HIGH_RATING = 4.5;
+const NEARBY_DISTANCE_METERS = 1000;
+
+// Ограничения запроса
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_FAVORITES = 500;
+const MAX_HISTORY = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function sanitizeRecommendationRequest
+ * @description Проверяет тело запроса рекомендаций: любимые категории, избранные заведения,
+ * история событий, местоположение пользователя и количество результатов.
+ * Неизвестные категории отбрасываются, устаревшие ID переводятся в актуальные.
+ * @param {object} input - Тело запроса.
+ * @returns {{ value: object|null, error: string|null }}
+ */
+const sanitizeRecommendationRequest = (input) => {
+    const body = input && typeof input === 'object' ? input : {};
+    const isStringList = (value) => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+    if (!isStringList(body.favoriteCategories) || !isStringList(body.favoriteEstablishments)) {
+        return { value: null, error: 'Избранное передается списками ID.' };
+    }
+    const favoriteCategories = [...new Set((body.favoriteCategories || []).map(normalizeCategoryId).filter(Boolean))];
+    const favoriteEstablishments = [...new Set(body.favoriteEstablishments || [])];
+    if (favoriteEstablishments.length > MAX_FAVORITES) {
+        return { value: null, error: `Слишком много избранных заведений (не более ${MAX_FAVORITES}).` };
+    }
+
+    const history = body.history === undefined ? [] : body.history;
+    if (!Array.isArray(history) || history.length > MAX_HISTORY) {
+        return { value: null, error: `История передается списком не более чем из ${MAX_HISTORY} событий.` };
+    }
+    const isValidEvent = (event) => event && typeof event === 'object'
+        && typeof event.establishmentId === 'string'
+        && Object.prototype.hasOwnProperty.call(HISTORY_WEIGHTS, event.type)
+        && typeof event.at === 'string' && Number.isFinite(Date.parse(event.at));
+    if (!history.every(isValidEvent)) {
+        return { value: null, error: 'Некорректное событие в истории.' };
+    }
+
+    const location = body.location === undefined || body.location === null ? null : body.location;
+    if (location !== null && !isValidCoordinates(location)) {
+        return { value: null, error: 'Некорректные координаты пользователя.' };
+    }
+
+    const limit = body.limit === undefined ? DEFAULT_LIMIT : body.limit;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { value: null, error: `Параметр limit задается числом от 1 до ${MAX_LIMIT}.` };
+    }
+
+    return {
+        value: {
+            favoriteCategories,
+            favoriteEstablishments,
+            history: history.map(({ establishmentId, type, at }) => ({ establishmentId, type, at })),
+            location,
+            limit,
+        },
+        error: null,
+    };
+};
+
+/**
+ * @function mergeHistory
+ * @description Объединяет историю из запроса с журналом событий пользователя на сервере
+ * (см. lib/events.js). Одинаковые события, уже отправленные в журнал, учитываются один раз.
+ * @param {Array<object>} history - История из запроса.
+ * @param {Array<object>} events - События журнала пользователя.
+ * @returns {Array<{establishmentId: string, type: string, at: string}>} Не более MAX_HISTORY последних событий.
+ */
+const mergeHistory = (history, events) => {
+    const merged = new Map();
+    [...history, ...events].forEach(event => {
+        if (!Object.prototype.hasOwnProperty.call(HISTORY_WEIGHTS, event.type) || !event.establishmentId) return;
+        merged.set(`${event.type}:${event.establishmentId}:${event.at}`, {
+            establishmentId: event.establishmentId,
+            type: event.type,
+            at: event.at,
+        });
+    });
+    return [...merged.values()]
+        .sort((a, b) => Date.parse(a.at) - Date.parse(b.at))
+        .slice(-MAX_HISTORY);
+};
+
+/**
+ * @function getGroupId
+ * @description Возвращает ID группы категории (для группы — ее собственный ID).
+ * @param {string} categoryId - ID категории.
+ * @returns {string|null}
+ */
+const getGroupId = (categoryId) => {
+    const category = findCategory(categoryId);
+    if (!category) return null;
+    return category.parentId || category.id;
+};
+
+/**
+ * @function createAffinity
+ * @description Создает накопитель интереса к категориям: вклад засчитывается категории целиком
+ * и ее группе с половинным весом.
+ * @returns {{add: function(string, number): void, get: function(string): number}}
+ */
+const createAffinity = () => {
+    const byCategory = new Map();
+    const byGroup = new Map();
+    return {
+        add: (categoryId, weight) => {
+            byCategory.set(categoryId, (byCategory.get(categoryId) || 0) + weight);
+            const groupId = getGroupId(categoryId);
+            if (groupId) byGroup.set(groupId, (byGroup.get(groupId) || 0) + weight);
+        },
+        get: (categoryId) => {
+            const own = byCategory.get(categoryId) || 0;
+            const groupId = getGroupId(categoryId);
+            const group = groupId ? (byGroup.get(groupId) || 0) : 0;
+            return own + (group - own) / 2; // Остальные подкатегории группы — с половинным весом
+        },
+    };
+};
+
+/**
+ * @function recommend
+ * @description Оценивает заведения для пользователя и возвращает лучшие.
+ * Избранные заведения в рекомендации не попадают. При равной оценке порядок
+ * определяется ID заведения, поэтому результат детерминирован.
+ * @param {Array<object>} items - Заведения-кандидаты (уже отфильтрованные по видимости).
+ * @param {object} request - Результат sanitizeRecommendationRequest.
+ * @param {Date} [now=new Date()] - Текущий момент (для затухания истории).
+ * @returns {Array<{establishment: object, score: number, distance: number|null, reasons: Array<string>}>}
+ * reasons — коды причин: favoriteCategory, similarToFavorites, history, highRating, nearby.
+ */
+const recommend = (items, request, now = new Date()) => {
+    const byId = new Map(items.map(item => [item.id, item]));
+    const favoriteIds = new Set(request.favoriteEstablishments);
+
+    const favoriteAffinity = createAffinity();
+    request.favoriteEstablishments.forEach(id => {
+        const item = byId.get(id);
+        if (item) favoriteAffinity.add(item.category, FAVORITE_ESTABLISHMENT_AFFINITY);
+    });
+
+    const historyAffinity = createAffinity();
+    const seenIds = new Set();
+    request.history.forEach(event => {
+        const item = byId.get(event.establishmentId);
+        if (!item) return;
+        const ageDays = Math.max(0, now.getTime() - Date.parse(event.at)) / DAY_MS;
+        historyAffinity.add(item.category, HISTORY_WEIGHTS[event.type] * 0.5 ** (ageDays / HISTORY_HALF_LIFE_DAYS));
+        seenIds.add(item.id);
+    });
+
+    const results = items
+        .filter(item => !favoriteIds.has(item.id) && isValidCoordinates(item.coordinates))
+        .map(item => {
+            const reasons = [];
+            const inFavoriteCategory = request.favoriteCategories.some(id => categoryMatches(item.category, id));
+            const fromFavorites = favoriteAffinity.get(item.category);
+            const fromHistory = historyAffinity.get(item.category);
+            if (inFavoriteCategory) reasons.push('favoriteCategory');
+            if (fromFavorites > 0) reasons.push('similarToFavorites');
+            if (fromHistory > 0) reasons.push('history');
+
+            const affinity = (inFavoriteCategory ? FAVORITE_CATEGORY_AFFINITY : 0) + fromFavorites + fromHistory;
+            const categoryScore = 1 - Math.exp(-affinity / AFFINITY_SCALE);
+
+            const rating = Number(item.rating) || 0;
+            if (rating >= HIGH_RATING) reasons.push('highRating');
+            const ratingScore = Math.min(rating, 5) / 5;
+
+            let distance = null;
+            let proximityScore = 0;
+            if (request.location) {
+                distance = Math.round(haversineDistance(request.location, item.coordinates));
+                proximityScore = Math.exp(-distance / PROXIMITY_SCALE_METERS);
+                if (distance <= NEARBY_DISTANCE_METERS) reasons.push('nearby');
+            }
+
+            let score = SCORE_WEIGHTS.category * categoryScore
+                + SCORE_WEIGHTS.rating * ratingScore
+                + SCORE_WEIGHTS.proximity * proximityScore;
+            if (seenIds.has(item.id)) score *= SEEN_PENALTY;
+
+            // Округление убирает расхождения в последних знаках между сервером и клиентом
+            return { establishment: item, score: Math.round(score * 1e6) / 1e6, distance, reasons };
+        })
+        .filter(result => result.score > 0);
+
+    results.sort((a, b) => b.score - a.score
+        || (a.establishment.id < b.establishment.id ? -1 : a.establishment.id > b.establishment.id ? 1 : 0));
+    return results.slice(0, request.limit);
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    MAX_HISTORY,
+    sanitizeRecommendationRequest,
+    mergeHistory,
+    recommend,
+};
@@ -0,0 +1,135 @@
+/**
+ * reports.js
+ * Сообщения пользователей о проблемах с заведением ("Сообщить о проблеме" в карточке заведения):
+ * закрылось навсегда, неверное местоположение, неверные часы работы, неприемлемое содержание.
+ *
+ * Сообщения хранятся в коллекции `establishmentReports`, одна запись на заведение (ID записи — ID
+ * заведения). Каждый пользователь учитывается один раз: повторное сообщение заменяет его прежнее.
+ * Когда о проблеме сообщили REPORTS_AUTO_HIDE_THRESHOLD разных пользователей, заведение скрывается
+ * до проверки модератором (moderation.status = hidden, видно только владельцу) и вместе
+ * с сообщениями попадает в очередь модерации (см. moderation.js).
+ */
+const establishments = require('./establishments');
+
+// Коллекция хранилища
+const COLLECTION = 'establishmentReports';
+
+// Причины, о которых можно сообщить (подписи — в ModalSystem.REPORT_REASONS в app.js)
+const REASONS = ['closed', 'wrong_location', 'wrong_hours', 'inappropriate'];
+const MAX_COMMENT_LENGTH = 500;
+// Сколько разных пользователей должны сообщить о проблеме, чтобы заведение было скрыто
+const DEFAULT_AUTO_HIDE_THRESHOLD = 3;
+const AUTO_HIDE_REASON = 'Скрыто до проверки модератором по сообщениям пользователей';
+
+/**
+ * @function parseAutoHideThreshold
+ * @description Разбирает порог автоматического скрытия из переменной окружения.
+ * @param {string} [value] - Значение REPORTS_AUTO_HIDE_THRESHOLD.
+ * @returns {number} Положительное целое число (по умолчанию DEFAULT_AUTO_HIDE_THRESHOLD).
+ */
+const parseAutoHideThreshold = (value) => {
+    const threshold = Number(value);
+    return Number.isInteger(threshold) && threshold > 0 ? threshold : DEFAULT_AUTO_HIDE_THRESHOLD;
+};
+
+/**
+ * @function sanitizeReport
+ * @description Проверяет сообщение о проблеме из тела запроса.
+ * @param {object} input - Тело запроса { reason, comment }.
+ * @returns {{ value: {reason: string, comment: string}|null, error: string|null }}
+ */
+const sanitizeReport = (input) => {
+    const body = input && typeof input === 'object' ? input : {};
+    if (!REASONS.includes(body.reason)) {
+        return { value: null, error: 'Выберите причину сообщения.' };
+    }
+    const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+        return { value: null, error: `Комментарий не должен быть длиннее ${MAX_COMMENT_LENGTH} символов.` };
+    }
+    return { value: { reason: body.reason, comment }, error: null };
+};
+
+/**
+ * @function isAutoHidden
+ * @description Проверяет, скрыто ли заведение автоматически по сообщениям пользователей.
+ * @param {object} establishment - Заведение.
+ * @returns {boolean}
+ */
+const isAutoHidden = (establishment) => Boolean(establishment.moderation
+    && establishment.moderation.status === establishments.MODERATION_STATUS.HIDDEN);
+
+/**
+ * @function addReport
+ * @description Сохраняет сообщение пользователя о проблеме и скрывает заведение,
+ * если число сообщивших достигло порога. Заведение, уже снятое модератором, не меняется.
+ * @param {object} storage - Хранилище.
+ * @param {object} report
+ * @param {string} report.establishmentId - ID заведения.
+ * @param {string} report.userId - ID пользователя Telegram.
+ * @param {string} report.reason - Причина из REASONS.
+ * @param {string} report.comment - Комментарий пользователя.
+ * @param {number} threshold - Порог автоматического скрытия.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<{record: object, establishment: object|null}>} Запись сообщений и заведение
+ * после сохранения (null, если заведение удалено).
+ */
+const addReport = async (storage, { establishmentId, userId, reason, comment }, threshold, now = new Date()) => {
+    const append = (current) => ({
+        ...current,
+        reports: [
+            ...(current.reports || []).filter(existing => existing.userId !== userId),
+            { userId, reason, comment, createdAt: now.toISOString() },
+        ],
+        updatedAt: now.toISOString(),
+    });
+    const record = await storage.modifyOrCreate(COLLECTION, establishmentId, { establishmentId, createdAt: now.toISOString() }, append);
+
+    const hide = (current) => (current.moderation
+        ? current
+        : { ...current, moderation: { status: establishments.MODERATION_STATUS.HIDDEN, reason: AUTO_HIDE_REASON, at: now.toISOString() } });
+    const establishment = record.reports.length >= threshold
+        ? await storage.modify(establishments.COLLECTION, establishmentId, hide)
+        : await storage.get(establishments.COLLECTION, establishmentId);
+    return { record, establishment };
+};
+
+/**
+ * @function buildQueueEntries
+ * @description Собирает элементы очереди модерации по сообщениям о проблемах, от давних к новым.
+ * Сообщения об удаленных заведениях пропускаются.
+ * @param {Array<object>} items - Все заведения.
+ * @param {Array<object>} records - Все записи сообщений.
+ * @returns {Array<object>} Элементы { id, establishment, reasons, comments, reportCount, isHidden, updatedAt }:
+ * reasons — сколько раз сообщили о каждой причине, comments — непустые комментарии.
+ */
+const buildQueueEntries = (items, records) => {
+    const byId = new Map(items.map(item => [item.id, item]));
+    return records
+        .filter(record => byId.has(record.establishmentId) && (record.reports || []).length > 0)
+        .map(record => {
+            const establishment = byId.get(record.establishmentId);
+            return {
+                id: record.id,
+                establishment: { id: establishment.id, name: establishment.name },
+                reasons: REASONS
+                    .map(reason => ({ reason, count: record.reports.filter(report => report.reason === reason).length }))
+                    .filter(entry => entry.count > 0),
+                comments: record.reports.map(report => report.comment).filter(Boolean),
+                reportCount: record.reports.length,
+                isHidden: establishments.isHidden(establishment),
+                updatedAt: record.updatedAt,
+            };
+        })
+        .sort((a, b) => Date.parse(a.updatedAt) - Date.parse(b.updatedAt));
+};
+
+module.exports = {
+    COLLECTION,
+    REASONS,
+    parseAutoHideThreshold,
+    sanitizeReport,
+    isAutoHidden,
+    addReport,
+    buildQueueEntries,
+};
@@ -0,0 +1,127 @@
+/**
+ * reviews.js
+ * Отзывы и рейтинг заведений.
+ *
+ * Отзывы хранятся внутри записи заведения (поле `reviews`), а поля `rating` и `reviewCount`
+ * пересчитываются на сервере после каждого изменения. Каждый пользователь Telegram может оставить
+ * только один отзыв на заведение, владелец заведения — один публичный ответ на каждый отзыв.
+ *
+ * Формат отзыва:
+ * { id, userId, author, rating (1-5), text, createdAt, updatedAt, reply: { text, createdAt, updatedAt } | null }
+ * Отзывы из начальных данных не имеют id/userId и учитываются только в рейтинге.
+ */
+const { generateId } = require('./storage');
+
+// Ограничения на текст отзыва и ответа
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+
+/**
+ * @function sanitizeReview
+ * @description Проверяет оценку и текст отзыва из тела запроса.
+ * @param {object} input - Тело запроса.
+ * @returns {{ value: object|null, error: string|null }}
+ */
+const sanitizeReview = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { value: null, error: 'Данные отзыва не предоставлены.' };
+    }
+    const rating = Number(input.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return { value: null, error: 'Оценка должна быть целым числом от 1 до 5.' };
+    }
+    const text = typeof input.text === 'string' ? input.text.trim() : '';
+    if (text.length > MAX_REVIEW_LENGTH) {
+        return { value: null, error: `Отзыв не должен быть длиннее ${MAX_REVIEW_LENGTH} символов.` };
+    }
+    return { value: { rating, text }, error: null };
+};
+
+/**
+ * @function sanitizeReply
+ * @description Проверяет текст ответа владельца на отзыв.
+ * @param {object} input - Тело запроса.
+ * @returns {{ value: string|null, error: string|null }}
+ */
+const sanitizeReply = (input) => {
+    const text = input && typeof input.text === 'string' ? input.text.trim() : '';
+    if (!text) {
+        return { value: null, error: 'Текст ответа обязателен.' };
+    }
+    if (text.length > MAX_REPLY_LENGTH) {
+        return { value: null, error: `Ответ не должен быть длиннее ${MAX_REPLY_LENGTH} символов.` };
+    }
+    return { value: text, error: null };
+};
+
+/**
+ * @function getAuthorName
+ * @description Формирует публичное имя автора отзыва из данных Telegram ("Анна К.").
+ * @param {object} telegramUser - Проверенный пользователь Telegram.
+ * @returns {string}
+ */
+const getAuthorName = (telegramUser) => {
+    const firstName = telegramUser.first_name || telegramUser.username || 'Пользователь';
+    const lastInitial = telegramUser.last_name ? ` ${telegramUser.last_name[0]}.` : '';
+    return `${firstName}${lastInitial}`;
+};
+
+/**
+ * @function computeRating
+ * @description Считает средний рейтинг (с точностью до десятых) и количество отзывов.
+ * @param {Array<object>} reviews - Отзывы заведения.
+ * @returns {{ rating: number, reviewCount: number }}
+ */
+const computeRating = (reviews) => {
+    const rated = (reviews || []).filter(review => Number.isFinite(review.rating));
+    if (rated.length === 0) {
+        return { rating: 0, reviewCount: 0 };
+    }
+    const sum = rated.reduce((total, review) => total + review.rating, 0);
+    return { rating: Math.round((sum / rated.length) * 10) / 10, reviewCount: rated.length };
+};
+
+/**
+ * @function withReviews
+ * @description Возвращает копию заведения с новым списком отзывов и пересчитанным рейтингом.
+ * @param {object} establishment - Заведение.
+ * @param {Array<object>} reviews - Новый список отзывов.
+ * @returns {object}
+ */
+const withReviews = (establishment, reviews) => ({
+    ...establishment,
+    reviews,
+    ...computeRating(reviews),
+});
+
+/**
+ * @function createReview
+ * @description Создает запись отзыва пользователя.
+ * @param {object} telegramUser - Автор отзыва.
+ * @param {{rating: number, text: string}} value - Проверенные данные отзыва.
+ * @returns {object} Новый отзыв.
+ */
+const createReview = (telegramUser, value) => {
+    const now = new Date().toISOString();
+    return {
+        id: generateId('rev'),
+        userId: String(telegramUser.id),
+        author: getAuthorName(telegramUser),
+        rating: value.rating,
+        text: value.text,
+        createdAt: now,
+        updatedAt: now,
+        reply: null,
+    };
+};
+
+module.exports = {
+    MAX_REVIEW_LENGTH,
+    MAX_REPLY_LENGTH,
+    sanitizeReview,
+    sanitizeReply,
+    getAuthorName,
+    computeRating,
+    withReviews,
+    createReview,
+};
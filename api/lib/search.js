@@ -0,0 +1,356 @@
+/**
+ * search.js
+ * Полнотекстовый поиск заведений: по названию, описанию, названиям категорий, контактам и адресу.
+ *
+ * - Текст приводится к нижнему регистру, "ё" заменяется на "е", знаки препинания отбрасываются.
+ * - Русские слова приводятся к основе стеммером Портера (Snowball) для русского языка,
+ *   поэтому "кофейня", "кофейни" и "кофейню" находятся одинаково.
+ * - Последнее слово запроса может быть недописанным (поиск по началу слова — для автодополнения).
+ * - Слова с опечатками находятся по расстоянию Дамерау–Левенштейна (1–2 правки в зависимости от длины).
+ * - Если по запросу ничего не найдено, он повторяется в другой раскладке клавиатуры
+ *   ("ghbdtn" -> "привет", "rjatqyz" -> "кофейня").
+ */
+
+// Вес полей заведения при ранжировании
+const FIELD_WEIGHTS = {
+    name: 3,
+    category: 2,
+    description: 1,
+    contact: 1,
+    address: 1,
+};
+
+// Множители за качество совпадения слова запроса со словом индекса
+const MATCH_EXACT = 1;
+const MATCH_PREFIX = 0.7;
+const MATCH_FUZZY = 0.5;
+// Бонус, если запрос целиком встречается в названии заведения
+const NAME_PHRASE_BONUS = 2;
+
+const MAX_QUERY_TOKENS = 8;
+
+// ----- Нормализация текста -----
+
+/**
+ * @function normalizeText
+ * @description Приводит текст к нижнему регистру, заменяет "ё" на "е" и убирает знаки препинания.
+ * @param {string} text - Исходный текст.
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[^a-zа-я0-9]+/g, ' ')
+    .trim();
+
+/**
+ * @function tokenize
+ * @description Разбивает текст на нормализованные слова.
+ * @param {string} text - Исходный текст.
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+// ----- Раскладка клавиатуры -----
+
+// Клавиши [ ] ; ' , . ` дают буквы х ъ ж э б ю ё, поэтому раскладку переводят до удаления знаков препинания
+const LATIN_KEYS = 'qwertyuiop[]asdfghjkl;\'zxcvbnm,.`';
+const CYRILLIC_KEYS = 'йцукенгшщзхъфывапролджэячсмитьбюё';
+// Те же клавиши с Shift (после toLowerCase буквы уже строчные, а знаки остаются прежними)
+const LATIN_SHIFT_KEYS = '{}:"<>~';
+const CYRILLIC_SHIFT_KEYS = 'хъжэбюё';
+const LATIN_TO_CYRILLIC = new Map([
+    ...[...LATIN_KEYS].map((key, i) => [key, CYRILLIC_KEYS[i]]),
+    ...[...LATIN_SHIFT_KEYS].map((key, i) => [key, CYRILLIC_SHIFT_KEYS[i]]),
+]);
+const CYRILLIC_TO_LATIN = new Map([...CYRILLIC_KEYS].map((key, i) => [key, LATIN_KEYS[i]]));
+
+/**
+ * @function swapKeyboardLayout
+ * @description Переводит текст, набранный в неправильной раскладке: латиница — в кириллицу
+ * по раскладке ЙЦУКЕН, кириллица — в латиницу по QWERTY.
+ * @param {string} text - Исходный текст в нижнем регистре, со знаками препинания.
+ * @returns {string}
+ */
+const swapKeyboardLayout = (text) => {
+    const toCyrillic = /[a-z]/.test(text);
+    const map = toCyrillic ? LATIN_TO_CYRILLIC : CYRILLIC_TO_LATIN;
+    return [...text].map(char => map.get(char) || char).join('');
+};
+
+// ----- Стеммер Портера для русского языка (Snowball) -----
+
+const VOWELS = 'аеиоуыэюя';
+const PERFECTIVE_GERUND_1 = ['в', 'вши', 'вшись']; // После "а" или "я"
+const PERFECTIVE_GERUND_2 = ['ив', 'ивши', 'ившись', 'ыв', 'ывши', 'ывшись'];
+const ADJECTIVE = ['ее', 'ие', 'ые', 'ое', 'ими', 'ыми', 'ей', 'ий', 'ый', 'ой', 'ем', 'им', 'ым', 'ом',
+    'его', 'ого', 'ему', 'ому', 'их', 'ых', 'ую', 'юю', 'ая', 'яя', 'ою', 'ею'];
+const PARTICIPLE_1 = ['ем', 'нн', 'вш', 'ющ', 'щ']; // После "а" или "я"
+const PARTICIPLE_2 = ['ивш', 'ывш', 'ующ'];
+const REFLEXIVE = ['ся', 'сь'];
+const VERB_1 = ['ла', 'на', 'ете', 'йте', 'ли', 'й', 'л', 'ем', 'н', 'ло', 'но', 'ет', 'ют', 'ны', 'ть', 'ешь', 'нно']; // После "а" или "я"
+const VERB_2 = ['ила', 'ыла', 'ена', 'ейте', 'уйте', 'ите', 'или', 'ыли', 'ей', 'уй', 'ил', 'ыл', 'им', 'ым', 'ен',
+    'ило', 'ыло', 'ено', 'ят', 'ует', 'уют', 'ит', 'ыт', 'ены', 'ить', 'ыть', 'ишь', 'ую', 'ю'];
+const NOUN = ['а', 'ев', 'ов', 'ие', 'ье', 'е', 'иями', 'ями', 'ами', 'еи', 'ии', 'и', 'ией', 'ей', 'ой', 'ий', 'й',
+    'иям', 'ям', 'ием', 'ем', 'ам', 'ом', 'о', 'у', 'ах', 'иях', 'ях', 'ы', 'ь', 'ию', 'ью', 'ю', 'ия', 'ья', 'я'];
+const SUPERLATIVE = ['ейш', 'ейше'];
+const DERIVATIONAL = ['ост', 'ость'];
+
+/**
+ * @function removeEnding
+ * @description Удаляет самое длинное из окончаний, которым заканчивается слово.
+ * @param {string} word - Часть слова (RV).
+ * @param {Array<string>} endings - Окончания группы, которым должна предшествовать "а" или "я".
+ * @param {Array<string>} [otherEndings=[]] - Окончания без дополнительного условия.
+ * @returns {string|null} Слово без окончания или null, если окончание не найдено.
+ */
+const removeEnding = (word, endings, otherEndings = []) => {
+    let best = null;
+    endings.forEach(ending => {
+        if (word.endsWith(ending) && (!best || ending.length > best.ending.length)) best = { ending, guarded: true };
+    });
+    otherEndings.forEach(ending => {
+        if (word.endsWith(ending) && (!best || ending.length > best.ending.length)) best = { ending, guarded: false };
+    });
+    if (!best) return null;
+    const stem = word.slice(0, word.length - best.ending.length);
+    if (best.guarded && !/[ая]$/.test(stem)) return null;
+    return stem;
+};
+
+/**
+ * @function findRegionStart
+ * @description Возвращает начало области R1 (после первой согласной, следующей за гласной).
+ * @param {string} word - Слово.
+ * @param {number} [from=0] - С какой позиции искать.
+ * @returns {number}
+ */
+const findRegionStart = (word, from = 0) => {
+    for (let i = from + 1; i < word.length; i++) {
+        if (!VOWELS.includes(word[i]) && VOWELS.includes(word[i - 1])) return i + 1;
+    }
+    return word.length;
+};
+
+/**
+ * @function stemRussian
+ * @description Приводит русское слово к основе (алгоритм Snowball). Слова без кириллицы не изменяются.
+ * @param {string} word - Нормализованное слово.
+ * @returns {string}
+ */
+const stemRussian = (word) => {
+    if (!/^[а-я]+$/.test(word)) return word;
+    const firstVowel = [...word].findIndex(char => VOWELS.includes(char));
+    if (firstVowel === -1) return word;
+
+    const prefix = word.slice(0, firstVowel + 1);
+    let rv = word.slice(firstVowel + 1); // Окончания ищутся только в области RV
+    const r2Start = findRegionStart(word, findRegionStart(word) - 1);
+
+    // Шаг 1: деепричастие, иначе возвратная частица и окончание прилагательного, глагола или существительного
+    const withoutGerund = removeEnding(rv, PERFECTIVE_GERUND_1, PERFECTIVE_GERUND_2);
+    if (withoutGerund !== null) {
+        rv = withoutGerund;
+    } else {
+        rv = removeEnding(rv, [], REFLEXIVE) ?? rv;
+        const withoutAdjective = removeEnding(rv, [], ADJECTIVE);
+        if (withoutAdjective !== null) {
+            rv = removeEnding(withoutAdjective, PARTICIPLE_1, PARTICIPLE_2) ?? withoutAdjective;
+        } else {
+            rv = removeEnding(rv, VERB_1, VERB_2) ?? removeEnding(rv, [], NOUN) ?? rv;
+        }
+    }
+
+    // Шаг 2: конечное "и"
+    if (rv.endsWith('и')) rv = rv.slice(0, -1);
+
+    // Шаг 3: словообразовательное окончание в области R2
+    const r2 = (prefix + rv).slice(r2Start);
+    const withoutDerivational = removeEnding(r2, [], DERIVATIONAL);
+    if (withoutDerivational !== null) {
+        rv = rv.slice(0, rv.length - (r2.length - withoutDerivational.length));
+    }
+
+    // Шаг 4: превосходная степень, двойное "н", мягкий знак
+    rv = removeEnding(rv, [], SUPERLATIVE) ?? rv;
+    if (rv.endsWith('нн')) {
+        rv = rv.slice(0, -1);
+    } else if (rv.endsWith('ь')) {
+        rv = rv.slice(0, -1);
+    }
+
+    return prefix + rv;
+};
+
+// ----- Сравнение слов -----
+
+/**
+ * @function editDistance
+ * @description Расстояние Дамерау–Левенштейна (вставка, удаление, замена, перестановка соседних букв).
+ * Вычисление прекращается, как только расстояние превышает maxDistance.
+ * @param {string} a - Первое слово.
+ * @param {string} b - Второе слово.
+ * @param {number} maxDistance - Максимальное интересующее расстояние.
+ * @returns {number} Расстояние или maxDistance + 1, если оно больше допустимого.
+ */
+const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * @function getMaxTypos
+ * @description Допустимое количество опечаток в слове в зависимости от его длины.
+ * @param {string} word - Слово запроса.
+ * @returns {number}
+ */
+const getMaxTypos = (word) => {
+    if (word.length < 4) return 0;
+    return word.length <= 6 ? 1 : 2;
+};
+
+// ----- Индекс -----
+
+/**
+ * @function createSearchIndex
+ * @description Строит поисковый индекс по списку заведений.
+ * @param {Array<object>} items - Заведения.
+ * @param {object} [options]
+ * @param {function(string): string} [options.getCategoryText] - Возвращает названия категории
+ * (и ее группы) по ID категории для индексации.
+ * @returns {{ search: function }}
+ */
+const createSearchIndex = (items, { getCategoryText = () => '' } = {}) => {
+    const terms = new Map(); // Основа слова -> Map(ID заведения -> вес поля)
+    const documents = new Map(); // ID -> { item, name: нормализованное название }
+
+    items.forEach(item => {
+        documents.set(item.id, { item, name: normalizeText(item.name) });
+        const fields = {
+            name: item.name,
+            category: getCategoryText(item.category),
+            description: item.description,
+            contact: item.contact,
+            address: item.address,
+        };
+        Object.entries(fields).forEach(([field, text]) => {
+            tokenize(text).forEach(token => {
+                const term = stemRussian(token);
+                if (!terms.has(term)) terms.set(term, new Map());
+                const postings = terms.get(term);
+                postings.set(item.id, Math.max(postings.get(item.id) || 0, FIELD_WEIGHTS[field]));
+            });
+        });
+    });
+
+    /**
+     * Находит заведения, в которых встречается слово запроса (точно, по началу или с опечаткой).
+     * @param {string} token - Слово запроса.
+     * @param {boolean} allowPrefix - Можно ли искать по началу слова (недописанное последнее слово).
+     * @returns {Map<string, number>} ID заведения -> лучший вес совпадения.
+     */
+    const matchToken = (token, allowPrefix) => {
+        const stem = stemRussian(token);
+        const maxTypos = getMaxTypos(stem);
+        const scores = new Map();
+        const addPostings = (postings, quality) => {
+            postings.forEach((weight, id) => {
+                scores.set(id, Math.max(scores.get(id) || 0, weight * quality));
+            });
+        };
+
+        terms.forEach((postings, term) => {
+            if (term === stem) {
+                addPostings(postings, MATCH_EXACT);
+            } else if (allowPrefix && token.length >= 2 && term.startsWith(stem.length >= 2 ? stem : token)) {
+                addPostings(postings, MATCH_PREFIX);
+            } else if (maxTypos > 0) {
+                const distance = editDistance(stem, term, maxTypos);
+                if (distance <= maxTypos) addPostings(postings, MATCH_FUZZY / distance);
+            }
+        });
+        return scores;
+    };
+
+    /**
+     * Выполняет поиск по словам запроса: заведение должно содержать каждое слово.
+     * @param {Array<string>} tokens - Слова запроса.
+     * @param {function(object): boolean} filter - Дополнительная проверка заведения.
+     * @returns {Array<{item: object, score: number}>} Результаты, отсортированные по убыванию релевантности.
+     */
+    const run = (tokens, filter) => {
+        let scores = null;
+        tokens.forEach((token, i) => {
+            const tokenScores = matchToken(token, i === tokens.length - 1);
+            if (scores === null) {
+                scores = tokenScores;
+                return;
+            }
+            const combined = new Map();
+            scores.forEach((score, id) => {
+                if (tokenScores.has(id)) combined.set(id, score + tokenScores.get(id));
+            });
+            scores = combined;
+        });
+
+        const phrase = tokens.join(' ');
+        const results = [];
+        (scores || new Map()).forEach((score, id) => {
+            const { item, name } = documents.get(id);
+            if (!filter(item)) return;
+            const bonus = name.includes(phrase) ? NAME_PHRASE_BONUS : 0;
+            results.push({ item, score: Math.round((score + bonus) * 100) / 100 });
+        });
+        return results.sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name, 'ru'));
+    };
+
+    /**
+     * Ищет заведения по запросу. Если ничего не найдено, повторяет поиск в другой раскладке.
+     * @param {string} query - Поисковый запрос.
+     * @param {object} [options]
+     * @param {function(object): boolean} [options.filter] - Дополнительная проверка заведения (видимость, фильтры).
+     * @returns {{ results: Array<{item: object, score: number}>, correctedQuery: string|null }}
+     * correctedQuery — запрос в другой раскладке, если результаты найдены по нему.
+     */
+    const search = (query, { filter = () => true } = {}) => {
+        const tokens = tokenize(query).slice(0, MAX_QUERY_TOKENS);
+        if (tokens.length === 0) return { results: [], correctedQuery: null };
+
+        const results = run(tokens, filter);
+        if (results.length > 0) return { results, correctedQuery: null };
+
+        const swapped = tokenize(swapKeyboardLayout(String(query).toLowerCase())).slice(0, MAX_QUERY_TOKENS);
+        const swappedResults = run(swapped, filter);
+        return swappedResults.length > 0
+            ? { results: swappedResults, correctedQuery: swapped.join(' ') }
+            : { results: [], correctedQuery: null };
+    };
+
+    return { search };
+};
+
+module.exports = {
+    normalizeText,
+    tokenize,
+    swapKeyboardLayout,
+    stemRussian,
+    editDistance,
+    createSearchIndex,
+};
@@ -0,0 +1,94 @@
+/**
+ * spatialIndex.js
+ * Пространственный индекс точек на равномерной сетке по широте и долготе.
+ * Позволяет выбрать заведения в прямоугольной области карты (bbox), не перебирая все записи:
+ * просматриваются только ячейки сетки, пересекающиеся с областью.
+ */
+
+// Размер ячейки сетки по умолчанию в градусах (~5 км по широте)
+const DEFAULT_CELL_SIZE = 0.05;
+
+/**
+ * @function createSpatialIndex
+ * @description Создает пустой пространственный индекс.
+ * @param {object} [options]
+ * @param {number} [options.cellSize=0.05] - Размер ячейки сетки в градусах.
+ * @returns {{ insert: function, query: function, size: function }}
+ */
+const createSpatialIndex = ({ cellSize = DEFAULT_CELL_SIZE } = {}) => {
+    const cells = new Map(); // "x:y" -> { x, y, entries: Array<{ lat, lon, value }> }
+    let size = 0;
+
+    const toCell = (degrees) => Math.floor(degrees / cellSize);
+
+    /**
+     * Добавляет точку в индекс.
+     * @param {Array<number>} coordinates - [широта, долгота].
+     * @param {*} value - Значение, которое вернет query (например, заведение).
+     */
+    const insert = ([lat, lon], value) => {
+        const x = toCell(lon);
+        const y = toCell(lat);
+        const key = `${x}:${y}`;
+        if (!cells.has(key)) {
+            cells.set(key, { x, y, entries: [] });
+        }
+        cells.get(key).entries.push({ lat, lon, value });
+        size += 1;
+    };
+
+    /**
+     * Возвращает значения точек, попадающих в область (границы включительно).
+     * Если minLon > maxLon, область пересекает 180-й меридиан.
+     * @param {{ minLat: number, minLon: number, maxLat: number, maxLon: number }} bbox
+     * @returns {Array<*>}
+     */
+    const query = ({ minLat, minLon, maxLat, maxLon }) => {
+        if (minLon > maxLon) {
+            return [
+                ...query({ minLat, minLon, maxLat, maxLon: 180 }),
+                ...query({ minLat, minLon: -180, maxLat, maxLon }),
+            ];
+        }
+
+        const x1 = toCell(minLon);
+        const x2 = toCell(maxLon);
+        const y1 = toCell(minLat);
+        const y2 = toCell(maxLat);
+        const result = [];
+        const collect = (cell) => {
+            cell.entries.forEach(entry => {
+                if (entry.lat >= minLat && entry.lat <= maxLat && entry.lon >= minLon && entry.lon <= maxLon) {
+                    result.push(entry.value);
+                }
+            });
+        };
+
+        // Для большой области (например, вся страна) дешевле перебрать занятые ячейки,
+        // чем все ячейки сетки внутри области
+        if ((x2 - x1 + 1) * (y2 - y1 + 1) > cells.size) {
+            cells.forEach(cell => {
+                if (cell.x >= x1 && cell.x <= x2 && cell.y >= y1 && cell.y <= y2) collect(cell);
+            });
+        } else {
+            for (let x = x1; x <= x2; x++) {
+                for (let y = y1; y <= y2; y++) {
+                    const cell = cells.get(`${x}:${y}`);
+                    if (cell) collect(cell);
+                }
+            }
+        }
+        return result;
+    };
+
+    return {
+        insert,
+        query,
+        size: () => size,
+    };
+};
+
+module.exports = {
+    DEFAULT_CELL_SIZE,
+    createSpatialIndex,
+};
@@ -0,0 +1,214 @@
+/**
+ * stats.js
+ * Статистика заведений для владельцев: просмотры карточки, построенные маршруты,
+ * добавления в избранное и показы в результатах поиска.
+ *
+ * Счетчики собираются из журнала действий пользователей (POST /api/events, см. events.js)
+ * и хранятся по дням в коллекции `establishmentStats`, одна запись на заведение.
+ * День определяется в часовом поясе заведения (из часов работы, по умолчанию Europe/Moscow).
+ * Каждый пользователь учитывается в показателе не больше одного раза в день: для этого
+ * за последние дни хранятся хэши пользователей (хэш включает дату, поэтому посещения
+ * одного пользователя в разные дни не связать). В отличие от журнала пользователя,
+ * счетчики не содержат персональных данных.
+ */
+const crypto = require('crypto');
+const { DAY_KEYS, DEFAULT_TIMEZONE, getLocalDate, addDays } = require('./openingHours');
+
+// Коллекция хранилища со статистикой заведений
+const COLLECTION = 'establishmentStats';
+
+// Показатели статистики
+const METRICS = ['views', 'routes', 'favorites', 'impressions'];
+// Какой показатель увеличивает событие журнала (поиск увеличивает impressions для показанных заведений)
+const EVENT_METRICS = {
+    view: 'views',
+    route: 'routes',
+    favorite: 'favorites',
+};
+
+// Периоды отчета: шаг графика и количество шагов
+const PERIODS = {
+    day: { buckets: 30 },
+    week: { buckets: 12 },
+    month: { buckets: 12 },
+};
+
+// Счетчики хранятся чуть дольше года, чтобы хватало на помесячный график
+const RETENTION_DAYS = 400;
+// Время события задает клиент, поэтому в счетчики попадают только события не старше суток:
+// давние события (например, накопленные без сети) остаются только в журнале пользователя
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+// Сколько дней хранить хэши учтенных пользователей: сутки событий и день с запасом
+// на разницу часовых поясов
+const VISITORS_RETENTION_DAYS = 2;
+
+/**
+ * @function getTimezone
+ * @description Возвращает часовой пояс заведения.
+ * @param {object} establishment - Заведение.
+ * @returns {string}
+ */
+const getTimezone = (establishment) => (establishment.openingHours && establishment.openingHours.timezone) || DEFAULT_TIMEZONE;
+
+/**
+ * @function countEvents
+ * @description Собирает показатели, которые события журнала увеличивают, по заведениям и дням.
+ * Повторные события одного дня учитываются один раз. События владельца заведения
+ * и события по неизвестным заведениям не учитываются.
+ * @param {Array<object>} events - Проверенные события (см. events.sanitizeEventBatch).
+ * @param {Map<string, object>} establishmentsById - Заведения по ID.
+ * @param {string} userId - ID пользователя Telegram, отправившего события.
+ * @returns {Map<string, object>} ID заведения -> { [ГГГГ-ММ-ДД]: Set<показатель> }.
+ */
+const countEvents = (events, establishmentsById, userId) => {
+    const counts = new Map();
+    const increment = (establishmentId, metric, at) => {
+        const establishment = establishmentsById.get(establishmentId);
+        if (!establishment || establishment.ownerId === userId) return;
+        const { date } = getLocalDate(new Date(at), getTimezone(establishment));
+        if (!counts.has(establishmentId)) counts.set(establishmentId, {});
+        const days = counts.get(establishmentId);
+        days[date] = days[date] || new Set();
+        days[date].add(metric);
+    };
+
+    events.forEach(event => {
+        if (EVENT_METRICS[event.type]) {
+            increment(event.establishmentId, EVENT_METRICS[event.type], event.at);
+        } else if (event.type === 'search') {
+            new Set(event.establishmentIds || []).forEach(id => increment(id, 'impressions', event.at));
+        }
+    });
+    return counts;
+};
+
+/**
+ * @function getVisitorKey
+ * @description Возвращает хэш пользователя для проверки повторных событий за день.
+ * @param {string} userId - ID пользователя Telegram.
+ * @param {string} establishmentId - ID заведения.
+ * @param {string} date - Дата ГГГГ-ММ-ДД.
+ * @returns {string}
+ */
+const getVisitorKey = (userId, establishmentId, date) => crypto.createHash('sha256')
+    .update(`${establishmentId}:${date}:${userId}`)
+    .digest('hex')
+    .slice(0, 32);
+
+/**
+ * @function mergeDays
+ * @description Прибавляет показатели пользователя к сохраненным счетчикам, если пользователь
+ * еще не учтен в показателе за этот день, и удаляет дни старше срока хранения.
+ * @param {object} record - Запись статистики { days, visitors }.
+ * @param {object} added - Показатели пользователя по дням (см. countEvents).
+ * @param {function(string): string} visitorKey - Хэш пользователя для даты.
+ * @param {string} today - Текущая дата ГГГГ-ММ-ДД.
+ * @returns {{ days: object, visitors: object }} visitors: { [ГГГГ-ММ-ДД]: { [показатель]: [хэш] } }.
+ */
+const mergeDays = (record, added, visitorKey, today) => {
+    const oldest = addDays(today, -RETENTION_DAYS).date;
+    const oldestVisitors = addDays(today, -VISITORS_RETENTION_DAYS).date;
+    const days = {};
+    Object.entries(record.days || {}).forEach(([date, values]) => {
+        if (date >= oldest) days[date] = { ...values };
+    });
+    const visitors = {};
+    Object.entries(record.visitors || {}).forEach(([date, metrics]) => {
+        if (date >= oldestVisitors) visitors[date] = { ...metrics };
+    });
+
+    Object.entries(added).forEach(([date, metrics]) => {
+        if (date < oldestVisitors) return;
+        const key = visitorKey(date);
+        visitors[date] = visitors[date] || {};
+        metrics.forEach(metric => {
+            const seen = visitors[date][metric] || [];
+            if (seen.includes(key)) return;
+            visitors[date][metric] = [...seen, key];
+            days[date] = days[date] || {};
+            days[date][metric] = (days[date][metric] || 0) + 1;
+        });
+    });
+    return { days, visitors };
+};
+
+/**
+ * @function recordEvents
+ * @description Добавляет события журнала в статистику заведений. События старше MAX_EVENT_AGE_MS не учитываются.
+ * @param {object} storage - Хранилище.
+ * @param {Array<object>} events - Проверенные события.
+ * @param {Array<object>} establishments - Все заведения.
+ * @param {string} userId - ID пользователя Telegram, отправившего события.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {Promise<void>}
+ */
+const recordEvents = async (storage, events, establishments, userId, now = new Date()) => {
+    const establishmentsById = new Map(establishments.map(item => [item.id, item]));
+    const recent = events.filter(event => Date.parse(event.at) >= now.getTime() - MAX_EVENT_AGE_MS);
+    const counts = countEvents(recent, establishmentsById, userId);
+    for (const [establishmentId, days] of counts) {
+        const today = getLocalDate(now, getTimezone(establishmentsById.get(establishmentId))).date;
+        const visitorKey = (date) => getVisitorKey(userId, establishmentId, date);
+        const append = (current) => ({ ...current, ...mergeDays(current, days, visitorKey, today) });
+        await storage.modifyOrCreate(COLLECTION, establishmentId, {}, append);
+    }
+};
+
+/**
+ * @function getBucketStart
+ * @description Возвращает первый день шага графика, в который попадает дата:
+ * саму дату, понедельник ее недели или первое число ее месяца.
+ * @param {string} date - Дата ГГГГ-ММ-ДД.
+ * @param {string} period - 'day', 'week' или 'month'.
+ * @returns {string}
+ */
+const getBucketStart = (date, period) => {
+    if (period === 'month') return `${date.slice(0, 7)}-01`;
+    if (period === 'week') {
+        const daysSinceMonday = (DAY_KEYS.indexOf(addDays(date, 0).dayKey) + 6) % 7;
+        return addDays(date, -daysSinceMonday).date;
+    }
+    return date;
+};
+
+/**
+ * @function buildReport
+ * @description Строит отчет для графика: счетчики по дням, неделям или месяцам
+ * за последние PERIODS[period].buckets шагов, включая текущий.
+ * @param {object|null} record - Запись статистики заведения.
+ * @param {object} establishment - Заведение (для часового пояса).
+ * @param {string} period - 'day', 'week' или 'month'.
+ * @param {Date} [now=new Date()] - Текущий момент.
+ * @returns {{ period: string, buckets: Array<object>, totals: object }}
+ * Элемент buckets: { start: 'ГГГГ-ММ-ДД', views, routes, favorites, impressions }.
+ */
+const buildReport = (record, establishment, period, now = new Date()) => {
+    const empty = () => Object.fromEntries(METRICS.map(metric => [metric, 0]));
+    const today = getLocalDate(now, getTimezone(establishment)).date;
+
+    const starts = [getBucketStart(today, period)];
+    while (starts.length < PERIODS[period].buckets) {
+        const previousDay = addDays(starts[0], -1).date;
+        starts.unshift(getBucketStart(previousDay, period));
+    }
+    const buckets = new Map(starts.map(start => [start, { start, ...empty() }]));
+
+    const totals = empty();
+    Object.entries((record && record.days) || {}).forEach(([date, values]) => {
+        const bucket = buckets.get(getBucketStart(date, period));
+        if (!bucket || date > today) return;
+        METRICS.forEach(metric => {
+            bucket[metric] += values[metric] || 0;
+            totals[metric] += values[metric] || 0;
+        });
+    });
+    return { period, buckets: [...buckets.values()], totals };
+};
+
+module.exports = {
+    COLLECTION,
+    METRICS,
+    PERIODS,
+    recordEvents,
+    buildReport,
+};
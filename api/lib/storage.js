@@ -0,0 +1,281 @@
+/**
+ * storage.js
+ * Слой хранения данных для серверной части MapCost.
+ *
+ * Хранилище оперирует "коллекциями" (establishments, users и т.д.), в каждой из которых
+ * лежат записи с уникальным полем `id`. Все методы асинхронные, чтобы драйвер можно было
+ * заменить на настоящую БД без изменения маршрутов API.
+ *
+ * Доступные драйверы:
+ * - memory: данные живут только в памяти процесса (удобно для локальных экспериментов).
+ * - json:   данные хранятся в JSON-файле на диске (драйвер по умолчанию).
+ *
+ * Драйвер выбирается переменной окружения STORAGE_DRIVER, путь к каталогу данных — DATA_DIR.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * @function generateId
+ * @description Генерирует уникальный идентификатор записи с заданным префиксом.
+ * @param {string} prefix - Префикс идентификатора (например, 'est').
+ * @returns {string} Новый идентификатор.
+ */
+const generateId = (prefix = '') => `${prefix}${crypto.randomBytes(6).toString('hex')}`;
+
+// Записи отдаются наружу копиями, чтобы вызывающий код не мог изменить хранилище в обход API.
+const clone = (value) => structuredClone(value);
+
+/**
+ * @function createCollectionsApi
+ * @description Строит общий интерфейс хранилища поверх функций чтения и сохранения
+ * объекта с коллекциями. Используется всеми драйверами.
+ * @param {function(): Promise<object>} read - Возвращает объект вида { [collection]: Array<object> }.
+ * @param {function(object): Promise<void>} persist - Сохраняет объект с коллекциями.
+ * @returns {object} Интерфейс хранилища.
+ */
+const createCollectionsApi = (read, persist) => {
+    // Очередь записи: изменения применяются строго последовательно,
+    // чтобы параллельные запросы не затирали друг друга.
+    let writeQueue = Promise.resolve();
+    // Счетчики изменений по коллекциям: по ним построенные поверх хранилища индексы понимают, что устарели
+    const versions = new Map();
+
+    const mutate = (collection, mutator) => {
+        const task = writeQueue.then(async () => {
+            const data = await read();
+            const result = mutator(data);
+            versions.set(collection, (versions.get(collection) || 0) + 1);
+            await persist(data);
+            return result;
+        });
+        writeQueue = task.catch(() => {}); // Ошибка одной записи не должна блокировать следующие
+        return task;
+    };
+
+    const getCollection = (data, collection) => {
+        if (!Array.isArray(data[collection])) {
+            data[collection] = [];
+        }
+        return data[collection];
+    };
+
+    return {
+        /**
+         * Возвращает номер версии коллекции: он увеличивается при каждом ее изменении.
+         * @param {string} collection
+         * @returns {number}
+         */
+        getVersion: (collection) => versions.get(collection) || 0,
+
+        /**
+         * Возвращает все записи коллекции.
+         * @param {string} collection
+         * @returns {Promise<Array<object>>}
+         */
+        list: async (collection) => {
+            const data = await read();
+            return (data[collection] || []).map(clone);
+        },
+
+        /**
+         * Возвращает запись по ID или null.
+         * @param {string} collection
+         * @param {string} id
+         * @returns {Promise<object|null>}
+         */
+        get: async (collection, id) => {
+            const data = await read();
+            const item = (data[collection] || []).find(record => record.id === id);
+            return item ? clone(item) : null;
+        },
+
+        /**
+         * Добавляет запись. Если у записи нет `id`, он будет сгенерирован.
+         * @param {string} collection
+         * @param {object} record
+         * @param {string} [idPrefix] - Префикс для генерируемого ID.
+         * @returns {Promise<object>} Сохраненная запись.
+         */
+        insert: (collection, record, idPrefix = '') => mutate(collection, (data) => {
+            const items = getCollection(data, collection);
+            const item = { ...clone(record), id: record.id || generateId(idPrefix) };
+            items.push(item);
+            return clone(item);
+        }),
+
+        /**
+         * Частично обновляет запись по ID.
+         * @param {string} collection
+         * @param {string} id
+         * @param {object} patch - Поля для обновления.
+         * @returns {Promise<object|null>} Обновленная запись или null, если запись не найдена.
+         */
+        update: (collection, id, patch) => mutate(collection, (data) => {
+            const items = getCollection(data, collection);
+            const index = items.findIndex(record => record.id === id);
+            if (index === -1) return null;
+            items[index] = { ...items[index], ...clone(patch), id };
+            return clone(items[index]);
+        }),
+
+        /**
+         * Атомарно изменяет запись: функция `updater` получает копию текущей записи
+         * и возвращает новую версию. Между чтением и записью никакие другие изменения
+         * не выполняются, поэтому так можно безопасно менять вложенные списки (например, отзывы).
+         * Если `updater` бросает исключение, запись не меняется, а исключение пробрасывается.
+         * @param {string} collection
+         * @param {string} id
+         * @param {function(object): object} updater - Возвращает обновленную запись.
+         * @returns {Promise<object|null>} Обновленная запись или null, если запись не найдена.
+         */
+        modify: (collection, id, updater) => mutate(collection, (data) => {
+            const items = getCollection(data, collection);
+            const index = items.findIndex(record => record.id === id);
+            if (index === -1) return null;
+            const updated = updater(clone(items[index]));
+            items[index] = { ...clone(updated), id };
+            return clone(items[index]);
+        }),
+
+        /**
+         * Атомарно изменяет запись, как modify, а если записи еще нет — создает ее:
+         * `updater` получает начальную запись `initial`. Чтение, создание и запись выполняются
+         * одним изменением, поэтому параллельные запросы не затирают друг друга
+         * (например, при первой записи в журнал событий или в список жалоб).
+         * @param {string} collection
+         * @param {string} id
+         * @param {object} initial - Начальная запись, если записи с таким ID нет.
+         * @param {function(object): object} updater - Возвращает обновленную запись.
+         * @returns {Promise<object>} Сохраненная запись.
+         */
+        modifyOrCreate: (collection, id, initial, updater) => mutate(collection, (data) => {
+            const items = getCollection(data, collection);
+            const index = items.findIndex(record => record.id === id);
+            const updated = { ...clone(updater(clone(index === -1 ? { ...initial, id } : items[index]))), id };
+            if (index === -1) {
+                items.push(updated);
+            } else {
+                items[index] = updated;
+            }
+            return clone(updated);
+        }),
+
+        /**
+         * Обновляет запись по ID или создает ее, если такой записи еще нет.
+         * @param {string} collection
+         * @param {string} id
+         * @param {object} patch - Поля для обновления/создания.
+         * @returns {Promise<object>} Сохраненная запись.
+         */
+        upsert: (collection, id, patch) => mutate(collection, (data) => {
+            const items = getCollection(data, collection);
+            const index = items.findIndex(record => record.id === id);
+            if (index === -1) {
+                items.push({ ...clone(patch), id });
+                return clone(items[items.length - 1]);
+            }
+            items[index] = { ...items[index], ...clone(patch), id };
+            return clone(items[index]);
+        }),
+
+        /**
+         * Удаляет запись по ID.
+         * @param {string} collection
+         * @param {string} id
+         * @returns {Promise<boolean>} True, если запись была удалена.
+         */
+        remove: (collection, id) => mutate(collection, (data) => {
+            const items = getCollection(data, collection);
+            const index = items.findIndex(record => record.id === id);
+            if (index === -1) return false;
+            items.splice(index, 1);
+            return true;
+        }),
+
+        /**
+         * Заполняет коллекцию начальными данными, если она еще не существует.
+         * @param {string} collection
+         * @param {Array<object>} records
+         * @returns {Promise<void>}
+         */
+        seed: (collection, records) => mutate(collection, (data) => {
+            if (!Array.isArray(data[collection])) {
+                data[collection] = records.map(clone);
+            }
+        }),
+    };
+};
+
+/**
+ * @function createMemoryStorage
+ * @description Создает хранилище, которое держит данные только в памяти процесса.
+ * @param {object} [initialData] - Начальное содержимое коллекций.
+ * @returns {object} Интерфейс хранилища.
+ */
+const createMemoryStorage = (initialData = {}) => {
+    const data = clone(initialData);
+    return createCollectionsApi(async () => data, async () => {});
+};
+
+/**
+ * @function createJsonFileStorage
+ * @description Создает хранилище на основе JSON-файла. Файл читается один раз при первом
+ * обращении, а каждая запись сохраняется атомарно (через временный файл и переименование).
+ * @param {string} filePath - Путь к JSON-файлу с данными.
+ * @returns {object} Интерфейс хранилища.
+ */
+const createJsonFileStorage = (filePath) => {
+    let data = null;
+
+    const read = async () => {
+        if (data) return data;
+        try {
+            const content = await fs.promises.readFile(filePath, 'utf8');
+            data = JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Ошибка при чтении файла хранилища ${filePath}:`, error);
+            }
+            data = {};
+        }
+        return data;
+    };
+
+    const persist = async (snapshot) => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot, null, 2), 'utf8');
+        await fs.promises.rename(tmpPath, filePath);
+    };
+
+    return createCollectionsApi(read, persist);
+};
+
+/**
+ * @function createStorage
+ * @description Создает хранилище согласно конфигурации окружения.
+ * @param {object} [options]
+ * @param {string} [options.driver] - 'json' или 'memory' (по умолчанию из STORAGE_DRIVER или 'json').
+ * @param {string} [options.dataDir] - Каталог для JSON-файла (по умолчанию из DATA_DIR или ./data).
+ * @returns {object} Интерфейс хранилища.
+ */
+const createStorage = (options = {}) => {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+    if (driver === 'memory') {
+        return createMemoryStorage();
+    }
+    if (driver === 'json') {
+        const dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+        return createJsonFileStorage(path.join(dataDir, 'mapcost.json'));
+    }
+    throw new Error(`Неизвестный драйвер хранилища: ${driver}`);
+};
+
+module.exports = {
+    createStorage,
+    createMemoryStorage,
+    createJsonFileStorage,
+    generateId,
+};
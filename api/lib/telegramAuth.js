@@ -0,0 +1,135 @@
+/**
+ * telegramAuth.js
+ * Проверка подписи данных инициализации Telegram Mini App (`Telegram.WebApp.initData`).
+ *
+ * Клиент передает строку initData в заголовке `X-Telegram-Init-Data` (или `Authorization: tma <initData>`).
+ * Сервер проверяет HMAC-подпись по токену бота согласно документации Telegram:
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ */
+const crypto = require('crypto');
+
+// Максимальный "возраст" initData по умолчанию: 24 часа
+const DEFAULT_MAX_AGE_SECONDS = 60 * 60 * 24;
+
+/**
+ * @function validateInitData
+ * @description Проверяет подпись и срок действия строки initData.
+ * @param {string} initData - Строка initData в формате query string.
+ * @param {string} botToken - Токен Telegram-бота.
+ * @param {object} [options]
+ * @param {number} [options.maxAgeSeconds] - Максимальный возраст auth_date в секундах (0 — не проверять).
+ * @param {number} [options.now] - Текущее время в секундах (для проверки auth_date).
+ * @returns {object|null} Разобранные данные { user, authDate, startParam, queryId } или null, если подпись неверна.
+ */
+const validateInitData = (initData, botToken, options = {}) => {
+    if (!initData || !botToken) return null;
+
+    const maxAgeSeconds = options.maxAgeSeconds !== undefined ? options.maxAgeSeconds : DEFAULT_MAX_AGE_SECONDS;
+    const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
+    if (!hash) return null;
+    params.delete('hash');
+
+    // Строка для проверки: пары key=value, отсортированные по ключу и разделенные переводом строки
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+    const expected = Buffer.from(expectedHash, 'hex');
+    const received = Buffer.from(hash, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    const authDate = Number(params.get('auth_date'));
+    if (maxAgeSeconds > 0 && (!authDate || now - authDate > maxAgeSeconds)) {
+        return null;
+    }
+
+    let user = null;
+    try {
+        user = params.get('user') ? JSON.parse(params.get('user')) : null;
+    } catch (error) {
+        return null;
+    }
+
+    return {
+        user,
+        authDate,
+        startParam: params.get('start_param') || null,
+        queryId: params.get('query_id') || null,
+    };
+};
+
+/**
+ * @function extractInitData
+ * @description Достает строку initData из заголовков запроса.
+ * @param {object} req - Объект запроса Express.
+ * @returns {string} Строка initData или пустая строка.
+ */
+const extractInitData = (req) => {
+    const header = req.get('X-Telegram-Init-Data');
+    if (header) return header;
+    const authorization = req.get('Authorization') || '';
+    return authorization.startsWith('tma ') ? authorization.slice(4) : '';
+};
+
+/**
+ * @function createTelegramAuth
+ * @description Создает пару middleware для проверки initData.
+ * - `attachTelegramUser` проверяет initData, если он передан, и кладет пользователя в `req.telegramUser`.
+ *   Запросы без initData пропускаются дальше без пользователя.
+ * - `requireTelegramUser` отклоняет запрос с кодом 401, если проверенного пользователя нет.
+ *
+ * Для локальной разработки вне Telegram можно задать `devUserId` (только при NODE_ENV !== 'production'):
+ * тогда запросы без initData будут считаться запросами этого пользователя.
+ *
+ * @param {object} options
+ * @param {string} options.botToken - Токен Telegram-бота.
+ * @param {number} [options.maxAgeSeconds] - Максимальный возраст initData.
+ * @param {string|number} [options.devUserId] - ID тестового пользователя для локальной разработки.
+ * @returns {{ attachTelegramUser: function, requireTelegramUser: function }}
+ */
+const createTelegramAuth = ({ botToken, maxAgeSeconds, devUserId } = {}) => {
+    if (!botToken) {
+        console.warn('TELEGRAM_BOT_TOKEN не задан: запросы, требующие авторизации Telegram, будут отклоняться.');
+    }
+
+    const attachTelegramUser = (req, res, next) => {
+        req.telegramUser = null;
+        const initData = extractInitData(req);
+
+        if (initData) {
+            const validated = validateInitData(initData, botToken, { maxAgeSeconds });
+            if (validated && validated.user && validated.user.id) {
+                req.telegramUser = validated.user;
+                req.telegramInitData = validated;
+            }
+        } else if (devUserId && process.env.NODE_ENV !== 'production') {
+            req.telegramUser = { id: Number(devUserId), first_name: 'Dev' };
+            req.telegramInitData = { user: req.telegramUser, authDate: null, startParam: null, queryId: null };
+        }
+        next();
+    };
+
+    const requireTelegramUser = (req, res, next) => {
+        if (!req.telegramUser) {
+            return res.status(401).json({ message: 'Требуется авторизация через Telegram.' });
+        }
+        next();
+    };
+
+    return { attachTelegramUser, requireTelegramUser };
+};
+
+module.exports = {
+    validateInitData,
+    extractInitData,
+    createTelegramAuth,
+};
@@ -0,0 +1,62 @@
+/**
+ * telegramBot.js
+ * Минимальный клиент Telegram Bot API.
+ *
+ * Адрес Bot API настраивается (TELEGRAM_API_BASE_URL), поэтому в тестах и при локальной
+ * разработке вместо https://api.telegram.org можно подставить локальную заглушку.
+ */
+
+const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+
+/**
+ * @function createTelegramBotClient
+ * @description Создает клиент Bot API для указанного токена.
+ * @param {object} options
+ * @param {string} options.token - Токен бота.
+ * @param {string} [options.apiBaseUrl] - Базовый адрес Bot API (по умолчанию https://api.telegram.org).
+ * @returns {object} Клиент с методами callMethod и sendMessage.
+ */
+const createTelegramBotClient = ({ token, apiBaseUrl } = {}) => {
+    const baseUrl = (apiBaseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+
+    /**
+     * Вызывает произвольный метод Bot API.
+     * @param {string} method - Имя метода (например, 'sendMessage').
+     * @param {object} params - Параметры метода.
+     * @returns {Promise<*>} Поле `result` ответа Telegram.
+     */
+    const callMethod = async (method, params = {}) => {
+        if (!token) {
+            throw new Error('TELEGRAM_BOT_TOKEN не задан.');
+        }
+        const response = await fetch(`${baseUrl}/bot${token}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params),
+        });
+        const data = await response.json();
+        if (!data.ok) {
+            // Код ошибки Telegram сохраняем в объекте ошибки: по нему вызывающий код
+            // определяет, например, что пользователь заблокировал бота (403).
+            const error = new Error(`Telegram API ${method}: ${data.description || response.status}`);
+            error.errorCode = data.error_code || response.status;
+            throw error;
+        }
+        return data.result;
+    };
+
+    /**
+     * Отправляет текстовое сообщение в чат.
+     * @param {string|number} chatId - ID чата (для личных сообщений совпадает с ID пользователя).
+     * @param {string} text - Текст сообщения.
+     * @param {object} [extra] - Дополнительные параметры (parse_mode, reply_markup и т.д.).
+     * @returns {Promise<object>} Отправленное сообщение.
+     */
+    const sendMessage = (chatId, text, extra = {}) => callMethod('sendMessage', { chat_id: chatId, text, ...extra });
+
+    return { callMethod, sendMessage };
+};
+
+module.exports = {
+    createTelegramBotClient,
+};
@@ -0,0 +1,142 @@
+/**
+ * uploads.js
+ * Загрузка и обработка изображений (фото заведений, логотипы предпринимателей).
+ *
+ * Каждое загруженное изображение:
+ * - проверяется по MIME-типу и размеру (до разбора) и по фактическому содержимому (через sharp);
+ * - поворачивается согласно EXIF-ориентации, после чего все метаданные (EXIF, GPS) удаляются;
+ * - сохраняется в двух размерах: полном (full) и миниатюре (thumbnail) в формате JPEG.
+ *
+ * Файлы хранятся в каталоге UPLOADS_DIR и отдаются по стабильным адресам /api/uploads/<файл>.
+ * На Vercel файловая система не общая между инстансами, поэтому в продакшене каталог
+ * следует заменить объектным хранилищем, сохранив формат возвращаемых ссылок.
+ */
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { generateId } = require('./storage');
+
+// Разрешенные типы изображений
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Форматы, которые sharp должен распознать в содержимом файла
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+// Максимальный размер одного файла: 10 МБ
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+// Максимальное количество файлов в одном запросе
+const MAX_FILES = 10;
+
+// Размеры выходных изображений
+const FULL_SIZE = 1600; // Длинная сторона полного изображения
+const THUMBNAIL_SIZE = 320; // Сторона квадратной миниатюры
+
+// Публичный путь, по которому отдаются загруженные файлы
+const PUBLIC_PATH = '/api/uploads';
+
+/**
+ * @function createUploadMiddleware
+ * @description Создает middleware multer для приема изображений из поля формы `photos`.
+ * Файлы держатся в памяти: на диск попадают только обработанные версии.
+ * @returns {function} Middleware Express.
+ */
+const createUploadMiddleware = () => multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+            const error = new Error('Недопустимый тип файла. Разрешены JPEG, PNG и WebP.');
+            error.code = 'UNSUPPORTED_MEDIA_TYPE';
+            return callback(error);
+        }
+        callback(null, true);
+    },
+}).array('photos', MAX_FILES);
+
+/**
+ * @function getUploadErrorResponse
+ * @description Преобразует ошибку загрузки в HTTP-статус и сообщение для клиента.
+ * @param {Error} error - Ошибка multer или обработки изображения.
+ * @returns {{ httpStatus: number, message: string }}
+ */
+const getUploadErrorResponse = (error) => {
+    switch (error.code) {
+        case 'LIMIT_FILE_SIZE':
+            return { httpStatus: 413, message: `Файл слишком большой. Максимальный размер — ${MAX_FILE_SIZE / 1024 / 1024} МБ.` };
+        case 'LIMIT_FILE_COUNT':
+        case 'LIMIT_UNEXPECTED_FILE':
+            return { httpStatus: 400, message: `Можно загрузить не более ${MAX_FILES} файлов в поле photos.` };
+        case 'UNSUPPORTED_MEDIA_TYPE':
+            return { httpStatus: 415, message: error.message };
+        default:
+            return { httpStatus: 500, message: 'Ошибка при обработке изображения.' };
+    }
+};
+
+/**
+ * @function createImageStore
+ * @description Создает хранилище изображений в указанном каталоге.
+ * @param {string} uploadsDir - Каталог для сохранения обработанных изображений.
+ * @returns {{ saveImage: function, uploadsDir: string }}
+ */
+const createImageStore = (uploadsDir) => {
+    /**
+     * Проверяет содержимое, удаляет метаданные и сохраняет полный размер и миниатюру.
+     * @param {Buffer} buffer - Содержимое загруженного файла.
+     * @returns {Promise<{id: string, url: string, thumbnailUrl: string, width: number, height: number}>}
+     * @throws {Error} С кодом UNSUPPORTED_MEDIA_TYPE, если содержимое не является допустимым изображением.
+     */
+    const saveImage = async (buffer) => {
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (error) {
+            metadata = null;
+        }
+        if (!metadata || !ALLOWED_FORMATS.includes(metadata.format)) {
+            const error = new Error('Содержимое файла не является изображением JPEG, PNG или WebP.');
+            error.code = 'UNSUPPORTED_MEDIA_TYPE';
+            throw error;
+        }
+
+        await fs.promises.mkdir(uploadsDir, { recursive: true });
+        const id = generateId('img');
+        const fullName = `${id}.jpg`;
+        const thumbnailName = `${id}_thumb.jpg`;
+
+        // rotate() без аргументов применяет EXIF-ориентацию; sharp не переносит метаданные
+        // в выходной файл, если явно не вызван withMetadata(), поэтому EXIF и GPS удаляются.
+        const full = await sharp(buffer)
+            .rotate()
+            .resize({ width: FULL_SIZE, height: FULL_SIZE, fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' }) // Прозрачность PNG/WebP заменяем белым фоном для JPEG
+            .jpeg({ quality: 82, mozjpeg: true })
+            .toFile(path.join(uploadsDir, fullName));
+
+        await sharp(buffer)
+            .rotate()
+            .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 75, mozjpeg: true })
+            .toFile(path.join(uploadsDir, thumbnailName));
+
+        return {
+            id,
+            url: `${PUBLIC_PATH}/${fullName}`,
+            thumbnailUrl: `${PUBLIC_PATH}/${thumbnailName}`,
+            width: full.width,
+            height: full.height,
+        };
+    };
+
+    return { saveImage, uploadsDir };
+};
+
+module.exports = {
+    ALLOWED_MIME_TYPES,
+    MAX_FILE_SIZE,
+    MAX_FILES,
+    PUBLIC_PATH,
+    createUploadMiddleware,
+    getUploadErrorResponse,
+    createImageStore,
+};
@@ -0,0 +1,126 @@
+/**
+ * viewport.js
+ * Запросы заведений по видимой области карты: разбор параметров bbox и zoom
+ * и серверная кластеризация, когда в область попадает слишком много заведений
+ * (например, при просмотре всей страны).
+ *
+ * Кластеры строятся на сетке, привязанной к уровню масштаба: ячейка занимает
+ * CLUSTER_CELL_PIXELS пикселей на экране. Поэтому соседние запросы на одном масштабе
+ * дают одинаковые кластеры, и клиент может кэшировать ответы.
+ */
+
+// Максимальное количество заведений в ответе без кластеризации
+const MAX_VIEWPORT_ITEMS = 300;
+// Начиная с этого масштаба заведения всегда возвращаются без кластеризации
+const MAX_CLUSTER_ZOOM = 15;
+const MAX_ZOOM = 23;
+// Размер ячейки кластеризации в пикселях экрана (тайл Яндекс.Карт — 256 пикселей)
+const CLUSTER_CELL_PIXELS = 64;
+const TILE_PIXELS = 256;
+
+/**
+ * @function normalizeLongitude
+ * @description Приводит долготу к диапазону [-180, 180]. Карта, прокрученная через
+ * 180-й меридиан, может вернуть долготу за его пределами.
+ * @param {number} lon - Долгота.
+ * @returns {number}
+ */
+const normalizeLongitude = (lon) => (lon >= -180 && lon <= 180 ? lon : ((lon + 180) % 360 + 360) % 360 - 180);
+
+/**
+ * @function parseBbox
+ * @description Разбирает область карты из параметра bbox=minLat,minLon,maxLat,maxLon
+ * (порядок совпадает с map.getBounds() Яндекс.Карт).
+ * @param {string} value - Значение параметра.
+ * @returns {{ value: {minLat: number, minLon: number, maxLat: number, maxLon: number}|null, error: string|null }}
+ * Если minLon > maxLon, область пересекает 180-й меридиан.
+ */
+const parseBbox = (value) => {
+    // Пустая строка дает Number('') === 0, поэтому пустые части считаются ошибкой
+    const parts = typeof value === 'string'
+        ? value.split(',').map(part => (part.trim() === '' ? NaN : Number(part)))
+        : [];
+    if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+        return { value: null, error: 'Параметр bbox задается как minLat,minLon,maxLat,maxLon.' };
+    }
+    const [minLat, minLon, maxLat, maxLon] = parts;
+    if (minLat > maxLat || Math.abs(minLat) > 90 || Math.abs(maxLat) > 90) {
+        return { value: null, error: 'Некорректные границы области по широте.' };
+    }
+    if (maxLon - minLon >= 360) {
+        return { value: { minLat, minLon: -180, maxLat, maxLon: 180 }, error: null };
+    }
+    return { value: { minLat, minLon: normalizeLongitude(minLon), maxLat, maxLon: normalizeLongitude(maxLon) }, error: null };
+};
+
+/**
+ * @function parseZoom
+ * @description Разбирает уровень масштаба карты.
+ * @param {string|undefined} value - Значение параметра zoom.
+ * @returns {{ value: number|null, error: string|null }} null — масштаб не передан.
+ */
+const parseZoom = (value) => {
+    if (value === undefined || value === '') return { value: null, error: null };
+    const zoom = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+        return { value: null, error: `Параметр zoom задается целым числом от 0 до ${MAX_ZOOM}.` };
+    }
+    return { value: zoom, error: null };
+};
+
+/**
+ * @function clusterEstablishments
+ * @description Объединяет заведения в кластеры по сетке текущего масштаба, если их слишком
+ * много для отображения по отдельности. Заведения, оказавшиеся в ячейке в одиночку,
+ * возвращаются как есть.
+ * @param {Array<object>} items - Заведения в области карты.
+ * @param {number|null} zoom - Масштаб карты (без масштаба кластеризация не выполняется).
+ * @returns {{ establishments: Array<object>, clusters: Array<{id: string, coordinates: Array<number>, count: number, bbox: Array<Array<number>>}> }}
+ * bbox кластера — границы его ячейки сетки: [[minLat, minLon], [maxLat, maxLon]].
+ */
+const clusterEstablishments = (items, zoom) => {
+    if (zoom === null || zoom >= MAX_CLUSTER_ZOOM || items.length <= MAX_VIEWPORT_ITEMS) {
+        return { establishments: items, clusters: [] };
+    }
+
+    const cellSize = (360 / 2 ** zoom) * (CLUSTER_CELL_PIXELS / TILE_PIXELS);
+    const cells = new Map();
+    items.forEach(item => {
+        const [lat, lon] = item.coordinates;
+        const x = Math.floor(lon / cellSize);
+        const y = Math.floor(lat / cellSize);
+        const key = `${x}:${y}`;
+        if (!cells.has(key)) {
+            cells.set(key, { x, y, items: [] });
+        }
+        cells.get(key).items.push(item);
+    });
+
+    const result = { establishments: [], clusters: [] };
+    cells.forEach(cell => {
+        if (cell.items.length === 1) {
+            result.establishments.push(cell.items[0]);
+            return;
+        }
+        // Метка кластера ставится в средней точке его заведений, а не в центре ячейки
+        const sum = cell.items.reduce((acc, item) => [acc[0] + item.coordinates[0], acc[1] + item.coordinates[1]], [0, 0]);
+        result.clusters.push({
+            id: `cluster-${zoom}-${cell.x}-${cell.y}`,
+            coordinates: [sum[0] / cell.items.length, sum[1] / cell.items.length],
+            count: cell.items.length,
+            bbox: [
+                [cell.y * cellSize, cell.x * cellSize],
+                [(cell.y + 1) * cellSize, (cell.x + 1) * cellSize],
+            ],
+        });
+    });
+    return result;
+};
+
+module.exports = {
+    MAX_VIEWPORT_ITEMS,
+    MAX_CLUSTER_ZOOM,
+    parseBbox,
+    parseZoom,
+    clusterEstablishments,
+};
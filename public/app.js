@@ -6,6 +6,7 @@
  *
  * Структура:
  * - Модуль TelegramWebApp: Управление интеграцией с Telegram Mini App SDK.
+ * - Модуль ApiClient: Запросы к серверному API с передачей подписанных данных Telegram (initData).
  * - Модуль MapSystem: Вся логика, связанная с Яндекс.Картами (инициализация, метки, фильтры, геолокация).
  * - Модуль UserSystem: Управление данными пользователей и предпринимателей (регистрация, профиль, авторизация).
  * - Модуль ModalSystem: Управление модальными окнами для отображения деталей заведений.
@@ -20,7 +21,6 @@
 // Позволяет инициализировать приложение, получать параметры темы,
 // управлять кнопками (MainButton, BackButton) и показывать уведомления.
 // ========================================================
-// import { renderCategorySelection } from './src/utils/categoryRenderer.js';
 
 const TelegramWebApp = (() => {
     let WebApp = window.Telegram && window.Telegram.WebApp; // Объект Telegram WebApp SDK
@@ -155,1817 +155,6035 @@ const TelegramWebApp = (() => {
      */
     const getWebApp = () => WebApp;
 
+    /**
+     * @function getUserId
+     * @description Возвращает ID текущего пользователя Telegram (из initDataUnsafe).
+     * Используется только для отображения интерфейса: права проверяет сервер по подписанному initData.
+     * @returns {string|null} ID пользователя или null вне Telegram.
+     */
+    const getUserId = () => {
+        const user = WebApp && WebApp.initDataUnsafe && WebApp.initDataUnsafe.user;
+        return user ? String(user.id) : null;
+    };
+
+    /**
+     * @function getStartParam
+     * @description Возвращает параметр запуска Mini App (start_param из ссылки вида
+     * t.me/<бот>/<приложение>?startapp=...). При открытии по прямой ссылке Telegram
+     * передает его также в адресе страницы (tgWebAppStartParam).
+     * @returns {string} Параметр запуска или пустая строка.
+     */
+    const getStartParam = () => (WebApp && WebApp.initDataUnsafe && WebApp.initDataUnsafe.start_param)
+        || new URLSearchParams(window.location.search).get('tgWebAppStartParam')
+        || '';
+
     return {
         init,
-        getWebApp
+        getWebApp,
+        getUserId,
+        getStartParam
     };
 })();
 
 // ========================================================
-// КОНСТАНТЫ ПРИЛОЖЕНИЯ: Категории заведений
-// Описание: Определяет основные категории заведений и их подкатегории.
-// Используется для фильтрации, отображения и выбора при регистрации/добавлении.
-// ========================================================
-const APP_CATEGORIES = [
-    {
-        id: 'cafe',
-        name: 'Кафе',
-        icon: '☕',
-        color: '#28a745',
-        subcategories: ['Кофейни', 'Кондитерские', 'Десерты']
-    },
-    {
-        id: 'restaurant',
-        name: 'Рестораны',
-        icon: '🍽️',
-        color: '#dc3545',
-        subcategories: ['Европейская кухня', 'Азиатская кухня', 'Итальянская кухня', 'Суши']
-    },
-    {
-        id: 'bar',
-        name: 'Бары',
-        icon: '🍻',
-        color: '#007bff',
-        subcategories: ['Пабы', 'Коктейль-бары', 'Караоке']
-    },
-    {
-        id: 'fastfood',
-        name: 'Фастфуд',
-        icon: '🍔',
-        color: '#ffc107',
-        subcategories: ['Бургеры', 'Пицца', 'Шаурма', 'Хот-доги']
-    },
-    {
-        id: 'shop',
-        name: 'Магазины',
-        icon: '🛍️',
-        color: '#6f42c1',
-        subcategories: ['Продукты', 'Одежда', 'Электроника', 'Цветы']
-    },
-    {
-        id: 'service',
-        name: 'Услуги',
-        icon: '💈',
-        color: '#17a2b8',
-        subcategories: ['Парикмахерские', 'Салоны красоты', 'Автосервисы']
-    }
-];
-
-// ========================================================
-// Модуль 2: Система Карты (Яндекс.Карты)
-// Описание: Управляет инициализацией и поведением Яндекс.Карт,
-// отображением заведений, фильтрацией, поиском и геолокацией пользователя.
+// Модуль: ApiClient - Запросы к серверному API
+// Описание: Обертка над fetch для обращения к маршрутам /api/*. К каждому запросу
+// добавляет заголовок X-Telegram-Init-Data, по которому сервер проверяет подпись
+// Telegram и определяет текущего пользователя.
 // ========================================================
-const MapSystem = (() => {
-    let myMap = null; // Экземпляр карты Яндекс.Карт
-    let objectManager = null; // ObjectManager для управления метками и кластерами
-    let userGeolocationPlacemark = null; // Метка текущего местоположения пользователя
-    let clickPlacemark = null; // Метка, добавляемая пользователем по клику на основной карте
-    let establishmentsData = []; // Все загруженные заведения (моковые или с сервера)
-    // Объект, хранящий текущие фильтры (категория, поисковый запрос)
-    let currentFilters = { category: 'all', search: '' };
-
-    // Моковые данные заведений (в реальном приложении будут загружаться с сервера)
-    // Каждое заведение содержит ID, название, описание, категорию, координаты, фото, рейтинг, контакты и отзывы.
-    const mockEstablishments = [
-        {
-            id: 'est1',
-            name: 'Кафе "Уют"',
-            description: 'Небольшое и уютное кафе с домашней выпечкой.',
-            category: 'cafe',
-            priceCategory: '$', // Ценовая категория
-            coordinates: [55.75, 37.62], // Центр Москвы
-            photos: ['https://via.placeholder.com/150/FF0000/FFFFFF?text=Cafe1', 'https://via.placeholder.com/150/FF0000/FFFFFF?text=Cafe2'],
-            rating: 4.5,
-            contact: 'Тел: +7 (XXX) XXX-XX-XX, Email: cozycafe@example.com',
-            reviews: [
-                { author: 'Анна К.', text: 'Отличное место для завтрака!', rating: 5 },
-                { author: 'Петр С.', text: 'Вкусный кофе, но иногда шумно.', rating: 4 }
-            ]
-        },
-        {
-            id: 'est2',
-            name: 'Ресторан "Гурман"',
-            description: 'Изысканная кухня и превосходный сервис.',
-            category: 'restaurant',
-            priceCategory: '$$$', // Ценовая категория
-            coordinates: [55.78, 37.60], // Север Москвы
-            photos: ['https://via.placeholder.com/150/0000FF/FFFFFF?text=Resto1', 'https://via.placeholder.com/150/0000FF/FFFFFF?text=Resto2'],
-            rating: 4.8,
-            contact: 'Тел: +7 (XXX) YYY-YY-YY, Сайт: gourmet.ru',
-            reviews: [
-                { author: 'Елена В.', text: 'Незабываемый ужин, все на высшем уровне.', rating: 5 },
-                { author: 'Дмитрий Л.', text: 'Цены кусаются, но оно того стоит.', rating: 4 }
-            ]
-        },
-        {
-            id: 'est3',
-            name: 'Магазин "Продукты 24/7"',
-            description: 'Круглосуточный магазин с широким ассортиментом.',
-            category: 'shop',
-            priceCategory: '$', // Ценовая категория
-            coordinates: [55.73, 37.65], // Юго-Восток Москвы
-            photos: ['https://via.placeholder.com/150/00FF00/FFFFFF?text=Shop1'],
-            rating: 3.9,
-            contact: 'Тел: +7 (XXX) ZZZ-ZZ-ZZ',
-            reviews: [
-                { author: 'Олег П.', text: 'Удобно, что работает всегда.', rating: 4 }
-            ]
-        },
-        {
-            id: 'est4',
-            name: 'Пекарня "Свежий Хлеб"',
-            description: 'Всегда свежий хлеб и ароматная выпечка.',
-            category: 'cafe',
-            priceCategory: '$$', // Ценовая категория
-            coordinates: [55.74, 37.58],
-            photos: ['https://via.placeholder.com/150/FFFF00/000000?text=Bakery1'],
-            rating: 4.7,
-            contact: 'Тел: +7 (XXX) AAA-AA-AA',
-            reviews: [
-                { author: 'Мария И.', text: 'Лучший хлеб в городе!', rating: 5 }
-            ]
-        }
-    ];
-
+const ApiClient = (() => {
     /**
-     * @function getPlacemarkIcon
-     * @description Возвращает параметры для кастомной иконки метки в зависимости от категории заведения.
-     * @param {string} category - Категория заведения (e.g., 'cafe', 'restaurant', 'shop').
-     * @param {boolean} isFavorite - Флаг, указывающий, является ли заведение избранным.
-     * @returns {object} Объект с настройками иконки для Yandex Maps API.
+     * @function request
+     * @description Выполняет запрос к API. Объект `body` сериализуется в JSON
+     * (FormData передается как есть). Ошибки сети пробрасываются вызывающему коду.
+     * @param {string} url - Адрес маршрута API.
+     * @param {object} [options] - Параметры fetch (method, body, headers, signal).
+     * @returns {Promise<{ok: boolean, status: number, data: *}>} Результат запроса с разобранным JSON-ответом.
      */
-    const getPlacemarkIcon = (category, isFavorite) => {
-        let color = '#007bff'; // Дефолтный цвет (синий)
-        let iconHref = `https://raw.githubusercontent.com/yandex/yandex-maps-api-demos/master/js/svg/pin_circle_blue.svg`;
+    const request = async (url, options = {}) => {
+        const headers = { ...(options.headers || {}) };
+        const initData = TelegramWebApp.getWebApp().initData;
+        if (initData) {
+            headers['X-Telegram-Init-Data'] = initData; // Подписанные данные для проверки на сервере
+        }
 
-        if (isFavorite) {
-            color = '#ffc107'; // Золотой/желтый для избранных
-            iconHref = `https://raw.githubusercontent.com/yandex/yandex-maps-api-demos/master/js/svg/pin_circle_yellow.svg`; // Специальная иконка для избранных
-        } else {
-            switch (category) {
-                case 'cafe':
-                    color = '#28a745'; // Зеленый для кафе
-                    break;
-                case 'restaurant':
-                    color = '#dc3545'; // Красный для ресторанов
-                    break;
-                case 'shop':
-                    color = '#ffc107'; // Желтый для магазинов
-                    break;
-                default:
-                    color = TelegramWebApp.getWebApp().themeParams.button_color || '#007bff'; // Цвет кнопки из темы
-                    break;
-            }
+        let body = options.body;
+        if (body !== undefined && !(body instanceof FormData)) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(body);
         }
 
-        return {
-            iconLayout: 'default#image',
-            iconImageHref: iconHref,
-            iconImageSize: [30, 30],
-            iconImageOffset: [-15, -15],
-            iconColor: color
-        };
+        const response = await fetch(url, { ...options, headers, body });
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (e) {
+            data = null; // Пустой ответ или не JSON
+        }
+        return { ok: response.ok, status: response.status, data };
     };
 
     /**
-     * @function initMap
-     * @description Инициализирует Яндекс.Карту в контейнере '#map-container'.
-     * Добавляет элементы управления, ObjectManager для меток и обработчики событий.
+     * @function uploadImages
+     * @description Загружает изображения на сервер (`POST /api/uploads`). Сервер удаляет EXIF,
+     * создает полный размер и миниатюру и возвращает постоянные ссылки.
+     * @param {FileList|Array<File>} files - Выбранные пользователем файлы.
+     * @returns {Promise<Array<{url: string, thumbnailUrl: string}>>} Ссылки на загруженные изображения.
+     * @throws {Error} Если сервер отклонил файлы (тип, размер) или произошла ошибка сети.
      */
-    const initMap = () => {
-        const tryInit = (attempt = 1) => {
-            if (typeof window.ymaps === 'undefined') {
-                if (attempt <= 10) {
-                    // Ждём загрузку скрипта Яндекс.Карт и пробуем снова
-                    setTimeout(() => tryInit(attempt + 1), 300);
-                } else {
-                    console.error("Яндекс.Карты API не загрузился.");
-                    const container = document.getElementById('map-container');
-                    if (container) {
-                        container.innerHTML = '<div style="display:flex;align-items:center;justify-content:center;width:100%;height:100%;color:#cc0000;font-weight:bold;">Не удалось загрузить карту. Проверьте подключение и API‑ключ.</div>';
-                    }
-                }
-                return;
-            }
-
-            window.ymaps.ready(() => {
-            const containerId = document.getElementById('map') ? 'map' : 'map-container';
-            myMap = new ymaps.Map(containerId, {
-                center: [55.76, 37.64], // Начальный центр карты (Москва)
-                zoom: 10, // Начальный уровень зума
-                controls: ['zoomControl', 'fullscreenControl', 'geolocationControl'] // Элементы управления на карте
-            }, {
-                suppressMapOpenBlock: true, // Скрываем блок "Открыть в Картах"
-                // Для темной темы карты можно использовать свойство `mapType`
-                // и создавать свои слои, если это поддерживается, или стилизовать через CSS как сейчас.
-                // yandex#map - стандартная схема, можно попробовать спутник или гибрид
-                // mapType: 'yandex#satellite'
-            });
-            window.myMap = myMap; // Делаем карту доступной глобально для отладки или других модулей
-
-            // Инициализация ObjectManager для меток и кластеров
-            // ObjectManager автоматически управляет кластеризацией меток при изменении зума.
-            objectManager = new ymaps.ObjectManager({
-                clusterize: true, // Включить кластеризацию
-                gridSize: 64, // Размер сетки кластеризации
-                clusterDisableClickZoom: false, // Отключить зум при клике на кластер
-                clusterHasBalloon: true // Кластеры также будут иметь всплывающие окна
-            });
-            myMap.geoObjects.add(objectManager); // Добавляем ObjectManager на карту
-
-            loadEstablishments(); // Загружаем и отображаем заведения на карте
-
-            // Обработчик клика по метке (или кластеру)
-            objectManager.objects.events.add(['click'], (e) => {
-                const objectId = e.get('objectId');
-                const object = objectManager.objects.getById(objectId);
-                // Проверяем, что это не кластер, а отдельная метка заведения
-                if (object.properties.isCluster) return; // Если это кластер, игнорируем клик
+    const uploadImages = async (files) => {
+        const list = Array.from(files || []);
+        if (list.length === 0) return [];
+        const formData = new FormData();
+        list.forEach(file => formData.append('photos', file));
+        const { ok, status, data } = await request('/api/uploads', { method: 'POST', body: formData });
+        if (!ok) {
+            throw new Error((data && data.message) || `HTTP ${status}`);
+        }
+        return data.files.map(file => ({ url: file.url, thumbnailUrl: file.thumbnailUrl }));
+    };
 
-                // Находим полное описание заведения по ID метки
-                const establishment = establishmentsData.find(est => est.id === object.properties.establishmentId);
-                if (establishment) {
-                    ModalSystem.showEstablishmentDetails(establishment); // Показываем модальное окно с деталями
-                }
-            });
+    return {
+        request,
+        uploadImages,
+        get: (url, options) => request(url, { ...options, method: 'GET' }),
+        post: (url, body, options) => request(url, { ...options, method: 'POST', body }),
+        put: (url, body, options) => request(url, { ...options, method: 'PUT', body }),
+        del: (url, options) => request(url, { ...options, method: 'DELETE' })
+    };
+})();
 
-            // Добавление/перемещение пользовательской метки по клику на карте
-            myMap.events.add('click', (e) => {
-                const coords = e.get('coords');
-                if (!clickPlacemark) {
-                    clickPlacemark = new ymaps.Placemark(coords, { hintContent: 'Выбранная точка' }, { draggable: true });
-                    myMap.geoObjects.add(clickPlacemark);
-                } else {
-                    clickPlacemark.geometry.setCoordinates(coords);
-                }
-                const coordsInput = document.getElementById('est-coords');
-                if (coordsInput) {
-                    coordsInput.value = coords.map(v => v.toFixed(6)).join(', ');
-                }
-            });
+// ========================================================
+// Утилиты для расстояний
+// Описание: Расстояние между точками по формуле гаверсинусов (как на сервере,
+// см. api/lib/geo.js) и его форматирование для отображения.
+// ========================================================
+const GeoUtils = (() => {
+    const EARTH_RADIUS_METERS = 6371008.8;
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
 
-            // Обработчик изменения области просмотра карты (для динамической подгрузки данных, если необходимо)
-            myMap.events.add('boundschange', (e) => {
-                // console.log("Map bounds changed:", e.get('newBounds'));
-                // Здесь можно реализовать логику подгрузки заведений в видимой области карты
-            });
+    /**
+     * @function distance
+     * @description Вычисляет расстояние между двумя точками.
+     * @param {Array<number>} from - [широта, долгота].
+     * @param {Array<number>} to - [широта, долгота].
+     * @returns {number} Расстояние в метрах.
+     */
+    const distance = ([lat1, lon1], [lat2, lon2]) => {
+        const dLat = toRadians(lat2 - lat1);
+        const dLon = toRadians(lon2 - lon1);
+        const a = Math.sin(dLat / 2) ** 2
+            + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+    };
 
-            console.log("Yandex Map initialized.");
-        });
-        };
+    /**
+     * @function formatDistance
+     * @description Форматирует расстояние: "350 м", "1,2 км", "15 км".
+     * @param {number} meters - Расстояние в метрах.
+     * @returns {string}
+     */
+    const formatDistance = (meters) => {
+        if (meters < 1000) return `${Math.round(meters / 10) * 10} м`;
+        const kilometers = meters / 1000;
+        return `${kilometers < 10 ? kilometers.toFixed(1).replace('.', ',') : Math.round(kilometers)} км`;
+    };
 
-        tryInit();
+    return {
+        distance,
+        formatDistance
     };
+})();
 
+// ========================================================
+// Утилиты для фотографий заведений
+// Описание: Фото заведения хранится либо ссылкой (старый формат),
+// либо объектом { url, thumbnailUrl }, полученным от /api/uploads.
+// ========================================================
+const PhotoUtils = (() => {
     /**
-     * @function loadEstablishments
-     * @description Загружает данные о заведениях. В текущей реализации использует моковые данные.
-     * В реальном приложении здесь будет AJAX запрос к API сервера.
-     * После загрузки данных вызывает `applyFilters` для их отображения на карте.
+     * @function getFullUrl
+     * @description Возвращает ссылку на полноразмерное изображение.
+     * @param {string|object} photo - Фото заведения.
+     * @returns {string} URL изображения.
      */
-    const loadEstablishments = async () => {
-        // В реальном приложении: const response = await fetch('/api/establishments');
-        // const data = await response.json();
-        // establishmentsData = data;
-        establishmentsData = mockEstablishments; // Используем моковые данные для примера
-        applyFilters(); // Отображаем все заведения после загрузки
-    };
+    const getFullUrl = (photo) => (typeof photo === 'string' ? photo : photo.url);
 
     /**
-     * @function applyFilters
-     * @description Применяет текущие фильтры (категория, поисковый запрос) к списку заведений
-     * и обновляет метки на карте через ObjectManager.
+     * @function getThumbnailUrl
+     * @description Возвращает ссылку на миниатюру (или на полное изображение, если миниатюры нет).
+     * @param {string|object} photo - Фото заведения.
+     * @returns {string} URL миниатюры.
      */
-    const applyFilters = () => {
-        if (!objectManager) {
-            return;
-        }
-        objectManager.removeAll(); // Очищаем все существующие метки на карте
+    const getThumbnailUrl = (photo) => (typeof photo === 'string' ? photo : (photo.thumbnailUrl || photo.url));
 
-        // Фильтруем заведения на основе текущих фильтров
-        let establishmentsToDisplay = establishmentsData;
+    return {
+        getFullUrl,
+        getThumbnailUrl
+    };
+})();
 
-        const currentUser = UserSystem.getProfile();
-        const favoriteCategories = currentUser ? UserSystem.getFavoriteCategories() : [];
-        const favoriteEstablishments = currentUser ? UserSystem.getFavoriteEstablishments() : [];
+// ========================================================
+// Модуль: OfflineStore - Данные для работы без сети (IndexedDB)
+// Описание: Хранит на устройстве последние загруженные заведения и очередь изменений,
+// сделанных без связи (см. OfflineMode). Избранные заведения хранятся всегда, остальные —
+// не более MAX_ESTABLISHMENTS последних. Если IndexedDB недоступна, данные не сохраняются.
+// ========================================================
+const OfflineStore = (() => {
+    const DB_NAME = 'mapcost';
+    const DB_VERSION = 1;
+    const ESTABLISHMENTS_STORE = 'establishments'; // { id, establishment, savedAt }
+    const EDIT_QUEUE_STORE = 'editQueue'; // { id, method, url, body, label, createdAt }
+    const MAX_ESTABLISHMENTS = 1000;
+    let dbPromise = null;
 
-        establishmentsToDisplay = establishmentsToDisplay.filter(est => {
-            const matchesCategory = currentFilters.category === 'all' || est.category === currentFilters.category;
-            const matchesSearch = est.name.toLowerCase().includes(currentFilters.search.toLowerCase()) ||
-                est.description.toLowerCase().includes(currentFilters.search.toLowerCase());
-            const matchesFavoriteCategory = favoriteCategories.length === 0 || favoriteCategories.includes(est.category);
-            return matchesCategory && matchesSearch && matchesFavoriteCategory;
-        });
+    /**
+     * @function openDb
+     * @description Открывает базу IndexedDB (создает хранилища при первом открытии).
+     * @returns {Promise<IDBDatabase>}
+     */
+    const openDb = () => {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB недоступна.'));
+                    return;
+                }
+                const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(ESTABLISHMENTS_STORE)) {
+                        db.createObjectStore(ESTABLISHMENTS_STORE, { keyPath: 'id' }).createIndex('savedAt', 'savedAt');
+                    }
+                    if (!db.objectStoreNames.contains(EDIT_QUEUE_STORE)) {
+                        db.createObjectStore(EDIT_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    };
 
-        // Приоритетное отображение избранных заведений
-        establishmentsToDisplay.sort((a, b) => {
-            const aIsFavorite = favoriteEstablishments.includes(a.id);
-            const bIsFavorite = favoriteEstablishments.includes(b.id);
-            if (aIsFavorite && !bIsFavorite) return -1;
-            if (!aIsFavorite && bIsFavorite) return 1;
-            return 0;
+    /**
+     * @function run
+     * @description Выполняет операцию в транзакции и дожидается ее завершения.
+     * @param {string} storeName - Хранилище.
+     * @param {string} mode - 'readonly' или 'readwrite'.
+     * @param {function(IDBObjectStore): (IDBRequest|void)} operation - Операция над хранилищем.
+     * @returns {Promise<*>} Результат запроса, который вернула операция.
+     */
+    const run = async (storeName, mode, operation) => {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
-
-        // Формируем GeoJSON объекты для ObjectManager
-        const features = establishmentsToDisplay.map(est => ({
-            id: est.id,
-            type: 'Feature',
-            geometry: { type: 'Point', coordinates: est.coordinates },
-            properties: {
-                balloonContentHeader: est.name,
-                balloonContentBody: `Категория: ${est.category}<br>Рейтинг: ${est.rating}`,
-                clusterCaption: est.name,
-                hintContent: est.name,
-                establishmentId: est.id
-            },
-            options: getPlacemarkIcon(est.category, UserSystem.isFavoriteEstablishment(est.id))
-        }));
-        objectManager.add(features); // Добавляем отфильтрованные метки на карту
     };
 
     /**
-     * @function updateFilters
-     * @description Обновляет текущие фильтры и вызывает `applyFilters` для перерисовки карты.
-     * @param {object} newFilters - Объект с новыми параметрами фильтра (например, { category: 'cafe' }).
+     * @function prune
+     * @description Удаляет самые старые сохраненные заведения сверх MAX_ESTABLISHMENTS.
+     * @param {Array<string>} pinnedIds - ID заведений, которые не удаляются (избранные).
+     * @returns {Promise<void>}
      */
-    const updateFilters = (newFilters) => {
-        currentFilters = { ...currentFilters, ...newFilters }; // Объединяем старые и новые фильтры
-        applyFilters(); // Применяем обновленные фильтры
-    };
+    const prune = (pinnedIds) => run(ESTABLISHMENTS_STORE, 'readwrite', (store) => {
+        const pinned = new Set(pinnedIds);
+        let kept = 0;
+        store.index('savedAt').openCursor(null, 'prev').onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (!pinned.has(cursor.primaryKey)) {
+                kept += 1;
+                if (kept > MAX_ESTABLISHMENTS) cursor.delete();
+            }
+            cursor.continue();
+        };
+    });
 
     /**
-     * @function getUserGeolocation
-     * @description Определяет текущее местоположение пользователя с помощью Yandex Maps Geolocation API
-     * и центрирует карту на этой точке, добавляя метку.
-     * Выводит уведомления через TelegramWebApp.
+     * @function saveEstablishments
+     * @description Сохраняет загруженные с сервера заведения. Ошибки IndexedDB не мешают работе приложения.
+     * @param {Array<object>} establishments - Заведения.
+     * @param {Array<string>} [pinnedIds=[]] - ID заведений, которые нельзя вытеснять (избранные).
+     * @returns {Promise<void>}
      */
-    const getUserGeolocation = () => {
-        if (!myMap) {
-            console.error("Карта не инициализирована.");
-            return;
-        }
-        TelegramWebApp.getWebApp().showAlert("Определяем ваше местоположение...");
-        ymaps.geolocation.get({
-            provider: 'browser', // Используем геолокацию браузера
-            mapStateAutoApply: true // Автоматически центрировать карту на найденном местоположении
-        }).then(function (result) {
-            result.geoObjects.options.set('preset', 'islands#darkVioletDotIcon'); // Устанавливаем стиль метки геолокации
-            result.geoObjects.each(geoObject => {
-                // Удаляем предыдущую метку геолокации, если она существует
-                if (userGeolocationPlacemark) {
-                    myMap.geoObjects.remove(userGeolocationPlacemark);
-                }
-                userGeolocationPlacemark = geoObject; // Сохраняем новую метку
-                myMap.geoObjects.add(userGeolocationPlacemark); // Добавляем метку на карту
-                myMap.setCenter(geoObject.geometry.getCoordinates(), 14); // Центрируем карту на пользователе с зумом 14
+    const saveEstablishments = async (establishments, pinnedIds = []) => {
+        if (establishments.length === 0) return;
+        try {
+            const savedAt = Date.now();
+            await run(ESTABLISHMENTS_STORE, 'readwrite', (store) => {
+                establishments.forEach(establishment => store.put({ id: establishment.id, establishment, savedAt }));
             });
-            TelegramWebApp.getWebApp().showAlert("Ваше местоположение определено!");
-            // После получения геолокации можно применить фильтр "рядом со мной"
-            // Здесь потребуется более сложная логика фильтрации заведений по расстоянию от пользователя.
-        }, function (err) {
-            TelegramWebApp.getWebApp().showAlert('Ошибка: ' + err.message);
-            console.error("Ошибка при получении геолокации:", err);
-        });
+            await prune(pinnedIds);
+        } catch (error) {
+            console.warn("Не удалось сохранить заведения на устройстве:", error);
+        }
     };
 
     /**
      * @function getEstablishments
-     * @description Возвращает текущий список всех заведений.
-     * @returns {Array<object>} Массив объектов заведений.
+     * @description Возвращает сохраненные заведения.
+     * @param {Array<string>|null} [ids=null] - ID нужных заведений (null — все).
+     * @returns {Promise<Array<{id: string, establishment: object, savedAt: number}>>}
      */
-    const getEstablishments = () => establishmentsData;
+    const getEstablishments = async (ids = null) => {
+        try {
+            const records = await run(ESTABLISHMENTS_STORE, 'readonly', store => store.getAll());
+            const wanted = ids ? new Set(ids) : null;
+            return records.filter(record => !wanted || wanted.has(record.id));
+        } catch (error) {
+            console.warn("Не удалось прочитать сохраненные заведения:", error);
+            return [];
+        }
+    };
 
     /**
-     * @function addEstablishment
-     * @description Добавляет новое заведение в список и обновляет карту.
-     * В реальном приложении это также отправит данные на сервер.
-     * @param {object} newEst - Объект нового заведения.
-     * @returns {object} Добавленное заведение с присвоенным ID.
+     * @function removeEstablishment
+     * @description Удаляет сохраненное заведение (например, после удаления на сервере).
+     * @param {string} id - ID заведения.
+     * @returns {Promise<void>}
      */
-    const addEstablishment = (newEst) => {
-        // В реальном приложении: отправка на сервер через API
-        newEst.id = 'est' + (establishmentsData.length + 1); // Простой генератор ID для мока
-        establishmentsData.push(newEst); // Добавляем в локальный массив
-        applyFilters(); // Обновляем карту, чтобы отобразить новое заведение
-        return newEst;
+    const removeEstablishment = async (id) => {
+        try {
+            await run(ESTABLISHMENTS_STORE, 'readwrite', store => store.delete(id));
+        } catch (error) {
+            console.warn("Не удалось удалить сохраненное заведение:", error);
+        }
     };
 
     /**
-     * @function updateEstablishment
-     * @description Обновляет существующее заведение в списке и на карте.
-     * В реальном приложении это также отправит обновленные данные на сервер.
-     * @param {object} updatedEst - Объект обновленного заведения (должен содержать `id`).
-     * @returns {boolean} True, если заведение найдено и обновлено, иначе false.
-     */
-    const updateEstablishment = (updatedEst) => {
-        // В реальном приложении: отправка на сервер через API
-        const index = establishmentsData.findIndex(est => est.id === updatedEst.id);
-        if (index !== -1) {
-            establishmentsData[index] = updatedEst; // Обновляем данные в локальном массиве
-            applyFilters(); // Обновляем карту, чтобы отобразить изменения
-            return true;
-        }
-        return false;
-    };
+     * @function queueEdit
+     * @description Добавляет изменение в очередь отправки.
+     * @param {{method: string, url: string, body: object, base: object|null, label: string}} edit - Запрос к API,
+     * исходная версия заведения (для изменений) и подпись для пользователя.
+     * @returns {Promise<void>}
+     * @throws {Error} Если IndexedDB недоступна: изменение сохранить не удалось.
+     */
+    const queueEdit = (edit) => run(EDIT_QUEUE_STORE, 'readwrite', store => store.add({ ...edit, createdAt: new Date().toISOString() }));
 
     /**
-     * @function deleteEstablishment
-     * @description Удаляет заведение из списка и с карты по его ID.
-     * В реальном приложении это также отправит запрос на удаление на сервер.
-     * @param {string} id - ID заведения для удаления.
-     * @returns {boolean} True, если заведение удалено, иначе false.
-     */
-    const deleteEstablishment = (id) => {
-        // В реальном приложении: отправка на сервер через API
-        const initialLength = establishmentsData.length;
-        establishmentsData = establishmentsData.filter(est => est.id !== id); // Удаляем из локального массива
-        if (establishmentsData.length < initialLength) {
-            applyFilters(); // Обновляем карту
-            return true;
+     * @function getQueuedEdits
+     * @description Возвращает изменения из очереди в порядке их создания.
+     * @returns {Promise<Array<object>>}
+     */
+    const getQueuedEdits = async () => {
+        try {
+            return await run(EDIT_QUEUE_STORE, 'readonly', store => store.getAll());
+        } catch (error) {
+            console.warn("Не удалось прочитать очередь изменений:", error);
+            return [];
         }
-        return false;
     };
 
+    /**
+     * @function removeQueuedEdit
+     * @description Удаляет изменение из очереди (после отправки).
+     * @param {number} id - ID записи очереди.
+     * @returns {Promise<void>}
+     */
+    const removeQueuedEdit = (id) => run(EDIT_QUEUE_STORE, 'readwrite', store => store.delete(id));
+
     return {
-        initMap,
-        loadEstablishments,
-        updateFilters,
-        getUserGeolocation,
+        saveEstablishments,
         getEstablishments,
-        addEstablishment,
-        updateEstablishment,
-        deleteEstablishment
+        removeEstablishment,
+        queueEdit,
+        getQueuedEdits,
+        removeQueuedEdit
     };
 })();
 
 // ========================================================
-// Модуль 3: Система Пользователей (Предприниматели/Пользователи)
-// Описание: Управляет состоянием текущего пользователя (обычный или предприниматель),
-// а также функциями регистрации, авторизации и обновления профиля предпринимателя.
+// Модуль: CategoryRegistry - Справочник категорий заведений
+// Описание: Загружает единый справочник категорий с сервера (`GET /api/categories`)
+// и предоставляет функции поиска категорий, проверки принадлежности подкатегории
+// к группе и перевода устаревших ID категорий (cafe, shop и т.д.) в актуальные.
+// Последний загруженный справочник сохраняется в localStorage на случай недоступности сервера.
 // ========================================================
-const UserSystem = (() => {
-    let currentUser = null; // null: обычный пользователь, { type: 'business', ... }: предприниматель
+const CategoryRegistry = (() => {
+    const LS_KEY_CATEGORIES = 'mapcost_categories';
+    let categories = []; // Дерево категорий: группы с подкатегориями
+    let legacyIds = {}; // Соответствие устаревших ID актуальным
+    let index = new Map(); // ID категории -> { id, name, icon, color, parentId }
 
-    // Моковые данные предпринимателя. Включают ID, тип, название, категорию, описание, логотип,
-    // местоположение, контактное лицо, email и список заведений.
-    const mockBusinessProfile = {
-        id: 'biz1',
-        type: 'business',
-        businessName: 'Моя Компания',
-        businessCategory: 'food', // Категория бизнеса
-        businessDescription: 'Мы предлагаем лучшие блюда в городе!', // Описание бизнеса
-        businessLogo: 'https://via.placeholder.com/100/0000FF/FFFFFF?text=Logo', // URL логотипа
-        businessLocation: [55.76, 37.64], // Координаты местоположения
-        contactPerson: 'Иванов Иван',
-        email: 'ivanov@mycompany.com',
-        establishments: [ // Список заведений предпринимателя
-            { id: 'est1', name: 'Кафе "Уют"' },
-            { id: 'est2', name: 'Ресторан "Гурман"' }
-        ],
-        // Добавлено для ФНС верификации
-        inn: '7700000000', // Моковый ИНН
-        isVerified: false,
-        fnsData: null,
-        // Добавлено для категорий и избранного
-        favoriteCategories: [],
-        favoriteEstablishments: []
+    /**
+     * @function buildIndex
+     * @description Строит плоский индекс категорий и подкатегорий по ID.
+     */
+    const buildIndex = () => {
+        index = new Map();
+        categories.forEach(group => {
+            index.set(group.id, { id: group.id, name: group.name, icon: group.icon, color: group.color, parentId: null });
+            (group.subcategories || []).forEach(sub => {
+                index.set(sub.id, { id: sub.id, name: sub.name, icon: sub.icon, color: group.color, parentId: group.id });
+            });
+        });
     };
 
-    // Ключи для localStorage
-    const LS_KEY_CURRENT_USER = 'mapcost_current_user';
-
     /**
-     * @function loadUserData
-     * @description Загружает данные пользователя из localStorage.
-     * @returns {object|null} Данные пользователя или null, если нет сохраненных данных.
+     * @function load
+     * @description Загружает справочник категорий с сервера. При ошибке использует
+     * сохраненную в localStorage копию.
+     * @returns {Promise<void>}
      */
-    const loadUserData = () => {
+    const load = async () => {
+        let registry = null;
         try {
-            const data = localStorage.getItem(LS_KEY_CURRENT_USER);
-            return data ? JSON.parse(data) : null;
-        } catch (e) {
-            console.error("Ошибка при загрузке данных пользователя из localStorage:", e);
-            return null;
+            const { ok, data } = await ApiClient.get('/api/categories');
+            if (ok && data && Array.isArray(data.categories)) {
+                registry = data;
+                localStorage.setItem(LS_KEY_CATEGORIES, JSON.stringify(data));
+            }
+        } catch (error) {
+            console.error("Ошибка при загрузке справочника категорий:", error);
+        }
+        if (!registry) {
+            try {
+                registry = JSON.parse(localStorage.getItem(LS_KEY_CATEGORIES));
+            } catch (e) {
+                registry = null;
+            }
         }
+        categories = (registry && registry.categories) || [];
+        legacyIds = (registry && registry.legacyIds) || {};
+        buildIndex();
     };
 
     /**
-     * @function saveUserData
-     * @description Сохраняет данные пользователя в localStorage.
-     * @param {object} data - Объект данных пользователя для сохранения.
+     * @function getAll
+     * @description Возвращает дерево категорий (группы с подкатегориями).
+     * @returns {Array<object>}
      */
-    const saveUserData = (data) => {
-        try {
-            localStorage.setItem(LS_KEY_CURRENT_USER, JSON.stringify(data));
-        } catch (e) {
-            console.error("Ошибка при сохранении данных пользователя в localStorage:", e);
-        }
-    };
+    const getAll = () => categories;
 
     /**
-     * @function init
-     * @description Инициализирует модуль UserSystem. Загружает профиль пользователя из localStorage.
+     * @function find
+     * @description Возвращает категорию или подкатегорию по ID.
+     * @param {string} id - ID категории.
+     * @returns {object|null} { id, name, icon, color, parentId } или null.
      */
-    const init = () => {
-        const savedUser = loadUserData();
-        if (savedUser) {
-            currentUser = savedUser;
-            console.log("Пользователь загружен из localStorage:", currentUser);
-        } else {
-            // Если нет сохраненного пользователя, инициализируем как обычного пользователя
-            currentUser = { type: 'regular', favoriteCategories: [], favoriteEstablishments: [] };
-            saveUserData(currentUser);
-            console.log("Инициализирован новый обычный пользователь.", currentUser);
-        }
-    };
+    const find = (id) => index.get(migrateId(id)) || null;
 
     /**
-     * @function loginBusiness
-     * @description Имитирует вход предпринимателя в систему. Устанавливает `currentUser`
-     * на моковые данные, выводит уведомление, переходит на экран профиля
-     * и обновляет его. В реальном приложении здесь будет логика авторизации через API.
+     * @function getLabel
+     * @description Возвращает название категории с иконкой для отображения.
+     * @param {string} id - ID категории.
+     * @returns {string} Например, "☕ Кофейни" (или сам ID для неизвестной категории).
      */
-    const loginBusiness = () => {
-        // В реальном приложении: логика авторизации (например, запрос к серверу)
-        currentUser = { ...mockBusinessProfile }; // Клонируем мок-профиль, чтобы избежать мутации
-        TelegramWebApp.getWebApp().showAlert("Вы вошли как предприниматель!");
-        Navigation.goToScreen('business-profile-screen'); // Переход на экран профиля
-        updateProfileScreen(currentUser); // Обновление UI экрана профиля
+    const getLabel = (id) => {
+        const category = find(id);
+        return category ? `${category.icon} ${category.name}` : (id || 'Не указана');
     };
 
     /**
-     * @function logoutBusiness
-     * @description Выходит из режима предпринимателя. Сбрасывает `currentUser`,
-     * выводит уведомление и возвращает на главный экран карты.
+     * @function migrateId
+     * @description Переводит устаревший ID категории в актуальный.
+     * @param {string} id - ID категории.
+     * @returns {string} Актуальный ID (или исходный, если замены нет).
      */
-    const logoutBusiness = () => {
-        currentUser = null; // Сбрасываем текущего пользователя
-        TelegramWebApp.getWebApp().showAlert("Вы вышли из режима предпринимателя.");
-        Navigation.goToScreen('main-map-screen'); // Возвращаемся на главный экран карты
-    };
+    const migrateId = (id) => legacyIds[id] || id;
 
     /**
-     * @function registerBusiness
-     * @description Имитирует регистрацию нового предпринимателя.
-     * Принимает данные формы, устанавливает их как `currentUser`,
-     * выводит уведомление и переходит на экран профиля.
-     * В реальном приложении будет отправлять данные на сервер.
-     * @param {object} businessData - Объект с данными регистрации предпринимателя.
+     * @function migrateIds
+     * @description Переводит список ID категорий в актуальные, отбрасывая неизвестные и повторы.
+     * @param {Array<string>} ids - Список ID категорий.
+     * @returns {Array<string>}
      */
-    const registerBusiness = async (businessData) => {
-        console.log("Attempting to register business:", businessData);
-        try {
-            // В реальном приложении:
-            // const response = await fetch('/api/register-business', {
-            //     method: 'POST',
-            //     headers: { 'Content-Type': 'application/json' },
-            //     body: JSON.stringify(businessData)
-            // });
-            // const result = await response.json();
-
-            // if (response.ok) {
-            //     currentUser = { type: 'business', ...result, establishments: [] }; // Предполагаем, что новый бизнес пока без заведений
-            currentUser = {
-                type: 'business',
-                ...businessData,
-                id: 'biz' + (Math.floor(Math.random() * 1000) + 2),
-                establishments: []
-            }; // Мок-регистрация
-            TelegramWebApp.getWebApp().showAlert("Предприниматель успешно зарегистрирован!");
-            Navigation.goToScreen('business-profile-screen');
-            updateProfileScreen(currentUser);
-            // } else {
-            //     TelegramWebApp.getWebApp().showAlert(`Ошибка регистрации: ${result.message || response.statusText}`);
-            // }
-        } catch (error) {
-            console.error("Ошибка при регистрации предпринимателя:", error);
-            TelegramWebApp.getWebApp().showAlert("Произошла ошибка при регистрации.");
-        }
+    const migrateIds = (ids) => {
+        const migrated = (ids || []).map(migrateId);
+        // Пока справочник не загружен, ничего не отбрасываем
+        const known = index.size > 0 ? migrated.filter(id => index.has(id)) : migrated;
+        return [...new Set(known)];
     };
 
     /**
-     * @function updateBusinessProfile
-     * @description Имитирует обновление профиля предпринимателя.
-     * Принимает новые данные, обновляет `currentUser`, выводит уведомление
-     * и переходит на экран профиля.
-     * В реальном приложении будет отправлять данные на сервер.
-     * @param {object} profileData - Объект с обновленными данными профиля.
+     * @function matches
+     * @description Проверяет, подходит ли категория заведения под фильтр. Фильтр по группе
+     * включает все ее подкатегории, фильтр по подкатегории — только ее саму.
+     * @param {string} categoryId - Категория заведения.
+     * @param {string} filterId - Категория фильтра.
+     * @returns {boolean}
      */
-    const updateBusinessProfile = async (profileData) => {
-        console.log("Attempting to update business profile:", profileData);
-        // В реальном приложении: AJAX запрос к API для обновления профиля
-        try {
-            // const response = await fetch('/api/update-business-profile', { /* ... */ });
-            // const result = await response.json();
-            // if (response.ok) {
-            currentUser = { ...currentUser, ...profileData }; // Обновляем моковый профиль
-            TelegramWebApp.getWebApp().showAlert("Профиль успешно обновлен!");
-            Navigation.goToScreen('business-profile-screen');
-            updateProfileScreen(currentUser);
-            saveUserData(currentUser); // Сохраняем обновленный профиль
-            // } else { /* ... */ }
-        } catch (error) {
-            console.error("Ошибка при обновлении профиля:", error);
-            TelegramWebApp.getWebApp().showAlert("Произошла ошибка при обновлении профиля.");
-        }
+    const matches = (categoryId, filterId) => {
+        const id = migrateId(categoryId);
+        const filter = migrateId(filterId);
+        if (id === filter) return true;
+        const category = index.get(id);
+        return Boolean(category && category.parentId === filter);
+    };
+
+    return {
+        load,
+        getAll,
+        find,
+        getLabel,
+        migrateId,
+        migrateIds,
+        matches
+    };
+})();
+
+// ========================================================
+// Модуль: OpeningHours - Часы работы заведений
+// Описание: Вычисляет статус "открыто сейчас / закроется в" по часам работы заведения
+// в его часовом поясе и форматирует расписание для отображения.
+// Формат данных и правила (перерывы, особые дни, работа после полуночи) совпадают
+// с серверным модулем api/lib/openingHours.js.
+// ========================================================
+const OpeningHours = (() => {
+    // Ключи дней недели в порядке Date.getUTCDay() (0 — воскресенье)
+    const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    // Дни недели в порядке отображения (с понедельника)
+    const WEEK_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+    const DAY_NAMES = { mon: 'Пн', tue: 'Вт', wed: 'Ср', thu: 'Чт', fri: 'Пт', sat: 'Сб', sun: 'Вс' };
+    const DEFAULT_TIMEZONE = 'Europe/Moscow';
+    const MINUTES_PER_DAY = 24 * 60;
+
+    const toMinutes = (time) => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
     };
 
     /**
-     * @function getProfile
-     * @description Возвращает объект текущего пользователя (или null).
-     * @returns {object|null} Объект `currentUser`.
+     * @function getLocalDate
+     * @description Возвращает дату (ГГГГ-ММ-ДД) и время (минуты от полуночи) в часовом поясе заведения.
+     * @param {Date} date - Момент времени.
+     * @param {string} timezone - Часовой пояс IANA.
+     * @returns {{date: string, minutes: number}}
      */
-    const getProfile = () => currentUser;
+    const getLocalDate = (date, timezone) => {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+    };
+
+    const addDays = (date, days) => {
+        const [year, month, day] = date.split('-').map(Number);
+        const shifted = new Date(Date.UTC(year, month - 1, day + days));
+        return { date: shifted.toISOString().slice(0, 10), dayKey: DAY_KEYS[shifted.getUTCDay()] };
+    };
+
+    const getIntervalsForDate = (hours, date, dayKey) => {
+        const holiday = (hours.holidays || []).find(item => item.date === date);
+        if (holiday) return holiday.intervals || [];
+        return (hours.weekly && hours.weekly[dayKey]) || [];
+    };
 
     /**
-     * @function updateProfileScreen
-     * @description Обновляет элементы интерфейса на экране профиля предпринимателя
-     * на основе данных переданного профиля. Отображает название, контакты, email
-     * и динамически формирует список заведений. Включает отображение статуса верификации ИНН.
-     * @param {object} profile - Объект профиля предпринимателя.
+     * @function getStatus
+     * @description Вычисляет, открыто ли заведение, когда оно закроется или откроется снова.
+     * @param {object|null} hours - Часы работы заведения.
+     * @param {Date} [now=new Date()] - Момент времени.
+     * @returns {{known: boolean, isOpen: boolean, alwaysOpen: boolean, closesAt: object|null, opensAt: object|null}}
+     * closesAt/opensAt — { dayOffset, time }, где dayOffset — через сколько дней наступит событие.
      */
-    const updateProfileScreen = (profile) => {
-        if (profile && profile.type === 'business') {
-            // Обновляем текстовые поля информацией из профиля
-            document.getElementById('profile-business-name').innerText = profile.businessName || 'N/A';
-            document.getElementById('profile-business-category').innerText = profile.businessCategory || 'Не указана'; // Категория
-            document.getElementById('profile-business-description').innerText = profile.businessDescription || 'Нет описания'; // Описание
-            document.getElementById('profile-contact-person').innerText = profile.contactPerson || 'N/A';
-            document.getElementById('profile-email').innerText = profile.email || 'N/A';
-            document.getElementById('profile-business-location').innerText = profile.businessLocation ? profile.businessLocation.join(', ') : 'Не указано'; // Местоположение
+    const getStatus = (hours, now = new Date()) => {
+        const unknown = { known: false, isOpen: false, alwaysOpen: false, closesAt: null, opensAt: null };
+        if (!hours || !hours.weekly) return unknown;
 
-            // Обновляем статус верификации ИНН
-            const innVerificationStatusElement = document.getElementById('profile-inn-verification-status');
-            if (innVerificationStatusElement) {
-                if (profile.isVerified) {
-                    innVerificationStatusElement.innerText = 'Верифицирован через ФНС';
-                    innVerificationStatusElement.classList.remove('warning', 'error');
-                    innVerificationStatusElement.classList.add('success');
-                } else if (profile.inn) {
-                    innVerificationStatusElement.innerText = 'Не верифицирован (ИНН указан, но не проверен или есть ошибки)';
-                    innVerificationStatusElement.classList.remove('success', 'error');
-                    innVerificationStatusElement.classList.add('warning');
-                } else {
-                    innVerificationStatusElement.innerText = 'ИНН не указан';
-                    innVerificationStatusElement.classList.remove('success', 'warning');
-                    innVerificationStatusElement.classList.add('error');
-                }
-                innVerificationStatusElement.style.display = 'block';
-            }
+        let local;
+        try {
+            local = getLocalDate(now, hours.timezone || DEFAULT_TIMEZONE);
+        } catch (e) {
+            return unknown; // Часовой пояс не поддерживается браузером
+        }
 
-            // Обновляем список заведений предпринимателя
-            const establishmentListContainer = document.querySelector('.establishment-list');
-            establishmentListContainer.innerHTML = '<h4>Мои заведения:</h4>'; // Очищаем и добавляем заголовок
-            if (profile.establishments && profile.establishments.length > 0) {
-                const ul = document.createElement('ul');
-                profile.establishments.forEach(est => {
-                    const li = document.createElement('li');
-                    li.innerText = est.name; // Можно добавить кнопки для редактирования/удаления
-                    ul.appendChild(li);
-                });
-                establishmentListContainer.appendChild(ul);
+        // Интервалы со вчерашнего дня по следующую неделю в минутах относительно начала "сегодня"
+        const spans = [];
+        for (let offset = -1; offset <= 7; offset++) {
+            const { date, dayKey } = addDays(local.date, offset);
+            getIntervalsForDate(hours, date, dayKey).forEach(interval => {
+                const open = toMinutes(interval.open);
+                let close = toMinutes(interval.close);
+                if (close <= open) close += MINUTES_PER_DAY; // Работа после полуночи
+                spans.push([offset * MINUTES_PER_DAY + open, offset * MINUTES_PER_DAY + close]);
+            });
+        }
+        spans.sort((a, b) => a[0] - b[0]);
+
+        // Объединяем пересекающиеся и смежные интервалы
+        const merged = [];
+        spans.forEach(span => {
+            const last = merged[merged.length - 1];
+            if (last && span[0] <= last[1]) {
+                last[1] = Math.max(last[1], span[1]);
             } else {
-                const p = document.createElement('p');
-                p.innerText = 'У вас пока нет заведений.';
-                establishmentListContainer.appendChild(p);
+                merged.push([...span]);
             }
-        }
+        });
 
-        // Обновляем UI для любимых категорий (если экран "favorite-categories-screen" активен)
-        if (Navigation.getCurrentScreenId() === 'favorite-categories-screen') {
-            renderCategorySelection('favorite-categories-list', profile, addFavoriteCategory, removeFavoriteCategory, MapSystem.applyFilters);
-        }
+        const toMoment = (minutes) => {
+            const dayOffset = Math.floor(minutes / MINUTES_PER_DAY);
+            const inDay = minutes - dayOffset * MINUTES_PER_DAY;
+            return { dayOffset, time: `${String(Math.floor(inDay / 60)).padStart(2, '0')}:${String(inDay % 60).padStart(2, '0')}` };
+        };
 
-        // Обновляем UI для избранных заведений (если экран "favorites" активен)
-        if (Navigation.getCurrentScreenId() === 'favorites-screen' && profile.favoriteEstablishments) {
-            const favoriteEstablishmentsContainer = document.getElementById('favorite-establishments-list');
-            if (favoriteEstablishmentsContainer) {
-                favoriteEstablishmentsContainer.innerHTML = ''; // Очищаем
-                if (profile.favoriteEstablishments.length > 0) {
-                    profile.favoriteEstablishments.forEach(estId => {
-                        const establishment = MapSystem.getEstablishments().find(e => e.id === estId);
-                        if (establishment) {
-                            const div = document.createElement('div');
-                            div.classList.add('favorite-establishment-item');
-                            div.innerHTML = `
-                                <span class="name">${establishment.name}</span>
-                                <span class="category">${establishment.category}</span>
-                                <button class="telegram-button small-button view-details-button" data-id="${establishment.id}">Подробнее</button>
-                                <button class="telegram-button small-button remove-favorite-button" data-id="${establishment.id}">❌</button>
-                            `;
-                            div.querySelector('.view-details-button').addEventListener('click', () => {
-                                ModalSystem.showEstablishmentDetails(establishment);
-                            });
-                            div.querySelector('.remove-favorite-button').addEventListener('click', () => {
-                                removeFavoriteEstablishment(establishment.id);
-                                updateProfileScreen(currentUser); // Обновляем список избранного
-                                MapSystem.applyFilters(); // Обновляем карту
-                            });
-                            favoriteEstablishmentsContainer.appendChild(div);
-                        }
-                    });
-                } else {
-                    favoriteEstablishmentsContainer.innerHTML = '<p>У вас пока нет избранных заведений.</p>';
-                }
-            }
+        const current = merged.find(([start, end]) => start <= local.minutes && local.minutes < end);
+        if (current) {
+            const alwaysOpen = current[0] <= -MINUTES_PER_DAY && current[1] >= 7 * MINUTES_PER_DAY;
+            return { known: true, isOpen: true, alwaysOpen, closesAt: alwaysOpen ? null : toMoment(current[1]), opensAt: null };
         }
+        const next = merged.find(([start]) => start > local.minutes);
+        return { known: true, isOpen: false, alwaysOpen: false, closesAt: null, opensAt: next ? toMoment(next[0]) : null };
     };
 
     /**
-     * @function addFavoriteCategory
-     * @description Добавляет категорию в список любимых категорий пользователя.
-     * @param {string} categoryId - ID категории для добавления.
+     * @function isOpenNow
+     * @description Проверяет, открыто ли заведение сейчас (без часов работы — false).
+     * @param {object|null} hours - Часы работы заведения.
+     * @returns {boolean}
      */
-    const addFavoriteCategory = (categoryId) => {
-        if (currentUser && !currentUser.favoriteCategories.includes(categoryId)) {
-            currentUser.favoriteCategories.push(categoryId);
-            saveUserData(currentUser);
-            console.log(`Категория ${categoryId} добавлена в избранное.`);
-        }
+    const isOpenNow = (hours) => getStatus(hours).isOpen;
+
+    /**
+     * @function formatMoment
+     * @description Форматирует момент открытия/закрытия относительно сегодняшнего дня.
+     * @param {{dayOffset: number, time: string}} moment - Момент из getStatus.
+     * @param {object} hours - Часы работы заведения (для часового пояса).
+     * @returns {string} Например, "в 22:00", "завтра в 09:00", "в пт в 10:00".
+     */
+    const formatMoment = (moment, hours) => {
+        if (moment.dayOffset === 0) return `в ${moment.time}`;
+        if (moment.dayOffset === 1) return `завтра в ${moment.time}`;
+        const local = getLocalDate(new Date(), hours.timezone || DEFAULT_TIMEZONE);
+        return `в ${DAY_NAMES[addDays(local.date, moment.dayOffset).dayKey].toLowerCase()} в ${moment.time}`;
     };
 
     /**
-     * @function removeFavoriteCategory
-     * @description Удаляет категорию из списка любимых категорий пользователя.
-     * @param {string} categoryId - ID категории для удаления.
+     * @function formatStatus
+     * @description Возвращает текст бейджа статуса для модального окна.
+     * @param {object|null} hours - Часы работы заведения.
+     * @returns {{text: string, isOpen: boolean}|null} Null, если часы работы не указаны.
      */
-    const removeFavoriteCategory = (categoryId) => {
-        if (currentUser) {
-            currentUser.favoriteCategories = currentUser.favoriteCategories.filter(id => id !== categoryId);
-            saveUserData(currentUser);
-            console.log(`Категория ${categoryId} удалена из избранного.`);
-        }
+    const formatStatus = (hours) => {
+        const status = getStatus(hours);
+        if (!status.known) return null;
+        if (status.alwaysOpen) return { text: 'Открыто круглосуточно', isOpen: true };
+        if (status.isOpen) return { text: `Открыто · закроется ${formatMoment(status.closesAt, hours)}`, isOpen: true };
+        if (status.opensAt) return { text: `Закрыто · откроется ${formatMoment(status.opensAt, hours)}`, isOpen: false };
+        return { text: 'Закрыто', isOpen: false };
     };
 
     /**
-     * @function isFavoriteCategory
-     * @description Проверяет, является ли категория любимой для текущего пользователя.
-     * @param {string} categoryId - ID категории для проверки.
-     * @returns {boolean} True, если категория является любимой, иначе false.
+     * @function formatIntervals
+     * @description Форматирует интервалы работы за день.
+     * @param {Array<{open: string, close: string}>} intervals
+     * @returns {string} Например, "09:00–13:00, 14:00–20:00" или "выходной".
      */
-    const isFavoriteCategory = (categoryId) => {
-        return currentUser && currentUser.favoriteCategories.includes(categoryId);
+    const formatIntervals = (intervals) => {
+        if (!intervals || intervals.length === 0) return 'выходной';
+        return intervals.map(interval => (interval.open === '00:00' && ['00:00', '24:00'].includes(interval.close)
+            ? 'круглосуточно'
+            : `${interval.open}–${interval.close}`)).join(', ');
     };
 
     /**
-     * @function addFavoriteEstablishment
-     * @description Добавляет заведение в список избранных заведений пользователя.
-     * @param {string} establishmentId - ID заведения для добавления.
+     * @function getTodayKey
+     * @description Возвращает ключ текущего дня недели в часовом поясе заведения.
+     * @param {object} hours - Часы работы заведения.
+     * @returns {string} Например, 'mon'.
      */
-    const addFavoriteEstablishment = (establishmentId) => {
-        if (currentUser && !currentUser.favoriteEstablishments.includes(establishmentId)) {
-            currentUser.favoriteEstablishments.push(establishmentId);
-            saveUserData(currentUser);
-            TelegramWebApp.getWebApp().showAlert("Заведение добавлено в избранное!");
-            console.log(`Заведение ${establishmentId} добавлено в избранное.`);
-        }
+    const getTodayKey = (hours) => {
+        const local = getLocalDate(new Date(), (hours && hours.timezone) || DEFAULT_TIMEZONE);
+        return addDays(local.date, 0).dayKey;
+    };
+
+    return {
+        WEEK_ORDER,
+        DAY_NAMES,
+        DEFAULT_TIMEZONE,
+        getStatus,
+        getTodayKey,
+        isOpenNow,
+        formatStatus,
+        formatIntervals
+    };
+})();
+
+// ========================================================
+// Модуль: FilterLink - Фильтры карты в ссылке
+// Описание: Переводит фильтры карты в параметры адреса страницы и в start_param Telegram
+// (параметр startapp ссылки на Mini App) и обратно, чтобы отфильтрованной подборкой
+// можно было поделиться.
+// Адрес страницы: ?category=coffee_shops&price=1-3&rating=4&open=1&photos=1&q=кофе
+// start_param (допустимы только A-Z, a-z, 0-9, "_" и "-", не длиннее 64 символов):
+// filter-ccoffee_shops-p13-r40-o-h, где c — категория, p — цены от/до (0 — без ограничения),
+// r — минимальный рейтинг × 10, o — "открыто сейчас", h — "есть фото".
+// Короткая ссылка на категорию: cat_coffee_shops (см. DeepLink).
+// Поисковый запрос в start_param не передается: в нем могут быть недопустимые символы.
+// ========================================================
+const FilterLink = (() => {
+    const START_PARAM_PREFIX = 'filter-';
+    const CATEGORY_START_PARAM_PREFIX = 'cat_';
+    const MAX_START_PARAM_LENGTH = 64;
+    const MAX_PRICE_LEVEL = 4; // $$$$
+
+    // Значения фильтров карты по умолчанию (фильтры не применены)
+    const DEFAULT_FILTERS = {
+        category: 'all',
+        search: '',
+        openNow: false,
+        priceMin: 0, // Уровень цен: 1 — $, 4 — $$$$, 0 — без ограничения
+        priceMax: 0,
+        minRating: 0,
+        hasPhotos: false
     };
 
     /**
-     * @function removeFavoriteEstablishment
-     * @description Удаляет заведение из списка избранных заведений пользователя.
-     * @param {string} establishmentId - ID заведения для удаления.
+     * @function normalize
+     * @description Приводит фильтры к допустимым значениям: неизвестная категория сбрасывается,
+     * устаревший ID категории переводится в актуальный, перепутанные границы цен меняются местами.
+     * @param {object} filters - Фильтры (могут быть неполными).
+     * @returns {object} Полный набор фильтров.
      */
-    const removeFavoriteEstablishment = (establishmentId) => {
-        if (currentUser) {
-            currentUser.favoriteEstablishments = currentUser.favoriteEstablishments.filter(id => id !== establishmentId);
-            saveUserData(currentUser);
-            TelegramWebApp.getWebApp().showAlert("Заведение удалено из избранного.");
-            console.log(`Заведение ${establishmentId} удалено из избранного.`);
+    const normalize = (filters) => {
+        const toPriceLevel = (value) => {
+            const level = Number(value);
+            return Number.isInteger(level) && level >= 0 && level <= MAX_PRICE_LEVEL ? level : 0;
+        };
+        let priceMin = toPriceLevel(filters.priceMin);
+        let priceMax = toPriceLevel(filters.priceMax);
+        if (priceMin && priceMax && priceMin > priceMax) {
+            [priceMin, priceMax] = [priceMax, priceMin];
         }
+        const minRating = Number(filters.minRating);
+        const category = filters.category && filters.category !== 'all' ? CategoryRegistry.migrateId(filters.category) : 'all';
+
+        return {
+            category: category === 'all' || CategoryRegistry.find(category) ? category : 'all',
+            search: typeof filters.search === 'string' ? filters.search : '',
+            openNow: Boolean(filters.openNow),
+            priceMin,
+            priceMax,
+            minRating: Number.isFinite(minRating) && minRating > 0 && minRating <= 5 ? minRating : 0,
+            hasPhotos: Boolean(filters.hasPhotos)
+        };
     };
 
     /**
-     * @function isFavoriteEstablishment
-     * @description Проверяет, находится ли заведение в списке избранных у текущего пользователя.
-     * @param {string} establishmentId - ID заведения для проверки.
-     * @returns {boolean} True, если заведение в избранном, иначе false.
+     * @function toQuery
+     * @description Переводит фильтры в строку параметров адреса (без значений по умолчанию).
+     * @param {object} filters - Фильтры карты.
+     * @returns {string} Например, "category=restaurants&price=2-3" (пустая строка без фильтров).
      */
-    const isFavoriteEstablishment = (establishmentId) => {
-        return currentUser && currentUser.favoriteEstablishments.includes(establishmentId);
+    const toQuery = (filters) => {
+        const params = new URLSearchParams();
+        if (filters.category && filters.category !== 'all') params.set('category', filters.category);
+        if (filters.priceMin || filters.priceMax) params.set('price', `${filters.priceMin || 0}-${filters.priceMax || 0}`);
+        if (filters.minRating) params.set('rating', String(filters.minRating));
+        if (filters.openNow) params.set('open', '1');
+        if (filters.hasPhotos) params.set('photos', '1');
+        if (filters.search) params.set('q', filters.search);
+        return params.toString();
     };
 
     /**
-     * @function getFavoriteCategories
-     * @description Возвращает список ID любимых категорий текущего пользователя.
-     * @returns {Array<string>} Массив ID любимых категорий.
+     * @function fromQuery
+     * @description Читает фильтры из строки параметров адреса.
+     * @param {string} query - Строка параметров (window.location.search).
+     * @returns {object|null} Фильтры или null, если в адресе нет ни одного параметра фильтра.
      */
-    const getFavoriteCategories = () => {
-        return currentUser ? [...currentUser.favoriteCategories] : [];
+    const fromQuery = (query) => {
+        const params = new URLSearchParams(query);
+        if (!['category', 'price', 'rating', 'open', 'photos', 'q'].some(key => params.has(key))) return null;
+        const [priceMin, priceMax] = (params.get('price') || '0-0').split('-');
+        return normalize({
+            category: params.get('category') || 'all',
+            search: params.get('q') || '',
+            openNow: params.get('open') === '1',
+            priceMin,
+            priceMax,
+            minRating: params.get('rating'),
+            hasPhotos: params.get('photos') === '1'
+        });
     };
 
     /**
-     * @function getFavoriteEstablishments
-     * @description Возвращает список ID избранных заведений текущего пользователя.
-     * @returns {Array<string>} Массив ID избранных заведений.
+     * @function toStartParam
+     * @description Переводит фильтры в start_param для ссылки на Mini App.
+     * @param {object} filters - Фильтры карты.
+     * @returns {string} Например, "filter-crestaurants-p23-o".
      */
-    const getFavoriteEstablishments = () => {
-        return currentUser ? [...currentUser.favoriteEstablishments] : [];
+    const toStartParam = (filters) => {
+        const parts = [];
+        if (filters.category && filters.category !== 'all') parts.push(`c${filters.category}`);
+        if (filters.priceMin || filters.priceMax) parts.push(`p${filters.priceMin || 0}${filters.priceMax || 0}`);
+        if (filters.minRating) parts.push(`r${Math.round(filters.minRating * 10)}`);
+        if (filters.openNow) parts.push('o');
+        if (filters.hasPhotos) parts.push('h');
+        return `${START_PARAM_PREFIX}${parts.join('-')}`.slice(0, MAX_START_PARAM_LENGTH);
     };
 
     /**
-     * @function verifyInn
-     * @description Отправляет запрос на сервер для проверки ИНН через API ФНС (DaData.ru).
-     * Обновляет статус верификации и отображает данные компании на основе ответа.
-     * @param {string} inn - ИНН для проверки.
-     * @param {HTMLElement} statusDisplayElement - Элемент для отображения статуса верификации.
-     * @param {HTMLElement} companyDataDisplayElement - Элемент для отображения данных компании.
-     * @returns {Promise<object|null>} Объект с результатом проверки или null в случае ошибки.
+     * @function fromStartParam
+     * @description Читает фильтры из start_param (filter-... или cat_<ID>). Неизвестные части пропускаются.
+     * @param {string} startParam - Параметр запуска Mini App.
+     * @returns {object|null} Фильтры или null, если параметр не относится к фильтрам.
      */
-    const verifyInn = async (inn, statusDisplayElement, companyDataDisplayElement) => {
-        statusDisplayElement.style.display = 'block';
-        statusDisplayElement.className = 'verification-status-message';
-        statusDisplayElement.innerText = 'Проверка ИНН...';
-        companyDataDisplayElement.style.display = 'none';
+    const fromStartParam = (startParam) => {
+        if (startParam && startParam.startsWith(CATEGORY_START_PARAM_PREFIX)) {
+            return normalize({ category: startParam.slice(CATEGORY_START_PARAM_PREFIX.length) });
+        }
+        if (!startParam || !startParam.startsWith(START_PARAM_PREFIX)) return null;
+        const filters = {};
+        startParam.slice(START_PARAM_PREFIX.length).split('-').forEach(part => {
+            const key = part.charAt(0);
+            const value = part.slice(1);
+            if (key === 'c' && value) filters.category = value;
+            if (key === 'p' && /^[0-4]{2}$/.test(value)) {
+                filters.priceMin = Number(value[0]);
+                filters.priceMax = Number(value[1]);
+            }
+            if (key === 'r' && /^\d{1,2}$/.test(value)) filters.minRating = Number(value) / 10;
+            if (part === 'o') filters.openNow = true;
+            if (part === 'h') filters.hasPhotos = true;
+        });
+        return normalize(filters);
+    };
 
-        try {
-            const response = await fetch('/api/fns/verify-inn', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ inn })
-            });
-            const result = await response.json();
+    /**
+     * @function readInitial
+     * @description Возвращает фильтры, с которыми открыто приложение: из адреса страницы,
+     * а если их там нет — из start_param Telegram.
+     * @returns {object} Фильтры карты (значения по умолчанию, если ссылка без фильтров).
+     */
+    const readInitial = () => fromQuery(window.location.search)
+        || fromStartParam(TelegramWebApp.getStartParam())
+        || { ...DEFAULT_FILTERS };
 
-            if (response.ok) {
-                statusDisplayElement.classList.add(result.status);
-                statusDisplayElement.innerText = result.message;
-                if (result.company) {
-                    document.getElementById('fns-company-name').innerText = result.company.name;
-                    document.getElementById('fns-ogrn').innerText = result.company.ogrn;
-                    document.getElementById('fns-address').innerText = result.company.address;
-                    document.getElementById('fns-okved').innerText = result.company.okved;
-                    document.getElementById('fns-status').innerText = result.company.state;
-                    companyDataDisplayElement.style.display = 'flex';
-                } else {
-                    companyDataDisplayElement.style.display = 'none';
-                }
-                return result;
-            } else {
-                statusDisplayElement.classList.add('error');
-                statusDisplayElement.innerText = result.message || 'Ошибка при проверке ИНН.';
-                return null;
-            }
+    /**
+     * @function writeToUrl
+     * @description Сохраняет фильтры в адресе страницы без перезагрузки (history.replaceState).
+     * Остальные параметры адреса и фрагмент (#tgWebAppData=...) сохраняются.
+     * @param {object} filters - Фильтры карты.
+     */
+    const writeToUrl = (filters) => {
+        const params = new URLSearchParams(window.location.search);
+        ['category', 'price', 'rating', 'open', 'photos', 'q'].forEach(key => params.delete(key));
+        new URLSearchParams(toQuery(filters)).forEach((value, key) => params.set(key, value));
+        const query = params.toString();
+        try {
+            window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
         } catch (error) {
-            console.error('Ошибка при запросе к API ФНС:', error);
-            statusDisplayElement.classList.add('error');
-            statusDisplayElement.innerText = 'Ошибка сети или сервера при проверке ИНН.';
-            return null;
+            console.warn("Не удалось обновить адрес страницы:", error);
         }
     };
 
     return {
-        registerBusiness,
-        getProfile,
-        updateProfileScreen,
-        loginBusiness,
-        logoutBusiness,
-        updateBusinessProfile,
-        verifyInn,
-        addFavoriteCategory,
-        removeFavoriteCategory,
-        isFavoriteCategory,
-        addFavoriteEstablishment,
-        removeFavoriteEstablishment,
-        isFavoriteEstablishment,
-        getFavoriteCategories,
-        getFavoriteEstablishments
+        DEFAULT_FILTERS,
+        normalize,
+        toQuery,
+        fromQuery,
+        toStartParam,
+        fromStartParam,
+        readInitial,
+        writeToUrl
     };
 })();
 
 // ========================================================
-// Модуль 5: Модальные окна (для детальной информации о заведении)
-// Описание: Управляет отображением модального окна с детальной информацией о заведении,
-// включая название, описание, категорию, рейтинг, контакты, фотографии и отзывы.
-// Также обрабатывает действия "Построить маршрут" и "Удалить заведение".
+// Модуль: DeepLink - Ссылки на заведения, категории и списки
+// Описание: Открывает приложение по ссылке t.me/<бот>/<приложение>?startapp=<параметр>:
+// est_<ID> — карточка заведения, cat_<ID> — карта с фильтром по категории,
+// list_<ID> — список заведений (см. FavoriteLists). Категории и фильтры карты (filter-...)
+// читает FilterLink при запуске.
+// Собирает ссылки для кнопок "Поделиться": адрес Mini App знает только сервер
+// (GET /api/share-link), без него используется адрес веб-страницы приложения.
 // ========================================================
-const ModalSystem = (() => {
-    const modal = document.getElementById('establishment-modal'); // Главное модальное окно деталей заведения
-    const closeButton = modal.querySelector('.close-button'); // Кнопка закрытия модального окна
-    const buildRouteButton = document.getElementById('build-route-button'); // Кнопка "Построить маршрут"
-    const deleteEstablishmentButton = document.getElementById('delete-establishment-button'); // Кнопка "Удалить заведение"
-    const addToFavoritesButton = document.getElementById('add-to-favorites-button'); // Кнопка "Добавить в избранное"
-    let currentEstablishment = null; // Текущее заведение, которое отображается в модальном окне
+const DeepLink = (() => {
+    const PREFIXES = {
+        establishment: 'est_',
+        category: 'cat_',
+        list: 'list_'
+    };
+    const links = new Map(); // Полученные с сервера ссылки по параметру запуска
 
     /**
-     * @function showEstablishmentDetails
-     * @description Показывает модальное окно с детальной информацией о заведении.
-     * Заполняет поля модального окна данными из объекта заведения, загружает фотографии
-     * и отзывы, а также управляет видимостью кнопки "Удалить заведение"
-     * в зависимости от того, является ли текущий пользователь владельцем.
-     * @param {object} establishment - Объект заведения с полной информацией.
+     * @function parse
+     * @description Разбирает параметр запуска.
+     * @param {string} startParam - Параметр запуска Mini App.
+     * @returns {{type: string, id: string}|null} type: 'establishment', 'category' или 'list';
+     * null, если параметр не является ссылкой на объект.
      */
-    const showEstablishmentDetails = (establishment) => {
-        currentEstablishment = establishment; // Сохраняем текущее заведение для использования в других функциях
-
-        // Заполняем элементы модального окна данными заведения
-        document.getElementById('modal-establishment-name').innerText = establishment.name;
-        document.getElementById('modal-establishment-description').innerText = establishment.description;
-        document.getElementById('modal-establishment-category').innerText = establishment.category;
-        document.getElementById('modal-establishment-price-category').innerText = establishment.priceCategory || 'Не указана'; // Ценовая категория
-        document.getElementById('modal-establishment-rating').innerText = establishment.rating;
-        document.getElementById('modal-establishment-contact').innerText = establishment.contact;
-
-        // Загрузка и отображение фотографий заведения
-        const photosContainer = modal.querySelector('.modal-photos');
-        photosContainer.innerHTML = ''; // Очищаем контейнер от предыдущих фото
-        establishment.photos.forEach(photoUrl => {
-            const img = document.createElement('img');
-            img.src = photoUrl;
-            img.alt = establishment.name;
-            photosContainer.appendChild(img);
-        });
+    const parse = (startParam) => {
+        const type = Object.keys(PREFIXES).find(key => (startParam || '').startsWith(PREFIXES[key]));
+        const id = type ? startParam.slice(PREFIXES[type].length) : '';
+        return id ? { type, id } : null;
+    };
 
-        // Загрузка и отображение отзывов о заведении
-        const reviewsContainer = modal.querySelector('.modal-reviews');
-        reviewsContainer.innerHTML = '<h4>Отзывы:</h4>'; // Очищаем и добавляем заголовок
-        if (establishment.reviews && establishment.reviews.length > 0) {
-            establishment.reviews.forEach(review => {
-                const p = document.createElement('p');
-                p.innerHTML = `<span class="review-author">${review.author}</span> (Рейтинг: ${review.rating}): ${review.text}`;
-                reviewsContainer.appendChild(p);
-            });
-        } else {
-            const p = document.createElement('p');
-            p.innerText = 'Отзывов пока нет.';
-            reviewsContainer.appendChild(p);
-        }
+    /**
+     * @function toStartParam
+     * @description Собирает параметр запуска для ссылки на объект.
+     * @param {string} type - 'establishment', 'category' или 'list'.
+     * @param {string} id - ID объекта.
+     * @returns {string} Например, "est_est1".
+     */
+    const toStartParam = (type, id) => `${PREFIXES[type]}${id}`;
 
-        modal.classList.add('active'); // Активируем (показываем) модальное окно
-        TelegramWebApp.getWebApp().BackButton.show(); // Показываем кнопку "Назад" Telegram WebApp
+    /**
+     * @function getFallbackLink
+     * @description Возвращает ссылку на веб-страницу приложения с параметром запуска.
+     * Используется, если адрес Mini App не настроен на сервере.
+     * @param {string} startParam - Параметр запуска.
+     * @returns {string}
+     */
+    const getFallbackLink = (startParam) => `${window.location.origin}${window.location.pathname}?tgWebAppStartParam=${encodeURIComponent(startParam)}`;
 
-        // Управляем видимостью кнопки "Удалить заведение".
-        // Она видна только если текущий пользователь является предпринимателем
-        // и это заведение принадлежит ему.
-        const currentUser = UserSystem.getProfile();
-        if (currentUser && currentUser.type === 'business' && currentUser.establishments.some(e => e.id === establishment.id)) {
-            deleteEstablishmentButton.style.display = 'block'; // Показываем кнопку
-            addToFavoritesButton.style.display = 'none'; // Скрываем кнопку "Добавить в избранное" для владельца
-        } else {
-            deleteEstablishmentButton.style.display = 'none'; // Скрываем кнопку
-            // Показываем кнопку "Добавить в избранное" для обычных пользователей
-            addToFavoritesButton.style.display = 'block';
-            // Обновляем текст и состояние кнопки избранного
-            if (UserSystem.isFavoriteEstablishment(establishment.id)) {
-                addToFavoritesButton.innerText = '⭐ Удалить из избранного';
-                addToFavoritesButton.classList.add('active-favorite');
-            } else {
-                addToFavoritesButton.innerText = '⭐ Добавить в избранное';
-                addToFavoritesButton.classList.remove('active-favorite');
+    /**
+     * @function getLink
+     * @description Возвращает ссылку, открывающую Mini App с параметром запуска.
+     * @param {string} startParam - Параметр запуска.
+     * @returns {Promise<string>}
+     */
+    const getLink = async (startParam) => {
+        if (links.has(startParam)) return links.get(startParam);
+        try {
+            const { ok, data } = await ApiClient.get(`/api/share-link?startParam=${encodeURIComponent(startParam)}`);
+            if (ok && data.link) {
+                links.set(startParam, data.link);
+                return data.link;
             }
+        } catch (error) {
+            console.error("Ошибка при получении ссылки на Mini App:", error);
         }
+        return getFallbackLink(startParam);
     };
 
     /**
-     * @function hideEstablishmentDetails
-     * @description Скрывает модальное окно с детальной информацией о заведении.
-     * Также управляет видимостью кнопки "Назад" Telegram WebApp.
+     * @function canUse
+     * @description Проверяет, поддерживает ли клиент Telegram метод WebApp.
+     * @param {string} method - Название метода.
+     * @param {string} version - Версия Bot API, в которой метод появился.
+     * @returns {boolean}
      */
-    const hideEstablishmentDetails = () => {
-        modal.classList.remove('active'); // Деактивируем (скрываем) модальное окно
-        // Если текущий экран не главный экран карты, то показываем кнопку "Назад" Telegram.
-        // В противном случае - скрываем.
-        if (Navigation.getCurrentScreenId() !== 'main-map-screen') {
-            TelegramWebApp.getWebApp().BackButton.show();
-        } else {
-            TelegramWebApp.getWebApp().BackButton.hide();
-        }
-        currentEstablishment = null; // Сбрасываем текущее заведение
+    const canUse = (method, version) => {
+        const webApp = TelegramWebApp.getWebApp();
+        return typeof webApp[method] === 'function'
+            && (typeof webApp.isVersionAtLeast !== 'function' || webApp.isVersionAtLeast(version));
     };
 
-    // Обработчик кнопки "Построить маршрут"
-    // Открывает Яндекс.Карты в браузере для построения маршрута до заведения.
-    buildRouteButton.addEventListener('click', () => {
-        if (currentEstablishment) {
-            const coords = currentEstablishment.coordinates.join(',');
-            const url = `https://yandex.ru/maps/?rtext=~${coords}&rtt=auto`; // URL для построения маршрута
-            TelegramWebApp.getWebApp().openLink(url); // Открываем ссылку через Telegram WebApp
+    /**
+     * @function shareLink
+     * @description Отправляет ссылку: в Telegram открывает выбор чата,
+     * вне Telegram копирует ссылку в буфер обмена.
+     * @param {string} link - Ссылка.
+     * @param {string} text - Текст сообщения со ссылкой.
+     */
+    const shareLink = async (link, text) => {
+        const webApp = TelegramWebApp.getWebApp();
+        if (typeof webApp.openTelegramLink === 'function') {
+            webApp.openTelegramLink(`https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(text)}`);
+            return;
         }
-    });
+        try {
+            await navigator.clipboard.writeText(link);
+            webApp.showAlert('Ссылка скопирована.');
+        } catch (error) {
+            webApp.showAlert(`Ссылка: ${link}`);
+        }
+    };
 
-    // Обработчик кнопки "Удалить заведение"
-    // Показывает подтверждение пользователю, затем удаляет заведение через MapSystem
-    // и обновляет профиль предпринимателя.
-    deleteEstablishmentButton.addEventListener('click', () => {
-        if (currentEstablishment) {
-            TelegramWebApp.getWebApp().showConfirm(`Вы уверены, что хотите удалить заведение \"${currentEstablishment.name}\"?`, (confirmed) => {
-                if (confirmed) {
-                    const deleted = MapSystem.deleteEstablishment(currentEstablishment.id); // Удаляем из MapSystem
-                    if (deleted) {
-                        // Также нужно удалить заведение из списка предпринимателя
-                        const currentUser = UserSystem.getProfile();
-                        if (currentUser && currentUser.type === 'business') {
-                            currentUser.establishments = currentUser.establishments.filter(e => e.id !== currentEstablishment.id);
-                            UserSystem.updateProfileScreen(currentUser); // Обновляем UI профиля предпринимателя
-                        }
-                        TelegramWebApp.getWebApp().showAlert("Заведение успешно удалено!");
-                        hideEstablishmentDetails(); // Скрываем модальное окно
-                    } else {
-                        TelegramWebApp.getWebApp().showAlert("Ошибка при удалении заведения.");
-                    }
-                }
+    /**
+     * @function shareEstablishment
+     * @description Делится заведением. Если клиент Telegram поддерживает, предлагает на выбор:
+     * отправить карточку в чат через инлайн-режим бота (switchInlineQuery),
+     * опубликовать историю с фото заведения (shareToStory) или отправить ссылку.
+     * @param {object} establishment - Заведение.
+     */
+    const shareEstablishment = async (establishment) => {
+        const webApp = TelegramWebApp.getWebApp();
+        const startParam = toStartParam('establishment', establishment.id);
+        const link = await getLink(startParam);
+        const text = `${establishment.name} — в MapCost`;
+
+        const options = [];
+        if (webApp.initData && canUse('switchInlineQuery', '6.7')) {
+            options.push({
+                id: 'chat',
+                text: 'В чат',
+                run: () => webApp.switchInlineQuery(startParam, ['users', 'groups', 'channels'])
             });
         }
-    });
-
-    // Обработчик кнопки "Добавить/Удалить из избранного"
-    addToFavoritesButton.addEventListener('click', () => {
-        if (currentEstablishment) {
-            if (UserSystem.isFavoriteEstablishment(currentEstablishment.id)) {
-                UserSystem.removeFavoriteEstablishment(currentEstablishment.id);
-                addToFavoritesButton.innerText = '⭐ Добавить в избранное';
-                addToFavoritesButton.classList.remove('active-favorite');
-            } else {
-                UserSystem.addFavoriteEstablishment(currentEstablishment.id);
-                addToFavoritesButton.innerText = '⭐ Удалить из избранного';
-                addToFavoritesButton.classList.add('active-favorite');
-            }
-            // Обновляем карту и экран избранных заведений
-            MapSystem.applyFilters();
-            UserSystem.updateProfileScreen(UserSystem.getProfile()); // Обновить экран избранных заведений
+        const photo = (establishment.photos || [])[0];
+        if (photo && canUse('shareToStory', '7.8')) {
+            options.push({
+                id: 'story',
+                text: 'В историю',
+                run: () => webApp.shareToStory(new URL(PhotoUtils.getFullUrl(photo), window.location.href).toString(), {
+                    text,
+                    widget_link: { url: link, name: 'Открыть в MapCost' }
+                })
+            });
         }
-    });
+        options.push({ id: 'link', text: 'Ссылкой', run: () => shareLink(link, text) });
 
-    // Закрытие модального окна по клику на кнопку закрытия (крестик)
-    closeButton.addEventListener('click', hideEstablishmentDetails);
+        if (options.length === 1) {
+            options[0].run();
+            return;
+        }
+        webApp.showPopup({
+            title: 'Поделиться',
+            message: establishment.name,
+            buttons: options.map(({ id, text: buttonText }) => ({ id, type: 'default', text: buttonText }))
+        }, (buttonId) => {
+            const option = options.find(({ id }) => id === buttonId);
+            if (option) option.run();
+        });
+    };
 
-    // Закрытие модального окна при клике вне его содержимого
-    window.addEventListener('click', (event) => {
-        if (event.target === modal) {
-            hideEstablishmentDetails();
+    /**
+     * @function openInitial
+     * @description Открывает заведение или список, если приложение запущено по ссылке на него.
+     * Вызывается после инициализации карты и экранов.
+     * @returns {Promise<void>}
+     */
+    const openInitial = async () => {
+        const target = parse(TelegramWebApp.getStartParam());
+        if (!target) return;
+        if (target.type === 'list') {
+            FavoriteLists.openList(target.id);
+        } else if (target.type === 'establishment') {
+            await MapSystem.ensureEstablishments([target.id]);
+            const establishment = MapSystem.getEstablishments().find(item => item.id === target.id);
+            if (!establishment) {
+                TelegramWebApp.getWebApp().showAlert('Заведение по ссылке не найдено: возможно, оно удалено или скрыто.');
+                return;
+            }
+            MapSystem.focusEstablishment(establishment);
+            ModalSystem.showEstablishmentDetails(establishment);
         }
-    });
+        // Ссылка на категорию (cat_) применяется вместе с фильтрами карты (FilterLink.readInitial)
+    };
 
     return {
-        showEstablishmentDetails,
-        hideEstablishmentDetails
+        parse,
+        toStartParam,
+        getFallbackLink,
+        getLink,
+        shareLink,
+        shareEstablishment,
+        openInitial
     };
 })();
 
 // ========================================================
-// Модуль 6: Модальное окно выбора местоположения (LocationPickerModal)
-// Описание: Предоставляет интерактивную карту в модальном окне для выбора
-// конкретных координат. Используется в формах регистрации бизнеса и
-// добавления/редактирования заведений.
+// Модуль 2: Система Карты (Яндекс.Карты)
+// Описание: Управляет инициализацией и поведением Яндекс.Карт,
+// отображением заведений, фильтрацией, поиском и геолокацией пользователя.
+// Заведения загружаются только для видимой области карты (GET /api/establishments?bbox=&zoom=)
+// при каждом ее изменении. Ответы кэшируются, устаревшие запросы отменяются.
+// Загруженные заведения сохраняются на устройстве (OfflineStore): без связи с сервером
+// показываются сохраненные заведения с предупреждением, что данные могут быть устаревшими.
+// LoadingObjectManager Яндекс.Карт не используется: он загружает данные через JSONP
+// и не может передать заголовок X-Telegram-Init-Data, без которого владелец не увидит
+// свои неопубликованные заведения.
 // ========================================================
-const LocationPickerModal = (() => {
-    const modal = document.getElementById('location-picker-modal'); // Модальное окно выбора местоположения
-    const closeButton = document.getElementById('close-location-picker'); // Кнопка закрытия модального окна
-    const confirmButton = document.getElementById('confirm-location-button'); // Кнопка "Подтвердить"
-    const cancelButton = document.getElementById('cancel-location-button'); // Кнопка "Отмена"
-    const selectedCoordsDisplay = document.getElementById('selected-coords'); // Элемент для отображения выбранных координат
-    const pickerMapContainer = document.getElementById('picker-map-container'); // Контейнер для карты внутри модального окна
-
-    let pickerMap = null; // Экземпляр карты для выбора местоположения
-    let pickerPlacemark = null; // Перетаскиваемая метка на карте
-    let confirmCallback = null; // Callback-функция, вызываемая при подтверждении выбора
+const MapSystem = (() => {
+    let myMap = null; // Экземпляр карты Яндекс.Карт
+    let objectManager = null; // ObjectManager для управления метками и кластерами
+    let userGeolocationPlacemark = null; // Метка текущего местоположения пользователя
+    let clickPlacemark = null; // Метка, добавляемая пользователем по клику на основной карте
+    // Все загруженные с сервера заведения (во всех просмотренных областях карты) по ID
+    const establishmentsById = new Map();
+    // Результат загрузки видимой области: ID заведений и серверные кластеры
+    let viewportData = { establishmentIds: [], clusters: [] };
+    let viewportCache = []; // Кэш ответов по областям карты: [{ bbox, zoom, query, loadedAt, establishmentIds, clusters }]
+    let viewportRequest = null; // AbortController текущего запроса области карты
+    let viewportTimer = null; // Таймер отложенной загрузки после перемещения карты
+    const VIEWPORT_DEBOUNCE = 300; // Загрузка начинается, когда карта перестала двигаться
+    const VIEWPORT_PADDING = 0.5; // Область запрашивается с запасом в половину экрана с каждой стороны
+    const VIEWPORT_CACHE_SIZE = 20; // Сколько областей хранить в кэше
+    const VIEWPORT_CACHE_TTL = 60 * 1000; // Время жизни области в кэше
+    // ID заведений, найденных серверным поиском по текущему запросу (null — результатов еще нет)
+    let searchResultIds = null;
+    // Режим "Рядом": { center, radius, source: 'user' | 'point', establishmentIds } или null.
+    // В этом режиме на карте и в списке показываются заведения в радиусе от точки, а не в видимой области.
+    let nearby = null;
+    let nearbyRequest = null; // AbortController текущего запроса заведений рядом
+    let nearbyCircle = null; // Круг радиуса поиска на карте
+    let userLocation = null; // Последнее определенное местоположение пользователя
+    let listMode = false; // Показан ли под картой список заведений
+    let selectedEstablishmentId = null; // Заведение, выбранное в списке или на карте
+    const DEFAULT_NEARBY_RADIUS = 1000; // Радиус поиска по умолчанию, м
+    // Текущие фильтры: категория, поисковый запрос, "открыто сейчас", диапазон цен,
+    // минимальный рейтинг и "есть фото" (см. FilterLink.DEFAULT_FILTERS)
+    let currentFilters = { ...FilterLink.DEFAULT_FILTERS };
+    let openNowTimer = null; // Таймер перерисовки карты, пока включен фильтр "открыто сейчас"
+    const OPEN_NOW_REFRESH_INTERVAL = 60 * 1000; // Статус "открыто" пересчитывается раз в минуту
 
     /**
-     * @function initPickerMap
-     * @description Инициализирует новую карту Яндекс.Карт внутри модального окна выбора местоположения.
-     * Размещает перетаскиваемую метку на указанных координатах и обновляет
-     * отображение координат при ее перемещении.
-     * @param {Array<number>} initialCoords - Начальные координаты для центрирования карты и размещения метки.
+     * @function getPlacemarkIcon
+     * @description Возвращает параметры для кастомной иконки метки в зависимости от категории заведения.
+     * @param {string} category - ID категории заведения из справочника (e.g., 'coffee_shops').
+     * @param {boolean} isFavorite - Флаг, указывающий, является ли заведение избранным.
+     * @param {boolean} [isSelected=false] - Заведение выбрано в списке (метка показывается крупнее).
+     * @returns {object} Объект с настройками иконки для Yandex Maps API.
      */
-    const initPickerMap = (initialCoords) => {
-        if (pickerMap) {
-            pickerMap.destroy(); // Уничтожаем предыдущую карту, если она была, для предотвращения утечек памяти
+    const getPlacemarkIcon = (category, isFavorite, isSelected = false) => {
+        let color = '#007bff'; // Дефолтный цвет (синий)
+        let iconHref = `https://raw.githubusercontent.com/yandex/yandex-maps-api-demos/master/js/svg/pin_circle_blue.svg`;
+
+        if (isFavorite) {
+            color = '#ffc107'; // Золотой/желтый для избранных
+            iconHref = `https://raw.githubusercontent.com/yandex/yandex-maps-api-demos/master/js/svg/pin_circle_yellow.svg`; // Специальная иконка для избранных
+        } else {
+            // Цвет группы категорий из справочника (подкатегории наследуют цвет группы)
+            const categoryInfo = CategoryRegistry.find(category);
+            color = (categoryInfo && categoryInfo.color)
+                || TelegramWebApp.getWebApp().themeParams.button_color || '#007bff'; // Цвет кнопки из темы
         }
-        pickerMap = new ymaps.Map(pickerMapContainer, {
-            center: initialCoords || [55.76, 37.64], // Дефолтный центр Москвы или переданные координаты
-            zoom: 12, // Уровень зума
-            controls: ['zoomControl', 'geolocationControl'] // Элементы управления
-        });
 
-        // Создаем перетаскиваемую метку
-        pickerPlacemark = new ymaps.Placemark(pickerMap.getCenter(), {
-            hintContent: 'Перетащите для выбора местоположения' // Подсказка при наведении
-        }, {
-            draggable: true, // Метка может быть перетаскиваемой
-            preset: 'islands#blueDotIcon' // Пресет иконки
-        });
-        pickerMap.geoObjects.add(pickerPlacemark); // Добавляем метку на карту
-        // Отображаем начальные координаты
-        selectedCoordsDisplay.innerText = pickerPlacemark.geometry.getCoordinates().map(c => c.toFixed(6)).join(', ');
+        const size = isSelected ? 44 : 30;
+        return {
+            iconLayout: 'default#image',
+            iconImageHref: iconHref,
+            iconImageSize: [size, size],
+            iconImageOffset: [-size / 2, -size / 2],
+            iconColor: color,
+            zIndex: isSelected ? 1000 : undefined // Выбранная метка поверх остальных
+        };
+    };
 
-        // Обработчик события "dragend" (окончание перетаскивания метки)
-        pickerPlacemark.events.add('dragend', () => {
-            const coords = pickerPlacemark.geometry.getCoordinates();
-            selectedCoordsDisplay.innerText = coords.map(c => c.toFixed(6)).join(', '); // Обновляем отображение координат
-        });
+    /**
+     * @function initMap
+     * @description Инициализирует Яндекс.Карту в контейнере '#map-container'.
+     * Добавляет элементы управления, ObjectManager для меток и обработчики событий.
+     */
+    const initMap = () => {
+        const tryInit = (attempt = 1) => {
+            if (typeof window.ymaps === 'undefined') {
+                if (attempt <= 10) {
+                    // Ждём загрузку скрипта Яндекс.Карт и пробуем снова
+                    setTimeout(() => tryInit(attempt + 1), 300);
+                } else {
+                    console.error("Яндекс.Карты API не загрузился.");
+                    const container = document.getElementById('map-container');
+                    if (container) {
+                        container.innerHTML = '<div style="display:flex;align-items:center;justify-content:center;width:100%;height:100%;color:#cc0000;font-weight:bold;">Не удалось загрузить карту. Проверьте подключение и API‑ключ.</div>';
+                    }
+                    showSavedWithoutMap();
+                }
+                return;
+            }
 
-        // Обработчик события "click" по карте
-        pickerMap.events.add('click', (e) => {
-            const coords = e.get('coords'); // Получаем координаты клика
-            pickerPlacemark.geometry.setCoordinates(coords); // Перемещаем метку в точку клика
-            selectedCoordsDisplay.innerText = coords.map(c => c.toFixed(6)).join(', '); // Обновляем отображение координат
+            window.ymaps.ready(() => {
+            const containerId = document.getElementById('map') ? 'map' : 'map-container';
+            myMap = new ymaps.Map(containerId, {
+                center: [55.76, 37.64], // Начальный центр карты (Москва)
+                zoom: 10, // Начальный уровень зума
+                controls: ['zoomControl', 'fullscreenControl', 'geolocationControl'] // Элементы управления на карте
+            }, {
+                suppressMapOpenBlock: true, // Скрываем блок "Открыть в Картах"
+                // Для темной темы карты можно использовать свойство `mapType`
+                // и создавать свои слои, если это поддерживается, или стилизовать через CSS как сейчас.
+                // yandex#map - стандартная схема, можно попробовать спутник или гибрид
+                // mapType: 'yandex#satellite'
+            });
+            window.myMap = myMap; // Делаем карту доступной глобально для отладки или других модулей
+
+            // Инициализация ObjectManager для меток и кластеров
+            // ObjectManager автоматически управляет кластеризацией меток при изменении зума.
+            objectManager = new ymaps.ObjectManager({
+                clusterize: true, // Включить кластеризацию
+                gridSize: 64, // Размер сетки кластеризации
+                clusterDisableClickZoom: false, // Отключить зум при клике на кластер
+                clusterHasBalloon: true // Кластеры также будут иметь всплывающие окна
+            });
+            myMap.geoObjects.add(objectManager); // Добавляем ObjectManager на карту
+
+            loadEstablishments(); // Загружаем и отображаем заведения в видимой области карты
+
+            // Обработчик клика по метке (или кластеру)
+            objectManager.objects.events.add(['click'], (e) => {
+                const objectId = e.get('objectId');
+                const object = objectManager.objects.getById(objectId);
+                // Проверяем, что это не кластер, а отдельная метка заведения
+                if (object.properties.isCluster) return; // Если это кластер, игнорируем клик
+                // Кластер, собранный сервером: приближаем карту к его области
+                if (object.properties.serverClusterBounds) {
+                    myMap.setBounds(object.properties.serverClusterBounds, { checkZoomRange: true });
+                    return;
+                }
+
+                // Находим полное описание заведения по ID метки
+                const establishment = establishmentsById.get(object.properties.establishmentId);
+                if (establishment) {
+                    selectedEstablishmentId = establishment.id; // Выделяем строку в списке
+                    applyFilters();
+                    ModalSystem.showEstablishmentDetails(establishment); // Показываем модальное окно с деталями
+                }
+            });
+
+            // Добавление/перемещение пользовательской метки по клику на карте
+            myMap.events.add('click', (e) => {
+                const coords = e.get('coords');
+                if (!clickPlacemark) {
+                    clickPlacemark = new ymaps.Placemark(coords, { hintContent: 'Выбранная точка' }, { draggable: true });
+                    myMap.geoObjects.add(clickPlacemark);
+                } else {
+                    clickPlacemark.geometry.setCoordinates(coords);
+                }
+                const coordsInput = document.getElementById('est-coords');
+                if (coordsInput) {
+                    coordsInput.value = coords.map(v => v.toFixed(6)).join(', ');
+                }
+            });
+
+            // При изменении области просмотра подгружаем заведения в новой области
+            myMap.events.add('boundschange', scheduleViewportLoad);
+
+            console.log("Yandex Map initialized.");
         });
+        };
+
+        tryInit();
     };
 
     /**
-     * @function show
-     * @description Показывает модальное окно выбора местоположения и инициализирует карту.
-     * @param {Array<number>} currentCoords - Координаты для начального центрирования карты.
-     * @param {function(Array<number>): void} callback - Callback-функция, которая будет вызвана
-     * с выбранными координатами при подтверждении выбора.
+     * @function getViewportQuery
+     * @description Возвращает параметры фильтров, которые применяет сервер при загрузке области карты.
+     * Категория, цены, рейтинг и фото учитываются и в серверных кластерах. Поиск, "открыто сейчас"
+     * (зависит от текущего времени) и любимые категории применяются только на клиенте в `applyFilters`.
+     * @returns {string} Строка параметров запроса.
      */
-    const show = (currentCoords, callback) => {
-        confirmCallback = callback; // Сохраняем callback-функцию
-        modal.classList.add('active'); // Показываем модальное окно
-        TelegramWebApp.getWebApp().BackButton.show(); // Показываем кнопку "Назад" Telegram
-        if (typeof ymaps === 'undefined') {
-            // Подстрахуемся, если API ещё не подгружен
-            const wait = () => (typeof ymaps === 'undefined') ? setTimeout(wait, 200) : ymaps.ready(() => initPickerMap(currentCoords));
-            wait();
-        } else {
-            ymaps.ready(() => initPickerMap(currentCoords)); // Инициализируем карту после открытия модального окна
-        }
+    const getViewportQuery = () => {
+        const params = new URLSearchParams();
+        if (currentFilters.category !== 'all') params.set('category', currentFilters.category);
+        if (currentFilters.priceMin) params.set('priceMin', String(currentFilters.priceMin));
+        if (currentFilters.priceMax) params.set('priceMax', String(currentFilters.priceMax));
+        if (currentFilters.minRating) params.set('minRating', String(currentFilters.minRating));
+        if (currentFilters.hasPhotos) params.set('hasPhotos', '1');
+        return params.toString();
     };
 
     /**
-     * @function hide
-     * @description Скрывает модальное окно выбора местоположения и уничтожает экземпляр карты.
+     * @function containsBounds
+     * @description Проверяет, что область `outer` целиком содержит область `inner`.
+     * @param {Array<Array<number>>} outer - [[minLat, minLon], [maxLat, maxLon]].
+     * @param {Array<Array<number>>} inner - [[minLat, minLon], [maxLat, maxLon]].
+     * @returns {boolean}
      */
-    const hide = () => {
-        modal.classList.remove('active'); // Скрываем модальное окно
-        if (pickerMap) {
-            pickerMap.destroy(); // Уничтожаем карту, чтобы освободить ресурсы
-            pickerMap = null;
-        }
-        TelegramWebApp.getWebApp().BackButton.hide(); // Скрываем кнопку "Назад" Telegram
-    };
+    const containsBounds = (outer, inner) => outer[0][0] <= inner[0][0] && outer[0][1] <= inner[0][1]
+        && outer[1][0] >= inner[1][0] && outer[1][1] >= inner[1][1];
 
-    // Обработчики событий для кнопок модального окна
-    closeButton.addEventListener('click', hide); // Закрытие по крестику
-    cancelButton.addEventListener('click', hide); // Закрытие по кнопке "Отмена"
+    /**
+     * @function scheduleViewportLoad
+     * @description Откладывает загрузку области карты до окончания перемещения карты.
+     */
+    const scheduleViewportLoad = () => {
+        clearTimeout(viewportTimer);
+        viewportTimer = setTimeout(loadEstablishments, VIEWPORT_DEBOUNCE);
+    };
 
-    // Обработчик кнопки "Подтвердить"
-    confirmButton.addEventListener('click', () => {
-        if (pickerPlacemark && confirmCallback) {
-            const coords = pickerPlacemark.geometry.getCoordinates(); // Получаем выбранные координаты
-            confirmCallback(coords); // Вызываем callback с координатами
+    /**
+     * @function loadEstablishments
+     * @description Загружает заведения в видимой области карты
+     * (`GET /api/establishments?bbox=minLat,minLon,maxLat,maxLon&zoom=`).
+     * Если область уже есть в кэше, запрос не выполняется. Предыдущий незавершенный запрос
+     * отменяется, чтобы устаревший ответ не перезаписал актуальный.
+     * После загрузки данных вызывает `applyFilters` для их отображения на карте.
+     * @returns {Promise<void>}
+     */
+    const loadEstablishments = async () => {
+        if (!myMap) return;
+        const bounds = myMap.getBounds();
+        const zoom = Math.round(myMap.getZoom());
+        const query = getViewportQuery();
+        const now = Date.now();
+
+        viewportCache = viewportCache.filter(entry => now - entry.loadedAt < VIEWPORT_CACHE_TTL);
+        const cached = viewportCache.find(entry => entry.zoom === zoom && entry.query === query
+            && containsBounds(entry.bbox, bounds));
+        if (viewportRequest) {
+            viewportRequest.abort(); // Ответ для прежней области больше не нужен
+            viewportRequest = null;
+        }
+        if (cached) {
+            viewportData = cached;
+            applyFilters();
+            return;
         }
-        hide(); // Скрываем модальное окно
-    });
 
-    // Закрытие модального окна при клике вне его содержимого
-    window.addEventListener('click', (event) => {
-        if (event.target === modal) {
-            hide();
+        // Запрашиваем область с запасом, чтобы небольшие сдвиги карты обслуживались из кэша
+        const latPadding = (bounds[1][0] - bounds[0][0]) * VIEWPORT_PADDING;
+        const lonPadding = (bounds[1][1] - bounds[0][1]) * VIEWPORT_PADDING;
+        const bbox = [
+            [Math.max(bounds[0][0] - latPadding, -90), bounds[0][1] - lonPadding],
+            [Math.min(bounds[1][0] + latPadding, 90), bounds[1][1] + lonPadding]
+        ];
+        const controller = new AbortController();
+        viewportRequest = controller;
+
+        try {
+            const bboxParam = bbox.flat().map(value => value.toFixed(6)).join(',');
+            const url = `/api/establishments?bbox=${bboxParam}&zoom=${zoom}${query ? `&${query}` : ''}`;
+            const { ok, status, data } = await ApiClient.get(url, { signal: controller.signal });
+            if (!ok) {
+                throw new Error(`HTTP ${status}`);
+            }
+            data.establishments.forEach(est => establishmentsById.set(est.id, est));
+            OfflineStore.saveEstablishments(data.establishments, UserSystem.getFavoriteEstablishments());
+            OfflineMode.setStale(false);
+            const entry = {
+                bbox,
+                zoom,
+                query,
+                loadedAt: Date.now(),
+                establishmentIds: data.establishments.map(est => est.id),
+                clusters: data.clusters
+            };
+            viewportCache = [entry, ...viewportCache].slice(0, VIEWPORT_CACHE_SIZE);
+            if (viewportRequest !== controller) return; // Пока шел запрос, карта сместилась
+            viewportData = entry;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error("Ошибка при загрузке заведений:", error);
+            const saved = OfflineMode.isNetworkError(error) ? await OfflineStore.getEstablishments() : [];
+            if (saved.length > 0 && viewportRequest === controller) {
+                // Без связи показываем сохраненные на устройстве заведения этой области
+                saved.forEach(record => {
+                    if (!establishmentsById.has(record.id)) establishmentsById.set(record.id, record.establishment);
+                });
+                viewportData = {
+                    establishmentIds: saved.filter(record => isInBounds(record.establishment.coordinates, bbox)).map(record => record.id),
+                    clusters: []
+                };
+                OfflineMode.setStale(true);
+            } else if (establishmentsById.size === 0) {
+                TelegramWebApp.getWebApp().showAlert("Не удалось загрузить заведения. Попробуйте позже.");
+            }
+        } finally {
+            if (viewportRequest === controller) viewportRequest = null;
         }
-    });
+        applyFilters(); // Отображаем заведения видимой области после загрузки
+    };
 
-    return {
-        show,
-        hide
+    /**
+     * @function showSavedWithoutMap
+     * @description Если карта не загрузилась (например, приложение открыто без сети),
+     * показывает списком все сохраненные на устройстве заведения.
+     * @returns {Promise<void>}
+     */
+    const showSavedWithoutMap = async () => {
+        const saved = await OfflineStore.getEstablishments();
+        if (saved.length === 0) return;
+        saved.forEach(record => {
+            if (!establishmentsById.has(record.id)) establishmentsById.set(record.id, record.establishment);
+        });
+        viewportData = { establishmentIds: saved.map(record => record.id), clusters: [] };
+        OfflineMode.setStale(true);
+        setListMode(true);
     };
-})();
 
-// ========================================================
-// Модуль 4: Навигация между Экранами и UI/UX
-// Описание: Управляет переключением между различными экранами приложения,
-// историей навигации для кнопки "Назад", а также обработкой событий
-// для всех интерактивных элементов интерфейса (кнопок, форм, полей ввода).
-// ========================================================
-const Navigation = (() => {
-    const screens = document.querySelectorAll('.app-screen'); // Все элементы экранов приложения
-    const navButtons = document.querySelectorAll('.nav-button'); // Все кнопки нижней навигации
-    let currentScreenId = 'main-map-screen'; // ID текущего активного экрана (по умолчанию - карта)
-    const navigationHistory = []; // Стек для хранения истории переходов между экранами
-    let isAddingOrEditing = false; // Флаг, указывающий, находится ли пользователь в процессе добавления/редактирования формы
+    /**
+     * @function reloadViewport
+     * @description Сбрасывает кэш областей и заново загружает видимую область
+     * (после добавления, изменения или удаления заведения).
+     */
+    const reloadViewport = () => {
+        viewportCache = [];
+        loadEstablishments();
+    };
 
     /**
-     * @function goToScreen
-     * @description Переключает активный экран приложения. Обрабатывает подтверждение
-     * при наличии несохраненных изменений в формах, закрывает модальные окна,
-     * обновляет историю навигации и UI кнопок.
-     * @param {string} targetScreenId - ID экрана, на который нужно перейти.
-     * @param {object|null} data - Опциональные данные для передачи на целевой экран (например, объект для редактирования).
+     * @function ensureEstablishments
+     * @description Догружает по ID заведения, которых нет среди загруженных
+     * (например, избранные заведения за пределами просмотренных областей карты).
+     * Без связи с сервером заведения берутся из сохраненных на устройстве.
+     * @param {Array<string>} ids - ID заведений.
+     * @returns {Promise<boolean>} True, если было загружено хотя бы одно заведение.
      */
-    const goToScreen = (targetScreenId, data = null) => {
-        // Если открыто модальное окно выбора местоположения, закрываем его перед переходом
-        if (document.getElementById('location-picker-modal').classList.contains('active')) {
-            LocationPickerModal.hide();
+    const ensureEstablishments = async (ids) => {
+        const missing = ids.filter(id => !establishmentsById.has(id));
+        let isOffline = false;
+        const loaded = (await Promise.all(missing.map(async (id) => {
+            try {
+                const { ok, data } = await ApiClient.get(`/api/establishments/${encodeURIComponent(id)}`);
+                return ok ? data : null;
+            } catch (error) {
+                console.error("Ошибка при загрузке заведения:", error);
+                isOffline = isOffline || OfflineMode.isNetworkError(error);
+                return null;
+            }
+        }))).filter(Boolean);
+        loaded.forEach(est => establishmentsById.set(est.id, est));
+        OfflineStore.saveEstablishments(loaded, UserSystem.getFavoriteEstablishments());
+
+        if (isOffline) {
+            const saved = await OfflineStore.getEstablishments(missing.filter(id => !establishmentsById.has(id)));
+            saved.forEach(record => establishmentsById.set(record.id, record.establishment));
+            if (saved.length > 0) {
+                OfflineMode.setStale(true);
+                return true;
+            }
         }
-        // Проверка на несохраненные изменения в форме перед переходом
-        if (isAddingOrEditing && !confirm("У вас есть несохраненные изменения. Вы уверены, что хотите уйти?")) {
-            return; // Отменяем переход
+        return loaded.length > 0;
+    };
+
+    /**
+     * @function normalizeSearchText
+     * @description Приводит текст к виду для простого поиска: нижний регистр, "ё" заменяется на "е".
+     * @param {string} text - Исходный текст.
+     * @returns {string}
+     */
+    const normalizeSearchText = (text) => String(text || '').toLowerCase().replace(/ё/g, 'е');
+
+    /**
+     * @function escapeHtml
+     * @description Экранирует текст для вставки в HTML: содержимое балуна и подсказки метки
+     * Яндекс.Карты вставляют как разметку, а название заведения задает его владелец.
+     * @param {string} text - Исходный текст.
+     * @returns {string}
+     */
+    const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+
+    /**
+     * @function applyFilters
+     * @description Применяет текущие фильтры (категория, поисковый запрос, часы работы, цены,
+     * рейтинг, наличие фото) к списку заведений и обновляет метки на карте через ObjectManager.
+     */
+    const applyFilters = () => {
+        if (!objectManager && !listMode) {
+            return;
+        }
+        if (objectManager) {
+            objectManager.removeAll(); // Очищаем все существующие метки на карте
         }
-        isAddingOrEditing = false; // Сбрасываем флаг после обработки или отмены
 
-        // Если модальное окно деталей заведения активно, закрываем его перед переходом
-        if (document.getElementById('establishment-modal').classList.contains('active')) {
-            ModalSystem.hideEstablishmentDetails();
-            // Важно: не возвращаемся сразу, так как нам нужно продолжить навигацию после закрытия модального окна.
+        // Фильтруем заведения видимой области (или найденные рядом с точкой) на основе текущих фильтров
+        let establishmentsToDisplay = (nearby ? nearby.establishmentIds : viewportData.establishmentIds)
+            .map(id => establishmentsById.get(id))
+            .filter(Boolean); // Заведения, удаленные после загрузки области, пропускаем
+
+        const currentUser = UserSystem.getProfile();
+        const favoriteCategories = currentUser ? UserSystem.getFavoriteCategories() : [];
+        const favoriteEstablishments = currentUser ? UserSystem.getFavoriteEstablishments() : [];
+
+        establishmentsToDisplay = establishmentsToDisplay.filter(est => {
+            // Фильтр по группе категорий включает все ее подкатегории
+            const matchesCategory = currentFilters.category === 'all' || CategoryRegistry.matches(est.category, currentFilters.category);
+            // Поиск выполняет сервер (морфология, опечатки, раскладка); пока его результатов нет
+            // (или сервер недоступен), ищем простым вхождением строки
+            const matchesSearch = !currentFilters.search || (searchResultIds
+                ? searchResultIds.has(est.id)
+                : [est.name, est.description].some(text => normalizeSearchText(text).includes(normalizeSearchText(currentFilters.search))));
+            const matchesFavoriteCategory = favoriteCategories.length === 0
+                || favoriteCategories.some(categoryId => CategoryRegistry.matches(est.category, categoryId));
+            // Время сравнивается в часовом поясе заведения; без часов работы заведение не считается открытым
+            const matchesOpenNow = !currentFilters.openNow || OpeningHours.isOpenNow(est.openingHours);
+            // Уровень цен равен числу знаков "$"; при фильтре по цене заведения без цены не показываются
+            const priceLevel = (est.priceCategory || '').length;
+            const matchesPrice = (!currentFilters.priceMin && !currentFilters.priceMax) || (priceLevel > 0
+                && priceLevel >= (currentFilters.priceMin || 1) && priceLevel <= (currentFilters.priceMax || 4));
+            const matchesRating = !currentFilters.minRating || (est.rating || 0) >= currentFilters.minRating;
+            const matchesPhotos = !currentFilters.hasPhotos || (Array.isArray(est.photos) && est.photos.length > 0);
+            return matchesCategory && matchesSearch && matchesFavoriteCategory && matchesOpenNow
+                && matchesPrice && matchesRating && matchesPhotos;
+        });
+
+        // Приоритетное отображение избранных заведений
+        establishmentsToDisplay.sort((a, b) => {
+            const aIsFavorite = favoriteEstablishments.includes(a.id);
+            const bIsFavorite = favoriteEstablishments.includes(b.id);
+            if (aIsFavorite && !bIsFavorite) return -1;
+            if (!aIsFavorite && bIsFavorite) return 1;
+            return 0;
+        });
+        if (listMode) {
+            renderEstablishmentList(establishmentsToDisplay);
         }
+        if (!objectManager) return; // Карта не загрузилась: заведения показаны только списком
 
-        if (targetScreenId === currentScreenId) return; // Если уже на целевом экране, ничего не делаем
+        // Формируем GeoJSON объекты для ObjectManager
+        const features = establishmentsToDisplay.map(est => ({
+            id: est.id,
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: est.coordinates },
+            properties: {
+                balloonContentHeader: escapeHtml(est.name),
+                balloonContentBody: `Категория: ${escapeHtml(CategoryRegistry.getLabel(est.category))}<br>Рейтинг: ${escapeHtml(est.rating)}`,
+                clusterCaption: escapeHtml(est.name),
+                hintContent: escapeHtml(est.name),
+                establishmentId: est.id
+            },
+            options: getPlacemarkIcon(est.category, UserSystem.isFavoriteEstablishment(est.id), est.id === selectedEstablishmentId)
+        }));
+        // Кластеры, собранные сервером, когда в области слишком много заведений
+        (nearby ? [] : viewportData.clusters).forEach(cluster => features.push({
+            id: cluster.id,
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: cluster.coordinates },
+            properties: {
+                iconContent: String(cluster.count),
+                hintContent: `Заведений: ${cluster.count}. Приблизьте карту, чтобы увидеть их.`,
+                serverClusterBounds: cluster.bbox
+            },
+            options: { preset: 'islands#blueCircleIcon' }
+        }));
+        objectManager.add(features); // Добавляем отфильтрованные метки на карту
+    };
 
-        // Добавляем текущий экран в историю навигации, если это не экран формы
-        if (currentScreenId !== 'add-edit-establishment-screen' && currentScreenId !== 'edit-business-profile-screen' && currentScreenId !== 'business-registration-screen') {
-            navigationHistory.push(currentScreenId);
+    /**
+     * @function updateFilters
+     * @description Обновляет текущие фильтры, сохраняет их в адресе страницы (чтобы ссылкой
+     * на отфильтрованную карту можно было поделиться) и вызывает `applyFilters` для перерисовки карты.
+     * @param {object} newFilters - Объект с новыми параметрами фильтра
+     * (например, { category: 'coffee_shops' } или { openNow: true, priceMax: 2 }).
+     */
+    const updateFilters = (newFilters) => {
+        const previousQuery = getViewportQuery();
+        currentFilters = { ...currentFilters, ...newFilters }; // Объединяем старые и новые фильтры
+        FilterLink.writeToUrl(currentFilters);
+        // Фильтры, которые применяет сервер, требуют загрузить область заново (или взять ее из кэша)
+        if (getViewportQuery() !== previousQuery) {
+            loadEstablishments();
+            if (nearby) loadNearby();
         }
-        currentScreenId = targetScreenId; // Обновляем ID текущего экрана
+        // Пока включен фильтр "открыто сейчас", периодически перерисовываем карту:
+        // заведения открываются и закрываются с течением времени
+        if (currentFilters.openNow && !openNowTimer) {
+            openNowTimer = setInterval(applyFilters, OPEN_NOW_REFRESH_INTERVAL);
+        } else if (!currentFilters.openNow && openNowTimer) {
+            clearInterval(openNowTimer);
+            openNowTimer = null;
+        }
+        applyFilters(); // Применяем обновленные фильтры
+    };
 
-        // Скрываем все экраны и деактивируем все навигационные кнопки
-        screens.forEach(screen => screen.classList.remove('active'));
-        navButtons.forEach(btn => btn.classList.remove('active'));
+    /**
+     * @function getFilters
+     * @description Возвращает копию текущих фильтров карты.
+     * @returns {object}
+     */
+    const getFilters = () => ({ ...currentFilters });
 
-        // Активируем целевой экран и соответствующую навигационную кнопку
-        document.getElementById(targetScreenId).classList.add('active');
-        const activeButton = document.querySelector(`.nav-button[data-target-screen="${targetScreenId}"]`);
-        if (activeButton) {
-            activeButton.classList.add('active');
+    /**
+     * @function setSearchResults
+     * @description Сохраняет результаты серверного поиска по текущему запросу и перерисовывает карту.
+     * @param {Array<object>|null} establishments - Найденные заведения (null — результатов нет,
+     * использовать простой поиск по вхождению строки).
+     */
+    const setSearchResults = (establishments) => {
+        if (establishments) {
+            establishments.forEach(est => establishmentsById.set(est.id, est));
         }
+        searchResultIds = establishments ? new Set(establishments.map(est => est.id)) : null;
+        applyFilters();
+    };
 
-        // Дополнительная логика для конкретных экранов после перехода
-        if (targetScreenId === 'main-map-screen') {
-            if (window.myMap) {
-                window.myMap.container.fitToViewport(); // Перерисовываем карту, чтобы она занимала всю доступную область
-            }
-            TelegramWebApp.getWebApp().BackButton.hide(); // Скрываем кнопку "Назад" на главном экране
-        } else if (targetScreenId === 'business-profile-screen') {
-            const profile = UserSystem.getProfile();
-            if (profile) UserSystem.updateProfileScreen(profile); // Обновляем информацию профиля предпринимателя
-            TelegramWebApp.getWebApp().BackButton.show(); // Показываем кнопку "Назад"
-        } else if (targetScreenId === 'add-edit-establishment-screen') {
-            prepareEstablishmentForm(data); // Подготавливаем форму для добавления/редактирования заведения
-            TelegramWebApp.getWebApp().BackButton.show();
-        } else if (targetScreenId === 'edit-business-profile-screen') {
-            prepareEditProfileForm(); // Подготавливаем форму для редактирования профиля предпринимателя
-            TelegramWebApp.getWebApp().BackButton.show();
-        } else if (targetScreenId === 'business-registration-screen') {
-             // Очищаем форму регистрации при переходе на нее
-             document.querySelector('.registration-form').reset();
-             document.getElementById('business-logo-preview').innerHTML = '';
-             document.getElementById('business-location').value = '';
-             // Очищаем данные ФНС при переходе на форму регистрации
-             document.getElementById('inn-verification-status').style.display = 'none';
-             document.getElementById('fns-company-data').style.display = 'none';
-             document.getElementById('inn').value = ''; // Очищаем поле ИНН
-             isAddingOrEditing = true; // Устанавливаем флаг, так как это форма, требующая сохранения
-             TelegramWebApp.getWebApp().BackButton.show();
-        }
-        else if (targetScreenId === 'favorite-categories-screen') {
-            const profile = UserSystem.getProfile();
-            if (profile) UserSystem.updateProfileScreen(profile); // Обновляем информацию профиля (включая категории)
-            TelegramWebApp.getWebApp().BackButton.show();
-        }
-        else if (targetScreenId === 'favorite-establishments-screen') {
-            const profile = UserSystem.getProfile();
-            if (profile) UserSystem.updateProfileScreen(profile); // Обновляем информацию профиля (включая избранное)
-            TelegramWebApp.getWebApp().BackButton.show();
-        }
-        else {
-            TelegramWebApp.getWebApp().BackButton.show();
-        }
+    /**
+     * @function focusEstablishment
+     * @description Центрирует карту на заведении, приближает ее, если нужно, и выделяет заведение.
+     * @param {object} establishment - Заведение.
+     */
+    const focusEstablishment = (establishment) => {
+        if (!myMap) return;
+        establishmentsById.set(establishment.id, establishment);
+        selectedEstablishmentId = establishment.id;
+        myMap.setCenter(establishment.coordinates, Math.max(myMap.getZoom(), 15));
+    };
 
-        console.log("Navigated to:", targetScreenId);
+    /**
+     * @function getReferencePoint
+     * @description Возвращает точку, от которой считаются расстояния до заведений:
+     * центр режима "Рядом" или последнее местоположение пользователя.
+     * @returns {{coordinates: Array<number>, source: string}|null} source: 'user' или 'point'.
+     */
+    const getReferencePoint = () => {
+        if (nearby) return { coordinates: nearby.center, source: nearby.source };
+        return userLocation ? { coordinates: userLocation, source: 'user' } : null;
     };
 
     /**
-     * @function goBack
-     * @description Обрабатывает нажатие кнопки "Назад" (как системной Telegram, так и в приложении).
-     * Закрывает открытые модальные окна, подтверждает несохраненные изменения в формах,
-     * или возвращается на предыдущий экран из истории навигации. Если истории нет, закрывает Mini App.
+     * @function isInBounds
+     * @description Проверяет, попадает ли точка в область карты.
+     * @param {Array<number>} coordinates - [широта, долгота].
+     * @param {Array<Array<number>>} bounds - [[minLat, minLon], [maxLat, maxLon]].
+     * @returns {boolean}
      */
-    const goBack = () => {
-        // Если открыто модальное окно выбора местоположения, сначала закрываем его
-        if (document.getElementById('location-picker-modal').classList.contains('active')) {
-            LocationPickerModal.hide();
-            return;
-        }
-        // Проверка на несохраненные изменения в форме перед возвратом
-        if (isAddingOrEditing && !confirm("У вас есть несохраненные изменения. Вы уверены, что хотите уйти?")) {
-            return; // Отменяем возврат
+    const isInBounds = ([lat, lon], bounds) => lat >= bounds[0][0] && lat <= bounds[1][0]
+        && lon >= bounds[0][1] && lon <= bounds[1][1];
+
+    /**
+     * @function renderEstablishmentList
+     * @description Показывает под картой список отфильтрованных заведений: в обычном режиме —
+     * заведения в видимой области карты, в режиме "Рядом" — в радиусе поиска по возрастанию расстояния.
+     * Нажатие на строку показывает заведение на карте, кнопка "Подробнее" открывает его карточку.
+     * @param {Array<object>} establishments - Заведения после применения фильтров.
+     */
+    const renderEstablishmentList = (establishments) => {
+        const list = document.getElementById('establishment-list');
+        const summary = document.getElementById('establishment-list-summary');
+        const referencePoint = getReferencePoint();
+        const bounds = myMap ? myMap.getBounds() : null;
+
+        let items = establishments.map(est => ({
+            est,
+            distance: referencePoint ? GeoUtils.distance(referencePoint.coordinates, est.coordinates) : null
+        }));
+        let hiddenInClusters = 0;
+        if (nearby) {
+            items.sort((a, b) => a.distance - b.distance);
+        } else if (bounds) {
+            // Заведения загружаются с запасом вокруг экрана: в списке только видимые
+            items = items.filter(({ est }) => isInBounds(est.coordinates, bounds));
+            hiddenInClusters = viewportData.clusters
+                .filter(cluster => isInBounds(cluster.coordinates, bounds))
+                .reduce((sum, cluster) => sum + cluster.count, 0);
         }
 
-        // Если модальное окно деталей заведения открыто, сначала закрываем его
-        const modal = document.getElementById('establishment-modal');
-        if (modal.classList.contains('active')) {
-            ModalSystem.hideEstablishmentDetails();
-            return; // Не делаем навигацию, просто закрыли модальное окно
+        summary.innerText = `Найдено: ${items.length}`
+            + (hiddenInClusters > 0 ? `. Еще ${hiddenInClusters} в скоплениях на карте — приблизьте карту, чтобы увидеть их.` : '');
+        list.innerHTML = '';
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'establishment-list-empty';
+            empty.innerText = nearby
+                ? 'Поблизости ничего не найдено. Увеличьте радиус поиска или измените фильтры.'
+                : 'В этой области карты заведений не найдено.';
+            list.appendChild(empty);
+            return;
         }
 
-        // Если есть предыдущие экраны в истории, переходим на них
-        if (navigationHistory.length > 0) {
-            const prevScreenId = navigationHistory.pop(); // Получаем ID предыдущего экрана
-            goToScreen(prevScreenId); // Переходим на предыдущий экран
-        } else {
-            TelegramWebApp.getWebApp().close(); // Если истории нет, закрываем Mini App
+        items.forEach(({ est, distance }) => {
+            const item = document.createElement('li');
+            item.className = 'establishment-list-item';
+            item.classList.toggle('active', est.id === selectedEstablishmentId);
+
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'establishment-list-row';
+            const category = CategoryRegistry.find(est.category);
+            const icon = document.createElement('span');
+            icon.className = 'icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = category ? category.icon : '📍';
+            const main = document.createElement('span');
+            main.className = 'main';
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = est.name;
+            const details = document.createElement('span');
+            details.className = 'details';
+            details.textContent = [
+                est.rating ? `⭐ ${est.rating}` : 'Нет оценок',
+                est.priceCategory,
+                category ? category.name : null
+            ].filter(Boolean).join(' · ');
+            main.append(name, details);
+            row.append(icon, main);
+            if (distance !== null) {
+                const distanceLabel = document.createElement('span');
+                distanceLabel.className = 'distance';
+                distanceLabel.textContent = GeoUtils.formatDistance(distance);
+                row.appendChild(distanceLabel);
+            }
+            row.setAttribute('aria-label', `${est.name}: ${details.textContent}`
+                + (distance !== null ? `, ${GeoUtils.formatDistance(distance)}` : '') + '. Показать на карте');
+            row.addEventListener('click', () => selectEstablishment(est.id));
+
+            const detailsButton = document.createElement('button');
+            detailsButton.type = 'button';
+            detailsButton.className = 'telegram-button small-button';
+            detailsButton.innerText = 'Подробнее';
+            detailsButton.addEventListener('click', () => ModalSystem.showEstablishmentDetails(est));
+
+            item.append(row, detailsButton);
+            list.appendChild(item);
+            if (est.id === selectedEstablishmentId) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    };
+
+    /**
+     * @function selectEstablishment
+     * @description Выделяет заведение в списке и на карте и перемещает карту к его метке.
+     * @param {string} id - ID заведения.
+     */
+    const selectEstablishment = (id) => {
+        const establishment = establishmentsById.get(id);
+        if (!establishment) return;
+        selectedEstablishmentId = id;
+        if (myMap) {
+            myMap.panTo(establishment.coordinates, { flying: false });
         }
+        applyFilters();
     };
 
     /**
-     * @function prepareEstablishmentForm
-     * @description Подготавливает форму для добавления или редактирования заведения.
-     * Сбрасывает форму, устанавливает текст кнопки сохранения и заполняет поля,
-     * если передан объект существующего заведения для редактирования.
-     * @param {object|null} establishment - Объект заведения для редактирования или null для нового.
+     * @function isListMode
+     * @description Проверяет, показан ли под картой список заведений.
+     * @returns {boolean}
      */
-    const prepareEstablishmentForm = (establishment = null) => {
-        isAddingOrEditing = true; // Устанавливаем флаг, что форма активна
-        const form = document.querySelector('.establishment-form');
-        form.reset(); // Сбрасываем все поля формы
-        // Изменяем текст кнопки сохранения в зависимости от режима (добавление/редактирование)
-        document.getElementById('save-establishment-button').innerText = establishment ? '✅ Сохранить изменения' : '✅ Добавить заведение';
-        document.getElementById('est-photos-preview').innerHTML = ''; // Очищаем предпросмотр фото
+    const isListMode = () => listMode;
 
-        if (establishment) {
-            // Если передан объект заведения, заполняем поля формы его данными
-            form.dataset.editId = establishment.id; // Сохраняем ID заведения в data-атрибуте формы
-            document.getElementById('est-name').value = establishment.name;
-            document.getElementById('est-description').value = establishment.description;
-            document.getElementById('est-category').value = establishment.category;
-            document.getElementById('est-price-category').value = establishment.priceCategory || ''; // Ценовая категория
-            document.getElementById('est-coords').value = establishment.coordinates.join(', ');
-            document.getElementById('est-contact').value = establishment.contact;
-            // Для фотографий: нужна более сложная логика предзагрузки и удаления существующих фото
-            establishment.photos.forEach(photoUrl => {
-                const img = document.createElement('img');
-                img.src = photoUrl;
-                document.getElementById('est-photos-preview').appendChild(img);
-            });
-        } else {
-            delete form.dataset.editId; // Удаляем data-атрибут, если это новая запись
+    /**
+     * @function setListMode
+     * @description Показывает или скрывает под картой список заведений.
+     * В режиме списка карта уменьшается, чтобы список и карта помещались на экране вместе.
+     * @param {boolean} enabled - Показать список.
+     */
+    const setListMode = (enabled) => {
+        listMode = enabled;
+        document.getElementById('main-map-screen').classList.toggle('list-mode', enabled);
+        document.getElementById('establishment-list-panel').style.display = enabled ? 'block' : 'none';
+        const toggle = document.getElementById('list-view-toggle');
+        toggle.classList.toggle('active', enabled);
+        toggle.setAttribute('aria-pressed', String(enabled));
+        if (myMap) {
+            myMap.container.fitToViewport(); // Карта подстраивается под новую высоту контейнера
         }
+        applyFilters();
     };
 
     /**
-     * @function prepareEditProfileForm
-     * @description Подготавливает форму для редактирования профиля предпринимателя.
-     * Заполняет поля формы текущими данными из профиля пользователя.
+     * @function drawNearbyCircle
+     * @description Рисует на карте круг радиуса поиска и подгоняет под него масштаб.
      */
-    const prepareEditProfileForm = () => {
-        isAddingOrEditing = true; // Устанавливаем флаг, что форма активна
-        const profile = UserSystem.getProfile(); // Получаем текущий профиль предпринимателя
-        document.getElementById('edit-business-logo-preview').innerHTML = ''; // Очищаем предпросмотр лого
+    const drawNearbyCircle = () => {
+        if (!myMap) return;
+        if (nearbyCircle) {
+            myMap.geoObjects.remove(nearbyCircle);
+        }
+        nearbyCircle = new ymaps.Circle([nearby.center, nearby.radius], {}, {
+            fillColor: '#2481cc22',
+            strokeColor: '#2481cc',
+            strokeWidth: 2,
+            interactivityModel: 'default#transparent' // Клики проходят сквозь круг на карту и метки
+        });
+        myMap.geoObjects.add(nearbyCircle);
+        myMap.setBounds(nearbyCircle.geometry.getBounds(), { checkZoomRange: true });
+    };
 
-        if (profile) {
-            // Заполняем поля формы данными из профиля
-            document.getElementById('edit-business-name').value = profile.businessName || '';
-            document.getElementById('edit-business-category').value = profile.businessCategory || ''; // Категория
-            document.getElementById('edit-business-description').value = profile.businessDescription || ''; // Описание
-            document.getElementById('edit-contact-person').value = profile.contactPerson || '';
-            document.getElementById('edit-email').value = profile.email || '';
-            document.getElementById('edit-business-location').value = profile.businessLocation ? profile.businessLocation.join(', ') : ''; // Местоположение
-            if (profile.businessLogo) {
-                const img = document.createElement('img');
-                img.src = profile.businessLogo;
-                document.getElementById('edit-business-logo-preview').appendChild(img);
+    /**
+     * @function loadNearby
+     * @description Загружает заведения в радиусе от точки режима "Рядом"
+     * (`GET /api/establishments?near=lat,lon&radius=`). Предыдущий незавершенный запрос отменяется.
+     * @returns {Promise<void>}
+     */
+    const loadNearby = async () => {
+        if (!nearby) return;
+        if (nearbyRequest) nearbyRequest.abort();
+        const controller = new AbortController();
+        nearbyRequest = controller;
+        const state = nearby;
+        try {
+            const query = getViewportQuery();
+            const url = `/api/establishments?near=${state.center.map(value => value.toFixed(6)).join(',')}`
+                + `&radius=${state.radius}${query ? `&${query}` : ''}`;
+            const { ok, status, data } = await ApiClient.get(url, { signal: controller.signal });
+            if (!ok) {
+                throw new Error((data && data.message) || `HTTP ${status}`);
             }
+            data.forEach(({ distance, ...est }) => establishmentsById.set(est.id, est));
+            if (nearby !== state) return; // Режим выключили или сменили точку, пока шел запрос
+            state.establishmentIds = data.map(est => est.id);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error("Ошибка при поиске заведений рядом:", error);
+            TelegramWebApp.getWebApp().showAlert("Не удалось найти заведения рядом. Попробуйте позже.");
+        } finally {
+            if (nearbyRequest === controller) nearbyRequest = null;
         }
+        applyFilters();
     };
 
     /**
-     * @function getCurrentScreenId
-     * @description Возвращает ID текущего активного экрана.
-     * @returns {string} ID текущего экрана.
+     * @function showNearby
+     * @description Включает режим "Рядом" относительно точки: показывает заведения в радиусе,
+     * круг поиска на карте и список заведений по расстоянию.
+     * @param {Array<number>} center - [широта, долгота].
+     * @param {string} source - 'user' (местоположение пользователя) или 'point' (выбранная точка).
      */
-    const getCurrentScreenId = () => currentScreenId;
+    const showNearby = (center, source) => {
+        const radius = nearby ? nearby.radius : DEFAULT_NEARBY_RADIUS;
+        nearby = { center, radius, source, establishmentIds: [] };
+        document.getElementById('nearby-panel').style.display = 'block';
+        document.getElementById('nearby-panel-title').innerText = source === 'user' ? 'Рядом с вами' : 'Рядом с выбранной точкой';
+        document.getElementById('nearby-radius').value = String(radius);
+        drawNearbyCircle();
+        setListMode(true); // Заведения рядом показываются списком по расстоянию
+        loadNearby();
+    };
 
     /**
-     * @function setupEventListeners
-     * @description Настраивает все обработчики событий для интерактивных элементов UI:
-     * навигационные кнопки, поисковую строку, кнопки фильтров, кнопку геолокации,
-     * кнопки действий в профиле предпринимателя, формы регистрации/редактирования,
-     * а также кнопки внутри модальных окон. Включает клиентскую валидацию форм и
-     * предпросмотр загружаемых изображений.
+     * @function showNearbyFromPoint
+     * @description Включает режим "Рядом" относительно точки, отмеченной кликом по карте.
      */
-    const setupEventListeners = () => {
-        // ====================================
-        // ОБЩИЕ ОБРАБОТЧИКИ НАВИГАЦИИ
-        // ====================================
+    const showNearbyFromPoint = () => {
+        if (!clickPlacemark) {
+            TelegramWebApp.getWebApp().showAlert("Нажмите на карту, чтобы выбрать точку.");
+            return;
+        }
+        showNearby(clickPlacemark.geometry.getCoordinates(), 'point');
+    };
 
-        // Обработчики для навигационных кнопок в нижней панели
-        navButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const targetScreenId = e.currentTarget.dataset.targetScreen; // Получаем ID целевого экрана из data-атрибута
-                if (targetScreenId) {
-                    goToScreen(targetScreenId); // Переключаемся на выбранный экран
+    /**
+     * @function setNearbyRadius
+     * @description Меняет радиус поиска в режиме "Рядом".
+     * @param {number} radius - Радиус в метрах.
+     */
+    const setNearbyRadius = (radius) => {
+        if (!nearby) return;
+        nearby.radius = radius;
+        drawNearbyCircle();
+        loadNearby();
+    };
+
+    /**
+     * @function hideNearby
+     * @description Выключает режим "Рядом" и возвращает карту к заведениям видимой области.
+     */
+    const hideNearby = () => {
+        if (nearbyRequest) nearbyRequest.abort();
+        nearby = null;
+        if (nearbyCircle && myMap) {
+            myMap.geoObjects.remove(nearbyCircle);
+        }
+        nearbyCircle = null;
+        document.getElementById('nearby-panel').style.display = 'none';
+        applyFilters();
+    };
+
+    /**
+     * @function getUserGeolocation
+     * @description Определяет текущее местоположение пользователя с помощью Yandex Maps Geolocation API,
+     * добавляет метку и включает режим "Рядом" относительно этой точки.
+     * Выводит уведомления через TelegramWebApp.
+     */
+    const getUserGeolocation = () => {
+        if (!myMap) {
+            console.error("Карта не инициализирована.");
+            return;
+        }
+        TelegramWebApp.getWebApp().showAlert("Определяем ваше местоположение...");
+        ymaps.geolocation.get({
+            provider: 'browser', // Используем геолокацию браузера
+            mapStateAutoApply: true // Автоматически центрировать карту на найденном местоположении
+        }).then(function (result) {
+            result.geoObjects.options.set('preset', 'islands#darkVioletDotIcon'); // Устанавливаем стиль метки геолокации
+            result.geoObjects.each(geoObject => {
+                // Удаляем предыдущую метку геолокации, если она существует
+                if (userGeolocationPlacemark) {
+                    myMap.geoObjects.remove(userGeolocationPlacemark);
                 }
+                userGeolocationPlacemark = geoObject; // Сохраняем новую метку
+                myMap.geoObjects.add(userGeolocationPlacemark); // Добавляем метку на карту
+                userLocation = geoObject.geometry.getCoordinates();
             });
+            if (userLocation) {
+                showNearby(userLocation, 'user'); // Карта масштабируется под круг радиуса поиска
+            }
+        }, function (err) {
+            TelegramWebApp.getWebApp().showAlert('Ошибка: ' + err.message);
+            console.error("Ошибка при получении геолокации:", err);
         });
+    };
 
-        // Обработчик системной кнопки "Назад" Telegram WebApp
-        TelegramWebApp.getWebApp().BackButton.onClick(goBack);
-
-        // ====================================
-        // ЭКРАН ПОЛЬЗОВАТЕЛЯ (main-map-screen)
-        // ====================================
+    /**
+     * @function getEstablishments
+     * @description Возвращает все загруженные заведения (во всех просмотренных областях карты).
+     * @returns {Array<object>} Массив объектов заведений.
+     */
+    const getEstablishments = () => Array.from(establishmentsById.values());
 
-        // Поиск заведений: обновляет фильтры карты при вводе текста в поисковую строку
-        document.getElementById('search-input').addEventListener('input', (e) => {
-            const query = e.target.value;
-            MapSystem.updateFilters({ search: query });
-        });
+    /**
+     * @function saveEstablishmentRequest
+     * @description Вспомогательная функция для отправки заведения на сервер.
+     * Без связи с сервером изменение ставится в очередь и будет отправлено, когда связь восстановится (см. OfflineMode).
+     * @param {string} method - HTTP-метод ('POST' или 'PUT').
+     * @param {string} url - Адрес маршрута API.
+     * @param {object} body - Данные заведения.
+     * @param {object|null} [base=null] - Версия заведения, с которой начато редактирование (для PUT):
+     * сохраняется вместе с отложенным изменением, чтобы при конфликте было с чем сравнить.
+     * @returns {Promise<object|null>} Сохраненное заведение, данные заведения с флагом `queued`,
+     * если изменение отложено, `{ conflict: true, current }`, если заведение уже изменено с другого
+     * устройства, или null в случае ошибки.
+     */
+    const saveEstablishmentRequest = async (method, url, body, base = null) => {
+        try {
+            const { ok, status, data } = await ApiClient.request(url, { method, body });
+            if (status === 409 && data && data.current) {
+                return { conflict: true, current: data.current };
+            }
+            if (!ok) {
+                console.error("Ошибка при сохранении заведения:", data && data.message);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error("Ошибка сети при сохранении заведения:", error);
+            if (!OfflineMode.isNetworkError(error)) return null;
+            try {
+                await OfflineMode.queueEdit({ method, url, body, base, label: body.name });
+                return { ...body, queued: true };
+            } catch (queueError) {
+                console.error("Не удалось поставить изменение в очередь:", queueError);
+                return null;
+            }
+        }
+    };
 
-        // Фильтрация по категориям: обновляет фильтры карты и активное состояние кнопок
-        document.querySelectorAll('.filter-button').forEach(button => {
-            button.addEventListener('click', (e) => {
-                // Снимаем активное состояние со всех кнопок фильтров
-                document.querySelectorAll('.filter-button').forEach(btn => btn.classList.remove('active'));
-                const current = e.currentTarget;
-                current.classList.add('active'); // Устанавливаем активное состояние на текущую кнопку
-                const category = current.dataset.category; // Получаем категорию из data-атрибута
-                MapSystem.updateFilters({ category: category }); // Обновляем фильтры карты
-            });
-        });
+    /**
+     * @function addEstablishment
+     * @description Создает новое заведение на сервере (`POST /api/establishments`),
+     * добавляет его в локальный список и обновляет карту.
+     * @param {object} newEst - Объект нового заведения.
+     * @returns {Promise<object|null>} Добавленное заведение с присвоенным сервером ID, данные заведения
+     * с флагом `queued`, если нет связи (заведение будет создано позже), или null в случае ошибки.
+     */
+    const addEstablishment = async (newEst) => {
+        const { id, ...data } = newEst; // ID присваивает сервер
+        const created = await saveEstablishmentRequest('POST', '/api/establishments', data);
+        if (!created || created.queued) return created;
+        establishmentsById.set(created.id, created); // Добавляем в загруженные заведения
+        reloadViewport(); // Обновляем карту, чтобы отобразить новое заведение
+        return created;
+    };
 
-        // Кнопка "Рядом со мной": вызывает функцию геолокации карты
-        document.getElementById('geolocation-button').addEventListener('click', MapSystem.getUserGeolocation);
+    /**
+     * @function updateEstablishment
+     * @description Обновляет существующее заведение на сервере (`PUT /api/establishments/:id`),
+     * а затем в локальном списке и на карте. Вместе с изменениями отправляется версия заведения,
+     * с которой начато редактирование: если на сервере заведение уже изменилось, сервер изменения
+     * не применит, и их нужно объединить (см. EstablishmentMerge).
+     * @param {object} updatedEst - Объект обновленного заведения (должен содержать `id`).
+     * @param {object} base - Заведение в том виде, в каком его начали редактировать.
+     * @returns {Promise<object|null>} Сохраненное заведение, заведение с флагом `queued`,
+     * если нет связи (изменения будут отправлены позже), `{ conflict: true, current }` с текущей
+     * версией заведения на сервере или null в случае ошибки.
+     */
+    const updateEstablishment = async (updatedEst, base) => {
+        const { id, rating, reviewCount, reviews, ...fields } = updatedEst; // Рейтингом и отзывами управляет сервер
+        // У заведений, сохраненных до появления версий, версия считается первой (как на сервере)
+        const data = { ...fields, revision: base.revision || 1 };
+        const saved = await saveEstablishmentRequest('PUT', `/api/establishments/${encodeURIComponent(id)}`, data, base);
+        if (!saved) return null;
+        if (saved.conflict) {
+            replaceEstablishment(saved.current); // Показываем актуальную версию, пока изменения не объединены
+            return saved;
+        }
+        if (saved.queued) {
+            // До отправки показываем изменения на устройстве
+            establishmentsById.set(id, { ...establishmentsById.get(id), ...data, id });
+            applyFilters();
+            return { ...saved, id };
+        }
+        establishmentsById.set(saved.id, saved); // Обновляем данные среди загруженных заведений
+        reloadViewport(); // Обновляем карту: заведение могло сменить координаты или категорию
+        return saved;
+    };
 
-        // ============================================
-        // ЭКРАН ПРЕДПРИНИМАТЕЛЯ (business-profile-screen)
-        // ============================================
+    /**
+     * @function deleteEstablishment
+     * @description Удаляет заведение на сервере (`DELETE /api/establishments/:id`),
+     * а затем из локального списка и с карты.
+     * @param {string} id - ID заведения для удаления.
+     * @returns {Promise<boolean>} True, если заведение удалено, иначе false.
+     */
+    const deleteEstablishment = async (id) => {
+        try {
+            const { ok, data } = await ApiClient.del(`/api/establishments/${encodeURIComponent(id)}`);
+            if (!ok) {
+                console.error("Ошибка при удалении заведения:", data && data.message);
+                return false;
+            }
+        } catch (error) {
+            console.error("Ошибка сети при удалении заведения:", error);
+            return false;
+        }
+        establishmentsById.delete(id); // Удаляем из загруженных заведений
+        OfflineStore.removeEstablishment(id);
+        reloadViewport(); // Обновляем карту
+        return true;
+    };
 
-        // Кнопка "Редактировать профиль": переходит на экран редактирования профиля
-        document.getElementById('edit-profile-button').addEventListener('click', () => {
-            goToScreen('edit-business-profile-screen');
-        });
+    /**
+     * @function replaceEstablishment
+     * @description Заменяет заведение в локальном списке версией, полученной от сервера
+     * (например, после добавления отзыва, когда сервер пересчитал рейтинг), и обновляет карту.
+     * @param {object} establishment - Актуальная версия заведения.
+     */
+    const replaceEstablishment = (establishment) => {
+        if (!establishmentsById.has(establishment.id)) return;
+        establishmentsById.set(establishment.id, establishment);
+        applyFilters();
+    };
+
+    return {
+        initMap,
+        loadEstablishments,
+        updateFilters,
+        getFilters,
+        setSearchResults,
+        focusEstablishment,
+        getUserGeolocation,
+        getReferencePoint,
+        showNearbyFromPoint,
+        setNearbyRadius,
+        hideNearby,
+        setListMode,
+        isListMode,
+        getEstablishments,
+        ensureEstablishments,
+        reloadViewport,
+        addEstablishment,
+        updateEstablishment,
+        deleteEstablishment,
+        replaceEstablishment,
+        applyFilters
+    };
+})();
+
+// ========================================================
+// Модуль 3: Система Пользователей (Предприниматели/Пользователи)
+// Описание: Управляет состоянием текущего пользователя (обычный или предприниматель),
+// а также функциями регистрации, авторизации и обновления профиля предпринимателя.
+// ========================================================
+const UserSystem = (() => {
+    let currentUser = null; // null: обычный пользователь, { type: 'business', ... }: предприниматель
+
+    // Ключи для localStorage
+    const LS_KEY_CURRENT_USER = 'mapcost_current_user';
+    // Состояние синхронизации избранного с сервером. Хранится отдельно от профиля,
+    // потому что профиль перезаписывается при входе и выходе предпринимателя.
+    const LS_KEY_FAVORITES_SYNC = 'mapcost_favorites_sync';
+
+    /**
+     * @function loadUserData
+     * @description Загружает данные пользователя из localStorage.
+     * @returns {object|null} Данные пользователя или null, если нет сохраненных данных.
+     */
+    const loadUserData = () => {
+        try {
+            const data = localStorage.getItem(LS_KEY_CURRENT_USER);
+            return data ? JSON.parse(data) : null;
+        } catch (e) {
+            console.error("Ошибка при загрузке данных пользователя из localStorage:", e);
+            return null;
+        }
+    };
+
+    /**
+     * @function saveUserData
+     * @description Сохраняет данные пользователя в localStorage.
+     * @param {object} data - Объект данных пользователя для сохранения.
+     */
+    const saveUserData = (data) => {
+        try {
+            localStorage.setItem(LS_KEY_CURRENT_USER, JSON.stringify(data));
+        } catch (e) {
+            console.error("Ошибка при сохранении данных пользователя в localStorage:", e);
+        }
+    };
+
+    /**
+     * @function loadFavoritesSyncState
+     * @description Загружает состояние синхронизации избранного.
+     * @returns {{synced: boolean, dirty: boolean}} synced — избранное уже сохранялось на сервере,
+     * dirty — на устройстве есть изменения, которые не удалось отправить.
+     */
+    const loadFavoritesSyncState = () => {
+        try {
+            return { synced: false, dirty: false, ...JSON.parse(localStorage.getItem(LS_KEY_FAVORITES_SYNC)) };
+        } catch (e) {
+            return { synced: false, dirty: false };
+        }
+    };
+
+    /**
+     * @function saveFavoritesSyncState
+     * @description Сохраняет состояние синхронизации избранного.
+     * @param {{synced: boolean, dirty: boolean}} state
+     */
+    const saveFavoritesSyncState = (state) => {
+        try {
+            localStorage.setItem(LS_KEY_FAVORITES_SYNC, JSON.stringify(state));
+        } catch (e) {
+            console.error("Ошибка при сохранении состояния синхронизации избранного:", e);
+        }
+    };
+
+    /**
+     * @function pushFavorites
+     * @description Сохраняет избранное на сервере (`PUT /api/favorites`). Пока сохранение не удалось,
+     * изменения устройства считаются неотправленными и будут отправлены при следующей синхронизации.
+     * Вне Telegram (без initData) избранное хранится только на устройстве.
+     * @returns {Promise<void>}
+     */
+    const pushFavorites = async () => {
+        if (!TelegramWebApp.getWebApp().initData || !currentUser) return;
+        saveFavoritesSyncState({ ...loadFavoritesSyncState(), dirty: true });
+        try {
+            const { ok, status, data } = await ApiClient.put('/api/favorites', {
+                categories: currentUser.favoriteCategories,
+                establishments: currentUser.favoriteEstablishments
+            });
+            if (!ok) {
+                throw new Error((data && data.message) || `HTTP ${status}`);
+            }
+            saveFavoritesSyncState({ synced: true, dirty: false });
+        } catch (error) {
+            console.error("Ошибка при сохранении избранного на сервере:", error);
+        }
+    };
+
+    /**
+     * @function syncFavorites
+     * @description Синхронизирует избранное с сервером (`GET /api/favorites`), чтобы оно было
+     * одинаковым на всех устройствах пользователя Telegram:
+     * - при первой синхронизации избранное устройства и сервера объединяется;
+     * - если на устройстве есть неотправленные изменения, они отправляются на сервер;
+     * - иначе избранное берется с сервера.
+     * @returns {Promise<void>}
+     */
+    const syncFavorites = async () => {
+        if (!TelegramWebApp.getWebApp().initData) return;
+        try {
+            const { ok, status, data } = await ApiClient.get('/api/favorites');
+            if (!ok) {
+                throw new Error((data && data.message) || `HTTP ${status}`);
+            }
+            const { synced, dirty } = loadFavoritesSyncState();
+            if (!synced) {
+                currentUser.favoriteCategories = CategoryRegistry.migrateIds([...data.categories, ...currentUser.favoriteCategories]);
+                currentUser.favoriteEstablishments = [...new Set([...data.establishments, ...currentUser.favoriteEstablishments])];
+            } else if (!dirty) {
+                currentUser.favoriteCategories = CategoryRegistry.migrateIds(data.categories);
+                currentUser.favoriteEstablishments = [...data.establishments];
+            }
+            saveUserData(currentUser);
+            if (!synced || dirty) {
+                await pushFavorites();
+            }
+            MapSystem.applyFilters(); // Любимые категории и избранное влияют на метки карты
+            updateProfileScreen(currentUser);
+        } catch (error) {
+            console.error("Ошибка при синхронизации избранного:", error);
+        }
+    };
+
+    /**
+     * @function applyBusinessProfile
+     * @description Делает профиль предпринимателя, полученный с сервера, текущим пользователем.
+     * Локальные данные об избранном сохраняются.
+     * @param {object} profile - Профиль предпринимателя с сервера.
+     */
+    const applyBusinessProfile = (profile) => {
+        currentUser = {
+            ...profile,
+            type: 'business',
+            favoriteCategories: (currentUser && currentUser.favoriteCategories) || [],
+            favoriteEstablishments: (currentUser && currentUser.favoriteEstablishments) || []
+        };
+        saveUserData(currentUser);
+    };
+
+    /**
+     * @function fetchBusinessProfile
+     * @description Загружает профиль предпринимателя текущего пользователя Telegram с сервера.
+     * @returns {Promise<object|null>} Профиль или null, если профиль не зарегистрирован.
+     * @throws {Error} При ошибке сети или сервера.
+     */
+    const fetchBusinessProfile = async () => {
+        const { ok, status, data } = await ApiClient.get('/api/business-profile');
+        if (status === 404) return null;
+        if (!ok) throw new Error((data && data.message) || `HTTP ${status}`);
+        return data;
+    };
+
+    /**
+     * @function init
+     * @description Инициализирует модуль UserSystem. Загружает профиль пользователя из localStorage
+     * и переводит сохраненные любимые категории на актуальные ID справочника.
+     * Если пользователь был в режиме предпринимателя, обновляет профиль с сервера.
+     * Вызывается после загрузки CategoryRegistry.
+     */
+    const init = () => {
+        const savedUser = loadUserData();
+        if (savedUser) {
+            currentUser = savedUser;
+            const favoriteCategories = CategoryRegistry.migrateIds(currentUser.favoriteCategories);
+            if (JSON.stringify(favoriteCategories) !== JSON.stringify(currentUser.favoriteCategories || [])) {
+                currentUser.favoriteCategories = favoriteCategories; // Устаревшие ID категорий (cafe, shop и т.д.)
+                saveUserData(currentUser);
+            }
+            console.log("Пользователь загружен из localStorage:", currentUser);
+        } else {
+            // Если нет сохраненного пользователя, инициализируем как обычного пользователя
+            currentUser = { type: 'regular', favoriteCategories: [], favoriteEstablishments: [] };
+            saveUserData(currentUser);
+            console.log("Инициализирован новый обычный пользователь.", currentUser);
+        }
+
+        syncFavorites();
+
+        if (currentUser.type === 'business') {
+            fetchBusinessProfile()
+                .then(profile => {
+                    if (profile) applyBusinessProfile(profile);
+                })
+                .catch(error => console.error("Ошибка при обновлении профиля предпринимателя:", error));
+        }
+    };
+
+    /**
+     * @function loginBusiness
+     * @description Вход предпринимателя в систему. Загружает профиль, привязанный
+     * к пользователю Telegram, с сервера и переходит на экран профиля.
+     * Если профиль не найден, предлагает зарегистрироваться.
+     */
+    const loginBusiness = async () => {
+        try {
+            const profile = await fetchBusinessProfile();
+            if (!profile) {
+                TelegramWebApp.getWebApp().showAlert("Профиль предпринимателя не найден. Пожалуйста, зарегистрируйтесь.");
+                Navigation.goToScreen('business-registration-screen');
+                return;
+            }
+            applyBusinessProfile(profile);
+            TelegramWebApp.getWebApp().showAlert("Вы вошли как предприниматель!");
+            Navigation.goToScreen('business-profile-screen'); // Переход на экран профиля
+            updateProfileScreen(currentUser); // Обновление UI экрана профиля
+        } catch (error) {
+            console.error("Ошибка при входе предпринимателя:", error);
+            TelegramWebApp.getWebApp().showAlert("Не удалось войти. Откройте приложение в Telegram и попробуйте снова.");
+        }
+    };
+
+    /**
+     * @function logoutBusiness
+     * @description Выходит из режима предпринимателя. Возвращает обычного пользователя
+     * (с сохранением избранного), выводит уведомление и возвращает на главный экран карты.
+     * Профиль при этом остается на сервере.
+     */
+    const logoutBusiness = () => {
+        currentUser = {
+            type: 'regular',
+            favoriteCategories: currentUser ? currentUser.favoriteCategories : [],
+            favoriteEstablishments: currentUser ? currentUser.favoriteEstablishments : []
+        };
+        saveUserData(currentUser);
+        TelegramWebApp.getWebApp().showAlert("Вы вышли из режима предпринимателя.");
+        Navigation.goToScreen('main-map-screen'); // Возвращаемся на главный экран карты
+    };
+
+    /**
+     * @function registerBusiness
+     * @description Регистрирует нового предпринимателя на сервере (`POST /api/register-business`).
+     * При успехе делает полученный профиль текущим и переходит на экран профиля.
+     * ИНН проверяется сервером через ФНС, статус верификации приходит в ответе.
+     * @param {object} businessData - Объект с данными регистрации предпринимателя.
+     * @returns {Promise<boolean>} True, если регистрация прошла успешно.
+     */
+    const registerBusiness = async (businessData) => {
+        console.log("Attempting to register business:", businessData);
+        try {
+            const { ok, status, data } = await ApiClient.post('/api/register-business', businessData);
+            if (!ok) {
+                TelegramWebApp.getWebApp().showAlert(`Ошибка регистрации: ${(data && data.message) || status}`);
+                return false;
+            }
+            applyBusinessProfile(data);
+            TelegramWebApp.getWebApp().showAlert("Предприниматель успешно зарегистрирован!");
+            Navigation.goToScreen('business-profile-screen');
+            updateProfileScreen(currentUser);
+            return true;
+        } catch (error) {
+            console.error("Ошибка при регистрации предпринимателя:", error);
+            TelegramWebApp.getWebApp().showAlert("Произошла ошибка при регистрации.");
+            return false;
+        }
+    };
+
+    /**
+     * @function updateBusinessProfile
+     * @description Обновляет профиль предпринимателя на сервере (`PUT /api/update-business-profile`),
+     * сохраняет результат локально и переходит на экран профиля.
+     * @param {object} profileData - Объект с обновленными данными профиля.
+     * @returns {Promise<boolean>} True, если профиль обновлен.
+     */
+    const updateBusinessProfile = async (profileData) => {
+        console.log("Attempting to update business profile:", profileData);
+        try {
+            const { ok, status, data } = await ApiClient.put('/api/update-business-profile', profileData);
+            if (!ok) {
+                TelegramWebApp.getWebApp().showAlert(`Ошибка обновления профиля: ${(data && data.message) || status}`);
+                return false;
+            }
+            applyBusinessProfile(data);
+            TelegramWebApp.getWebApp().showAlert("Профиль успешно обновлен!");
+            Navigation.goToScreen('business-profile-screen');
+            updateProfileScreen(currentUser);
+            return true;
+        } catch (error) {
+            console.error("Ошибка при обновлении профиля:", error);
+            TelegramWebApp.getWebApp().showAlert("Произошла ошибка при обновлении профиля.");
+            return false;
+        }
+    };
+
+    /**
+     * @function getProfile
+     * @description Возвращает объект текущего пользователя (или null).
+     * @returns {object|null} Объект `currentUser`.
+     */
+    const getProfile = () => currentUser;
+
+    /**
+     * @function updateProfileScreen
+     * @description Обновляет элементы интерфейса на экране профиля предпринимателя
+     * на основе данных переданного профиля. Отображает название, контакты, email
+     * и динамически формирует список заведений. Включает отображение статуса верификации ИНН.
+     * @param {object} profile - Объект профиля предпринимателя.
+     */
+    const updateProfileScreen = (profile) => {
+        if (profile && profile.type === 'business') {
+            // Обновляем текстовые поля информацией из профиля
+            document.getElementById('profile-business-name').innerText = profile.businessName || 'N/A';
+            document.getElementById('profile-business-category').innerText = profile.businessCategory || 'Не указана'; // Категория
+            document.getElementById('profile-business-description').innerText = profile.businessDescription || 'Нет описания'; // Описание
+            document.getElementById('profile-contact-person').innerText = profile.contactPerson || 'N/A';
+            document.getElementById('profile-email').innerText = profile.email || 'N/A';
+            document.getElementById('profile-business-location').innerText = profile.businessLocation ? profile.businessLocation.join(', ') : 'Не указано'; // Местоположение
+
+            // Обновляем статус верификации ИНН
+            const innVerificationStatusElement = document.getElementById('profile-inn-verification-status');
+            if (innVerificationStatusElement) {
+                if (profile.isVerified) {
+                    innVerificationStatusElement.innerText = 'Верифицирован через ФНС';
+                    innVerificationStatusElement.classList.remove('warning', 'error');
+                    innVerificationStatusElement.classList.add('success');
+                } else if (profile.inn) {
+                    innVerificationStatusElement.innerText = 'Не верифицирован (ИНН указан, но не проверен или есть ошибки)';
+                    innVerificationStatusElement.classList.remove('success', 'error');
+                    innVerificationStatusElement.classList.add('warning');
+                } else {
+                    innVerificationStatusElement.innerText = 'ИНН не указан';
+                    innVerificationStatusElement.classList.remove('success', 'warning');
+                    innVerificationStatusElement.classList.add('error');
+                }
+                innVerificationStatusElement.style.display = 'block';
+            }
+
+            // Обновляем список заведений предпринимателя
+            const establishmentListContainer = document.getElementById('business-establishment-list');
+            establishmentListContainer.innerHTML = '<h4>Мои заведения:</h4>'; // Очищаем и добавляем заголовок
+            if (profile.establishments && profile.establishments.length > 0) {
+                const ul = document.createElement('ul');
+                profile.establishments.forEach(est => {
+                    const li = document.createElement('li');
+                    li.innerText = est.name; // Можно добавить кнопки для редактирования/удаления
+                    if (est.moderation && est.moderation.status === 'rejected') {
+                        li.innerText += ` (скрыто модератором${est.moderation.reason ? `: ${est.moderation.reason}` : ''})`;
+                    } else if (est.moderation && est.moderation.status === 'hidden') {
+                        li.innerText += ' (скрыто до проверки модератором по сообщениям пользователей)';
+                    } else if (est.status === 'pending') {
+                        li.innerText += ' (черновик: появится на карте после верификации ИНН)';
+                    }
+                    ul.appendChild(li);
+                });
+                establishmentListContainer.appendChild(ul);
+            } else {
+                const p = document.createElement('p');
+                p.innerText = 'У вас пока нет заведений.';
+                establishmentListContainer.appendChild(p);
+            }
+        }
+
+        // Обновляем UI для любимых категорий (если экран "favorite-categories-screen" активен)
+        if (Navigation.getCurrentScreenId() === 'favorite-categories-screen') {
+            renderFavoriteCategories(profile);
+        }
+
+        // Обновляем UI для избранных заведений (если экран избранного активен)
+        if (Navigation.getCurrentScreenId() === 'favorite-establishments-screen' && profile.favoriteEstablishments) {
+            const favoriteEstablishmentsContainer = document.getElementById('favorite-establishments-list');
+            if (favoriteEstablishmentsContainer) {
+                favoriteEstablishmentsContainer.innerHTML = ''; // Очищаем
+                if (profile.favoriteEstablishments.length > 0) {
+                    // Карта загружает только видимую область: недостающие избранные заведения
+                    // догружаем по ID и перерисовываем список
+                    MapSystem.ensureEstablishments(profile.favoriteEstablishments).then(loaded => {
+                        if (loaded && Navigation.getCurrentScreenId() === 'favorite-establishments-screen') {
+                            updateProfileScreen(currentUser);
+                        }
+                    });
+                    profile.favoriteEstablishments.forEach(estId => {
+                        const establishment = MapSystem.getEstablishments().find(e => e.id === estId);
+                        if (establishment) {
+                            const div = document.createElement('div');
+                            div.classList.add('favorite-establishment-item');
+                            // Название задает владелец заведения, поэтому строку собираем без innerHTML
+                            const name = document.createElement('span');
+                            name.className = 'name';
+                            name.textContent = establishment.name;
+                            const category = document.createElement('span');
+                            category.className = 'category';
+                            category.textContent = CategoryRegistry.getLabel(establishment.category);
+                            const viewDetailsButton = document.createElement('button');
+                            viewDetailsButton.className = 'telegram-button small-button view-details-button';
+                            viewDetailsButton.innerText = 'Подробнее';
+                            const removeFavoriteButton = document.createElement('button');
+                            removeFavoriteButton.className = 'telegram-button small-button remove-favorite-button';
+                            removeFavoriteButton.innerText = '❌';
+                            div.append(name, category, viewDetailsButton, removeFavoriteButton);
+                            viewDetailsButton.addEventListener('click', () => {
+                                ModalSystem.showEstablishmentDetails(establishment);
+                            });
+                            removeFavoriteButton.addEventListener('click', () => {
+                                removeFavoriteEstablishment(establishment.id);
+                                updateProfileScreen(currentUser); // Обновляем список избранного
+                                MapSystem.applyFilters(); // Обновляем карту
+                            });
+                            favoriteEstablishmentsContainer.appendChild(div);
+                        }
+                    });
+                } else {
+                    favoriteEstablishmentsContainer.innerHTML = '<p>У вас пока нет избранных заведений.</p>';
+                }
+            }
+        }
+    };
+
+    /**
+     * @function renderFavoriteCategories
+     * @description Отрисовывает выбор любимых категорий по справочнику: группы и их подкатегории.
+     * Выбор группы включает все ее подкатегории, выбор подкатегории — только ее.
+     * @param {object} profile - Профиль текущего пользователя.
+     */
+    const renderFavoriteCategories = (profile) => {
+        const favoriteCategoriesContainer = document.getElementById('favorite-categories-list');
+        if (!favoriteCategoriesContainer) return;
+        favoriteCategoriesContainer.innerHTML = ''; // Очищаем
+        const selected = profile.favoriteCategories || [];
+
+        const createCategoryCheckbox = (category) => {
+            const item = document.createElement('div');
+            item.classList.add('category-item');
+            item.innerHTML = `
+                <input type="checkbox" id="fav-cat-${category.id}" value="${category.id}" ${selected.includes(category.id) ? 'checked' : ''}>
+                <label for="fav-cat-${category.id}">${category.icon} ${category.name}</label>
+            `;
+            item.querySelector('input').addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    addFavoriteCategory(category.id);
+                } else {
+                    removeFavoriteCategory(category.id);
+                }
+                MapSystem.applyFilters();
+            });
+            return item;
+        };
+
+        CategoryRegistry.getAll().forEach(group => {
+            // Группа категорий
+            const mainCategoryDiv = document.createElement('div');
+            mainCategoryDiv.classList.add('main-category-item');
+            mainCategoryDiv.appendChild(createCategoryCheckbox(group));
+
+            // Подкатегории
+            if (group.subcategories.length > 0) {
+                const subcategoriesGrid = document.createElement('div');
+                subcategoriesGrid.classList.add('subcategory-grid');
+                group.subcategories.forEach(subcategory => subcategoriesGrid.appendChild(createCategoryCheckbox(subcategory)));
+                mainCategoryDiv.appendChild(subcategoriesGrid);
+            }
+            favoriteCategoriesContainer.appendChild(mainCategoryDiv);
+        });
+    };
+
+    /**
+     * @function addFavoriteCategory
+     * @description Добавляет категорию в список любимых категорий пользователя.
+     * @param {string} categoryId - ID категории для добавления.
+     */
+    const addFavoriteCategory = (categoryId) => {
+        if (currentUser && !currentUser.favoriteCategories.includes(categoryId)) {
+            currentUser.favoriteCategories.push(categoryId);
+            saveUserData(currentUser);
+            pushFavorites();
+            console.log(`Категория ${categoryId} добавлена в избранное.`);
+        }
+    };
+
+    /**
+     * @function removeFavoriteCategory
+     * @description Удаляет категорию из списка любимых категорий пользователя.
+     * @param {string} categoryId - ID категории для удаления.
+     */
+    const removeFavoriteCategory = (categoryId) => {
+        if (currentUser) {
+            currentUser.favoriteCategories = currentUser.favoriteCategories.filter(id => id !== categoryId);
+            saveUserData(currentUser);
+            pushFavorites();
+            console.log(`Категория ${categoryId} удалена из избранного.`);
+        }
+    };
+
+    /**
+     * @function isFavoriteCategory
+     * @description Проверяет, является ли категория любимой для текущего пользователя.
+     * @param {string} categoryId - ID категории для проверки.
+     * @returns {boolean} True, если категория является любимой, иначе false.
+     */
+    const isFavoriteCategory = (categoryId) => {
+        return currentUser && currentUser.favoriteCategories.includes(categoryId);
+    };
+
+    /**
+     * @function addFavoriteEstablishment
+     * @description Добавляет заведение в список избранных заведений пользователя.
+     * @param {string} establishmentId - ID заведения для добавления.
+     */
+    const addFavoriteEstablishment = (establishmentId) => {
+        if (currentUser && !currentUser.favoriteEstablishments.includes(establishmentId)) {
+            currentUser.favoriteEstablishments.push(establishmentId);
+            saveUserData(currentUser);
+            pushFavorites();
+            EventLog.track('favorite', { establishmentId });
+            TelegramWebApp.getWebApp().showAlert("Заведение добавлено в избранное!");
+            console.log(`Заведение ${establishmentId} добавлено в избранное.`);
+        }
+    };
+
+    /**
+     * @function removeFavoriteEstablishment
+     * @description Удаляет заведение из списка избранных заведений пользователя.
+     * @param {string} establishmentId - ID заведения для удаления.
+     */
+    const removeFavoriteEstablishment = (establishmentId) => {
+        if (currentUser) {
+            currentUser.favoriteEstablishments = currentUser.favoriteEstablishments.filter(id => id !== establishmentId);
+            saveUserData(currentUser);
+            pushFavorites();
+            EventLog.track('unfavorite', { establishmentId });
+            TelegramWebApp.getWebApp().showAlert("Заведение удалено из избранного.");
+            console.log(`Заведение ${establishmentId} удалено из избранного.`);
+        }
+    };
+
+    /**
+     * @function isFavoriteEstablishment
+     * @description Проверяет, находится ли заведение в списке избранных у текущего пользователя.
+     * @param {string} establishmentId - ID заведения для проверки.
+     * @returns {boolean} True, если заведение в избранном, иначе false.
+     */
+    const isFavoriteEstablishment = (establishmentId) => {
+        return currentUser && currentUser.favoriteEstablishments.includes(establishmentId);
+    };
+
+    /**
+     * @function getFavoriteCategories
+     * @description Возвращает список ID любимых категорий текущего пользователя.
+     * @returns {Array<string>} Массив ID любимых категорий.
+     */
+    const getFavoriteCategories = () => {
+        return currentUser ? [...currentUser.favoriteCategories] : [];
+    };
+
+    /**
+     * @function getFavoriteEstablishments
+     * @description Возвращает список ID избранных заведений текущего пользователя.
+     * @returns {Array<string>} Массив ID избранных заведений.
+     */
+    const getFavoriteEstablishments = () => {
+        return currentUser ? [...currentUser.favoriteEstablishments] : [];
+    };
+
+    /**
+     * @function verifyInn
+     * @description Отправляет запрос на сервер для проверки ИНН через API ФНС (DaData.ru).
+     * Обновляет статус верификации и отображает данные компании на основе ответа.
+     * @param {string} inn - ИНН для проверки.
+     * @param {HTMLElement} statusDisplayElement - Элемент для отображения статуса верификации.
+     * @param {HTMLElement} companyDataDisplayElement - Элемент для отображения данных компании.
+     * @returns {Promise<object|null>} Объект с результатом проверки или null в случае ошибки.
+     */
+    const verifyInn = async (inn, statusDisplayElement, companyDataDisplayElement) => {
+        statusDisplayElement.style.display = 'block';
+        statusDisplayElement.className = 'verification-status-message';
+        statusDisplayElement.innerText = 'Проверка ИНН...';
+        companyDataDisplayElement.style.display = 'none';
+
+        try {
+            const { ok, data: result } = await ApiClient.post('/api/fns/verify-inn', { inn });
+
+            if (ok) {
+                statusDisplayElement.classList.add(result.status);
+                statusDisplayElement.innerText = result.message;
+                if (result.company) {
+                    document.getElementById('fns-company-name').innerText = result.company.name;
+                    document.getElementById('fns-ogrn').innerText = result.company.ogrn;
+                    document.getElementById('fns-address').innerText = result.company.address;
+                    document.getElementById('fns-okved').innerText = result.company.okved;
+                    document.getElementById('fns-status').innerText = result.company.state;
+                    companyDataDisplayElement.style.display = 'flex';
+                } else {
+                    companyDataDisplayElement.style.display = 'none';
+                }
+                return result;
+            } else {
+                statusDisplayElement.classList.add('error');
+                statusDisplayElement.innerText = (result && result.message) || 'Ошибка при проверке ИНН.';
+                return null;
+            }
+        } catch (error) {
+            console.error('Ошибка при запросе к API ФНС:', error);
+            statusDisplayElement.classList.add('error');
+            statusDisplayElement.innerText = 'Ошибка сети или сервера при проверке ИНН.';
+            return null;
+        }
+    };
+
+    return {
+        registerBusiness,
+        getProfile,
+        updateProfileScreen,
+        loginBusiness,
+        logoutBusiness,
+        updateBusinessProfile,
+        verifyInn,
+        addFavoriteCategory,
+        removeFavoriteCategory,
+        isFavoriteCategory,
+        addFavoriteEstablishment,
+        removeFavoriteEstablishment,
+        isFavoriteEstablishment,
+        getFavoriteCategories,
+        getFavoriteEstablishments
+    };
+})();
+
+// ========================================================
+// Модуль 5: Модальные окна (для детальной информации о заведении)
+// Описание: Управляет отображением модального окна с детальной информацией о заведении,
+// включая название, описание, категорию, рейтинг, контакты, фотографии и отзывы.
+// Также обрабатывает действия "Построить маршрут" и "Удалить заведение",
+// отправку отзывов пользователями, ответы владельца на отзывы и сообщения о проблемах с заведением.
+// ========================================================
+const ModalSystem = (() => {
+    const modal = document.getElementById('establishment-modal'); // Главное модальное окно деталей заведения
+    const closeButton = modal.querySelector('.close-button'); // Кнопка закрытия модального окна
+    const buildRouteButton = document.getElementById('build-route-button'); // Кнопка "Построить маршрут"
+    const editEstablishmentButton = document.getElementById('edit-establishment-button'); // Кнопка "Редактировать заведение"
+    const deleteEstablishmentButton = document.getElementById('delete-establishment-button'); // Кнопка "Удалить заведение"
+    const addToFavoritesButton = document.getElementById('add-to-favorites-button'); // Кнопка "Добавить в избранное"
+    const shareEstablishmentButton = document.getElementById('share-establishment-button'); // Кнопка "Поделиться"
+    const reviewsList = document.getElementById('modal-reviews-list'); // Список отзывов
+    const reviewForm = document.getElementById('review-form'); // Форма отзыва текущего пользователя
+    const deleteReviewButton = document.getElementById('delete-review-button'); // Кнопка "Удалить отзыв"
+    const reportEstablishmentButton = document.getElementById('report-establishment-button'); // Кнопка "Сообщить о проблеме"
+    const reportForm = document.getElementById('report-form'); // Форма сообщения о проблеме
+    // Причины сообщения о проблеме (те же ID, что в api/lib/reports.js)
+    const REPORT_REASONS = [
+        { id: 'closed', label: 'Закрылось навсегда' },
+        { id: 'wrong_location', label: 'Неверное местоположение' },
+        { id: 'wrong_hours', label: 'Неверные часы работы' },
+        { id: 'inappropriate', label: 'Неприемлемое содержание' }
+    ];
+    let currentEstablishment = null; // Текущее заведение, которое отображается в модальном окне
+    let currentUserReview = null; // Отзыв текущего пользователя о текущем заведении (если есть)
+
+    /**
+     * @function isOwnEstablishment
+     * @description Проверяет, принадлежит ли заведение текущему пользователю.
+     * @param {object} establishment - Заведение.
+     * @returns {boolean}
+     */
+    const isOwnEstablishment = (establishment) => {
+        const userId = TelegramWebApp.getUserId();
+        if (userId && establishment.ownerId === userId) return true;
+        const currentUser = UserSystem.getProfile();
+        return Boolean(currentUser && currentUser.type === 'business'
+            && (currentUser.establishments || []).some(e => e.id === establishment.id));
+    };
+
+    /**
+     * @function formatRating
+     * @description Форматирует рейтинг заведения вместе с количеством отзывов.
+     * @param {object} establishment - Заведение.
+     * @returns {string} Например, "4.5 (отзывов: 2)".
+     */
+    const formatRating = (establishment) => {
+        const reviewCount = establishment.reviewCount !== undefined
+            ? establishment.reviewCount
+            : (establishment.reviews || []).length;
+        return reviewCount > 0 ? `${establishment.rating} (отзывов: ${reviewCount})` : 'Нет оценок';
+    };
+
+    /**
+     * @function createReplyForm
+     * @description Создает форму ответа владельца на отзыв.
+     * @param {object} review - Отзыв, на который отвечает владелец.
+     * @returns {HTMLFormElement} Форма ответа.
+     */
+    const createReplyForm = (review) => {
+        const form = document.createElement('form');
+        form.className = 'review-reply-form';
+        const textarea = document.createElement('textarea');
+        textarea.rows = 2;
+        textarea.maxLength = 1000;
+        textarea.placeholder = 'Публичный ответ на отзыв';
+        textarea.value = review.reply ? review.reply.text : '';
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.className = 'telegram-button small-button';
+        submitButton.innerText = review.reply ? 'Изменить ответ' : 'Ответить';
+        form.appendChild(textarea);
+        form.appendChild(submitButton);
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const text = textarea.value.trim();
+            if (!text) {
+                TelegramWebApp.getWebApp().showAlert('Введите текст ответа.');
+                return;
+            }
+            await saveReviewChange(
+                'PUT',
+                `/api/establishments/${encodeURIComponent(currentEstablishment.id)}/reviews/${encodeURIComponent(review.id)}/reply`,
+                { text },
+                'Ответ опубликован.'
+            );
+        });
+        return form;
+    };
+
+    /**
+     * @function createFlagButton
+     * @description Создает кнопку жалобы на отзыв или фото: после подтверждения жалоба уходит модераторам.
+     * @param {string} url - Адрес маршрута API жалобы.
+     * @param {object|undefined} body - Тело запроса.
+     * @param {string} confirmText - Текст подтверждения.
+     * @returns {HTMLButtonElement}
+     */
+    const createFlagButton = (url, body, confirmText) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'flag-button';
+        button.innerText = '⚑';
+        button.title = 'Пожаловаться';
+        button.setAttribute('aria-label', 'Пожаловаться');
+        button.addEventListener('click', () => {
+            TelegramWebApp.getWebApp().showConfirm(confirmText, async (confirmed) => {
+                if (!confirmed) return;
+                try {
+                    const { ok, data } = await ApiClient.post(url, body);
+                    TelegramWebApp.getWebApp().showAlert(ok
+                        ? 'Спасибо! Жалобу проверит модератор.'
+                        : (data && data.message) || 'Не удалось отправить жалобу.');
+                } catch (error) {
+                    console.error("Ошибка при отправке жалобы:", error);
+                    TelegramWebApp.getWebApp().showAlert('Не удалось отправить жалобу: нет связи с сервером.');
+                }
+            });
+        });
+        return button;
+    };
+
+    /**
+     * @function renderReviews
+     * @description Отображает отзывы заведения, ответы владельца и форму отзыва текущего пользователя.
+     * Текст отзывов выводится через textContent, так как его вводят пользователи.
+     * @param {object} establishment - Заведение.
+     */
+    const renderReviews = (establishment) => {
+        const userId = TelegramWebApp.getUserId();
+        const isOwner = isOwnEstablishment(establishment);
+        const establishmentReviews = establishment.reviews || [];
+
+        reviewsList.innerHTML = ''; // Очищаем список отзывов
+        if (establishmentReviews.length === 0) {
+            const p = document.createElement('p');
+            p.innerText = 'Отзывов пока нет.';
+            reviewsList.appendChild(p);
+        }
+        establishmentReviews.forEach(review => {
+            const p = document.createElement('p');
+            const author = document.createElement('span');
+            author.className = 'review-author';
+            author.textContent = review.author;
+            const rating = document.createElement('span');
+            rating.className = 'review-rating';
+            rating.textContent = ` (Рейтинг: ${review.rating})`;
+            p.appendChild(author);
+            p.appendChild(rating);
+            p.appendChild(document.createTextNode(review.text ? `: ${review.text}` : ''));
+            // Пожаловаться можно на отзывы других пользователей (отзывы из начальных данных без ID пропускаем)
+            if (userId && review.id && review.userId !== userId) {
+                p.appendChild(createFlagButton(
+                    `/api/establishments/${encodeURIComponent(establishment.id)}/reviews/${encodeURIComponent(review.id)}/flag`,
+                    undefined,
+                    'Пожаловаться на отзыв? Его проверит модератор.'
+                ));
+            }
+            reviewsList.appendChild(p);
+
+            if (review.reply) {
+                const reply = document.createElement('p');
+                reply.className = 'review-reply';
+                const replyAuthor = document.createElement('span');
+                replyAuthor.className = 'review-author';
+                replyAuthor.textContent = 'Ответ владельца';
+                reply.appendChild(replyAuthor);
+                reply.appendChild(document.createTextNode(`: ${review.reply.text}`));
+                reviewsList.appendChild(reply);
+            }
+
+            // Владелец может ответить на отзывы пользователей (отзывы из начальных данных без ID пропускаем)
+            if (isOwner && review.id) {
+                reviewsList.appendChild(createReplyForm(review));
+            }
+        });
+
+        // Владелец не оценивает собственное заведение
+        reviewForm.style.display = isOwner ? 'none' : 'block';
+        currentUserReview = userId ? establishmentReviews.find(review => review.userId === userId) || null : null;
+        document.getElementById('review-form-title').innerText = currentUserReview ? 'Ваш отзыв' : 'Оставить отзыв';
+        document.getElementById('review-rating').value = currentUserReview ? String(currentUserReview.rating) : '5';
+        document.getElementById('review-text').value = currentUserReview ? currentUserReview.text : '';
+        document.getElementById('submit-review-button').innerText = currentUserReview ? 'Сохранить отзыв' : 'Отправить отзыв';
+        deleteReviewButton.style.display = currentUserReview ? 'block' : 'none';
+    };
+
+    /**
+     * @function saveReviewChange
+     * @description Отправляет изменение отзыва на сервер и обновляет заведение
+     * (с пересчитанным сервером рейтингом) на карте и в модальном окне.
+     * @param {string} method - HTTP-метод.
+     * @param {string} url - Адрес маршрута API.
+     * @param {object} [body] - Тело запроса.
+     * @param {string} successMessage - Сообщение об успехе.
+     * @returns {Promise<boolean>} True, если изменение сохранено.
+     */
+    const saveReviewChange = async (method, url, body, successMessage) => {
+        try {
+            const { ok, data } = await ApiClient.request(url, { method, body });
+            if (!ok) {
+                TelegramWebApp.getWebApp().showAlert((data && data.message) || 'Не удалось сохранить отзыв.');
+                return false;
+            }
+            MapSystem.replaceEstablishment(data.establishment);
+            if (currentEstablishment && currentEstablishment.id === data.establishment.id) {
+                showEstablishmentDetails(data.establishment); // Перерисовываем модальное окно с новым рейтингом
+            }
+            TelegramWebApp.getWebApp().showAlert(successMessage);
+            return true;
+        } catch (error) {
+            console.error("Ошибка сети при сохранении отзыва:", error);
+            TelegramWebApp.getWebApp().showAlert('Ошибка сети. Попробуйте позже.');
+            return false;
+        }
+    };
+
+    /**
+     * @function renderOpeningHours
+     * @description Показывает бейдж "открыто / закроется в" и расписание на неделю.
+     * Если часы работы не указаны, блок скрывается.
+     * @param {object|null} hours - Часы работы заведения.
+     */
+    const renderOpeningHours = (hours) => {
+        const block = document.getElementById('modal-establishment-hours-block');
+        const status = OpeningHours.formatStatus(hours);
+        if (!status) {
+            block.style.display = 'none';
+            return;
+        }
+        block.style.display = 'block';
+
+        const badge = document.getElementById('modal-establishment-hours-status');
+        badge.innerText = status.text;
+        badge.classList.toggle('open', status.isOpen);
+        badge.classList.toggle('closed', !status.isOpen);
+
+        const list = document.getElementById('modal-establishment-hours');
+        list.innerHTML = '';
+        const todayKey = OpeningHours.getTodayKey(hours);
+        OpeningHours.WEEK_ORDER.forEach(day => {
+            const li = document.createElement('li');
+            li.innerText = `${OpeningHours.DAY_NAMES[day]}: ${OpeningHours.formatIntervals(hours.weekly[day])}`;
+            li.classList.toggle('today', day === todayKey);
+            list.appendChild(li);
+        });
+    };
+
+    /**
+     * @function showEstablishmentDetails
+     * @description Показывает модальное окно с детальной информацией о заведении.
+     * Заполняет поля модального окна данными из объекта заведения, загружает фотографии
+     * и отзывы, а также управляет видимостью кнопки "Удалить заведение"
+     * в зависимости от того, является ли текущий пользователь владельцем.
+     * @param {object} establishment - Объект заведения с полной информацией.
+     */
+    const showEstablishmentDetails = (establishment) => {
+        // Перерисовка открытой карточки (например, после отзыва) не считается новым просмотром
+        const isRefresh = modal.classList.contains('active') && currentEstablishment && currentEstablishment.id === establishment.id;
+        currentEstablishment = establishment; // Сохраняем текущее заведение для использования в других функциях
+        if (!isRefresh) {
+            EventLog.track('view', { establishmentId: establishment.id });
+        }
+
+        // Заполняем элементы модального окна данными заведения
+        document.getElementById('modal-establishment-name').innerText = establishment.name;
+        document.getElementById('modal-establishment-description').innerText = establishment.description;
+        document.getElementById('modal-establishment-category').innerText = CategoryRegistry.getLabel(establishment.category);
+        document.getElementById('modal-establishment-price-category').innerText = establishment.priceCategory || 'Не указана'; // Ценовая категория
+        document.getElementById('modal-establishment-rating').innerText = formatRating(establishment);
+        document.getElementById('modal-establishment-contact').innerText = establishment.contact;
+        const addressElement = document.getElementById('modal-establishment-address');
+        addressElement.innerText = establishment.address || '';
+        addressElement.parentElement.style.display = establishment.address ? 'block' : 'none';
+        renderOpeningHours(establishment.openingHours);
+
+        // Расстояние от пользователя или от точки, выбранной в режиме "Рядом"
+        const distanceElement = document.getElementById('modal-establishment-distance');
+        const referencePoint = MapSystem.getReferencePoint();
+        if (referencePoint) {
+            const distance = GeoUtils.formatDistance(GeoUtils.distance(referencePoint.coordinates, establishment.coordinates));
+            distanceElement.innerText = referencePoint.source === 'user' ? `${distance} от вас` : `${distance} от выбранной точки`;
+            distanceElement.parentElement.style.display = 'block';
+        } else {
+            distanceElement.parentElement.style.display = 'none';
+        }
+
+        // Загрузка и отображение фотографий заведения
+        const photosContainer = modal.querySelector('.modal-photos');
+        photosContainer.innerHTML = ''; // Очищаем контейнер от предыдущих фото
+        const canFlagPhotos = Boolean(TelegramWebApp.getWebApp().initData) && !isOwnEstablishment(establishment);
+        (establishment.photos || []).forEach(photo => {
+            // Показываем миниатюру, по нажатию открываем полноразмерное фото
+            const link = document.createElement('a');
+            link.href = PhotoUtils.getFullUrl(photo);
+            link.target = '_blank';
+            link.rel = 'noopener';
+            const img = document.createElement('img');
+            img.src = PhotoUtils.getThumbnailUrl(photo);
+            img.alt = establishment.name;
+            img.loading = 'lazy';
+            link.appendChild(img);
+            const item = document.createElement('div');
+            item.className = 'modal-photo';
+            item.appendChild(link);
+            if (canFlagPhotos) {
+                item.appendChild(createFlagButton(
+                    `/api/establishments/${encodeURIComponent(establishment.id)}/photos/flag`,
+                    { url: PhotoUtils.getFullUrl(photo) },
+                    'Пожаловаться на фото? Его проверит модератор.'
+                ));
+            }
+            photosContainer.appendChild(item);
+        });
+
+        // Загрузка и отображение отзывов о заведении
+        renderReviews(establishment);
+
+        modal.classList.add('active'); // Активируем (показываем) модальное окно
+        TelegramWebApp.getWebApp().BackButton.show(); // Показываем кнопку "Назад" Telegram WebApp
+
+        // Управляем видимостью кнопок "Редактировать заведение" и "Удалить заведение".
+        // Они видны только если текущий пользователь является предпринимателем
+        // и это заведение принадлежит ему.
+        if (!isRefresh) {
+            reportForm.style.display = 'none';
+        }
+        if (isOwnEstablishment(establishment)) {
+            reportEstablishmentButton.style.display = 'none'; // О проблемах с собственным заведением не сообщают
+            editEstablishmentButton.style.display = 'block';
+            deleteEstablishmentButton.style.display = 'block'; // Показываем кнопку
+            addToFavoritesButton.style.display = 'none'; // Скрываем кнопку "Добавить в избранное" для владельца
+        } else {
+            editEstablishmentButton.style.display = 'none';
+            deleteEstablishmentButton.style.display = 'none'; // Скрываем кнопку
+            reportEstablishmentButton.style.display = TelegramWebApp.getWebApp().initData ? 'block' : 'none';
+            // Показываем кнопку "Добавить в избранное" для обычных пользователей
+            addToFavoritesButton.style.display = 'block';
+            // Обновляем текст и состояние кнопки избранного
+            if (UserSystem.isFavoriteEstablishment(establishment.id)) {
+                addToFavoritesButton.innerText = '⭐ Удалить из избранного';
+                addToFavoritesButton.classList.add('active-favorite');
+            } else {
+                addToFavoritesButton.innerText = '⭐ Добавить в избранное';
+                addToFavoritesButton.classList.remove('active-favorite');
+            }
+        }
+        FavoriteLists.renderModalSelect(establishment, isOwnEstablishment(establishment));
+    };
+
+    /**
+     * @function hideEstablishmentDetails
+     * @description Скрывает модальное окно с детальной информацией о заведении.
+     * Также управляет видимостью кнопки "Назад" Telegram WebApp.
+     */
+    const hideEstablishmentDetails = () => {
+        modal.classList.remove('active'); // Деактивируем (скрываем) модальное окно
+        // Если текущий экран не главный экран карты, то показываем кнопку "Назад" Telegram.
+        // В противном случае - скрываем.
+        if (Navigation.getCurrentScreenId() !== 'main-map-screen') {
+            TelegramWebApp.getWebApp().BackButton.show();
+        } else {
+            TelegramWebApp.getWebApp().BackButton.hide();
+        }
+        currentEstablishment = null; // Сбрасываем текущее заведение
+        currentUserReview = null;
+    };
+
+    // Обработчик кнопки "Построить маршрут"
+    // Открывает Яндекс.Карты в браузере для построения маршрута до заведения.
+    buildRouteButton.addEventListener('click', () => {
+        if (currentEstablishment) {
+            const coords = currentEstablishment.coordinates.join(',');
+            const url = `https://yandex.ru/maps/?rtext=~${coords}&rtt=auto`; // URL для построения маршрута
+            TelegramWebApp.getWebApp().openLink(url); // Открываем ссылку через Telegram WebApp
+            EventLog.track('route', { establishmentId: currentEstablishment.id });
+        }
+    });
+
+    // Обработчик кнопки "Редактировать заведение": открывает форму с данными заведения
+    // (модальное окно закрывается при переходе на экран формы)
+    editEstablishmentButton.addEventListener('click', () => {
+        if (currentEstablishment) {
+            Navigation.goToScreen('add-edit-establishment-screen', currentEstablishment);
+        }
+    });
+
+    // Обработчик кнопки "Удалить заведение"
+    // Показывает подтверждение пользователю, затем удаляет заведение через MapSystem
+    // и обновляет профиль предпринимателя.
+    deleteEstablishmentButton.addEventListener('click', () => {
+        if (currentEstablishment) {
+            TelegramWebApp.getWebApp().showConfirm(`Вы уверены, что хотите удалить заведение \"${currentEstablishment.name}\"?`, async (confirmed) => {
+                if (confirmed) {
+                    const establishmentId = currentEstablishment.id;
+                    const deleted = await MapSystem.deleteEstablishment(establishmentId); // Удаляем на сервере и из MapSystem
+                    if (deleted) {
+                        // Также нужно удалить заведение из списка предпринимателя
+                        const currentUser = UserSystem.getProfile();
+                        if (currentUser && currentUser.type === 'business') {
+                            currentUser.establishments = currentUser.establishments.filter(e => e.id !== establishmentId);
+                            UserSystem.updateProfileScreen(currentUser); // Обновляем UI профиля предпринимателя
+                        }
+                        TelegramWebApp.getWebApp().showAlert("Заведение успешно удалено!");
+                        hideEstablishmentDetails(); // Скрываем модальное окно
+                    } else {
+                        TelegramWebApp.getWebApp().showAlert("Ошибка при удалении заведения.");
+                    }
+                }
+            });
+        }
+    });
+
+    // Обработчик формы отзыва: создает отзыв или редактирует уже оставленный пользователем
+    reviewForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (!currentEstablishment) return;
+        const body = {
+            rating: Number(document.getElementById('review-rating').value),
+            text: document.getElementById('review-text').value.trim()
+        };
+        const baseUrl = `/api/establishments/${encodeURIComponent(currentEstablishment.id)}/reviews`;
+        if (currentUserReview) {
+            await saveReviewChange('PUT', `${baseUrl}/${encodeURIComponent(currentUserReview.id)}`, body, 'Отзыв обновлен.');
+        } else {
+            await saveReviewChange('POST', baseUrl, body, 'Спасибо за отзыв!');
+        }
+    });
+
+    // Обработчик кнопки "Удалить отзыв"
+    deleteReviewButton.addEventListener('click', () => {
+        if (!currentEstablishment || !currentUserReview) return;
+        const url = `/api/establishments/${encodeURIComponent(currentEstablishment.id)}/reviews/${encodeURIComponent(currentUserReview.id)}`;
+        TelegramWebApp.getWebApp().showConfirm('Удалить ваш отзыв?', async (confirmed) => {
+            if (confirmed) {
+                await saveReviewChange('DELETE', url, undefined, 'Отзыв удален.');
+            }
+        });
+    });
+
+    // Обработчик кнопки "Поделиться": ссылка на карточку заведения (start_param est_<ID>)
+    shareEstablishmentButton.addEventListener('click', () => {
+        if (currentEstablishment) {
+            DeepLink.shareEstablishment(currentEstablishment);
+        }
+    });
+
+    // Обработчик кнопки "Добавить/Удалить из избранного"
+    addToFavoritesButton.addEventListener('click', () => {
+        if (currentEstablishment) {
+            if (UserSystem.isFavoriteEstablishment(currentEstablishment.id)) {
+                UserSystem.removeFavoriteEstablishment(currentEstablishment.id);
+                addToFavoritesButton.innerText = '⭐ Добавить в избранное';
+                addToFavoritesButton.classList.remove('active-favorite');
+            } else {
+                UserSystem.addFavoriteEstablishment(currentEstablishment.id);
+                addToFavoritesButton.innerText = '⭐ Удалить из избранного';
+                addToFavoritesButton.classList.add('active-favorite');
+            }
+            // Обновляем карту и экран избранных заведений
+            MapSystem.applyFilters();
+            UserSystem.updateProfileScreen(UserSystem.getProfile()); // Обновить экран избранных заведений
+        }
+    });
+
+    // Причины в форме сообщения о проблеме
+    REPORT_REASONS.forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.innerText = label;
+        document.getElementById('report-reason').appendChild(option);
+    });
+
+    // Обработчик кнопки "Сообщить о проблеме": показывает или скрывает форму сообщения
+    reportEstablishmentButton.addEventListener('click', () => {
+        const isOpen = reportForm.style.display !== 'none';
+        reportForm.style.display = isOpen ? 'none' : 'block';
+        if (!isOpen) {
+            document.getElementById('report-reason').value = REPORT_REASONS[0].id;
+            document.getElementById('report-comment').value = '';
+        }
+    });
+
+    document.getElementById('cancel-report-button').addEventListener('click', () => {
+        reportForm.style.display = 'none';
+    });
+
+    // Отправка сообщения о проблеме. Если сообщений набралось достаточно, сервер скрывает заведение
+    // до проверки модератором: закрываем карточку и убираем заведение с карты.
+    reportForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (!currentEstablishment) return;
+        const submitButton = document.getElementById('submit-report-button');
+        submitButton.disabled = true;
+        try {
+            const { ok, data } = await ApiClient.post(`/api/establishments/${encodeURIComponent(currentEstablishment.id)}/reports`, {
+                reason: document.getElementById('report-reason').value,
+                comment: document.getElementById('report-comment').value
+            });
+            if (!ok) {
+                TelegramWebApp.getWebApp().showAlert((data && data.message) || 'Не удалось отправить сообщение.');
+                return;
+            }
+            reportForm.style.display = 'none';
+            if (data.isHidden) {
+                hideEstablishmentDetails();
+                MapSystem.reloadViewport();
+            }
+            TelegramWebApp.getWebApp().showAlert(data.message);
+        } catch (error) {
+            console.error("Ошибка при отправке сообщения о проблеме:", error);
+            TelegramWebApp.getWebApp().showAlert('Не удалось отправить сообщение: нет связи с сервером.');
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    // Закрытие модального окна по клику на кнопку закрытия (крестик)
+    closeButton.addEventListener('click', hideEstablishmentDetails);
+
+    // Закрытие модального окна при клике вне его содержимого
+    window.addEventListener('click', (event) => {
+        if (event.target === modal) {
+            hideEstablishmentDetails();
+        }
+    });
+
+    return {
+        REPORT_REASONS,
+        showEstablishmentDetails,
+        hideEstablishmentDetails
+    };
+})();
+
+// ========================================================
+// Модуль: Geocoder - Адреса
+// Описание: Поиск адресов и определение адреса по координатам через сервер
+// (GET /api/geocode и /api/geocode/reverse, см. api/lib/geocoding.js).
+// Используется окном выбора местоположения и формой заведения.
+// ========================================================
+const Geocoder = (() => {
+    /**
+     * @function search
+     * @description Ищет адреса по строке запроса.
+     * @param {string} query - Строка запроса.
+     * @returns {Promise<Array<{address: string, coordinates: Array<number>}>>} Найденные адреса
+     * (пустой список, если ничего не найдено или сервис недоступен).
+     */
+    const search = async (query) => {
+        try {
+            const { ok, data } = await ApiClient.get(`/api/geocode?q=${encodeURIComponent(query)}`);
+            return ok ? data.results : [];
+        } catch (error) {
+            console.warn("Не удалось выполнить поиск адреса:", error);
+            return [];
+        }
+    };
+
+    /**
+     * @function reverse
+     * @description Определяет адрес точки.
+     * @param {Array<number>} coordinates - [широта, долгота].
+     * @returns {Promise<string|null>} Адрес или null, если он не найден или сервис недоступен.
+     */
+    const reverse = async ([lat, lon]) => {
+        try {
+            const { ok, data } = await ApiClient.get(`/api/geocode/reverse?lat=${lat}&lon=${lon}`);
+            return ok ? data.address : null;
+        } catch (error) {
+            console.warn("Не удалось определить адрес:", error);
+            return null;
+        }
+    };
+
+    return {
+        search,
+        reverse
+    };
+})();
+
+// ========================================================
+// Модуль 6: Модальное окно выбора местоположения (LocationPickerModal)
+// Описание: Предоставляет интерактивную карту в модальном окне для выбора
+// конкретных координат. Точку можно найти по адресу, а адрес выбранной точки
+// определяется автоматически (модуль Geocoder). Используется в формах регистрации
+// бизнеса и добавления/редактирования заведений.
+// ========================================================
+const LocationPickerModal = (() => {
+    const modal = document.getElementById('location-picker-modal'); // Модальное окно выбора местоположения
+    const closeButton = document.getElementById('close-location-picker'); // Кнопка закрытия модального окна
+    const confirmButton = document.getElementById('confirm-location-button'); // Кнопка "Подтвердить"
+    const cancelButton = document.getElementById('cancel-location-button'); // Кнопка "Отмена"
+    const selectedCoordsDisplay = document.getElementById('selected-coords'); // Элемент для отображения выбранных координат
+    const pickerMapContainer = document.getElementById('picker-map-container'); // Контейнер для карты внутри модального окна
+    const selectedAddressDisplay = document.getElementById('selected-address'); // Адрес выбранной точки
+    const searchInput = document.getElementById('picker-search-input'); // Строка поиска адреса
+    const searchResults = document.getElementById('picker-search-results'); // Найденные адреса
+
+    let pickerMap = null; // Экземпляр карты для выбора местоположения
+    let pickerPlacemark = null; // Перетаскиваемая метка на карте
+    let confirmCallback = null; // Callback-функция, вызываемая при подтверждении выбора
+    let selectedAddress = ''; // Адрес выбранной точки (пустая строка, если он не определен)
+    let addressRequestId = 0; // Номер последнего запроса адреса: ответы на прежние запросы игнорируются
+
+    /**
+     * @function setAddress
+     * @description Запоминает и показывает адрес выбранной точки.
+     * @param {string} address - Адрес (пустая строка — не определен).
+     */
+    const setAddress = (address) => {
+        selectedAddress = address;
+        selectedAddressDisplay.innerText = address || 'Не определен';
+    };
+
+    /**
+     * @function selectPoint
+     * @description Переносит метку в точку и обновляет координаты и адрес.
+     * Если адрес точки не передан, он запрашивается у сервера.
+     * @param {Array<number>} coords - Координаты точки.
+     * @param {string} [address] - Известный адрес точки (например, найденный поиском).
+     */
+    const selectPoint = async (coords, address) => {
+        pickerPlacemark.geometry.setCoordinates(coords);
+        selectedCoordsDisplay.innerText = coords.map(c => c.toFixed(6)).join(', ');
+        const requestId = ++addressRequestId;
+        if (address !== undefined) {
+            setAddress(address);
+            return;
+        }
+        selectedAddressDisplay.innerText = 'Определяем адрес...';
+        const found = await Geocoder.reverse(coords);
+        if (requestId === addressRequestId) {
+            setAddress(found || '');
+        }
+    };
+
+    /**
+     * @function renderSearchResults
+     * @description Показывает найденные адреса под строкой поиска.
+     * @param {Array<{address: string, coordinates: Array<number>}>} results - Найденные адреса.
+     */
+    const renderSearchResults = (results) => {
+        searchResults.innerHTML = '';
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-suggestions-note';
+            empty.textContent = 'Адрес не найден. Уточните запрос или отметьте точку на карте.';
+            searchResults.appendChild(empty);
+        }
+        results.forEach(result => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'search-suggestion';
+            button.textContent = result.address;
+            button.addEventListener('click', () => {
+                searchResults.style.display = 'none';
+                if (!pickerMap) return;
+                pickerMap.setCenter(result.coordinates, 16);
+                selectPoint(result.coordinates, result.address);
+            });
+            searchResults.appendChild(button);
+        });
+        searchResults.style.display = 'block';
+    };
+
+    /**
+     * @function initPickerMap
+     * @description Инициализирует новую карту Яндекс.Карт внутри модального окна выбора местоположения.
+     * Размещает перетаскиваемую метку на указанных координатах и обновляет
+     * отображение координат при ее перемещении.
+     * @param {Array<number>} initialCoords - Начальные координаты для центрирования карты и размещения метки.
+     * @param {string} [initialAddress] - Известный адрес начальной точки.
+     */
+    const initPickerMap = (initialCoords, initialAddress) => {
+        if (pickerMap) {
+            pickerMap.destroy(); // Уничтожаем предыдущую карту, если она была, для предотвращения утечек памяти
+        }
+        pickerMap = new ymaps.Map(pickerMapContainer, {
+            center: initialCoords || [55.76, 37.64], // Дефолтный центр Москвы или переданные координаты
+            zoom: 12, // Уровень зума
+            controls: ['zoomControl', 'geolocationControl'] // Элементы управления
+        });
+
+        // Создаем перетаскиваемую метку
+        pickerPlacemark = new ymaps.Placemark(pickerMap.getCenter(), {
+            hintContent: 'Перетащите для выбора местоположения' // Подсказка при наведении
+        }, {
+            draggable: true, // Метка может быть перетаскиваемой
+            preset: 'islands#blueDotIcon' // Пресет иконки
+        });
+        pickerMap.geoObjects.add(pickerPlacemark); // Добавляем метку на карту
+        // Отображаем начальные координаты и адрес (для точки по умолчанию адрес не нужен)
+        if (initialCoords) {
+            selectPoint(pickerPlacemark.geometry.getCoordinates(), initialAddress || undefined);
+        } else {
+            selectedCoordsDisplay.innerText = pickerPlacemark.geometry.getCoordinates().map(c => c.toFixed(6)).join(', ');
+            setAddress('');
+        }
+
+        // Обработчик события "dragend" (окончание перетаскивания метки)
+        pickerPlacemark.events.add('dragend', () => {
+            selectPoint(pickerPlacemark.geometry.getCoordinates()); // Обновляем координаты и адрес
+        });
+
+        // Обработчик события "click" по карте
+        pickerMap.events.add('click', (e) => {
+            selectPoint(e.get('coords')); // Перемещаем метку в точку клика
+        });
+    };
+
+    /**
+     * @function show
+     * @description Показывает модальное окно выбора местоположения и инициализирует карту.
+     * @param {Array<number>} currentCoords - Координаты для начального центрирования карты.
+     * @param {function(Array<number>, string): void} callback - Callback-функция, которая будет вызвана
+     * с выбранными координатами и адресом (пустая строка, если он не определен) при подтверждении выбора.
+     * @param {string} [currentAddress] - Известный адрес текущей точки (чтобы не запрашивать его заново).
+     */
+    const show = (currentCoords, callback, currentAddress) => {
+        confirmCallback = callback; // Сохраняем callback-функцию
+        searchInput.value = '';
+        searchResults.style.display = 'none';
+        setAddress('');
+        modal.classList.add('active'); // Показываем модальное окно
+        TelegramWebApp.getWebApp().BackButton.show(); // Показываем кнопку "Назад" Telegram
+        if (typeof ymaps === 'undefined') {
+            // Подстрахуемся, если API ещё не подгружен
+            const wait = () => (typeof ymaps === 'undefined') ? setTimeout(wait, 200) : ymaps.ready(() => initPickerMap(currentCoords, currentAddress));
+            wait();
+        } else {
+            ymaps.ready(() => initPickerMap(currentCoords, currentAddress)); // Инициализируем карту после открытия модального окна
+        }
+    };
+
+    /**
+     * @function hide
+     * @description Скрывает модальное окно выбора местоположения и уничтожает экземпляр карты.
+     */
+    const hide = () => {
+        modal.classList.remove('active'); // Скрываем модальное окно
+        if (pickerMap) {
+            pickerMap.destroy(); // Уничтожаем карту, чтобы освободить ресурсы
+            pickerMap = null;
+        }
+        addressRequestId++; // Адрес, который еще определяется, больше не нужен
+        TelegramWebApp.getWebApp().BackButton.hide(); // Скрываем кнопку "Назад" Telegram
+    };
+
+    // Обработчики событий для кнопок модального окна
+    closeButton.addEventListener('click', hide); // Закрытие по крестику
+    cancelButton.addEventListener('click', hide); // Закрытие по кнопке "Отмена"
+
+    // Обработчик кнопки "Подтвердить"
+    confirmButton.addEventListener('click', () => {
+        if (pickerPlacemark && confirmCallback) {
+            const coords = pickerPlacemark.geometry.getCoordinates(); // Получаем выбранные координаты
+            confirmCallback(coords, selectedAddress); // Вызываем callback с координатами и адресом
+        }
+        hide(); // Скрываем модальное окно
+    });
+
+    // Поиск адреса: найденные адреса показываются списком, выбранный отмечается на карте
+    document.getElementById('picker-search-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const query = searchInput.value.trim();
+        if (query.length < 3) {
+            TelegramWebApp.getWebApp().showAlert('Введите адрес: улицу и дом, при необходимости город.');
+            return;
+        }
+        renderSearchResults(await Geocoder.search(query));
+    });
+
+    // Закрытие модального окна при клике вне его содержимого
+    window.addEventListener('click', (event) => {
+        if (event.target === modal) {
+            hide();
+        }
+    });
+
+    return {
+        show,
+        hide
+    };
+})();
+
+// ========================================================
+// Модуль: SearchSystem - Поиск заведений
+// Описание: Отправляет поисковый запрос из строки поиска на сервер (GET /api/search),
+// передает найденные заведения карте и показывает под строкой поиска список подсказок.
+// Сервер учитывает морфологию, опечатки и неправильную раскладку клавиатуры.
+// ========================================================
+const SearchSystem = (() => {
+    const SEARCH_DEBOUNCE = 250; // Запрос отправляется, когда пользователь перестал печатать
+    const SEARCH_LIMIT = 500; // Сколько результатов запрашивать (для фильтрации карты)
+    const SUGGESTIONS_LIMIT = 7; // Сколько подсказок показывать
+    let searchTimer = null;
+    let searchRequest = null; // AbortController текущего запроса
+    let suggestions = []; // Заведения в списке подсказок
+    let highlightedIndex = -1; // Выбранная клавишами подсказка
+
+    const getInput = () => document.getElementById('search-input');
+    const getContainer = () => document.getElementById('search-suggestions');
+
+    /**
+     * @function hideSuggestions
+     * @description Скрывает список подсказок.
+     */
+    const hideSuggestions = () => {
+        const container = getContainer();
+        container.style.display = 'none';
+        container.innerHTML = '';
+        suggestions = [];
+        highlightedIndex = -1;
+    };
+
+    /**
+     * @function renderSuggestions
+     * @description Показывает подсказки под строкой поиска. Если результаты найдены по запросу
+     * в другой раскладке, показывает исправленный запрос.
+     * @param {object} data - Ответ /api/search.
+     */
+    const renderSuggestions = (data) => {
+        const container = getContainer();
+        container.innerHTML = '';
+        suggestions = data.results.slice(0, SUGGESTIONS_LIMIT).map(result => result.establishment);
+        highlightedIndex = -1;
+
+        if (data.correctedQuery) {
+            const note = document.createElement('div');
+            note.className = 'search-suggestions-note';
+            note.textContent = `Показаны результаты по запросу «${data.correctedQuery}»`;
+            container.appendChild(note);
+        }
+        if (suggestions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-suggestions-note';
+            empty.textContent = 'Ничего не найдено';
+            container.appendChild(empty);
+        }
+        suggestions.forEach((establishment, index) => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'search-suggestion';
+            item.dataset.index = String(index);
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = establishment.name;
+            const details = document.createElement('span');
+            details.className = 'details';
+            details.textContent = establishment.rating
+                ? `${CategoryRegistry.getLabel(establishment.category)} · ⭐ ${establishment.rating}`
+                : CategoryRegistry.getLabel(establishment.category);
+            item.append(name, details);
+            container.appendChild(item);
+        });
+        container.style.display = 'block';
+    };
+
+    /**
+     * @function highlightSuggestion
+     * @description Выделяет подсказку при выборе стрелками клавиатуры.
+     * @param {number} index - Индекс подсказки.
+     */
+    const highlightSuggestion = (index) => {
+        highlightedIndex = index;
+        getContainer().querySelectorAll('.search-suggestion').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.index) === index);
+        });
+    };
+
+    /**
+     * @function selectSuggestion
+     * @description Показывает выбранное в подсказках заведение на карте и открывает его карточку.
+     * @param {number} index - Индекс подсказки.
+     */
+    const selectSuggestion = (index) => {
+        const establishment = suggestions[index];
+        if (!establishment) return;
+        hideSuggestions();
+        getInput().blur();
+        MapSystem.focusEstablishment(establishment);
+        ModalSystem.showEstablishmentDetails(establishment);
+    };
+
+    /**
+     * @function runSearch
+     * @description Выполняет поиск на сервере. Предыдущий незавершенный запрос отменяется.
+     * @param {string} query - Поисковый запрос.
+     */
+    const runSearch = async (query) => {
+        if (searchRequest) searchRequest.abort();
+        const controller = new AbortController();
+        searchRequest = controller;
+        try {
+            const { ok, status, data } = await ApiClient.get(
+                `/api/search?q=${encodeURIComponent(query)}&limit=${SEARCH_LIMIT}`,
+                { signal: controller.signal }
+            );
+            if (!ok) {
+                throw new Error((data && data.message) || `HTTP ${status}`);
+            }
+            MapSystem.setSearchResults(data.results.map(result => result.establishment));
+            // Первые результаты видны пользователю в подсказках: они учитываются как показы в статистике заведений
+            EventLog.track('search', { query, establishmentIds: data.results.slice(0, SUGGESTIONS_LIMIT).map(result => result.establishment.id) });
+            if (document.activeElement === getInput()) {
+                renderSuggestions(data);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error("Ошибка поиска заведений:", error);
+            MapSystem.setSearchResults(null); // Карта вернется к простому поиску по вхождению строки
+            hideSuggestions();
+        } finally {
+            if (searchRequest === controller) searchRequest = null;
+        }
+    };
+
+    /**
+     * @function handleInput
+     * @description Обрабатывает изменение поискового запроса: откладывает запрос к серверу
+     * до окончания ввода, для пустого запроса сбрасывает результаты.
+     * @param {string} query - Текст строки поиска.
+     */
+    const handleInput = (query) => {
+        clearTimeout(searchTimer);
+        if (!query.trim()) {
+            if (searchRequest) searchRequest.abort();
+            MapSystem.setSearchResults(null);
+            hideSuggestions();
+            return;
+        }
+        searchTimer = setTimeout(() => runSearch(query.trim()), SEARCH_DEBOUNCE);
+    };
+
+    /**
+     * @function init
+     * @description Подключает выбор подсказок мышью и клавиатурой.
+     */
+    const init = () => {
+        const container = getContainer();
+        // mousedown срабатывает раньше потери фокуса строкой поиска, которая скрывает подсказки
+        container.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const item = e.target.closest('.search-suggestion');
+            if (item) selectSuggestion(Number(item.dataset.index));
+        });
+        getInput().addEventListener('keydown', (e) => {
+            if (suggestions.length === 0) return;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                highlightSuggestion((highlightedIndex + step + suggestions.length) % suggestions.length);
+            } else if (e.key === 'Enter' && highlightedIndex !== -1) {
+                e.preventDefault();
+                selectSuggestion(highlightedIndex);
+            } else if (e.key === 'Escape') {
+                hideSuggestions();
+            }
+        });
+        getInput().addEventListener('blur', hideSuggestions);
+    };
+
+    return {
+        init,
+        handleInput
+    };
+})();
+
+// ========================================================
+// Модуль 4: Навигация между Экранами и UI/UX
+// Описание: Управляет переключением между различными экранами приложения,
+// историей навигации для кнопки "Назад", а также обработкой событий
+// для всех интерактивных элементов интерфейса (кнопок, форм, полей ввода).
+// ========================================================
+const Navigation = (() => {
+    const screens = document.querySelectorAll('.app-screen'); // Все элементы экранов приложения
+    const navButtons = document.querySelectorAll('.nav-button'); // Все кнопки нижней навигации
+    let currentScreenId = 'main-map-screen'; // ID текущего активного экрана (по умолчанию - карта)
+    const navigationHistory = []; // Стек для хранения истории переходов между экранами
+    let isAddingOrEditing = false; // Флаг, указывающий, находится ли пользователь в процессе добавления/редактирования формы
+    let existingEstablishmentPhotos = []; // Уже загруженные фото редактируемого заведения (сохраняются при редактировании)
+    let editedEstablishment = null; // Редактируемое заведение в том виде, в каком его открыли в форме (для объединения изменений)
+
+    /**
+     * @function goToScreen
+     * @description Переключает активный экран приложения. Обрабатывает подтверждение
+     * при наличии несохраненных изменений в формах, закрывает модальные окна,
+     * обновляет историю навигации и UI кнопок.
+     * @param {string} targetScreenId - ID экрана, на который нужно перейти.
+     * @param {object|null} data - Опциональные данные для передачи на целевой экран (например, объект для редактирования).
+     */
+    const goToScreen = (targetScreenId, data = null) => {
+        // Если открыто модальное окно выбора местоположения, закрываем его перед переходом
+        if (document.getElementById('location-picker-modal').classList.contains('active')) {
+            LocationPickerModal.hide();
+        }
+        // Проверка на несохраненные изменения в форме перед переходом
+        if (isAddingOrEditing && !confirm("У вас есть несохраненные изменения. Вы уверены, что хотите уйти?")) {
+            return; // Отменяем переход
+        }
+        isAddingOrEditing = false; // Сбрасываем флаг после обработки или отмены
+
+        // Если модальное окно деталей заведения активно, закрываем его перед переходом
+        if (document.getElementById('establishment-modal').classList.contains('active')) {
+            ModalSystem.hideEstablishmentDetails();
+            // Важно: не возвращаемся сразу, так как нам нужно продолжить навигацию после закрытия модального окна.
+        }
+
+        if (targetScreenId === currentScreenId) return; // Если уже на целевом экране, ничего не делаем
+
+        // Уход с экрана объединения изменений без выбора означает отказ от своих изменений
+        if (currentScreenId === 'establishment-merge-screen') {
+            EstablishmentMerge.dismiss();
+        }
+
+        // Добавляем текущий экран в историю навигации, если это не экран формы
+        if (currentScreenId !== 'add-edit-establishment-screen' && currentScreenId !== 'edit-business-profile-screen' && currentScreenId !== 'business-registration-screen') {
+            navigationHistory.push(currentScreenId);
+        }
+        currentScreenId = targetScreenId; // Обновляем ID текущего экрана
+
+        // Скрываем все экраны и деактивируем все навигационные кнопки
+        screens.forEach(screen => screen.classList.remove('active'));
+        navButtons.forEach(btn => btn.classList.remove('active'));
+
+        // Активируем целевой экран и соответствующую навигационную кнопку
+        document.getElementById(targetScreenId).classList.add('active');
+        const activeButton = document.querySelector(`.nav-button[data-target-screen="${targetScreenId}"]`);
+        if (activeButton) {
+            activeButton.classList.add('active');
+        }
+
+        // Дополнительная логика для конкретных экранов после перехода
+        if (targetScreenId === 'main-map-screen') {
+            if (window.myMap) {
+                window.myMap.container.fitToViewport(); // Перерисовываем карту, чтобы она занимала всю доступную область
+            }
+            TelegramWebApp.getWebApp().BackButton.hide(); // Скрываем кнопку "Назад" на главном экране
+        } else if (targetScreenId === 'business-profile-screen') {
+            const profile = UserSystem.getProfile();
+            if (profile) UserSystem.updateProfileScreen(profile); // Обновляем информацию профиля предпринимателя
+            TelegramWebApp.getWebApp().BackButton.show(); // Показываем кнопку "Назад"
+        } else if (targetScreenId === 'add-edit-establishment-screen') {
+            prepareEstablishmentForm(data); // Подготавливаем форму для добавления/редактирования заведения
+            TelegramWebApp.getWebApp().BackButton.show();
+        } else if (targetScreenId === 'edit-business-profile-screen') {
+            prepareEditProfileForm(); // Подготавливаем форму для редактирования профиля предпринимателя
+            TelegramWebApp.getWebApp().BackButton.show();
+        } else if (targetScreenId === 'business-registration-screen') {
+             // Очищаем форму регистрации при переходе на нее
+             document.querySelector('.registration-form').reset();
+             document.getElementById('business-logo-preview').innerHTML = '';
+             document.getElementById('business-location').value = '';
+             // Очищаем данные ФНС при переходе на форму регистрации
+             document.getElementById('inn-verification-status').style.display = 'none';
+             document.getElementById('fns-company-data').style.display = 'none';
+             document.getElementById('inn').value = ''; // Очищаем поле ИНН
+             isAddingOrEditing = true; // Устанавливаем флаг, так как это форма, требующая сохранения
+             TelegramWebApp.getWebApp().BackButton.show();
+        }
+        else if (targetScreenId === 'favorite-categories-screen') {
+            const profile = UserSystem.getProfile();
+            if (profile) UserSystem.updateProfileScreen(profile); // Обновляем информацию профиля (включая категории)
+            TelegramWebApp.getWebApp().BackButton.show();
+        }
+        else if (targetScreenId === 'moderation-screen') {
+            ModerationSystem.show(); // Очередь могли изменить другие модераторы
+            TelegramWebApp.getWebApp().BackButton.show();
+        }
+        else if (targetScreenId === 'business-stats-screen') {
+            StatsSystem.show(); // Загружаем статистику заново: она могла измениться
+            TelegramWebApp.getWebApp().BackButton.show();
+        }
+        else if (targetScreenId === 'recommendations-screen') {
+            RecommendationSystem.showRecommendationsScreen(); // Подбираем рекомендации заново: история и избранное могли измениться
+            TelegramWebApp.getWebApp().BackButton.show();
+        }
+        else if (targetScreenId === 'favorite-establishments-screen') {
+            const profile = UserSystem.getProfile();
+            if (profile) UserSystem.updateProfileScreen(profile); // Обновляем информацию профиля (включая избранное)
+            FavoriteLists.loadOwnLists(); // Списки могли измениться на другом устройстве
+            TelegramWebApp.getWebApp().BackButton.show();
+        }
+        else {
+            TelegramWebApp.getWebApp().BackButton.show();
+        }
+
+        console.log("Navigated to:", targetScreenId);
+    };
+
+    /**
+     * @function goBack
+     * @description Обрабатывает нажатие кнопки "Назад" (как системной Telegram, так и в приложении).
+     * Закрывает открытые модальные окна, подтверждает несохраненные изменения в формах,
+     * или возвращается на предыдущий экран из истории навигации. Если истории нет, закрывает Mini App.
+     */
+    const goBack = () => {
+        // Если открыто модальное окно выбора местоположения, сначала закрываем его
+        if (document.getElementById('location-picker-modal').classList.contains('active')) {
+            LocationPickerModal.hide();
+            return;
+        }
+        // Проверка на несохраненные изменения в форме перед возвратом
+        if (isAddingOrEditing && !confirm("У вас есть несохраненные изменения. Вы уверены, что хотите уйти?")) {
+            return; // Отменяем возврат
+        }
+
+        // Если модальное окно деталей заведения открыто, сначала закрываем его
+        const modal = document.getElementById('establishment-modal');
+        if (modal.classList.contains('active')) {
+            ModalSystem.hideEstablishmentDetails();
+            return; // Не делаем навигацию, просто закрыли модальное окно
+        }
+
+        // Если есть предыдущие экраны в истории, переходим на них
+        if (navigationHistory.length > 0) {
+            const prevScreenId = navigationHistory.pop(); // Получаем ID предыдущего экрана
+            goToScreen(prevScreenId); // Переходим на предыдущий экран
+        } else {
+            TelegramWebApp.getWebApp().close(); // Если истории нет, закрываем Mini App
+        }
+    };
+
+    // Интервал по умолчанию для нового дня в редакторе часов работы
+    const DEFAULT_HOURS_INTERVAL = { open: '09:00', close: '18:00' };
+
+    /**
+     * @function createHoursIntervalRow
+     * @description Создает строку интервала работы (время открытия и закрытия) для редактора часов работы.
+     * @param {{open: string, close: string}} interval - Интервал работы.
+     * @returns {HTMLElement}
+     */
+    const createHoursIntervalRow = (interval) => {
+        const row = document.createElement('div');
+        row.className = 'hours-interval';
+        // В поле type="time" нельзя ввести 24:00, поэтому конец суток показываем как 00:00
+        row.innerHTML = `
+            <input type="time" class="hours-open" value="${interval.open}" required>
+            <span>–</span>
+            <input type="time" class="hours-close" value="${interval.close === '24:00' ? '00:00' : interval.close}" required>
+            <button type="button" class="telegram-button small-button hours-remove-interval" title="Удалить интервал">✕</button>
+        `;
+        return row;
+    };
+
+    /**
+     * @function refreshHoursClosedLabel
+     * @description Показывает подпись "Выходной" в строке дня, если у дня нет интервалов работы.
+     * @param {HTMLElement} intervalsContainer - Контейнер интервалов дня.
+     */
+    const refreshHoursClosedLabel = (intervalsContainer) => {
+        const closedLabel = intervalsContainer.querySelector('.hours-closed');
+        const hasIntervals = intervalsContainer.querySelector('.hours-interval') !== null;
+        if (hasIntervals && closedLabel) {
+            closedLabel.remove();
+        } else if (!hasIntervals && !closedLabel) {
+            const label = document.createElement('span');
+            label.className = 'hours-closed';
+            label.innerText = 'Выходной';
+            intervalsContainer.appendChild(label);
+        }
+    };
+
+    /**
+     * @function createHoursDayRow
+     * @description Создает строку дня в редакторе часов работы: подпись (день недели или поле даты),
+     * список интервалов и кнопку добавления интервала (несколько интервалов задают перерывы).
+     * @param {HTMLElement} labelElement - Подпись дня.
+     * @param {Array<{open: string, close: string}>} intervals - Интервалы работы.
+     * @returns {HTMLElement}
+     */
+    const createHoursDayRow = (labelElement, intervals) => {
+        const row = document.createElement('div');
+        row.className = 'hours-day-row';
+        labelElement.classList.add('hours-day-label');
+        row.appendChild(labelElement);
+
+        const intervalsContainer = document.createElement('div');
+        intervalsContainer.className = 'hours-intervals';
+        intervals.forEach(interval => intervalsContainer.appendChild(createHoursIntervalRow(interval)));
+        refreshHoursClosedLabel(intervalsContainer);
+        row.appendChild(intervalsContainer);
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.className = 'telegram-button small-button hours-add-interval';
+        addButton.innerText = '+ интервал';
+        row.appendChild(addButton);
+        return row;
+    };
+
+    /**
+     * @function createHolidayRow
+     * @description Создает строку особого дня (праздник, сокращенный день) в редакторе часов работы.
+     * @param {{date: string, intervals: Array<object>}} holiday - Особый день.
+     * @returns {HTMLElement}
+     */
+    const createHolidayRow = (holiday) => {
+        const dateInput = document.createElement('input');
+        dateInput.type = 'date';
+        dateInput.className = 'hours-holiday-date';
+        dateInput.value = holiday.date || '';
+        const row = createHoursDayRow(dateInput, holiday.intervals || []);
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'telegram-button small-button hours-remove-holiday';
+        removeButton.innerText = 'Удалить день';
+        row.appendChild(removeButton);
+        return row;
+    };
+
+    /**
+     * @function renderHoursDays
+     * @description Перерисовывает строки дней недели в редакторе часов работы.
+     * @param {function(string): Array<object>} getIntervals - Возвращает интервалы для ключа дня.
+     */
+    const renderHoursDays = (getIntervals) => {
+        const daysContainer = document.getElementById('est-hours-days');
+        daysContainer.innerHTML = '';
+        OpeningHours.WEEK_ORDER.forEach(day => {
+            const label = document.createElement('span');
+            label.innerText = OpeningHours.DAY_NAMES[day];
+            const row = createHoursDayRow(label, getIntervals(day));
+            row.dataset.day = day;
+            daysContainer.appendChild(row);
+        });
+    };
+
+    /**
+     * @function renderHoursEditor
+     * @description Заполняет редактор часов работы в форме заведения.
+     * @param {object|null} hours - Часы работы заведения (null — не указаны).
+     */
+    const renderHoursEditor = (hours) => {
+        document.getElementById('est-hours-enabled').checked = Boolean(hours);
+        document.getElementById('est-hours-editor').style.display = hours ? 'block' : 'none';
+
+        const timezoneSelect = document.getElementById('est-hours-timezone');
+        const timezone = (hours && hours.timezone) || OpeningHours.DEFAULT_TIMEZONE;
+        if (!Array.from(timezoneSelect.options).some(option => option.value === timezone)) {
+            timezoneSelect.appendChild(new Option(timezone, timezone)); // Пояс, которого нет в списке
+        }
+        timezoneSelect.value = timezone;
+
+        renderHoursDays((day) => (hours ? (hours.weekly[day] || []) : [DEFAULT_HOURS_INTERVAL]));
+
+        const holidaysContainer = document.getElementById('est-hours-holidays');
+        holidaysContainer.innerHTML = '';
+        ((hours && hours.holidays) || []).forEach(holiday => holidaysContainer.appendChild(createHolidayRow(holiday)));
+    };
+
+    /**
+     * @function readHoursIntervals
+     * @description Считывает интервалы работы из строки дня редактора.
+     * @param {HTMLElement} row - Строка дня.
+     * @returns {Array<{open: string, close: string}>|null} Интервалы или null, если время заполнено некорректно.
+     */
+    const readHoursIntervals = (row) => {
+        const intervals = [];
+        for (const intervalRow of row.querySelectorAll('.hours-interval')) {
+            const open = intervalRow.querySelector('.hours-open').value;
+            const close = intervalRow.querySelector('.hours-close').value;
+            // Совпадающее время допустимо только для 00:00–00:00 (круглосуточно)
+            if (!open || !close || (open === close && open !== '00:00')) return null;
+            intervals.push({ open, close });
+        }
+        return intervals;
+    };
+
+    /**
+     * @function collectOpeningHours
+     * @description Собирает часы работы из редактора формы заведения.
+     * @returns {{value: object|null, error: string|null}} Часы работы (null — не указаны) или текст ошибки.
+     */
+    const collectOpeningHours = () => {
+        if (!document.getElementById('est-hours-enabled').checked) {
+            return { value: null, error: null };
+        }
+        const weekly = {};
+        for (const row of document.querySelectorAll('#est-hours-days .hours-day-row')) {
+            const intervals = readHoursIntervals(row);
+            if (!intervals) {
+                return { value: null, error: `Проверьте часы работы (${OpeningHours.DAY_NAMES[row.dataset.day]}): укажите время открытия и закрытия.` };
+            }
+            weekly[row.dataset.day] = intervals;
+        }
+        const holidays = [];
+        for (const row of document.querySelectorAll('#est-hours-holidays .hours-day-row')) {
+            const date = row.querySelector('.hours-holiday-date').value;
+            const intervals = readHoursIntervals(row);
+            if (!date || !intervals) {
+                return { value: null, error: 'Проверьте особые дни: укажите дату и время работы.' };
+            }
+            holidays.push({ date, intervals });
+        }
+        return {
+            value: { timezone: document.getElementById('est-hours-timezone').value, weekly, holidays },
+            error: null
+        };
+    };
+
+    /**
+     * @function prepareEstablishmentForm
+     * @description Подготавливает форму для добавления или редактирования заведения.
+     * Сбрасывает форму, устанавливает текст кнопки сохранения и заполняет поля,
+     * если передан объект существующего заведения для редактирования.
+     * @param {object|null} establishment - Объект заведения для редактирования или null для нового.
+     */
+    const prepareEstablishmentForm = (establishment = null) => {
+        isAddingOrEditing = true; // Устанавливаем флаг, что форма активна
+        const form = document.querySelector('.establishment-form');
+        form.reset(); // Сбрасываем все поля формы
+        // Изменяем текст кнопки сохранения в зависимости от режима (добавление/редактирование)
+        document.getElementById('save-establishment-button').innerText = establishment ? '✅ Сохранить изменения' : '✅ Добавить заведение';
+        document.getElementById('est-photos-preview').innerHTML = ''; // Очищаем предпросмотр фото
+        existingEstablishmentPhotos = establishment ? [...(establishment.photos || [])] : [];
+        editedEstablishment = establishment ? JSON.parse(JSON.stringify(establishment)) : null;
+        renderExistingEstablishmentPhotos();
+        renderHoursEditor(establishment ? establishment.openingHours : null);
+
+        if (establishment) {
+            // Если передан объект заведения, заполняем поля формы его данными
+            form.dataset.editId = establishment.id; // Сохраняем ID заведения в data-атрибуте формы
+            document.getElementById('est-name').value = establishment.name;
+            document.getElementById('est-description').value = establishment.description;
+            document.getElementById('est-category').value = CategoryRegistry.migrateId(establishment.category);
+            document.getElementById('est-price-category').value = establishment.priceCategory || ''; // Ценовая категория
+            document.getElementById('est-coords').value = establishment.coordinates.join(', ');
+            document.getElementById('est-address').value = establishment.address || '';
+            document.getElementById('est-contact').value = establishment.contact;
+        } else {
+            delete form.dataset.editId; // Удаляем data-атрибут, если это новая запись
+        }
+    };
+
+    /**
+     * @function renderExistingEstablishmentPhotos
+     * @description Отображает уже загруженные фото редактируемого заведения.
+     * Каждое фото можно убрать кнопкой ❌; оставшиеся фото сохраняются вместе с новыми.
+     */
+    const renderExistingEstablishmentPhotos = () => {
+        const container = document.getElementById('est-existing-photos');
+        container.innerHTML = '';
+        existingEstablishmentPhotos.forEach((photo, index) => {
+            const item = document.createElement('div');
+            item.classList.add('existing-photo-item');
+            const img = document.createElement('img');
+            img.src = PhotoUtils.getThumbnailUrl(photo);
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.classList.add('remove-photo-button');
+            removeButton.innerText = '❌';
+            removeButton.addEventListener('click', () => {
+                existingEstablishmentPhotos.splice(index, 1);
+                renderExistingEstablishmentPhotos();
+            });
+            item.appendChild(img);
+            item.appendChild(removeButton);
+            container.appendChild(item);
+        });
+    };
+
+    /**
+     * @function prepareEditProfileForm
+     * @description Подготавливает форму для редактирования профиля предпринимателя.
+     * Заполняет поля формы текущими данными из профиля пользователя.
+     */
+    const prepareEditProfileForm = () => {
+        isAddingOrEditing = true; // Устанавливаем флаг, что форма активна
+        const profile = UserSystem.getProfile(); // Получаем текущий профиль предпринимателя
+        document.getElementById('edit-business-logo-preview').innerHTML = ''; // Очищаем предпросмотр лого
+
+        if (profile) {
+            // Заполняем поля формы данными из профиля
+            document.getElementById('edit-business-name').value = profile.businessName || '';
+            document.getElementById('edit-business-category').value = profile.businessCategory || ''; // Категория
+            document.getElementById('edit-business-description').value = profile.businessDescription || ''; // Описание
+            document.getElementById('edit-contact-person').value = profile.contactPerson || '';
+            document.getElementById('edit-email').value = profile.email || '';
+            document.getElementById('edit-inn').value = profile.inn || '';
+            document.getElementById('edit-business-location').value = profile.businessLocation ? profile.businessLocation.join(', ') : ''; // Местоположение
+            if (profile.businessLogo) {
+                const img = document.createElement('img');
+                img.src = profile.businessLogo;
+                document.getElementById('edit-business-logo-preview').appendChild(img);
+            }
+        }
+    };
+
+    /**
+     * @function getCurrentScreenId
+     * @description Возвращает ID текущего активного экрана.
+     * @returns {string} ID текущего экрана.
+     */
+    const getCurrentScreenId = () => currentScreenId;
+
+    /**
+     * @function renderCategoryControls
+     * @description Заполняет элементы выбора категорий по справочнику CategoryRegistry:
+     * кнопки фильтра по группам категорий на карте (перед кнопкой "Рядом со мной")
+     * и выпадающий список категорий в форме заведения (группы с подкатегориями).
+     */
+    const renderCategoryControls = () => {
+        const filtersContainer = document.querySelector('.filters-container');
+        const geolocationButton = document.getElementById('geolocation-button');
+        const categorySelect = document.getElementById('est-category');
+
+        CategoryRegistry.getAll().forEach(group => {
+            const button = document.createElement('button');
+            button.className = 'telegram-button filter-button';
+            button.dataset.category = group.id;
+            button.innerText = `${group.icon} ${group.name}`;
+            filtersContainer.insertBefore(button, geolocationButton);
+
+            // В форме заведения можно выбрать как подкатегорию, так и группу целиком
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = `${group.icon} ${group.name}`;
+            [{ ...group, name: group.subcategories.length > 0 ? `${group.name} (другое)` : group.name }, ...group.subcategories]
+                .forEach(category => {
+                    const option = document.createElement('option');
+                    option.value = category.id;
+                    option.innerText = `${category.icon} ${category.name}`;
+                    optgroup.appendChild(option);
+                });
+            categorySelect.appendChild(optgroup);
+        });
+    };
+
+    /**
+     * @function renderSubcategoryFilters
+     * @description Показывает под кнопками групп кнопки подкатегорий выбранной группы,
+     * чтобы уточнить фильтр на карте.
+     * @param {string} groupId - ID выбранной группы ('all' — скрыть подкатегории).
+     * @param {string} activeId - ID активного фильтра.
+     */
+    const renderSubcategoryFilters = (groupId, activeId) => {
+        const container = document.getElementById('subcategory-filters');
+        container.innerHTML = '';
+        const group = CategoryRegistry.getAll().find(g => g.id === groupId);
+        if (!group || group.subcategories.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'flex';
+        group.subcategories.forEach(subcategory => {
+            const button = document.createElement('button');
+            button.className = 'telegram-button filter-button subcategory-filter-button';
+            button.classList.toggle('active', subcategory.id === activeId);
+            button.dataset.category = subcategory.id;
+            button.dataset.parentCategory = group.id;
+            button.innerText = `${subcategory.icon} ${subcategory.name}`;
+            container.appendChild(button);
+        });
+    };
+
+    /**
+     * @function readFilterPanel
+     * @description Считывает значения панели фильтров на карте.
+     * @returns {{priceMin: number, priceMax: number, minRating: number, openNow: boolean, hasPhotos: boolean}}
+     */
+    const readFilterPanel = () => ({
+        priceMin: Number(document.getElementById('filter-price-min').value),
+        priceMax: Number(document.getElementById('filter-price-max').value),
+        minRating: Number(document.getElementById('filter-min-rating').value),
+        openNow: document.getElementById('filter-open-now').checked,
+        hasPhotos: document.getElementById('filter-has-photos').checked
+    });
+
+    /**
+     * @function updateFilterPanelToggle
+     * @description Показывает на кнопке панели фильтров количество включенных фильтров.
+     * @param {object} filters - Текущие фильтры карты.
+     */
+    const updateFilterPanelToggle = (filters) => {
+        const count = [filters.priceMin || filters.priceMax, filters.minRating, filters.openNow, filters.hasPhotos]
+            .filter(Boolean).length;
+        const toggle = document.getElementById('filter-panel-toggle');
+        toggle.innerText = count > 0 ? `⚙️ Фильтры (${count})` : '⚙️ Фильтры';
+        toggle.classList.toggle('active', count > 0);
+    };
+
+    /**
+     * @function syncFilterControls
+     * @description Приводит элементы фильтрации на карте (поиск, кнопки категорий, панель фильтров)
+     * в соответствие с фильтрами, например открытыми по ссылке.
+     * @param {object} filters - Фильтры карты.
+     */
+    const syncFilterControls = (filters) => {
+        document.getElementById('search-input').value = filters.search || '';
+
+        const category = CategoryRegistry.find(filters.category);
+        const groupId = category ? (category.parentId || category.id) : 'all';
+        document.querySelectorAll('.filters-container .filter-button[data-category]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.category === groupId);
+        });
+        renderSubcategoryFilters(groupId, category ? category.id : 'all');
+
+        document.getElementById('filter-price-min').value = String(filters.priceMin || 0);
+        document.getElementById('filter-price-max').value = String(filters.priceMax || 0);
+        const ratingSelect = document.getElementById('filter-min-rating');
+        const rating = String(filters.minRating || 0);
+        if (![...ratingSelect.options].some(option => option.value === rating)) {
+            // Рейтинг из ссылки, которого нет в списке (например, 3.5)
+            const option = document.createElement('option');
+            option.value = rating;
+            option.innerText = `${rating}+`;
+            ratingSelect.appendChild(option);
+        }
+        ratingSelect.value = rating;
+        document.getElementById('filter-open-now').checked = Boolean(filters.openNow);
+        document.getElementById('filter-has-photos').checked = Boolean(filters.hasPhotos);
+        updateFilterPanelToggle(filters);
+    };
+
+    /**
+     * @function setupEventListeners
+     * @description Настраивает все обработчики событий для интерактивных элементов UI:
+     * навигационные кнопки, поисковую строку, кнопки фильтров, кнопку геолокации,
+     * кнопки действий в профиле предпринимателя, формы регистрации/редактирования,
+     * а также кнопки внутри модальных окон. Включает клиентскую валидацию форм и
+     * предпросмотр загружаемых изображений.
+     */
+    const setupEventListeners = () => {
+        // ====================================
+        // ОБЩИЕ ОБРАБОТЧИКИ НАВИГАЦИИ
+        // ====================================
+
+        // Обработчики для навигационных кнопок в нижней панели
+        navButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                const targetScreenId = e.currentTarget.dataset.targetScreen; // Получаем ID целевого экрана из data-атрибута
+                if (targetScreenId) {
+                    goToScreen(targetScreenId); // Переключаемся на выбранный экран
+                }
+            });
+        });
+
+        // Обработчик системной кнопки "Назад" Telegram WebApp
+        TelegramWebApp.getWebApp().BackButton.onClick(goBack);
+
+        // ====================================
+        // ЭКРАН ПОЛЬЗОВАТЕЛЯ (main-map-screen)
+        // ====================================
+
+        // Поиск заведений: обновляет фильтры карты при вводе текста в поисковую строку
+        // и запрашивает результаты и подсказки у сервера
+        document.getElementById('search-input').addEventListener('input', (e) => {
+            const query = e.target.value;
+            MapSystem.updateFilters({ search: query });
+            SearchSystem.handleInput(query);
+        });
+        SearchSystem.init();
+
+        // Фильтрация по категориям: кнопки групп и подкатегорий создаются по справочнику категорий
+        renderCategoryControls();
+        document.querySelector('.search-filter-panel').addEventListener('click', (e) => {
+            const current = e.target.closest('.filter-button[data-category]');
+            if (!current) return;
+
+            if (current.dataset.parentCategory) {
+                // Подкатегория: повторное нажатие возвращает фильтр ко всей группе
+                const groupId = current.dataset.parentCategory;
+                const category = current.classList.contains('active') ? groupId : current.dataset.category;
+                renderSubcategoryFilters(groupId, category);
+                MapSystem.updateFilters({ category: category });
+                return;
+            }
+
+            // Группа категорий: снимаем активное состояние с остальных кнопок групп
+            document.querySelectorAll('.filters-container .filter-button[data-category]').forEach(btn => btn.classList.remove('active'));
+            current.classList.add('active'); // Устанавливаем активное состояние на текущую кнопку
+            const category = current.dataset.category; // Получаем категорию из data-атрибута
+            renderSubcategoryFilters(category, category);
+            MapSystem.updateFilters({ category: category }); // Обновляем фильтры карты
+        });
+
+        // Панель фильтров: цены, рейтинг, "открыто сейчас", "есть фото".
+        // Фильтры панели сочетаются с фильтром по категориям и поиском.
+        document.getElementById('filter-panel-toggle').addEventListener('click', () => {
+            const panel = document.getElementById('filter-panel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+        document.getElementById('filter-panel').addEventListener('change', (e) => {
+            // Границы цен не должны перекрещиваться: подтягиваем вторую границу к выбранной
+            const priceMin = document.getElementById('filter-price-min');
+            const priceMax = document.getElementById('filter-price-max');
+            if (Number(priceMin.value) && Number(priceMax.value) && Number(priceMin.value) > Number(priceMax.value)) {
+                if (e.target === priceMin) priceMax.value = priceMin.value;
+                else priceMin.value = priceMax.value;
+            }
+            MapSystem.updateFilters(readFilterPanel());
+            updateFilterPanelToggle(MapSystem.getFilters());
+        });
+        document.getElementById('filter-reset-button').addEventListener('click', () => {
+            const { priceMin, priceMax, minRating, openNow, hasPhotos } = FilterLink.DEFAULT_FILTERS;
+            MapSystem.updateFilters({ priceMin, priceMax, minRating, openNow, hasPhotos });
+            syncFilterControls(MapSystem.getFilters());
+        });
+
+        // Кнопка "Очистить мою историю" на экране "Для вас"
+        document.getElementById('clear-history-button').addEventListener('click', () => {
+            TelegramWebApp.getWebApp().showConfirm('Удалить историю просмотров, маршрутов и поиска? Рекомендации перестанут ее учитывать.', async (confirmed) => {
+                if (!confirmed) return;
+                try {
+                    await EventLog.clearHistory();
+                    TelegramWebApp.getWebApp().showAlert('История очищена.');
+                } catch (error) {
+                    console.error("Ошибка при очистке истории:", error);
+                    TelegramWebApp.getWebApp().showAlert(`Не удалось очистить историю на сервере: ${error.message}`);
+                }
+                RecommendationSystem.showRecommendationsScreen();
+            });
+        });
+
+        // Кнопка "Рядом со мной": определяет местоположение и включает режим "Рядом"
+        document.getElementById('geolocation-button').addEventListener('click', MapSystem.getUserGeolocation);
+
+        // Переключение списка заведений под картой
+        document.getElementById('list-view-toggle').addEventListener('click', () => {
+            MapSystem.setListMode(!MapSystem.isListMode());
+        });
+
+        // Панель режима "Рядом": радиус поиска, поиск от точки на карте, выход из режима
+        document.getElementById('nearby-radius').addEventListener('change', (e) => {
+            MapSystem.setNearbyRadius(Number(e.target.value));
+        });
+        document.getElementById('nearby-from-point-button').addEventListener('click', MapSystem.showNearbyFromPoint);
+        document.getElementById('nearby-close-button').addEventListener('click', MapSystem.hideNearby);
+
+        // ============================================
+        // ЭКРАН ПРЕДПРИНИМАТЕЛЯ (business-profile-screen)
+        // ============================================
+
+        // Кнопка "Редактировать профиль": переходит на экран редактирования профиля
+        document.getElementById('edit-profile-button').addEventListener('click', () => {
+            goToScreen('edit-business-profile-screen');
+        });
 
         // Кнопка "Добавить заведение": переходит на форму добавления нового заведения
         document.getElementById('add-establishment-button').addEventListener('click', () => {
             goToScreen('add-edit-establishment-screen', null); // null означает добавление нового заведения
         });
 
-        // Кнопка "Назад к карте" (выход из бизнес-режима): вызывает функцию выхода предпринимателя
-        document.getElementById('back-to-map-button').addEventListener('click', () => {
-            UserSystem.logoutBusiness(); // Выход из бизнес-режима
+        // Кнопка "Назад к карте" (выход из бизнес-режима): вызывает функцию выхода предпринимателя
+        document.getElementById('back-to-map-button').addEventListener('click', () => {
+            UserSystem.logoutBusiness(); // Выход из бизнес-режима
+        });
+
+        // Кнопка "Статистика": переходит на экран статистики заведений
+        document.getElementById('view-stats-button').addEventListener('click', () => {
+            goToScreen('business-stats-screen');
+        });
+
+        // Кнопка "Уведомления" обрабатывается в NotificationSystem (открывает модальное окно настроек)
+
+        // ====================================
+        // ФОРМА РЕГИСТРАЦИИ ПРЕДПРИНИМАТЕЛЯ
+        // ====================================
+
+        // Обработчик отправки формы регистрации предпринимателя
+        document.querySelector('.registration-form').addEventListener('submit', async (e) => {
+            e.preventDefault(); // Предотвращаем стандартную отправку формы
+            const businessName = document.getElementById('business-name').value.trim();
+            const businessCategory = document.getElementById('business-category').value;
+            const businessDescription = document.getElementById('business-description').value.trim();
+            const contactPerson = document.getElementById('contact-person').value.trim();
+            const email = document.getElementById('email').value.trim();
+            const businessLogoInput = document.getElementById('business-logo');
+            const businessLocationStr = document.getElementById('business-location').value.trim();
+            const inn = document.getElementById('inn').value.trim();
+
+            // Клиентская валидация формы
+            if (!businessName || !businessCategory || !contactPerson || !email || !businessLocationStr) {
+                TelegramWebApp.getWebApp().showAlert("Пожалуйста, заполните все обязательные поля формы.");
+                return;
+            }
+            if (!validateEmail(email)) {
+                TelegramWebApp.getWebApp().showAlert("Пожалуйста, введите корректный Email.");
+                return;
+            }
+            const businessLocation = businessLocationStr.split(',').map(c => parseFloat(c.trim()));
+            if (businessLocation.length !== 2 || isNaN(businessLocation[0]) || isNaN(businessLocation[1])) {
+                TelegramWebApp.getWebApp().showAlert("Пожалуйста, выберите корректное местоположение на карте.");
+                return;
+            }
+
+            TelegramWebApp.getWebApp().MainButton.showProgress(false); // Показываем индикатор загрузки
+            let businessLogoUrl = '';
+            try {
+                const [logo] = await ApiClient.uploadImages(businessLogoInput.files); // Загружаем логотип на сервер
+                businessLogoUrl = logo ? logo.url : '';
+            } catch (error) {
+                console.error("Ошибка при загрузке логотипа:", error);
+                TelegramWebApp.getWebApp().MainButton.hideProgress();
+                TelegramWebApp.getWebApp().showAlert(`Не удалось загрузить логотип: ${error.message}`);
+                return;
+            }
+            // Создаем объект с данными для регистрации бизнеса
+            // ИНН отправляется на сервер, который сам проверяет его через ФНС и выставляет статус верификации
+            const businessData = { businessName, businessCategory, businessDescription, contactPerson, email, inn, businessLogo: businessLogoUrl, businessLocation };
+            isAddingOrEditing = false; // Сбрасываем флаг, чтобы переход на экран профиля не запрашивал подтверждение
+            const registered = await UserSystem.registerBusiness(businessData); // Вызываем функцию регистрации
+            TelegramWebApp.getWebApp().MainButton.hideProgress(); // Скрываем индикатор загрузки
+            if (!registered) {
+                isAddingOrEditing = true; // Форма остается открытой с несохраненными данными
+            }
+        });
+
+        // Кнопка "Выбрать на карте" для регистрации бизнеса: открывает модальное окно выбора местоположения
+        document.getElementById('select-location-on-map').addEventListener('click', () => {
+            const currentCoordsStr = document.getElementById('business-location').value;
+            const currentCoords = currentCoordsStr ? currentCoordsStr.split(',').map(c => parseFloat(c.trim())) : null;
+            LocationPickerModal.show(currentCoords, (selectedCoords) => {
+                document.getElementById('business-location').value = selectedCoords.map(c => c.toFixed(6)).join(', ');
+            });
         });
 
-        // Кнопка "Статистика": (пока только alert, в будущем - переход на экран статистики)
-        document.getElementById('view-stats-button').addEventListener('click', () => {
-            TelegramWebApp.getWebApp().showAlert("Функционал статистики в разработке!");
+        // Предпросмотр логотипа для регистрации бизнеса
+        document.getElementById('business-logo').addEventListener('change', (e) => {
+            const previewContainer = document.getElementById('business-logo-preview');
+            previewContainer.innerHTML = ''; // Очищаем предыдущий предпросмотр
+            if (e.target.files.length > 0) {
+                const file = e.target.files[0];
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const img = document.createElement('img');
+                    img.src = event.target.result;
+                    previewContainer.appendChild(img);
+                };
+                reader.readAsDataURL(file); // Читаем файл как URL данных
+            }
+        });
+
+        // ================================================
+        // ФОРМА ДОБАВЛЕНИЯ/РЕДАКТИРОВАНИЯ ЗАВЕДЕНИЯ
+        // ================================================
+
+        // Обработчик отправки формы добавления/редактирования заведения
+        // Редактор часов работы: включение, интервалы по дням, быстрые действия и особые дни
+        document.getElementById('est-hours-enabled').addEventListener('change', (e) => {
+            document.getElementById('est-hours-editor').style.display = e.target.checked ? 'block' : 'none';
+        });
+
+        document.getElementById('est-hours-editor').addEventListener('click', (e) => {
+            const row = e.target.closest('.hours-day-row');
+            if (!row) return;
+            const intervalsContainer = row.querySelector('.hours-intervals');
+            if (e.target.classList.contains('hours-add-interval')) {
+                intervalsContainer.appendChild(createHoursIntervalRow(DEFAULT_HOURS_INTERVAL));
+                refreshHoursClosedLabel(intervalsContainer);
+            } else if (e.target.classList.contains('hours-remove-interval')) {
+                e.target.closest('.hours-interval').remove();
+                refreshHoursClosedLabel(intervalsContainer);
+            } else if (e.target.classList.contains('hours-remove-holiday')) {
+                row.remove();
+            }
+        });
+
+        // "Как в понедельник": копирует интервалы понедельника на все дни недели
+        document.getElementById('est-hours-copy-monday').addEventListener('click', () => {
+            const mondayIntervals = readHoursIntervals(document.querySelector('#est-hours-days .hours-day-row[data-day="mon"]'));
+            if (!mondayIntervals) {
+                TelegramWebApp.getWebApp().showAlert('Сначала заполните часы работы в понедельник.');
+                return;
+            }
+            renderHoursDays(() => mondayIntervals);
+        });
+
+        // "Круглосуточно": интервал 00:00–00:00 на каждый день
+        document.getElementById('est-hours-all-day').addEventListener('click', () => {
+            renderHoursDays(() => [{ open: '00:00', close: '00:00' }]);
+        });
+
+        document.getElementById('est-hours-add-holiday').addEventListener('click', () => {
+            document.getElementById('est-hours-holidays').appendChild(createHolidayRow({ date: '', intervals: [] }));
+        });
+
+        document.querySelector('.establishment-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const establishmentId = form.dataset.editId; // Получаем ID заведения, если это режим редактирования
+
+            const name = document.getElementById('est-name').value.trim();
+            const description = document.getElementById('est-description').value.trim();
+            const category = document.getElementById('est-category').value;
+            const priceCategory = document.getElementById('est-price-category').value;
+            const coordsStr = document.getElementById('est-coords').value.trim();
+            let address = document.getElementById('est-address').value.trim();
+            const contact = document.getElementById('est-contact').value.trim();
+            const photosInput = document.getElementById('est-photos');
+
+            // Клиентская валидация формы
+            if (!name || !category || !coordsStr) {
+                TelegramWebApp.getWebApp().showAlert("Пожалуйста, заполните обязательные поля: Название, Категория, Координаты или адрес.");
+                return;
+            }
+
+            const openingHours = collectOpeningHours();
+            if (openingHours.error) {
+                TelegramWebApp.getWebApp().showAlert(openingHours.error);
+                return;
+            }
+
+            let coords = coordsStr.split(',').map(c => parseFloat(c.trim()));
+            if (coords.length !== 2 || isNaN(coords[0]) || isNaN(coords[1])) {
+                // Вместо координат введен адрес: берем координаты первого найденного адреса
+                const [found] = await Geocoder.search(coordsStr);
+                if (!found) {
+                    TelegramWebApp.getWebApp().showAlert("Адрес не найден. Уточните его, выберите точку на карте или введите координаты (например: 55.75, 37.62).");
+                    return;
+                }
+                coords = found.coordinates;
+                address = address || found.address;
+                document.getElementById('est-coords').value = coords.join(', ');
+                document.getElementById('est-address').value = address;
+            }
+
+            TelegramWebApp.getWebApp().MainButton.showProgress(false);
+
+            // Загружаем новые фото на сервер; уже сохраненные фото заведения остаются на месте
+            let uploadedPhotos = [];
+            try {
+                uploadedPhotos = await ApiClient.uploadImages(photosInput.files);
+            } catch (error) {
+                console.error("Ошибка при загрузке фотографий:", error);
+                TelegramWebApp.getWebApp().MainButton.hideProgress();
+                TelegramWebApp.getWebApp().showAlert(OfflineMode.isNetworkError(error)
+                    ? "Нет связи: новые фотографии загрузить нельзя. Сохраните заведение без них или повторите позже."
+                    : `Не удалось загрузить фотографии: ${error.message}`);
+                return;
+            }
+
+            // Создаем объект с данными заведения
+            const establishmentData = {
+                id: establishmentId, // Будет null, если это новое заведение
+                name,
+                description,
+                category,
+                priceCategory,
+                coordinates: coords,
+                address,
+                contact,
+                openingHours: openingHours.value,
+                photos: [...existingEstablishmentPhotos, ...uploadedPhotos],
+                rating: 0, // Новое заведение начинается с 0 рейтинга
+                reviews: []
+            };
+
+            let success = false;
+            let isPending = false;
+            let isQueued = false; // Нет связи: изменения будут отправлены позже
+            if (establishmentId) {
+                // Режим редактирования
+                let saved = await MapSystem.updateEstablishment(establishmentData, editedEstablishment);
+                if (saved && saved.conflict) {
+                    // Заведение успели изменить с другого устройства: предлагаем объединить изменения
+                    TelegramWebApp.getWebApp().MainButton.hideProgress();
+                    isAddingOrEditing = false; // Изменения из формы переходят на экран объединения
+                    saved = await EstablishmentMerge.resolveConflict({
+                        base: editedEstablishment,
+                        mine: establishmentData,
+                        theirs: saved.current
+                    });
+                    if (saved && saved.cancelled) {
+                        TelegramWebApp.getWebApp().showAlert("Ваши изменения не сохранены: оставлена версия заведения с сервера.");
+                        goToScreen('business-profile-screen');
+                        return;
+                    }
+                }
+                success = Boolean(saved);
+                isQueued = Boolean(saved && saved.queued);
+            } else {
+                // Режим добавления
+                const newEst = await MapSystem.addEstablishment(establishmentData);
+                if (newEst && newEst.queued) {
+                    success = true;
+                    isQueued = true;
+                } else if (newEst) {
+                    // Добавить новое заведение в список предпринимателя
+                    const currentUser = UserSystem.getProfile();
+                    if (currentUser && currentUser.type === 'business') {
+                        currentUser.establishments.push({ id: newEst.id, name: newEst.name, status: newEst.status });
+                        UserSystem.updateProfileScreen(currentUser); // Обновляем UI профиля
+                    }
+                    success = true;
+                    // Заведения неверифицированных предпринимателей сервер сохраняет как черновик
+                    isPending = newEst.status === 'pending';
+                }
+            }
+            TelegramWebApp.getWebApp().MainButton.hideProgress();
+
+            if (success) {
+                TelegramWebApp.getWebApp().showAlert(isQueued
+                    ? "Нет связи с сервером: изменения сохранены на устройстве и будут отправлены, когда связь восстановится."
+                    : isPending
+                        ? "Заведение сохранено как черновик. Оно появится на карте после верификации ИНН через ФНС."
+                        : "Заведение успешно сохранено!");
+                goToScreen('business-profile-screen'); // Возвращаемся в профиль предпринимателя
+            } else {
+                TelegramWebApp.getWebApp().showAlert("Ошибка при сохранении заведения.");
+            }
+            isAddingOrEditing = false; // Сбрасываем флаг после успешной отправки
+        });
+
+        // Кнопка "Отмена" для формы заведения: возвращает в профиль предпринимателя
+        document.getElementById('cancel-establishment-button').addEventListener('click', () => {
+            goToScreen('business-profile-screen');
+        });
+
+        // Кнопка "Получить текущие координаты" для формы заведения: использует Geolocation API браузера
+        document.getElementById('get-current-coords').addEventListener('click', async () => {
+            TelegramWebApp.getWebApp().showAlert("Получение координат...");
+            try {
+                const position = await new Promise((resolve, reject) => {
+                    navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true });
+                });
+                const { latitude, longitude } = position.coords;
+                document.getElementById('est-coords').value = `${latitude}, ${longitude}`;
+                TelegramWebApp.getWebApp().showAlert("Координаты получены!");
+                document.getElementById('est-address').value = await Geocoder.reverse([latitude, longitude]) || '';
+            } catch (error) {
+                console.error("Ошибка при получении текущих координат:", error);
+                TelegramWebApp.getWebApp().showAlert("Не удалось получить текущие координаты.");
+            }
+        });
+
+        // Кнопка "Выбрать на карте" для формы заведения: точку можно найти по адресу,
+        // адрес выбранной точки подставляется в поле "Адрес"
+        document.getElementById('select-est-location-on-map').addEventListener('click', () => {
+            const currentCoords = document.getElementById('est-coords').value.split(',').map(c => parseFloat(c.trim()));
+            const isValid = currentCoords.length === 2 && !isNaN(currentCoords[0]) && !isNaN(currentCoords[1]);
+            const addressInput = document.getElementById('est-address');
+            LocationPickerModal.show(isValid ? currentCoords : null, (selectedCoords, address) => {
+                document.getElementById('est-coords').value = selectedCoords.map(c => c.toFixed(6)).join(', ');
+                addressInput.value = address; // Адрес прежней точки к новой не подходит
+            }, isValid ? addressInput.value.trim() : '');
+        });
+
+        // Предпросмотр фотографий для заведения
+        document.getElementById('est-photos').addEventListener('change', (e) => {
+            const previewContainer = document.getElementById('est-photos-preview');
+            previewContainer.innerHTML = ''; // Очищаем предыдущий предпросмотр
+            Array.from(e.target.files).forEach(file => {
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const img = document.createElement('img');
+                    img.src = event.target.result;
+                    previewContainer.appendChild(img);
+                };
+                reader.readAsDataURL(file);
+            });
+        });
+
+        // ================================================
+        // ФОРМА РЕДАКТИРОВАНИЯ ПРОФИЛЯ ПРЕДПРИНИМАТЕЛЯ
+        // ================================================
+
+        // Обработчик отправки формы редактирования профиля предпринимателя
+        document.querySelector('.edit-profile-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const businessName = document.getElementById('edit-business-name').value.trim();
+            const businessCategory = document.getElementById('edit-business-category').value;
+            const businessDescription = document.getElementById('edit-business-description').value.trim();
+            const contactPerson = document.getElementById('edit-contact-person').value.trim();
+            const email = document.getElementById('edit-email').value.trim();
+            const inn = document.getElementById('edit-inn').value.trim();
+            const businessLogoInput = document.getElementById('edit-business-logo');
+            const businessLocationStr = document.getElementById('edit-business-location').value.trim();
+
+            // Клиентская валидация формы
+            if (!businessName || !businessCategory || !contactPerson || !email || !businessLocationStr) {
+                TelegramWebApp.getWebApp().showAlert("Пожалуйста, заполните все обязательные поля формы.");
+                return;
+            }
+            if (!validateEmail(email)) {
+                TelegramWebApp.getWebApp().showAlert("Пожалуйста, введите корректный Email.");
+                return;
+            }
+            if (inn && !/^\d{10}$|^\d{12}$/.test(inn)) {
+                TelegramWebApp.getWebApp().showAlert('Некорректный формат ИНН. ИНН должен состоять из 10 или 12 цифр.');
+                return;
+            }
+            const businessLocation = businessLocationStr.split(',').map(c => parseFloat(c.trim()));
+            if (businessLocation.length !== 2 || isNaN(businessLocation[0]) || isNaN(businessLocation[1])) {
+                TelegramWebApp.getWebApp().showAlert("Пожалуйста, выберите корректное местоположение на карте.");
+                return;
+            }
+
+            TelegramWebApp.getWebApp().MainButton.showProgress(false);
+            // Сохраняем старый логотип, если новый не выбран, иначе загружаем новый на сервер
+            let businessLogoUrl = UserSystem.getProfile().businessLogo || '';
+            try {
+                const [logo] = await ApiClient.uploadImages(businessLogoInput.files);
+                if (logo) businessLogoUrl = logo.url;
+            } catch (error) {
+                console.error("Ошибка при загрузке логотипа:", error);
+                TelegramWebApp.getWebApp().MainButton.hideProgress();
+                TelegramWebApp.getWebApp().showAlert(`Не удалось загрузить логотип: ${error.message}`);
+                return;
+            }
+            // Обновляем профиль предпринимателя
+            isAddingOrEditing = false; // Сбрасываем флаг, чтобы переход на экран профиля не запрашивал подтверждение
+            const updated = await UserSystem.updateBusinessProfile({ businessName, businessCategory, businessDescription, contactPerson, email, inn, businessLogo: businessLogoUrl, businessLocation });
+            TelegramWebApp.getWebApp().MainButton.hideProgress();
+            if (!updated) {
+                isAddingOrEditing = true; // Форма остается открытой с несохраненными данными
+            }
+        });
+
+        // Кнопка "Отмена" для формы редактирования профиля: возвращает в профиль предпринимателя
+        document.getElementById('cancel-edit-profile-button').addEventListener('click', () => {
+            goToScreen('business-profile-screen');
+        });
+
+        // Кнопка "Выбрать на карте" для редактирования профиля бизнеса: открывает модальное окно выбора местоположения
+        document.getElementById('select-edit-business-location-on-map').addEventListener('click', () => {
+            const currentCoordsStr = document.getElementById('edit-business-location').value;
+            const currentCoords = currentCoordsStr ? currentCoordsStr.split(',').map(c => parseFloat(c.trim())) : null;
+            LocationPickerModal.show(currentCoords, (selectedCoords) => {
+                document.getElementById('edit-business-location').value = selectedCoords.map(c => c.toFixed(6)).join(', ');
+            });
+        });
+
+        // Предпросмотр логотипа для редактирования профиля бизнеса
+        document.getElementById('edit-business-logo').addEventListener('change', (e) => {
+            const previewContainer = document.getElementById('edit-business-logo-preview');
+            previewContainer.innerHTML = '';
+            if (e.target.files.length > 0) {
+                const file = e.target.files[0];
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    const img = document.createElement('img');
+                    img.src = event.target.result;
+                    previewContainer.appendChild(img);
+                };
+                reader.readAsDataURL(file);
+            }
         });
 
-        // Кнопка "Уведомления": (пока только alert, в будущем - переход на экран настроек уведомлений)
-        document.getElementById('notification-settings-button').addEventListener('click', () => {
-            TelegramWebApp.getWebApp().showAlert("Настройки уведомлений в разработке!");
+        // ====================================
+        // ЭКРАН ВХОДА В БИЗНЕС-РЕЖИМ
+        // ====================================
+        document.getElementById('login-business-button').addEventListener('click', () => {
+            UserSystem.loginBusiness(); // Вызов функции входа предпринимателя
         });
 
         // ====================================
-        // ФОРМА РЕГИСТРАЦИИ ПРЕДПРИНИМАТЕЛЯ
+        // ОБРАБОТЧИКИ ДЛЯ ВЕРИФИКАЦИИ ИНН
         // ====================================
+        const innInput = document.getElementById('inn');
+        const verifyInnButton = document.getElementById('verify-inn-button');
+        const innVerificationStatusElement = document.getElementById('inn-verification-status');
+        const fnsCompanyDataElement = document.getElementById('fns-company-data');
 
-        // Обработчик отправки формы регистрации предпринимателя
-        document.querySelector('.registration-form').addEventListener('submit', async (e) => {
-            e.preventDefault(); // Предотвращаем стандартную отправку формы
-            const businessName = document.getElementById('business-name').value.trim();
-            const businessCategory = document.getElementById('business-category').value;
-            const businessDescription = document.getElementById('business-description').value.trim();
-            const contactPerson = document.getElementById('contact-person').value.trim();
-            const email = document.getElementById('email').value.trim();
-            const businessLogoInput = document.getElementById('business-logo');
-            const businessLocationStr = document.getElementById('business-location').value.trim();
-
-            // Клиентская валидация формы
-            if (!businessName || !businessCategory || !contactPerson || !email || !businessLocationStr) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, заполните все обязательные поля формы.");
+        verifyInnButton.addEventListener('click', async () => {
+            const inn = innInput.value.trim();
+            if (!inn) {
+                TelegramWebApp.getWebApp().showAlert('Пожалуйста, введите ИНН для проверки.');
                 return;
             }
-            if (!validateEmail(email)) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, введите корректный Email.");
+            if (!/^\d{10}$|^\d{12}$/.test(inn)) {
+                TelegramWebApp.getWebApp().showAlert('Некорректный формат ИНН. ИНН должен состоять из 10 или 12 цифр.');
                 return;
             }
-            const businessLocation = businessLocationStr.split(',').map(c => parseFloat(c.trim()));
-            if (businessLocation.length !== 2 || isNaN(businessLocation[0]) || isNaN(businessLocation[1])) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, выберите корректное местоположение на карте.");
-                return;
+
+            TelegramWebApp.getWebApp().MainButton.showProgress(false);
+            const result = await UserSystem.verifyInn(inn, innVerificationStatusElement, fnsCompanyDataElement);
+            TelegramWebApp.getWebApp().MainButton.hideProgress();
+
+            if (result && result.status === 'success') {
+               fnsCompanyDataElement.dataset.isVerified = 'true';
+               fnsCompanyDataElement.dataset.fnsData = JSON.stringify(result.company);
+            } else {
+               fnsCompanyDataElement.dataset.isVerified = 'false';
+               fnsCompanyDataElement.dataset.fnsData = '';
             }
+        });
 
-            let businessLogoUrl = '';
-            if (businessLogoInput.files.length > 0) {
-                businessLogoUrl = URL.createObjectURL(businessLogoInput.files[0]); // Имитация загрузки логотипа
+        // Очистка статуса при изменении ИНН
+        innInput.addEventListener('input', () => {
+           innVerificationStatusElement.style.display = 'none';
+           fnsCompanyDataElement.style.display = 'none';
+           fnsCompanyDataElement.dataset.isVerified = 'false';
+           fnsCompanyDataElement.dataset.fnsData = '';
+        });
+
+         // ====================================
+         // ЭКРАН ВХОДА В БИЗНЕС-РЕЖИМ
+         // ====================================
+         document.getElementById('login-business-button').addEventListener('click', () => {
+             UserSystem.loginBusiness(); // Вызов функции входа предпринимателя
+         });
+
+    };
+
+    /**
+     * @function validateEmail
+     * @description Вспомогательная функция для клиентской валидации формата Email.
+     * @param {string} email - Строка с Email для проверки.
+     * @returns {boolean} True, если Email соответствует формату, иначе false.
+     */
+    const validateEmail = (email) => {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    };
+
+    return {
+        goToScreen,
+        goBack,
+        setupEventListeners,
+        getCurrentScreenId,
+        syncFilterControls
+    };
+})();
+
+// ========================================================
+// Модуль: FavoriteLists - Именованные списки заведений
+// Описание: Списки вроде "Завтраки" или "С детьми" хранятся на сервере у пользователя Telegram
+// (/api/favorite-lists). Списком можно поделиться ссылкой: она открывает Mini App
+// с параметром запуска list_<ID>, и получатель видит заведения списка.
+// ========================================================
+const FavoriteLists = (() => {
+    let ownLists = []; // Списки текущего пользователя (для экрана избранного и карточки заведения)
+    let currentList = null; // Список, открытый на экране списка
+    let modalEstablishment = null; // Заведение, открытое в карточке
+
+    const getWebApp = () => TelegramWebApp.getWebApp();
+
+    /**
+     * @function request
+     * @description Выполняет запрос к API списков и возвращает данные ответа.
+     * @param {Promise<{ok: boolean, status: number, data: any}>} pending - Запрос ApiClient.
+     * @returns {Promise<any>}
+     * @throws {Error} С сообщением сервера, если запрос завершился ошибкой.
+     */
+    const request = async (pending) => {
+        const { ok, status, data } = await pending;
+        if (!ok) {
+            throw new Error((data && data.message) || `HTTP ${status}`);
+        }
+        return data;
+    };
+
+    /**
+     * @function share
+     * @description Делится ссылкой на список. Если сервер не знает адрес Mini App,
+     * используется адрес веб-страницы приложения (см. DeepLink).
+     * @param {object} list - Список.
+     */
+    const share = (list) => {
+        const link = list.shareLink || DeepLink.getFallbackLink(DeepLink.toStartParam('list', list.id));
+        DeepLink.shareLink(link, `Мой список «${list.name}» в MapCost`);
+    };
+
+    /**
+     * @function renderOwnLists
+     * @description Отрисовывает списки пользователя на экране избранного.
+     * @param {string} [statusText=''] - Текст под заголовком (например, ошибка загрузки).
+     */
+    const renderOwnLists = (statusText = '') => {
+        const container = document.getElementById('favorite-lists');
+        const status = document.getElementById('favorite-lists-status');
+        container.innerHTML = '';
+        status.innerText = statusText || (ownLists.length === 0
+            ? 'Соберите заведения в списки, например «Завтраки», и делитесь ими с друзьями.'
+            : '');
+
+        ownLists.forEach(list => {
+            const item = document.createElement('li');
+            item.className = 'favorite-list-item';
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = list.name;
+            const count = document.createElement('span');
+            count.className = 'count';
+            count.textContent = String(list.establishmentIds.length);
+            const openButton = document.createElement('button');
+            openButton.className = 'telegram-button small-button';
+            openButton.textContent = 'Открыть';
+            openButton.addEventListener('click', () => openList(list.id));
+            const shareButton = document.createElement('button');
+            shareButton.className = 'telegram-button small-button';
+            shareButton.textContent = '📤';
+            shareButton.setAttribute('aria-label', `Поделиться списком «${list.name}»`);
+            shareButton.addEventListener('click', () => share(list));
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'telegram-button small-button';
+            deleteButton.textContent = '🗑️';
+            deleteButton.setAttribute('aria-label', `Удалить список «${list.name}»`);
+            deleteButton.addEventListener('click', () => deleteList(list));
+            item.append(name, count, openButton, shareButton, deleteButton);
+            container.appendChild(item);
+        });
+    };
+
+    /**
+     * @function loadOwnLists
+     * @description Загружает списки пользователя с сервера. Вне Telegram списки недоступны:
+     * сервер хранит их по ID пользователя Telegram.
+     * @returns {Promise<void>}
+     */
+    const loadOwnLists = async () => {
+        if (!getWebApp().initData) {
+            ownLists = [];
+            renderOwnLists('Списки доступны при запуске приложения из Telegram.');
+            document.getElementById('create-list-button').style.display = 'none';
+            return;
+        }
+        try {
+            ownLists = await request(ApiClient.get('/api/favorite-lists'));
+            renderOwnLists();
+        } catch (error) {
+            console.error("Ошибка при загрузке списков:", error);
+            renderOwnLists(`Не удалось загрузить списки: ${error.message}`);
+        }
+    };
+
+    /**
+     * @function replaceOwnList
+     * @description Заменяет список в локальной копии после изменения на сервере.
+     * @param {object} list - Список из ответа сервера.
+     */
+    const replaceOwnList = (list) => {
+        ownLists = ownLists.map(existing => (existing.id === list.id ? list : existing));
+        renderOwnLists();
+    };
+
+    /**
+     * @function createList
+     * @description Спрашивает название и создает список.
+     * @param {Array<string>} [establishmentIds=[]] - Заведения, которые сразу попадут в список.
+     * @returns {Promise<object|null>} Созданный список или null, если создание отменено или не удалось.
+     */
+    const createList = async (establishmentIds = []) => {
+        const name = (window.prompt('Название списка, например «Завтраки»:') || '').trim();
+        if (!name) return null;
+        try {
+            const list = await request(ApiClient.post('/api/favorite-lists', { name, establishmentIds }));
+            ownLists = [...ownLists, list];
+            renderOwnLists();
+            return list;
+        } catch (error) {
+            console.error("Ошибка при создании списка:", error);
+            getWebApp().showAlert(`Не удалось создать список: ${error.message}`);
+            return null;
+        }
+    };
+
+    /**
+     * @function updateList
+     * @description Сохраняет изменения списка (название и/или состав).
+     * @param {object} list - Список.
+     * @param {object} changes - { name?, establishmentIds? }.
+     * @returns {Promise<object|null>} Обновленный список или null при ошибке.
+     */
+    const updateList = async (list, changes) => {
+        try {
+            const updated = await request(ApiClient.put(`/api/favorite-lists/${encodeURIComponent(list.id)}`, changes));
+            replaceOwnList(updated);
+            return updated;
+        } catch (error) {
+            console.error("Ошибка при изменении списка:", error);
+            getWebApp().showAlert(`Не удалось изменить список: ${error.message}`);
+            return null;
+        }
+    };
+
+    /**
+     * @function deleteList
+     * @description Удаляет список после подтверждения. Ссылки на него перестают работать.
+     * @param {object} list - Список.
+     */
+    const deleteList = (list) => {
+        getWebApp().showConfirm(`Удалить список «${list.name}»? Ссылки на него перестанут работать.`, async (confirmed) => {
+            if (!confirmed) return;
+            try {
+                await request(ApiClient.del(`/api/favorite-lists/${encodeURIComponent(list.id)}`));
+                ownLists = ownLists.filter(existing => existing.id !== list.id);
+                renderOwnLists();
+            } catch (error) {
+                console.error("Ошибка при удалении списка:", error);
+                getWebApp().showAlert(`Не удалось удалить список: ${error.message}`);
             }
+        });
+    };
 
-            TelegramWebApp.getWebApp().MainButton.showProgress(false); // Показываем индикатор загрузки
-            // Создаем объект с данными для регистрации бизнеса
-            const businessData = { businessName, businessCategory, businessDescription, contactPerson, email, businessLogo: businessLogoUrl, businessLocation };
-            await UserSystem.registerBusiness(businessData); // Вызываем функцию регистрации
-            TelegramWebApp.getWebApp().MainButton.hideProgress(); // Скрываем индикатор загрузки
-            isAddingOrEditing = false; // Сбрасываем флаг после успешной отправки
+    /**
+     * @function renderList
+     * @description Отрисовывает открытый список. Владелец может убирать из него заведения.
+     * @param {object} list - Ответ /api/favorite-lists/:id.
+     */
+    const renderList = (list) => {
+        document.getElementById('favorite-list-title').innerText = list.name;
+        document.getElementById('rename-list-button').style.display = list.isOwn ? 'block' : 'none';
+        const container = document.getElementById('favorite-list-items');
+        const status = document.getElementById('favorite-list-status');
+        container.innerHTML = '';
+        status.innerText = list.establishments.length === 0
+            ? (list.isOwn ? 'Список пуст. Добавляйте заведения из их карточек.' : 'В списке пока нет заведений.')
+            : '';
+
+        list.establishments.forEach(establishment => {
+            const item = document.createElement('li');
+            item.className = 'establishment-list-item';
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'establishment-list-row';
+            const category = CategoryRegistry.find(establishment.category);
+            const icon = document.createElement('span');
+            icon.className = 'icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = category ? category.icon : '📍';
+            const main = document.createElement('span');
+            main.className = 'main';
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = establishment.name;
+            const details = document.createElement('span');
+            details.className = 'details';
+            details.textContent = [
+                establishment.rating ? `⭐ ${establishment.rating}` : 'Нет оценок',
+                establishment.priceCategory,
+                category ? category.name : null
+            ].filter(Boolean).join(' · ');
+            main.append(name, details);
+            row.append(icon, main);
+            row.addEventListener('click', () => ModalSystem.showEstablishmentDetails(establishment));
+            item.appendChild(row);
+
+            if (list.isOwn) {
+                const removeButton = document.createElement('button');
+                removeButton.className = 'telegram-button small-button';
+                removeButton.textContent = '❌';
+                removeButton.setAttribute('aria-label', `Убрать «${establishment.name}» из списка`);
+                removeButton.addEventListener('click', async () => {
+                    const updated = await updateList(list, {
+                        establishmentIds: list.establishmentIds.filter(id => id !== establishment.id)
+                    });
+                    if (updated) openList(list.id);
+                });
+                item.appendChild(removeButton);
+            }
+            container.appendChild(item);
         });
+    };
 
-        // Кнопка "Выбрать на карте" для регистрации бизнеса: открывает модальное окно выбора местоположения
-        document.getElementById('select-location-on-map').addEventListener('click', () => {
-            const currentCoordsStr = document.getElementById('business-location').value;
-            const currentCoords = currentCoordsStr ? currentCoordsStr.split(',').map(c => parseFloat(c.trim())) : null;
-            LocationPickerModal.show(currentCoords, (selectedCoords) => {
-                document.getElementById('business-location').value = selectedCoords.map(c => c.toFixed(6)).join(', ');
-            });
+    /**
+     * @function openList
+     * @description Загружает список и показывает его на экране списка.
+     * @param {string} listId - ID списка.
+     * @returns {Promise<void>}
+     */
+    const openList = async (listId) => {
+        if (Navigation.getCurrentScreenId() !== 'favorite-list-screen') {
+            Navigation.goToScreen('favorite-list-screen');
+        }
+        document.getElementById('favorite-list-status').innerText = 'Загрузка списка…';
+        document.getElementById('favorite-list-items').innerHTML = '';
+        try {
+            currentList = await request(ApiClient.get(`/api/favorite-lists/${encodeURIComponent(listId)}`));
+            renderList(currentList);
+        } catch (error) {
+            console.error("Ошибка при загрузке списка:", error);
+            currentList = null;
+            document.getElementById('favorite-list-title').innerText = 'Список';
+            document.getElementById('rename-list-button').style.display = 'none';
+            document.getElementById('favorite-list-status').innerText = `Не удалось открыть список: ${error.message}`;
+        }
+    };
+
+    /**
+     * @function renderModalSelect
+     * @description Заполняет выбор списка в карточке заведения. Выбор скрыт вне Telegram
+     * и для собственных заведений предпринимателя.
+     * @param {object} establishment - Заведение карточки.
+     * @param {boolean} isOwnEstablishment - Заведение принадлежит текущему пользователю.
+     */
+    const renderModalSelect = (establishment, isOwnEstablishment) => {
+        modalEstablishment = establishment;
+        const select = document.getElementById('modal-add-to-list');
+        select.style.display = getWebApp().initData && !isOwnEstablishment ? 'block' : 'none';
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = '📋 Добавить в список…';
+        select.appendChild(placeholder);
+        ownLists.forEach(list => {
+            const option = document.createElement('option');
+            option.value = list.id;
+            const isInList = list.establishmentIds.includes(establishment.id);
+            option.textContent = isInList ? `✓ ${list.name}` : list.name;
+            option.disabled = isInList;
+            select.appendChild(option);
         });
+        const createOption = document.createElement('option');
+        createOption.value = 'new';
+        createOption.textContent = '➕ Новый список…';
+        select.appendChild(createOption);
+        select.value = '';
+    };
 
-        // Предпросмотр логотипа для регистрации бизнеса
-        document.getElementById('business-logo').addEventListener('change', (e) => {
-            const previewContainer = document.getElementById('business-logo-preview');
-            previewContainer.innerHTML = ''; // Очищаем предыдущий предпросмотр
-            if (e.target.files.length > 0) {
-                const file = e.target.files[0];
-                const reader = new FileReader();
-                reader.onload = (event) => {
+    /**
+     * @function handleModalSelect
+     * @description Добавляет заведение карточки в выбранный или новый список.
+     */
+    const handleModalSelect = async () => {
+        const select = document.getElementById('modal-add-to-list');
+        const establishment = modalEstablishment;
+        const listId = select.value;
+        if (!listId || !establishment) return;
+
+        let list = null;
+        if (listId === 'new') {
+            list = await createList([establishment.id]);
+        } else {
+            const target = ownLists.find(existing => existing.id === listId);
+            if (target) {
+                list = await updateList(target, { establishmentIds: [...target.establishmentIds, establishment.id] });
+            }
+        }
+        if (list) {
+            getWebApp().showAlert(`«${establishment.name}» добавлено в список «${list.name}».`);
+        }
+        if (modalEstablishment === establishment) {
+            renderModalSelect(establishment, false);
+        }
+    };
+
+    /**
+     * @function init
+     * @description Загружает списки пользователя и подключает кнопки экранов списков.
+     */
+    const init = () => {
+        loadOwnLists();
+        document.getElementById('create-list-button').addEventListener('click', () => createList());
+        document.getElementById('modal-add-to-list').addEventListener('change', handleModalSelect);
+        document.getElementById('share-list-button').addEventListener('click', () => {
+            if (currentList) share(currentList);
+        });
+        document.getElementById('rename-list-button').addEventListener('click', async () => {
+            if (!currentList || !currentList.isOwn) return;
+            const name = (window.prompt('Новое название списка:', currentList.name) || '').trim();
+            if (!name || name === currentList.name) return;
+            const updated = await updateList(currentList, { name });
+            if (updated) openList(updated.id);
+        });
+    };
+
+    return {
+        init,
+        loadOwnLists,
+        openList,
+        renderModalSelect
+    };
+})();
+
+// ========================================================
+// Модуль: EstablishmentMerge - Объединение изменений заведения
+// Описание: Если владелец сохраняет заведение, которое с тех пор изменили с другого устройства,
+// сервер отвечает 409 и возвращает текущую версию. Модуль показывает экран с различиями по полям:
+// для каждого поля, где версии расходятся, владелец выбирает свое значение или значение с сервера.
+// Поле, измененное только одной стороной, заранее выбрано в пользу этой стороны; поле,
+// измененное обеими, нужно выбрать явно.
+// ========================================================
+const EstablishmentMerge = (() => {
+    const SCREEN_ID = 'establishment-merge-screen';
+    // Поля заведения, которые владелец меняет в форме, и их значения, если поле не заполнено
+    const FIELDS = [
+        { key: 'name', label: 'Название', empty: '' },
+        { key: 'category', label: 'Категория', empty: '' },
+        { key: 'priceCategory', label: 'Ценовая категория', empty: '' },
+        { key: 'coordinates', label: 'Координаты', empty: null },
+        { key: 'address', label: 'Адрес', empty: '' },
+        { key: 'description', label: 'Описание', empty: '' },
+        { key: 'contact', label: 'Контакты', empty: '' },
+        { key: 'openingHours', label: 'Часы работы', empty: null },
+        { key: 'photos', label: 'Фотографии', empty: [] }
+    ];
+    let pending = null; // Открытый экран: { resolve, rows, theirs }
+
+    /**
+     * @function getValue
+     * @description Возвращает значение поля заведения в виде, пригодном для сравнения.
+     * @param {object} establishment - Заведение.
+     * @param {object} field - Поле из FIELDS.
+     * @returns {*}
+     */
+    const getValue = (establishment, field) => {
+        const value = establishment[field.key];
+        if (value === undefined || value === null) return field.empty;
+        if (field.key === 'category') return CategoryRegistry.migrateId(value);
+        if (field.key === 'openingHours') {
+            // Сервер хранит особые дни по порядку дат, форма — в порядке ввода
+            return { ...value, holidays: [...(value.holidays || [])].sort((a, b) => a.date.localeCompare(b.date)) };
+        }
+        return value;
+    };
+
+    /**
+     * @function isEqual
+     * @description Сравнивает значения полей (строки, массивы и объекты) по содержимому.
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     */
+    const isEqual = (a, b) => {
+        if (a === b) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+    };
+
+    /**
+     * @function compareFields
+     * @description Находит поля, в которых версия владельца расходится с версией на сервере.
+     * @param {object} conflict
+     * @param {object} conflict.base - Версия, с которой владелец начал редактирование.
+     * @param {object} conflict.mine - Версия владельца.
+     * @param {object} conflict.theirs - Текущая версия на сервере.
+     * @returns {Array<{field: object, mine: *, theirs: *, changedByMe: boolean, changedOnServer: boolean, choice: string|null}>}
+     * choice — заранее выбранная версия ('mine' или 'theirs') или null, если поле изменили обе стороны.
+     */
+    const compareFields = ({ base, mine, theirs }) => FIELDS
+        .map(field => {
+            const row = { field, mine: getValue(mine, field), theirs: getValue(theirs, field) };
+            const baseValue = getValue(base, field);
+            row.changedByMe = !isEqual(row.mine, baseValue);
+            row.changedOnServer = !isEqual(row.theirs, baseValue);
+            row.choice = row.changedByMe && row.changedOnServer ? null : (row.changedByMe ? 'mine' : 'theirs');
+            return row;
+        })
+        .filter(row => !isEqual(row.mine, row.theirs));
+
+    /**
+     * @function renderValue
+     * @description Создает элемент со значением поля для экрана объединения.
+     * @param {object} field - Поле из FIELDS.
+     * @param {*} value - Значение поля.
+     * @returns {HTMLElement}
+     */
+    const renderValue = (field, value) => {
+        const element = document.createElement('div');
+        element.className = 'merge-value';
+        switch (field.key) {
+            case 'category':
+                element.innerText = CategoryRegistry.getLabel(value);
+                break;
+            case 'priceCategory':
+                element.innerText = value || 'Не указана';
+                break;
+            case 'coordinates':
+                element.innerText = value ? value.join(', ') : '—';
+                break;
+            case 'openingHours':
+                element.innerText = value
+                    ? OpeningHours.WEEK_ORDER
+                        .map(day => `${OpeningHours.DAY_NAMES[day]}: ${OpeningHours.formatIntervals(value.weekly[day])}`)
+                        .concat(value.holidays.map(holiday => `${holiday.date}: ${OpeningHours.formatIntervals(holiday.intervals)}`))
+                        .join('\n')
+                    : 'Не указаны';
+                break;
+            case 'photos':
+                if (value.length === 0) {
+                    element.innerText = 'Нет фото';
+                }
+                value.forEach(photo => {
                     const img = document.createElement('img');
-                    img.src = event.target.result;
-                    previewContainer.appendChild(img);
-                };
-                reader.readAsDataURL(file); // Читаем файл как URL данных
+                    img.src = PhotoUtils.getThumbnailUrl(photo);
+                    img.alt = '';
+                    element.appendChild(img);
+                });
+                break;
+            default:
+                element.innerText = value || '—';
+        }
+        return element;
+    };
+
+    /**
+     * @function render
+     * @description Отображает различия по полям с выбором версии.
+     * @param {Array<object>} rows - Результат compareFields.
+     * @param {object} theirs - Текущая версия заведения на сервере.
+     */
+    const render = (rows, theirs) => {
+        const updatedAt = theirs.updatedAt ? new Date(theirs.updatedAt).toLocaleString('ru-RU') : null;
+        document.getElementById('establishment-merge-summary').innerText =
+            `Пока вы редактировали «${theirs.name}», заведение изменили с другого устройства`
+            + `${updatedAt ? ` (${updatedAt})` : ''}. Выберите, какие значения сохранить.`;
+
+        const container = document.getElementById('establishment-merge-fields');
+        container.innerHTML = '';
+        rows.forEach(row => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'merge-field';
+            fieldset.classList.toggle('conflict', row.choice === null);
+
+            const legend = document.createElement('legend');
+            legend.innerText = row.field.label;
+            fieldset.appendChild(legend);
+
+            const note = document.createElement('p');
+            note.className = 'merge-note';
+            note.innerText = row.choice === null
+                ? '⚠️ Изменено и вами, и на другом устройстве — выберите версию'
+                : (row.changedByMe ? 'Изменено вами' : 'Изменено на другом устройстве');
+            fieldset.appendChild(note);
+
+            [['mine', 'Ваша версия'], ['theirs', 'Версия на сервере']].forEach(([version, title]) => {
+                const option = document.createElement('label');
+                option.className = 'merge-option';
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = `merge-${row.field.key}`;
+                input.value = version;
+                input.checked = row.choice === version;
+                const caption = document.createElement('span');
+                caption.className = 'merge-option-title';
+                caption.innerText = title;
+                option.appendChild(input);
+                option.appendChild(caption);
+                option.appendChild(renderValue(row.field, row[version]));
+                fieldset.appendChild(option);
+            });
+            container.appendChild(fieldset);
+        });
+    };
+
+    /**
+     * @function open
+     * @description Показывает экран объединения и ждет выбора владельца.
+     * @param {Array<object>} rows - Результат compareFields.
+     * @param {object} theirs - Текущая версия заведения на сервере.
+     * @returns {Promise<object|null>} Объединенное заведение или null, если владелец оставил версию с сервера.
+     */
+    const open = (rows, theirs) => new Promise((resolve) => {
+        dismiss(); // Предыдущий незавершенный выбор (если был) считается отмененным
+        pending = { resolve, rows, theirs };
+        render(rows, theirs);
+        Navigation.goToScreen(SCREEN_ID);
+    });
+
+    /**
+     * @function finish
+     * @description Закрывает экран объединения и передает результат ожидающему коду.
+     * @param {object|null} result - Объединенное заведение или null.
+     */
+    const finish = (result) => {
+        if (!pending) return;
+        const { resolve } = pending;
+        pending = null;
+        resolve(result);
+        Navigation.goBack();
+    };
+
+    /**
+     * @function dismiss
+     * @description Отменяет объединение, если владелец ушел с экрана, не сделав выбора.
+     */
+    const dismiss = () => {
+        if (!pending) return;
+        const { resolve } = pending;
+        pending = null;
+        resolve(null);
+    };
+
+    /**
+     * @function collectMerged
+     * @description Собирает объединенное заведение из выбранных версий полей.
+     * @returns {object|null} Заведение или null, если выбор сделан не для всех полей.
+     */
+    const collectMerged = () => {
+        const { rows, theirs } = pending;
+        const merged = { id: theirs.id };
+        FIELDS.forEach(field => { merged[field.key] = getValue(theirs, field); });
+        for (const row of rows) {
+            const checked = document.querySelector(`#establishment-merge-fields input[name="merge-${row.field.key}"]:checked`);
+            if (!checked) return null;
+            if (checked.value === 'mine') {
+                merged[row.field.key] = row.mine;
+            }
+        }
+        return merged;
+    };
+
+    /**
+     * @function resolveConflict
+     * @description Объединяет изменения владельца с версией на сервере и сохраняет результат.
+     * Если за время объединения заведение снова изменилось, экран открывается заново.
+     * @param {object} conflict
+     * @param {object} conflict.base - Версия, с которой владелец начал редактирование.
+     * @param {object} conflict.mine - Изменения владельца (с `id` заведения).
+     * @param {object} conflict.theirs - Текущая версия на сервере (из ответа 409).
+     * @returns {Promise<object|null>} Результат MapSystem.updateEstablishment, версия с сервера,
+     * если объединять нечего, `{ cancelled: true }`, если владелец оставил версию с сервера,
+     * или null в случае ошибки.
+     */
+    const resolveConflict = async ({ base, mine, theirs }) => {
+        let conflict = { base, mine, theirs };
+        for (;;) {
+            const rows = compareFields(conflict);
+            if (rows.length === 0) return conflict.theirs; // На сервере уже те же значения
+            const merged = await open(rows, conflict.theirs);
+            if (!merged) return { cancelled: true };
+            const saved = await MapSystem.updateEstablishment(merged, conflict.theirs);
+            if (!saved || !saved.conflict) return saved;
+            conflict = { base: conflict.theirs, mine: merged, theirs: saved.current };
+        }
+    };
+
+    /**
+     * @function init
+     * @description Подключает кнопки экрана объединения.
+     */
+    const init = () => {
+        document.getElementById('establishment-merge-save-button').addEventListener('click', () => {
+            if (!pending) return;
+            const merged = collectMerged();
+            if (!merged) {
+                TelegramWebApp.getWebApp().showAlert('Выберите версию для каждого поля, измененного и вами, и на другом устройстве.');
+                return;
             }
+            finish(merged);
         });
+        document.getElementById('establishment-merge-cancel-button').addEventListener('click', () => finish(null));
+    };
 
-        // ================================================
-        // ФОРМА ДОБАВЛЕНИЯ/РЕДАКТИРОВАНИЯ ЗАВЕДЕНИЯ
-        // ================================================
+    return {
+        init,
+        resolveConflict,
+        dismiss
+    };
+})();
 
-        // Обработчик отправки формы добавления/редактирования заведения
-        document.querySelector('.establishment-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const form = e.target;
-            const establishmentId = form.dataset.editId; // Получаем ID заведения, если это режим редактирования
+// ========================================================
+// Модуль: OfflineMode - Работа без сети
+// Описание: Регистрирует service worker (public/sw.js), который кэширует оболочку приложения,
+// показывает предупреждение, когда на экране сохраненные на устройстве данные, и отправляет
+// изменения заведений, сделанные без связи (очередь в OfflineStore), когда связь восстановится.
+// ========================================================
+const OfflineMode = (() => {
+    const SERVICE_WORKER_URL = '/sw.js';
+    let isStale = false; // На экране данные, сохраненные на устройстве
+    let pendingEdits = 0; // Сколько изменений ждут отправки
+    let replaying = false;
 
-            const name = document.getElementById('est-name').value.trim();
-            const description = document.getElementById('est-description').value.trim();
-            const category = document.getElementById('est-category').value;
-            const priceCategory = document.getElementById('est-price-category').value;
-            const coordsStr = document.getElementById('est-coords').value.trim();
-            const contact = document.getElementById('est-contact').value.trim();
-            const photosInput = document.getElementById('est-photos');
+    /**
+     * @function isNetworkError
+     * @description Проверяет, что запрос не дошел до сервера (нет связи), а не был отклонен им.
+     * @param {Error} error - Ошибка запроса.
+     * @returns {boolean}
+     */
+    const isNetworkError = (error) => Boolean(error) && error.name !== 'AbortError'
+        && (error instanceof TypeError || !navigator.onLine);
 
-            // Клиентская валидация формы
-            if (!name || !category || !coordsStr) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, заполните обязательные поля: Название, Категория, Координаты.");
-                return;
-            }
+    /**
+     * @function updateBanner
+     * @description Показывает или скрывает предупреждение о работе без сети.
+     */
+    const updateBanner = () => {
+        const banner = document.getElementById('offline-banner');
+        const messages = [];
+        if (isStale || !navigator.onLine) {
+            messages.push('Нет связи с сервером: данные могут быть устаревшими.');
+        }
+        if (pendingEdits > 0) {
+            messages.push(`Неотправленных изменений: ${pendingEdits}. Они будут отправлены, когда связь восстановится.`);
+        }
+        banner.innerText = messages.join(' ');
+        banner.style.display = messages.length > 0 ? 'block' : 'none';
+    };
 
-            const coords = coordsStr.split(',').map(c => parseFloat(c.trim()));
-            if (coords.length !== 2 || isNaN(coords[0]) || isNaN(coords[1])) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, введите корректные координаты (например: 55.75, 37.62).");
-                return;
-            }
+    /**
+     * @function setStale
+     * @description Отмечает, что на экране сохраненные на устройстве (возможно, устаревшие) данные.
+     * @param {boolean} value
+     */
+    const setStale = (value) => {
+        if (isStale === value) return;
+        isStale = value;
+        updateBanner();
+    };
 
-            // Имитация загрузки фото (в реальном приложении это будет загрузка на сервер)
-            const photoUrls = [];
-            for (const file of photosInput.files) {
-                photoUrls.push(URL.createObjectURL(file));
-            }
-            // Если есть уже существующие фото, их тоже нужно учитывать.
-            // Здесь упрощенно: только новые фото.
+    /**
+     * @function queueEdit
+     * @description Ставит изменение в очередь отправки.
+     * @param {{method: string, url: string, body: object, base: object|null, label: string}} edit - Запрос к API,
+     * исходная версия заведения и название заведения.
+     * @returns {Promise<void>}
+     * @throws {Error} Если сохранить изменение на устройстве не удалось.
+     */
+    const queueEdit = async (edit) => {
+        await OfflineStore.queueEdit(edit);
+        pendingEdits += 1;
+        updateBanner();
+    };
 
-            // Создаем объект с данными заведения
-            const establishmentData = {
-                id: establishmentId, // Будет null, если это новое заведение
-                name,
-                description,
-                category,
-                priceCategory,
-                coordinates: coords,
-                contact,
-                photos: photoUrls,
-                rating: 0, // Новое заведение начинается с 0 рейтинга
-                reviews: []
-            };
+    /**
+     * @function applySaved
+     * @description Обновляет приложение после отправки отложенного изменения.
+     * @param {object} edit - Изменение из очереди.
+     * @param {object} establishment - Заведение из ответа сервера.
+     */
+    const applySaved = (edit, establishment) => {
+        if (edit.method === 'POST') {
+            const profile = UserSystem.getProfile();
+            if (profile && profile.type === 'business') {
+                profile.establishments.push({ id: establishment.id, name: establishment.name, status: establishment.status });
+                UserSystem.updateProfileScreen(profile);
+            }
+        } else {
+            MapSystem.replaceEstablishment(establishment);
+        }
+    };
 
-            TelegramWebApp.getWebApp().MainButton.showProgress(false);
-            let success = false;
-            if (establishmentId) {
-                // Режим редактирования
-                success = MapSystem.updateEstablishment(establishmentData);
-            } else {
-                // Режим добавления
-                const newEst = MapSystem.addEstablishment(establishmentData);
-                // Добавить новое заведение в список предпринимателя
-                const currentUser = UserSystem.getProfile();
-                if (currentUser && currentUser.type === 'business') {
-                    currentUser.establishments.push({ id: newEst.id, name: newEst.name });
-                    UserSystem.updateProfileScreen(currentUser); // Обновляем UI профиля
+    /**
+     * @function replayEdits
+     * @description Отправляет изменения из очереди по порядку. Если связи снова нет, отправка
+     * прекращается до следующей попытки. Изменения, которые сервер отклонил, удаляются из очереди,
+     * а пользователь получает сообщение с причиной. Если заведение за это время изменили
+     * с другого устройства, владелец объединяет изменения на экране EstablishmentMerge.
+     * @returns {Promise<void>}
+     */
+    const replayEdits = async () => {
+        if (replaying || !navigator.onLine) return;
+        replaying = true;
+        let sent = 0;
+        const rejected = [];
+        const conflicts = [];
+        // Версии, полученные при отправке: следующее изменение того же заведения, сделанное
+        // на этом устройстве, основано на только что отправленном и конфликтом не считается
+        const revisions = new Map();
+        try {
+            const edits = await OfflineStore.getQueuedEdits();
+            for (const edit of edits) {
+                let body = edit.body;
+                const chained = revisions.get(edit.url);
+                if (edit.method === 'PUT' && chained && body.revision === chained.from) {
+                    body = { ...body, revision: chained.to };
+                }
+                let response;
+                try {
+                    response = await ApiClient.request(edit.url, { method: edit.method, body });
+                } catch (error) {
+                    console.error("Ошибка при отправке отложенного изменения:", error);
+                    break;
+                }
+                await OfflineStore.removeQueuedEdit(edit.id);
+                if (response.ok) {
+                    sent += 1;
+                    applySaved(edit, response.data);
+                    if (edit.method === 'PUT') {
+                        revisions.set(edit.url, { from: body.revision, to: response.data.revision });
+                    }
+                } else if (response.status === 409 && response.data && response.data.current) {
+                    conflicts.push({ edit: { ...edit, body }, current: response.data.current });
+                    MapSystem.replaceEstablishment(response.data.current);
+                } else {
+                    rejected.push(`«${edit.label}»: ${(response.data && response.data.message) || `HTTP ${response.status}`}`);
                 }
-                success = true;
             }
-            TelegramWebApp.getWebApp().MainButton.hideProgress();
+            pendingEdits = (await OfflineStore.getQueuedEdits()).length;
+        } catch (error) {
+            console.error("Ошибка при обработке очереди изменений:", error);
+        } finally {
+            replaying = false;
+            updateBanner();
+        }
 
-            if (success) {
-                TelegramWebApp.getWebApp().showAlert("Заведение успешно сохранено!");
-                goToScreen('business-profile-screen'); // Возвращаемся в профиль предпринимателя
-            } else {
-                TelegramWebApp.getWebApp().showAlert("Ошибка при сохранении заведения.");
+        // Конфликтующие изменения владелец объединяет по одному заведению за раз
+        for (const { edit, current } of conflicts) {
+            const saved = await EstablishmentMerge.resolveConflict({
+                base: edit.base || current,
+                mine: { ...edit.body, id: current.id },
+                theirs: current
+            });
+            if (!saved) {
+                rejected.push(`«${edit.label}»: не удалось сохранить объединенную версию`);
+            } else if (!saved.cancelled) {
+                sent += 1;
             }
-            isAddingOrEditing = false; // Сбрасываем флаг после успешной отправки
-        });
+        }
 
-        // Кнопка "Отмена" для формы заведения: возвращает в профиль предпринимателя
-        document.getElementById('cancel-establishment-button').addEventListener('click', () => {
-            goToScreen('business-profile-screen');
-        });
+        if (sent > 0) {
+            MapSystem.reloadViewport();
+        }
+        if (rejected.length > 0) {
+            TelegramWebApp.getWebApp().showAlert(`Не удалось сохранить изменения, сделанные без связи:\n${rejected.join('\n')}`);
+        } else if (sent > 0) {
+            TelegramWebApp.getWebApp().showAlert('Изменения, сделанные без связи, сохранены.');
+        }
+    };
 
-        // Кнопка "Получить текущие координаты" для формы заведения: использует Geolocation API браузера
-        document.getElementById('get-current-coords').addEventListener('click', async () => {
-            TelegramWebApp.getWebApp().showAlert("Получение координат...");
-            try {
-                const position = await new Promise((resolve, reject) => {
-                    navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true });
-                });
-                const { latitude, longitude } = position.coords;
-                document.getElementById('est-coords').value = `${latitude}, ${longitude}`;
-                TelegramWebApp.getWebApp().showAlert("Координаты получены!");
-            } catch (error) {
-                console.error("Ошибка при получении текущих координат:", error);
-                TelegramWebApp.getWebApp().showAlert("Не удалось получить текущие координаты.");
-            }
+    /**
+     * @function init
+     * @description Регистрирует service worker, подписывается на появление и пропадание связи
+     * и отправляет изменения, оставшиеся с прошлого запуска.
+     */
+    const init = async () => {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register(SERVICE_WORKER_URL)
+                .catch(error => console.warn("Не удалось зарегистрировать service worker:", error));
+        }
+        window.addEventListener('offline', updateBanner);
+        window.addEventListener('online', () => {
+            updateBanner();
+            replayEdits();
+            MapSystem.reloadViewport(); // Заменяем сохраненные данные актуальными
         });
+        pendingEdits = (await OfflineStore.getQueuedEdits()).length;
+        updateBanner();
+        replayEdits();
+    };
 
-        // Предпросмотр фотографий для заведения
-        document.getElementById('est-photos').addEventListener('change', (e) => {
-            const previewContainer = document.getElementById('est-photos-preview');
-            previewContainer.innerHTML = ''; // Очищаем предыдущий предпросмотр
-            Array.from(e.target.files).forEach(file => {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    const img = document.createElement('img');
-                    img.src = event.target.result;
-                    previewContainer.appendChild(img);
-                };
-                reader.readAsDataURL(file);
-            });
-        });
+    return {
+        init,
+        isNetworkError,
+        setStale,
+        queueEdit
+    };
+})();
 
-        // ================================================
-        // ФОРМА РЕДАКТИРОВАНИЯ ПРОФИЛЯ ПРЕДПРИНИМАТЕЛЯ
-        // ================================================
+// ========================================================
+// Модуль: EventLog - Журнал действий пользователя
+// Описание: Записывает открытия карточек заведений, построенные маршруты, изменения избранного
+// и поисковые запросы. События копятся в localStorage и отправляются на сервер пакетами
+// (POST /api/events), поэтому не теряются при закрытии приложения или без сети.
+// Просмотры и маршруты также попадают в локальную историю рекомендаций.
+// ========================================================
+const EventLog = (() => {
+    const LS_KEY_QUEUE = 'mapcost_event_queue';
+    const BATCH_SIZE = 50; // Не больше, чем принимает сервер за один запрос
+    const MAX_QUEUE = 500; // Без связи с сервером хранятся только последние события
+    const FLUSH_DELAY = 10000; // События отправляются пакетом через 10 секунд после первого
+    const RETRY_DELAY = 60000;
+    const SEARCH_COALESCE_MS = 5000; // Запросы, набранные подряд, записываются как один (последний)
+    let flushTimer = null;
+    let flushing = false;
+    // Сколько следующих событий отправлять по одному: после отказа сервера (400) пакет разбирается
+    // на отдельные события, чтобы из очереди удалилось только некорректное
+    let singleEventsLeft = 0;
 
-        // Обработчик отправки формы редактирования профиля предпринимателя
-        document.querySelector('.edit-profile-form').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const businessName = document.getElementById('edit-business-name').value.trim();
-            const businessCategory = document.getElementById('edit-business-category').value;
-            const businessDescription = document.getElementById('edit-business-description').value.trim();
-            const contactPerson = document.getElementById('edit-contact-person').value.trim();
-            const email = document.getElementById('edit-email').value.trim();
-            const businessLogoInput = document.getElementById('edit-business-logo');
-            const businessLocationStr = document.getElementById('edit-business-location').value.trim();
+    /**
+     * @function loadQueue
+     * @description Загружает неотправленные события из localStorage.
+     * @returns {Array<object>}
+     */
+    const loadQueue = () => {
+        try {
+            const data = JSON.parse(localStorage.getItem(LS_KEY_QUEUE));
+            return Array.isArray(data) ? data : [];
+        } catch (e) {
+            return [];
+        }
+    };
 
-            // Клиентская валидация формы
-            if (!businessName || !businessCategory || !contactPerson || !email || !businessLocationStr) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, заполните все обязательные поля формы.");
-                return;
-            }
-            if (!validateEmail(email)) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, введите корректный Email.");
-                return;
+    /**
+     * @function saveQueue
+     * @description Сохраняет неотправленные события в localStorage.
+     * @param {Array<object>} queue - События.
+     */
+    const saveQueue = (queue) => {
+        try {
+            localStorage.setItem(LS_KEY_QUEUE, JSON.stringify(queue.slice(-MAX_QUEUE)));
+        } catch (e) {
+            console.error("Ошибка при сохранении журнала событий в localStorage:", e);
+        }
+    };
+
+    /**
+     * @function canSend
+     * @description Журнал хранится на сервере по пользователю Telegram, поэтому без initData
+     * (приложение открыто вне Telegram) события на сервер не отправляются.
+     * @returns {boolean}
+     */
+    const canSend = () => Boolean(TelegramWebApp.getWebApp().initData);
+
+    /**
+     * @function scheduleFlush
+     * @description Планирует отправку накопленных событий, если она еще не запланирована раньше.
+     * @param {number} delay - Задержка в миллисекундах.
+     */
+    const scheduleFlush = (delay) => {
+        if (flushTimer !== null && delay > 0) return;
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(() => flush(), delay);
+    };
+
+    /**
+     * @function track
+     * @description Записывает действие пользователя.
+     * @param {string} type - 'view', 'route', 'favorite', 'unfavorite' или 'search'.
+     * @param {object} data - { establishmentId } для действий с заведением, { query } для поиска.
+     */
+    const track = (type, data) => {
+        if (type === 'view' || type === 'route') {
+            RecommendationSystem.recordInteraction(data.establishmentId, type);
+        }
+        if (!canSend()) return;
+
+        const event = { type, ...data, at: new Date().toISOString() };
+        const queue = loadQueue();
+        const last = queue[queue.length - 1];
+        if (type === 'search' && last && last.type === 'search'
+            && Date.parse(event.at) - Date.parse(last.at) < SEARCH_COALESCE_MS) {
+            queue[queue.length - 1] = event;
+        } else {
+            queue.push(event);
+        }
+        saveQueue(queue);
+        scheduleFlush(queue.length >= BATCH_SIZE ? 0 : FLUSH_DELAY);
+    };
+
+    /**
+     * @function flush
+     * @description Отправляет на сервер очередной пакет событий. Отправленные события удаляются
+     * из очереди; при ошибке сети отправка повторяется позже. Если сервер отклонил пакет (400),
+     * его события отправляются по одному, и удаляется только событие, которое сервер не принял.
+     * @param {object} [options]
+     * @param {boolean} [options.keepalive=false] - Запрос должен завершиться после закрытия приложения.
+     * @returns {Promise<void>}
+     */
+    const flush = async ({ keepalive = false } = {}) => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        const batch = loadQueue().slice(0, singleEventsLeft > 0 ? 1 : BATCH_SIZE);
+        if (flushing || batch.length === 0 || !canSend()) return;
+
+        flushing = true;
+        try {
+            const { ok, status, data } = await ApiClient.post('/api/events', { events: batch }, { keepalive });
+            if (!ok && status !== 400) {
+                throw new Error((data && data.message) || `HTTP ${status}`);
             }
-            const businessLocation = businessLocationStr.split(',').map(c => parseFloat(c.trim()));
-            if (businessLocation.length !== 2 || isNaN(businessLocation[0]) || isNaN(businessLocation[1])) {
-                TelegramWebApp.getWebApp().showAlert("Пожалуйста, выберите корректное местоположение на карте.");
-                return;
+            if (!ok && batch.length > 1) {
+                // Ошибка в данных одного события не должна стоить остальных: разбираем пакет
+                console.warn("Сервер отклонил пакет событий, отправляем события по одному:", data && data.message);
+                singleEventsLeft = batch.length;
+            } else {
+                // Событие с ошибкой в данных (400) не пройдет проверку и при повторе, поэтому оно удаляется
+                if (!ok) console.error("Сервер отклонил событие, оно удалено из очереди:", data && data.message, batch[0]);
+                singleEventsLeft = Math.max(0, singleEventsLeft - batch.length);
+                const sent = new Set(batch.map(event => JSON.stringify(event)));
+                saveQueue(loadQueue().filter(event => !sent.has(JSON.stringify(event))));
             }
+        } catch (error) {
+            console.error("Ошибка при отправке журнала событий, повторим позже:", error);
+            scheduleFlush(RETRY_DELAY);
+            return;
+        } finally {
+            flushing = false;
+        }
+        if (loadQueue().length > 0) scheduleFlush(0);
+    };
 
-            // Сохраняем старый логотип, если новый не выбран, иначе имитируем загрузку нового
-            let businessLogoUrl = UserSystem.getProfile().businessLogo || '';
-            if (businessLogoInput.files.length > 0) {
-                businessLogoUrl = URL.createObjectURL(businessLogoInput.files[0]);
-            }
+    /**
+     * @function clearHistory
+     * @description Удаляет историю пользователя: неотправленные события, локальную историю
+     * рекомендаций и журнал на сервере.
+     * @returns {Promise<void>}
+     * @throws {Error} Если сервер не удалил журнал.
+     */
+    const clearHistory = async () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        saveQueue([]);
+        singleEventsLeft = 0;
+        RecommendationSystem.clearHistory();
+        if (!canSend()) return;
+        const { ok, status, data } = await ApiClient.del('/api/events');
+        if (!ok) {
+            throw new Error((data && data.message) || `HTTP ${status}`);
+        }
+    };
 
-            TelegramWebApp.getWebApp().MainButton.showProgress(false);
-            // Обновляем профиль предпринимателя
-            await UserSystem.updateBusinessProfile({ businessName, businessCategory, businessDescription, contactPerson, email, businessLogo: businessLogoUrl, businessLocation });
-            TelegramWebApp.getWebApp().MainButton.hideProgress();
-            isAddingOrEditing = false; // Сбрасываем флаг после успешной отправки
+    /**
+     * @function init
+     * @description Отправляет события, оставшиеся с прошлого запуска, и отправляет очередь
+     * при сворачивании или закрытии приложения.
+     */
+    const init = () => {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush({ keepalive: true });
         });
+        if (loadQueue().length > 0) scheduleFlush(0);
+    };
 
-        // Кнопка "Отмена" для формы редактирования профиля: возвращает в профиль предпринимателя
-        document.getElementById('cancel-edit-profile-button').addEventListener('click', () => {
-            goToScreen('business-profile-screen');
-        });
+    return {
+        init,
+        track,
+        flush,
+        clearHistory
+    };
+})();
 
-        // Кнопка "Выбрать на карте" для редактирования профиля бизнеса: открывает модальное окно выбора местоположения
-        document.getElementById('select-edit-business-location-on-map').addEventListener('click', () => {
-            const currentCoordsStr = document.getElementById('edit-business-location').value;
-            const currentCoords = currentCoordsStr ? currentCoordsStr.split(',').map(c => parseFloat(c.trim())) : null;
-            LocationPickerModal.show(currentCoords, (selectedCoords) => {
-                document.getElementById('edit-business-location').value = selectedCoords.map(c => c.toFixed(6)).join(', ');
-            });
-        });
+// ========================================================
+// Модуль 7: Система Персональных Рекомендаций
+// Описание: Подбирает заведения для экрана "Для вас" по любимым категориям, избранному,
+// истории просмотров и построенных маршрутов, рейтингу и близости к пользователю.
+// История хранится в localStorage (события записывает EventLog), для пользователя Telegram сервер
+// дополняет ее журналом событий. Рекомендации считает сервер (POST /api/recommendations);
+// если он недоступен, тот же расчет выполняется на клиенте по загруженным заведениям.
+// Формулы и константы совпадают с серверным модулем api/lib/recommendations.js.
+// ========================================================
+const RecommendationSystem = (() => {
+    const LS_KEY_HISTORY = 'mapcost_history';
+    const MAX_HISTORY = 200; // Столько последних событий хранится и передается на сервер
+    const RECOMMENDATIONS_LIMIT = 10;
+
+    // Параметры оценки (см. api/lib/recommendations.js)
+    const HISTORY_WEIGHTS = { view: 0.5, route: 1.5 };
+    const FAVORITE_CATEGORY_AFFINITY = 3;
+    const FAVORITE_ESTABLISHMENT_AFFINITY = 2;
+    const HISTORY_HALF_LIFE_DAYS = 14;
+    const AFFINITY_SCALE = 3;
+    const PROXIMITY_SCALE_METERS = 2000;
+    const SCORE_WEIGHTS = { category: 0.5, rating: 0.2, proximity: 0.3 };
+    const SEEN_PENALTY = 0.8;
+    const HIGH_RATING = 4.5;
+    const NEARBY_DISTANCE_METERS = 1000;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Подписи причин рекомендации
+    const REASON_LABELS = {
+        favoriteCategory: 'Любимая категория',
+        similarToFavorites: 'Похоже на избранное',
+        history: 'По вашей истории',
+        highRating: 'Высокий рейтинг',
+        nearby: 'Рядом'
+    };
 
-        // Предпросмотр логотипа для редактирования профиля бизнеса
-        document.getElementById('edit-business-logo').addEventListener('change', (e) => {
-            const previewContainer = document.getElementById('edit-business-logo-preview');
-            previewContainer.innerHTML = '';
-            if (e.target.files.length > 0) {
-                const file = e.target.files[0];
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    const img = document.createElement('img');
-                    img.src = event.target.result;
-                    previewContainer.appendChild(img);
-                };
-                reader.readAsDataURL(file);
-            }
-        });
+    let recommendationsRequest = null; // AbortController текущего запроса
 
-        // ====================================
-        // ЭКРАН ВХОДА В БИЗНЕС-РЕЖИМ
-        // ====================================
-        document.getElementById('login-business-button').addEventListener('click', () => {
-            UserSystem.loginBusiness(); // Вызов функции входа предпринимателя
-        });
+    /**
+     * @function loadHistory
+     * @description Загружает историю просмотров и маршрутов из localStorage.
+     * @returns {Array<{establishmentId: string, type: string, at: string}>}
+     */
+    const loadHistory = () => {
+        try {
+            const data = JSON.parse(localStorage.getItem(LS_KEY_HISTORY));
+            return Array.isArray(data) ? data : [];
+        } catch (e) {
+            return [];
+        }
+    };
 
-        // ====================================
-        // ОБРАБОТЧИКИ ДЛЯ ВЕРИФИКАЦИИ ИНН
-        // ====================================
-        const innInput = document.getElementById('inn');
-        const verifyInnButton = document.getElementById('verify-inn-button');
-        const innVerificationStatusElement = document.getElementById('inn-verification-status');
-        const fnsCompanyDataElement = document.getElementById('fns-company-data');
+    /**
+     * @function recordInteraction
+     * @description Добавляет событие в историю пользователя: просмотр карточки заведения
+     * или построение маршрута к нему. Хранятся только последние MAX_HISTORY событий.
+     * @param {string} establishmentId - ID заведения.
+     * @param {string} type - 'view' или 'route'.
+     */
+    const recordInteraction = (establishmentId, type) => {
+        if (!establishmentId || !HISTORY_WEIGHTS[type]) return;
+        const history = loadHistory();
+        history.push({ establishmentId, type, at: new Date().toISOString() });
+        try {
+            localStorage.setItem(LS_KEY_HISTORY, JSON.stringify(history.slice(-MAX_HISTORY)));
+        } catch (e) {
+            console.error("Ошибка при сохранении истории в localStorage:", e);
+        }
+    };
 
-        verifyInnButton.addEventListener('click', async () => {
-            const inn = innInput.value.trim();
-            if (!inn) {
-                TelegramWebApp.getWebApp().showAlert('Пожалуйста, введите ИНН для проверки.');
-                return;
-            }
-            if (!/^\d{10}$|^\d{12}$/.test(inn)) {
-                TelegramWebApp.getWebApp().showAlert('Некорректный формат ИНН. ИНН должен состоять из 10 или 12 цифр.');
-                return;
-            }
+    /**
+     * @function clearHistory
+     * @description Удаляет локальную историю просмотров и маршрутов.
+     */
+    const clearHistory = () => {
+        localStorage.removeItem(LS_KEY_HISTORY);
+    };
 
-            TelegramWebApp.getWebApp().MainButton.showProgress(false);
-            const result = await UserSystem.verifyInn(inn, innVerificationStatusElement, fnsCompanyDataElement);
-            TelegramWebApp.getWebApp().MainButton.hideProgress();
+    /**
+     * @function getGroupId
+     * @description Возвращает ID группы категории (для группы — ее собственный ID).
+     * @param {string} categoryId - ID категории.
+     * @returns {string|null}
+     */
+    const getGroupId = (categoryId) => {
+        const category = CategoryRegistry.find(categoryId);
+        if (!category) return null;
+        return category.parentId || category.id;
+    };
 
-            if (result && result.status === 'success') {
-               fnsCompanyDataElement.dataset.isVerified = 'true';
-               fnsCompanyDataElement.dataset.fnsData = JSON.stringify(result.company);
-            } else {
-               fnsCompanyDataElement.dataset.isVerified = 'false';
-               fnsCompanyDataElement.dataset.fnsData = '';
+    /**
+     * @function createAffinity
+     * @description Создает накопитель интереса к категориям: вклад засчитывается категории целиком
+     * и ее группе с половинным весом.
+     * @returns {{add: function(string, number): void, get: function(string): number}}
+     */
+    const createAffinity = () => {
+        const byCategory = new Map();
+        const byGroup = new Map();
+        return {
+            add: (categoryId, weight) => {
+                byCategory.set(categoryId, (byCategory.get(categoryId) || 0) + weight);
+                const groupId = getGroupId(categoryId);
+                if (groupId) byGroup.set(groupId, (byGroup.get(groupId) || 0) + weight);
+            },
+            get: (categoryId) => {
+                const own = byCategory.get(categoryId) || 0;
+                const groupId = getGroupId(categoryId);
+                const group = groupId ? (byGroup.get(groupId) || 0) : 0;
+                return own + (group - own) / 2;
             }
+        };
+    };
+
+    /**
+     * @function recommend
+     * @description Оценивает заведения для пользователя так же, как сервер. Избранные заведения
+     * не рекомендуются, при равной оценке порядок определяется ID заведения.
+     * @param {Array<object>} items - Заведения-кандидаты.
+     * @param {object} request - Данные пользователя (см. buildRequest).
+     * @param {Date} [now=new Date()] - Текущий момент (для затухания истории).
+     * @returns {Array<{establishment: object, score: number, distance: number|null, reasons: Array<string>}>}
+     */
+    const recommend = (items, request, now = new Date()) => {
+        const byId = new Map(items.map(item => [item.id, item]));
+        const favoriteIds = new Set(request.favoriteEstablishments);
+
+        const favoriteAffinity = createAffinity();
+        request.favoriteEstablishments.forEach(id => {
+            const item = byId.get(id);
+            if (item) favoriteAffinity.add(item.category, FAVORITE_ESTABLISHMENT_AFFINITY);
         });
 
-        // Очистка статуса при изменении ИНН
-        innInput.addEventListener('input', () => {
-           innVerificationStatusElement.style.display = 'none';
-           fnsCompanyDataElement.style.display = 'none';
-           fnsCompanyDataElement.dataset.isVerified = 'false';
-           fnsCompanyDataElement.dataset.fnsData = '';
+        const historyAffinity = createAffinity();
+        const seenIds = new Set();
+        request.history.forEach(event => {
+            const item = byId.get(event.establishmentId);
+            if (!item) return;
+            const ageDays = Math.max(0, now.getTime() - Date.parse(event.at)) / DAY_MS;
+            historyAffinity.add(item.category, HISTORY_WEIGHTS[event.type] * 0.5 ** (ageDays / HISTORY_HALF_LIFE_DAYS));
+            seenIds.add(item.id);
         });
 
-         // ====================================
-         // ЭКРАН ВХОДА В БИЗНЕС-РЕЖИМ
-         // ====================================
-         document.getElementById('login-business-button').addEventListener('click', () => {
-             UserSystem.loginBusiness(); // Вызов функции входа предпринимателя
-         });
+        const results = items
+            .filter(item => !favoriteIds.has(item.id) && Array.isArray(item.coordinates))
+            .map(item => {
+                const reasons = [];
+                const inFavoriteCategory = request.favoriteCategories.some(id => CategoryRegistry.matches(item.category, id));
+                const fromFavorites = favoriteAffinity.get(item.category);
+                const fromHistory = historyAffinity.get(item.category);
+                if (inFavoriteCategory) reasons.push('favoriteCategory');
+                if (fromFavorites > 0) reasons.push('similarToFavorites');
+                if (fromHistory > 0) reasons.push('history');
+
+                const affinity = (inFavoriteCategory ? FAVORITE_CATEGORY_AFFINITY : 0) + fromFavorites + fromHistory;
+                const categoryScore = 1 - Math.exp(-affinity / AFFINITY_SCALE);
+
+                const rating = Number(item.rating) || 0;
+                if (rating >= HIGH_RATING) reasons.push('highRating');
+                const ratingScore = Math.min(rating, 5) / 5;
+
+                let distance = null;
+                let proximityScore = 0;
+                if (request.location) {
+                    distance = Math.round(GeoUtils.distance(request.location, item.coordinates));
+                    proximityScore = Math.exp(-distance / PROXIMITY_SCALE_METERS);
+                    if (distance <= NEARBY_DISTANCE_METERS) reasons.push('nearby');
+                }
+
+                let score = SCORE_WEIGHTS.category * categoryScore
+                    + SCORE_WEIGHTS.rating * ratingScore
+                    + SCORE_WEIGHTS.proximity * proximityScore;
+                if (seenIds.has(item.id)) score *= SEEN_PENALTY;
 
+                return { establishment: item, score: Math.round(score * 1e6) / 1e6, distance, reasons };
+            })
+            .filter(result => result.score > 0);
+
+        results.sort((a, b) => b.score - a.score
+            || (a.establishment.id < b.establishment.id ? -1 : a.establishment.id > b.establishment.id ? 1 : 0));
+        return results.slice(0, request.limit);
     };
 
     /**
-     * @function validateEmail
-     * @description Вспомогательная функция для клиентской валидации формата Email.
-     * @param {string} email - Строка с Email для проверки.
-     * @returns {boolean} True, если Email соответствует формату, иначе false.
+     * @function buildRequest
+     * @description Собирает данные пользователя для расчета рекомендаций.
+     * @returns {{favoriteCategories: Array<string>, favoriteEstablishments: Array<string>, history: Array<object>, location: Array<number>|null, limit: number}}
      */
-    const validateEmail = (email) => {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+    const buildRequest = () => {
+        const referencePoint = MapSystem.getReferencePoint();
+        return {
+            favoriteCategories: UserSystem.getFavoriteCategories(),
+            favoriteEstablishments: UserSystem.getFavoriteEstablishments(),
+            history: loadHistory(),
+            location: referencePoint ? referencePoint.coordinates : null,
+            limit: RECOMMENDATIONS_LIMIT
+        };
     };
 
-    return {
-        goToScreen,
-        goBack,
-        setupEventListeners,
-        getCurrentScreenId
+    /**
+     * @function getRecommendations
+     * @description Возвращает рекомендации для текущего пользователя. Сначала запрашивает сервер,
+     * при ошибке считает рекомендации локально по заведениям, загруженным на карту
+     * (избранные и заведения из истории догружаются по ID).
+     * @returns {Promise<{results: Array<object>, source: string}>} source: 'server' или 'local'.
+     * @throws {Error} AbortError, если запрос отменен более новым.
+     */
+    const getRecommendations = async () => {
+        if (recommendationsRequest) recommendationsRequest.abort();
+        const controller = new AbortController();
+        recommendationsRequest = controller;
+        const request = buildRequest();
+        try {
+            const { ok, status, data } = await ApiClient.post('/api/recommendations', request, { signal: controller.signal });
+            if (!ok) {
+                throw new Error((data && data.message) || `HTTP ${status}`);
+            }
+            return { results: data.results, source: 'server' };
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.error("Ошибка при получении рекомендаций с сервера, расчет на устройстве:", error);
+            const knownIds = [...request.favoriteEstablishments, ...request.history.map(event => event.establishmentId)];
+            await MapSystem.ensureEstablishments([...new Set(knownIds)]);
+            return { results: recommend(MapSystem.getEstablishments(), request), source: 'local' };
+        } finally {
+            if (recommendationsRequest === controller) recommendationsRequest = null;
+        }
     };
-})();
 
-// ========================================================
-// Модуль 7: Система Персональных Рекомендаций (Placeholder)
-// Описание: В будущем будет предоставлять персонализированные рекомендации
-// заведений на основе любимых категорий, избранного и истории пользователя.
-// Сейчас это заглушка для демонстрации структуры.
-// ========================================================
-const RecommendationSystem = (() => {
     /**
-     * @function getRecommendations
-     * @description Возвращает список рекомендованных заведений для текущего пользователя.
-     * В текущей реализации возвращает моковые данные.
-     * @returns {Array<object>} Массив рекомендованных заведений.
+     * @function renderRecommendations
+     * @description Отрисовывает список рекомендаций на экране "Для вас".
+     * Нажатие на заведение открывает его карточку.
+     * @param {Array<object>} results - Рекомендации.
+     * @param {string} source - 'server' или 'local'.
      */
-    const getRecommendations = () => {
-        const currentUser = UserSystem.getProfile();
-        if (!currentUser) return [];
-
-        console.log("Generating recommendations for user:", currentUser);
-        // TODO: Реализовать логику персонализированных рекомендаций на основе:
-        // - UserSystem.getFavoriteCategories()
-        // - UserSystem.getFavoriteEstablishments()
-        // - Истории посещений/взаимодействий пользователя (будет реализовано позднее)
-
-        // Моковые рекомендации
-        return [
-            { id: 'rec1', name: 'Рекомендованное Кафе', description: 'Популярное место рядом с вами.' },
-            { id: 'rec2', name: 'Новый Ресторан', description: 'Откройте для себя что-то новое!' }
-        ];
+    const renderRecommendations = (results, source) => {
+        const list = document.getElementById('recommendations-list');
+        const status = document.getElementById('recommendations-status');
+        list.innerHTML = '';
+        status.innerText = source === 'local'
+            ? 'Нет связи с сервером: рекомендации подобраны среди заведений, загруженных на карту.'
+            : '';
+
+        if (results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'establishment-list-empty';
+            empty.innerText = 'Пока нечего посоветовать. Отметьте любимые категории или добавьте заведения в избранное.';
+            list.appendChild(empty);
+            return;
+        }
+
+        results.forEach(({ establishment, distance, reasons }) => {
+            const item = document.createElement('li');
+            item.className = 'establishment-list-item';
+
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = 'establishment-list-row';
+            const category = CategoryRegistry.find(establishment.category);
+            const icon = document.createElement('span');
+            icon.className = 'icon';
+            icon.setAttribute('aria-hidden', 'true');
+            icon.textContent = category ? category.icon : '📍';
+            const main = document.createElement('span');
+            main.className = 'main';
+            const name = document.createElement('span');
+            name.className = 'name';
+            name.textContent = establishment.name;
+            const details = document.createElement('span');
+            details.className = 'details';
+            details.textContent = [
+                establishment.rating ? `⭐ ${establishment.rating}` : 'Нет оценок',
+                establishment.priceCategory,
+                category ? category.name : null
+            ].filter(Boolean).join(' · ');
+            const reasonsLabel = document.createElement('span');
+            reasonsLabel.className = 'recommendation-reasons';
+            reasonsLabel.textContent = reasons.map(reason => REASON_LABELS[reason]).filter(Boolean).join(' · ');
+            main.append(name, details, reasonsLabel);
+            row.append(icon, main);
+            if (distance !== null) {
+                const distanceLabel = document.createElement('span');
+                distanceLabel.className = 'distance';
+                distanceLabel.textContent = GeoUtils.formatDistance(distance);
+                row.appendChild(distanceLabel);
+            }
+            row.setAttribute('aria-label', `${establishment.name}: ${details.textContent}. ${reasonsLabel.textContent}`);
+            row.addEventListener('click', () => ModalSystem.showEstablishmentDetails(establishment));
+
+            item.appendChild(row);
+            list.appendChild(item);
+        });
+    };
+
+    /**
+     * @function showRecommendationsScreen
+     * @description Загружает и показывает рекомендации при открытии экрана "Для вас".
+     */
+    const showRecommendationsScreen = async () => {
+        document.getElementById('recommendations-status').innerText = 'Подбираем заведения…';
+        document.getElementById('recommendations-list').innerHTML = '';
+        try {
+            const { results, source } = await getRecommendations();
+            if (Navigation.getCurrentScreenId() === 'recommendations-screen') {
+                renderRecommendations(results, source);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error("Ошибка при подборе рекомендаций:", error);
+        }
     };
 
     return {
-        getRecommendations
+        recordInteraction,
+        clearHistory,
+        recommend,
+        getRecommendations,
+        showRecommendationsScreen
     };
 })();
 
@@ -1981,21 +6199,20 @@ const NotificationSystem = (() => {
     const notificationToggle = document.getElementById('notification-toggle');
     const notificationStatusMessage = document.getElementById('notification-status-message');
     const notificationSettingsOpenButton = document.getElementById('notification-settings-button');
+    const notificationCategoriesList = document.getElementById('notification-categories-list');
+
+    // Пользователь определяется сервером по подписанным данным Telegram (initData),
+    // поэтому ID пользователя в запросах не передается.
 
     // Функция для отправки запроса на подписку
-    async function subscribeToNotifications(userId) {
+    async function subscribeToNotifications(categories) {
         try {
-            const response = await fetch('/api/notifications/subscribe', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ userId })
-            });
-            const data = await response.json();
-            if (data.success) {
+            const { data } = await ApiClient.post('/api/notifications/subscribe', { categories });
+            if (data && data.success) {
                 console.log('Подписка на уведомления успешна:', data.message);
                 notificationStatusMessage.textContent = 'Вы подписаны на уведомления.';
             } else {
-                console.error('Ошибка подписки на уведомления:', data.message);
+                console.error('Ошибка подписки на уведомления:', data && data.message);
                 notificationStatusMessage.textContent = 'Ошибка при подписке на уведомления.';
             }
         } catch (error) {
@@ -2006,19 +6223,14 @@ const NotificationSystem = (() => {
     }
 
     // Функция для отправки запроса на отписку
-    async function unsubscribeFromNotifications(userId) {
+    async function unsubscribeFromNotifications() {
         try {
-            const response = await fetch('/api/notifications/unsubscribe', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ userId })
-            });
-            const data = await response.json();
-            if (data.success) {
+            const { data } = await ApiClient.post('/api/notifications/unsubscribe', {});
+            if (data && data.success) {
                 console.log('Отписка от уведомлений успешна:', data.message);
                 notificationStatusMessage.textContent = 'Вы отписаны от уведомлений.';
             } else {
-                console.error('Ошибка отписки от уведомлений:', data.message);
+                console.error('Ошибка отписки от уведомлений:', data && data.message);
                 notificationStatusMessage.textContent = 'Ошибка при отписке от уведомлений.';
             }
         } catch (error) {
@@ -2028,30 +6240,70 @@ const NotificationSystem = (() => {
         updateToggleButton();
     }
 
-    // Функция для проверки статуса подписки
-    async function checkNotificationStatus(userId) {
+    // Функция для сохранения категорий, о которых пользователь хочет получать уведомления
+    async function updateNotificationCategories(categories) {
+        try {
+            const { data } = await ApiClient.put('/api/notifications/preferences', { categories });
+            if (!data || !data.success) {
+                console.error('Ошибка сохранения категорий уведомлений:', data && data.message);
+                notificationStatusMessage.textContent = 'Не удалось сохранить категории уведомлений.';
+            }
+        } catch (error) {
+            console.error('Ошибка сети при сохранении категорий уведомлений:', error);
+            notificationStatusMessage.textContent = 'Ошибка сети. Попробуйте позже.';
+        }
+    }
+
+    // Функция для проверки статуса подписки.
+    // Возвращает { subscribed, categories } или null, если пользователь не авторизован в Telegram.
+    async function checkNotificationStatus() {
         try {
-            const response = await fetch(`/api/notifications/status?userId=${userId}`);
-            const data = await response.json();
-            return data.subscribed;
+            const { ok, data } = await ApiClient.get('/api/notifications/status');
+            if (!ok) return null;
+            return data;
         } catch (error) {
             console.error('Ошибка проверки статуса уведомлений:', error);
-            return false;
+            return null;
         }
     }
 
+    // Список категорий, отмеченных в настройках уведомлений
+    function getSelectedCategories() {
+        if (!notificationCategoriesList) return [];
+        return Array.from(notificationCategoriesList.querySelectorAll('input[type="checkbox"]:checked')).map(input => input.value);
+    }
+
+    // Отрисовка чекбоксов категорий (пустой выбор — уведомления по всем категориям)
+    function renderCategoryCheckboxes(selectedCategories, disabled) {
+        if (!notificationCategoriesList) return;
+        notificationCategoriesList.innerHTML = '';
+        CategoryRegistry.getAll().forEach(category => {
+            const item = document.createElement('div');
+            item.classList.add('category-item');
+            item.innerHTML = `
+                <input type="checkbox" id="notify-cat-${category.id}" value="${category.id}" ${selectedCategories.includes(category.id) ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+                <label for="notify-cat-${category.id}">${category.icon} ${category.name}</label>
+            `;
+            item.querySelector('input').addEventListener('change', () => {
+                updateNotificationCategories(getSelectedCategories());
+            });
+            notificationCategoriesList.appendChild(item);
+        });
+    }
+
     // Обновление состояния переключателя и сообщения
     async function updateToggleButton() {
-        const currentUser = UserSystem.getCurrentUser();
-        if (currentUser && currentUser.id) {
-            const isSubscribed = await checkNotificationStatus(currentUser.id);
-            notificationToggle.checked = isSubscribed;
+        const status = await checkNotificationStatus();
+        if (status) {
+            notificationToggle.checked = status.subscribed;
             notificationToggle.disabled = false; // Разблокировать переключатель
-            notificationStatusMessage.textContent = isSubscribed ? 'Вы подписаны на уведомления.' : 'Вы не подписаны на уведомления.';
+            notificationStatusMessage.textContent = status.subscribed ? 'Вы подписаны на уведомления.' : 'Вы не подписаны на уведомления.';
+            renderCategoryCheckboxes(status.categories || [], false);
         } else {
             notificationToggle.checked = false;
-            notificationStatusMessage.textContent = 'Войдите, чтобы управлять уведомлениями.';
+            notificationStatusMessage.textContent = 'Откройте приложение в Telegram, чтобы управлять уведомлениями.';
             notificationToggle.disabled = true; // Заблокировать переключатель, если пользователь не авторизован
+            renderCategoryCheckboxes([], true);
         }
     }
 
@@ -2078,18 +6330,10 @@ const NotificationSystem = (() => {
 
         if (notificationToggle) {
             notificationToggle.addEventListener('change', async (e) => {
-                const currentUser = UserSystem.getCurrentUser();
-                if (!currentUser || !currentUser.id) {
-                    console.warn('Пользователь не авторизован для изменения настроек уведомлений.');
-                    e.target.checked = false; // Откатить изменение, если нет пользователя
-                    notificationStatusMessage.textContent = 'Войдите, чтобы управлять уведомлениями.';
-                    return;
-                }
-
                 if (e.target.checked) {
-                    await subscribeToNotifications(currentUser.id);
+                    await subscribeToNotifications(getSelectedCategories());
                 } else {
-                    await unsubscribeFromNotifications(currentUser.id);
+                    await unsubscribeFromNotifications();
                 }
             });
         }
@@ -2107,20 +6351,465 @@ const NotificationSystem = (() => {
     };
 })();
 
+// ========================================================
+// Модуль: StatsSystem - Статистика заведений предпринимателя
+// Описание: Экран статистики владельца: просмотры карточки, построенные маршруты,
+// добавления в избранное и показы в поиске по дням, неделям или месяцам.
+// Данные собирает сервер из журнала действий пользователей (GET /api/establishments/:id/stats).
+// ========================================================
+const StatsSystem = (() => {
+    const METRIC_LABELS = {
+        views: 'Просмотры карточки',
+        routes: 'Построенные маршруты',
+        favorites: 'Добавления в избранное',
+        impressions: 'Показы в поиске'
+    };
+    const PERIOD_LABELS = { day: 'за 30 дней', week: 'за 12 недель', month: 'за 12 месяцев' };
+    const MONTH_NAMES = ['янв', 'фев', 'мар', 'апр', 'май', 'июн', 'июл', 'авг', 'сен', 'окт', 'ноя', 'дек'];
+    const CHART_WIDTH = 300;
+    const CHART_HEIGHT = 90;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    let currentPeriod = 'day';
+    let statsRequest = null; // AbortController текущего запроса
+
+    const getSelect = () => document.getElementById('stats-establishment-select');
+    const getStatus = () => document.getElementById('stats-status');
+    const getCharts = () => document.getElementById('stats-charts');
+
+    /**
+     * @function formatBucketLabel
+     * @description Форматирует начало шага графика: "05.10" для дня, "с 05.10" для недели, "окт 2026" для месяца.
+     * @param {string} start - Дата ГГГГ-ММ-ДД.
+     * @param {string} period - 'day', 'week' или 'month'.
+     * @returns {string}
+     */
+    const formatBucketLabel = (start, period) => {
+        const [year, month, day] = start.split('-');
+        if (period === 'month') return `${MONTH_NAMES[Number(month) - 1]} ${year}`;
+        return period === 'week' ? `с ${day}.${month}` : `${day}.${month}`;
+    };
+
+    /**
+     * @function createChart
+     * @description Создает столбчатую диаграмму показателя (SVG). Значение каждого столбца
+     * видно во всплывающей подсказке, под диаграммой подписаны первый и последний шаг.
+     * @param {Array<object>} buckets - Шаги отчета.
+     * @param {string} metric - Показатель.
+     * @param {string} period - Период отчета.
+     * @returns {SVGElement}
+     */
+    const createChart = (buckets, metric, period) => {
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${CHART_WIDTH} ${CHART_HEIGHT + 14}`);
+        svg.setAttribute('class', 'stats-chart');
+        svg.setAttribute('role', 'img');
+
+        const max = Math.max(1, ...buckets.map(bucket => bucket[metric]));
+        const slot = CHART_WIDTH / buckets.length;
+        buckets.forEach((bucket, index) => {
+            const value = bucket[metric];
+            const height = value > 0 ? Math.max(2, (value / max) * CHART_HEIGHT) : 0;
+            const bar = document.createElementNS(SVG_NS, 'rect');
+            bar.setAttribute('x', String(index * slot + slot * 0.15));
+            bar.setAttribute('y', String(CHART_HEIGHT - height));
+            bar.setAttribute('width', String(slot * 0.7));
+            bar.setAttribute('height', String(height));
+            bar.setAttribute('class', 'stats-chart-bar');
+            const title = document.createElementNS(SVG_NS, 'title');
+            title.textContent = `${formatBucketLabel(bucket.start, period)}: ${value}`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+
+        [[buckets[0], 'start', 0], [buckets[buckets.length - 1], 'end', CHART_WIDTH]].forEach(([bucket, anchor, x]) => {
+            const label = document.createElementNS(SVG_NS, 'text');
+            label.setAttribute('x', String(x));
+            label.setAttribute('y', String(CHART_HEIGHT + 12));
+            label.setAttribute('text-anchor', anchor);
+            label.setAttribute('class', 'stats-chart-label');
+            label.textContent = formatBucketLabel(bucket.start, period);
+            svg.appendChild(label);
+        });
+
+        svg.setAttribute('aria-label', `${METRIC_LABELS[metric]}: `
+            + buckets.map(bucket => `${formatBucketLabel(bucket.start, period)} — ${bucket[metric]}`).join(', '));
+        return svg;
+    };
+
+    /**
+     * @function renderReport
+     * @description Отрисовывает итоги и диаграммы по каждому показателю.
+     * @param {object} report - Ответ /api/establishments/:id/stats.
+     */
+    const renderReport = (report) => {
+        const charts = getCharts();
+        charts.innerHTML = '';
+        const hasData = Object.values(report.totals).some(total => total > 0);
+        getStatus().innerText = hasData
+            ? `Данные ${PERIOD_LABELS[report.period]}.`
+            : `Пока нет данных ${PERIOD_LABELS[report.period]}: статистика появится, когда пользователи начнут находить ваше заведение.`;
+
+        Object.keys(METRIC_LABELS).forEach(metric => {
+            const block = document.createElement('div');
+            block.className = 'stats-metric';
+            const header = document.createElement('div');
+            header.className = 'stats-metric-header';
+            const name = document.createElement('span');
+            name.textContent = METRIC_LABELS[metric];
+            const total = document.createElement('strong');
+            total.textContent = String(report.totals[metric]);
+            header.append(name, total);
+            block.append(header, createChart(report.buckets, metric, report.period));
+            charts.appendChild(block);
+        });
+    };
+
+    /**
+     * @function loadStats
+     * @description Загружает статистику выбранного заведения за выбранный период.
+     * Предыдущий незавершенный запрос отменяется.
+     */
+    const loadStats = async () => {
+        const establishmentId = getSelect().value;
+        if (!establishmentId) return;
+        if (statsRequest) statsRequest.abort();
+        const controller = new AbortController();
+        statsRequest = controller;
+        getStatus().innerText = 'Загрузка статистики…';
+        try {
+            const { ok, status, data } = await ApiClient.get(
+                `/api/establishments/${encodeURIComponent(establishmentId)}/stats?period=${currentPeriod}`,
+                { signal: controller.signal }
+            );
+            if (!ok) {
+                throw new Error((data && data.message) || `HTTP ${status}`);
+            }
+            renderReport(data);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error("Ошибка при загрузке статистики:", error);
+            getCharts().innerHTML = '';
+            getStatus().innerText = `Не удалось загрузить статистику: ${error.message}`;
+        } finally {
+            if (statsRequest === controller) statsRequest = null;
+        }
+    };
+
+    /**
+     * @function show
+     * @description Заполняет список заведений предпринимателя и загружает статистику
+     * при открытии экрана.
+     */
+    const show = () => {
+        const select = getSelect();
+        const profile = UserSystem.getProfile();
+        const establishments = (profile && profile.establishments) || [];
+        const previous = select.value;
+        select.innerHTML = '';
+        establishments.forEach(est => {
+            const option = document.createElement('option');
+            option.value = est.id;
+            option.textContent = est.status === 'pending' ? `${est.name} (черновик)` : est.name;
+            select.appendChild(option);
+        });
+        if (establishments.some(est => est.id === previous)) select.value = previous;
+
+        if (establishments.length === 0) {
+            getCharts().innerHTML = '';
+            getStatus().innerText = 'У вас пока нет заведений. Добавьте заведение, чтобы видеть его статистику.';
+            return;
+        }
+        loadStats();
+    };
+
+    /**
+     * @function init
+     * @description Подключает выбор заведения и периода.
+     */
+    const init = () => {
+        getSelect().addEventListener('change', loadStats);
+        document.querySelectorAll('.stats-period-button').forEach(button => {
+            button.addEventListener('click', () => {
+                currentPeriod = button.dataset.period;
+                document.querySelectorAll('.stats-period-button').forEach(other => {
+                    const isActive = other === button;
+                    other.classList.toggle('active', isActive);
+                    other.setAttribute('aria-pressed', String(isActive));
+                });
+                loadStats();
+            });
+        });
+    };
+
+    return {
+        init,
+        show
+    };
+})();
+
+// ========================================================
+// Модуль: ModerationSystem - Модерация (для администраторов)
+// Описание: Показывает администраторам (ID из ADMIN_TELEGRAM_IDS на сервере) очередь модерации:
+// новые и измененные заведения, отзывы и фото с жалобами пользователей, заведения, о проблемах
+// с которыми сообщили пользователи. По каждому элементу
+// можно принять решение: одобрить, отклонить или заблокировать автора (/api/admin/*).
+// ========================================================
+const ModerationSystem = (() => {
+    // Разделы очереди: ключ ответа /api/admin/queue, тип элемента для решения и список на экране
+    const SECTIONS = [
+        { key: 'establishments', type: 'establishment', listId: 'moderation-establishments', empty: 'Нет заведений на проверке.' },
+        { key: 'reviews', type: 'review', listId: 'moderation-reviews', empty: 'Нет жалоб на отзывы.' },
+        { key: 'photos', type: 'photo', listId: 'moderation-photos', empty: 'Нет жалоб на фото.' },
+        { key: 'reports', type: 'report', listId: 'moderation-reports', empty: 'Нет сообщений о проблемах.' }
+    ];
+    const ACTION_LABELS = { approve: '✅ Одобрить', reject: '🚫 Отклонить', ban: '⛔ Заблокировать автора' };
+
+    const getStatus = () => document.getElementById('moderation-status');
+
+    /**
+     * @function renderEntryContent
+     * @description Создает описание элемента очереди: заведение, отзыв, фото или сообщения о проблемах.
+     * @param {string} type - Тип элемента ('establishment', 'review', 'photo' или 'report').
+     * @param {object} entry - Элемент очереди.
+     * @returns {HTMLElement}
+     */
+    const renderEntryContent = (type, entry) => {
+        const content = document.createElement('div');
+        content.className = 'moderation-content';
+        const title = document.createElement('strong');
+        const details = document.createElement('p');
+        details.className = 'moderation-details';
+
+        if (type === 'establishment') {
+            const { establishment } = entry;
+            title.textContent = `${establishment.name} · ${entry.isNew ? 'новое' : 'изменено'}`;
+            details.textContent = [
+                CategoryRegistry.getLabel(establishment.category),
+                establishment.description,
+                establishment.contact,
+                establishment.moderation ? 'сейчас скрыто' : null
+            ].filter(Boolean).join(' · ');
+            content.append(title, details);
+            const photos = document.createElement('div');
+            photos.className = 'moderation-photos';
+            (establishment.photos || []).forEach(photo => {
+                const img = document.createElement('img');
+                img.src = PhotoUtils.getThumbnailUrl(photo);
+                img.alt = '';
+                photos.appendChild(img);
+            });
+            const openButton = document.createElement('button');
+            openButton.type = 'button';
+            openButton.className = 'telegram-button small-button secondary-button';
+            openButton.innerText = 'Карточка заведения';
+            openButton.addEventListener('click', () => ModalSystem.showEstablishmentDetails(establishment));
+            content.append(photos, openButton);
+            return content;
+        }
+
+        title.textContent = entry.establishment.name;
+        if (type === 'report') {
+            title.textContent += entry.isHidden ? ' · скрыто до проверки' : '';
+            details.textContent = entry.reasons.map(({ reason, count }) => {
+                const known = ModalSystem.REPORT_REASONS.find(item => item.id === reason);
+                return `${known ? known.label : reason}: ${count}`;
+            }).join(' · ');
+            content.append(title, details);
+            entry.comments.forEach(comment => {
+                const p = document.createElement('p');
+                p.className = 'moderation-details';
+                p.textContent = `«${comment}»`;
+                content.appendChild(p);
+            });
+        } else if (type === 'review') {
+            details.textContent = `${entry.review.author} (${entry.review.rating} ★): ${entry.review.text || 'без текста'}`;
+            content.append(title, details);
+        } else {
+            const link = document.createElement('a');
+            link.href = PhotoUtils.getFullUrl(entry.photo);
+            link.target = '_blank';
+            link.rel = 'noopener';
+            const img = document.createElement('img');
+            img.src = PhotoUtils.getThumbnailUrl(entry.photo);
+            img.alt = '';
+            link.appendChild(img);
+            const photos = document.createElement('div');
+            photos.className = 'moderation-photos';
+            photos.appendChild(link);
+            content.append(title, photos);
+        }
+        const reports = document.createElement('p');
+        reports.className = 'moderation-details';
+        reports.textContent = `${type === 'report' ? 'Сообщили пользователей' : 'Жалоб'}: ${entry.reportCount}`;
+        content.appendChild(reports);
+        return content;
+    };
+
+    /**
+     * @function askReason
+     * @description Спрашивает причину решения. Для заведения ее увидит владелец.
+     * @param {string} type - Тип элемента.
+     * @param {string} action - 'reject' или 'ban'.
+     * @returns {Promise<string|null>} Причина или null, если модератор передумал.
+     */
+    const askReason = (type, action) => new Promise((resolve) => {
+        const ask = () => {
+            const reason = window.prompt(type === 'establishment' || type === 'report'
+                ? 'Причина (ее увидит владелец заведения):'
+                : 'Причина (для журнала модерации):', '');
+            resolve(reason === null ? null : reason.trim());
+        };
+        if (action !== 'ban') {
+            ask();
+            return;
+        }
+        TelegramWebApp.getWebApp().showConfirm('Заблокировать автора? Он не сможет добавлять заведения, отзывы и фото, а его заведения будут скрыты.', (confirmed) => {
+            if (confirmed) {
+                ask();
+            } else {
+                resolve(null);
+            }
+        });
+    });
+
+    /**
+     * @function decide
+     * @description Отправляет решение модератора и обновляет очередь.
+     * @param {string} type - Тип элемента.
+     * @param {string} id - ID элемента очереди.
+     * @param {string} action - 'approve', 'reject' или 'ban'.
+     */
+    const decide = async (type, id, action) => {
+        const reason = action === 'approve' ? '' : await askReason(type, action);
+        if (reason === null) return;
+        try {
+            const { ok, data } = await ApiClient.post(`/api/admin/queue/${type}/${encodeURIComponent(id)}`, { action, reason });
+            if (!ok) {
+                TelegramWebApp.getWebApp().showAlert((data && data.message) || 'Не удалось применить решение.');
+                return;
+            }
+            if (data.establishment) {
+                MapSystem.replaceEstablishment(data.establishment);
+            }
+            if (action !== 'approve') {
+                MapSystem.reloadViewport(); // Скрытые заведения и убранные фото пропадают с карты
+            }
+        } catch (error) {
+            console.error("Ошибка при отправке решения модератора:", error);
+            TelegramWebApp.getWebApp().showAlert('Не удалось применить решение: нет связи с сервером.');
+            return;
+        }
+        show();
+    };
+
+    /**
+     * @function renderSection
+     * @description Отображает раздел очереди.
+     * @param {object} section - Раздел из SECTIONS.
+     * @param {Array<object>} entries - Элементы раздела.
+     */
+    const renderSection = (section, entries) => {
+        const list = document.getElementById(section.listId);
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'establishment-list-empty';
+            empty.textContent = section.empty;
+            list.appendChild(empty);
+            return;
+        }
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'moderation-item';
+            item.appendChild(renderEntryContent(section.type, entry));
+            const actions = document.createElement('div');
+            actions.className = 'moderation-actions';
+            Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `telegram-button small-button${action === 'approve' ? '' : ' secondary-button'}`;
+                button.innerText = label;
+                button.addEventListener('click', () => decide(section.type, entry.id, action));
+                actions.appendChild(button);
+            });
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    };
+
+    /**
+     * @function show
+     * @description Загружает очередь модерации при открытии экрана.
+     */
+    const show = async () => {
+        getStatus().innerText = 'Загрузка очереди...';
+        try {
+            const { ok, data } = await ApiClient.get('/api/admin/queue');
+            if (!ok) {
+                getStatus().innerText = (data && data.message) || 'Не удалось загрузить очередь модерации.';
+                return;
+            }
+            const total = SECTIONS.reduce((sum, section) => sum + data[section.key].length, 0);
+            getStatus().innerText = total > 0 ? `На проверке: ${total}` : 'Очередь пуста.';
+            SECTIONS.forEach(section => renderSection(section, data[section.key]));
+        } catch (error) {
+            console.error("Ошибка при загрузке очереди модерации:", error);
+            getStatus().innerText = 'Нет связи с сервером.';
+        }
+    };
+
+    /**
+     * @function init
+     * @description Показывает вход в модерацию, если у пользователя есть роль администратора.
+     */
+    const init = async () => {
+        if (!TelegramWebApp.getWebApp().initData) return;
+        try {
+            const { ok, data } = await ApiClient.get('/api/admin/status');
+            document.getElementById('moderation-nav-button').style.display = ok && data.isAdmin ? '' : 'none';
+        } catch (error) {
+            console.warn("Не удалось проверить роль администратора:", error);
+        }
+    };
+
+    return {
+        init,
+        show
+    };
+})();
+
 // ========================================================
 // Главная инициализация приложения
 // Описание: Точка входа в приложение. Выполняет начальную инициализацию
 // всех модулей после полной загрузки DOM.
 // ========================================================
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     TelegramWebApp.init(); // Инициализация Telegram WebApp
+    await CategoryRegistry.load(); // Справочник категорий нужен всем модулям ниже
     UserSystem.init(); // Инициализация системы пользователей
     MapSystem.initMap(); // Инициализация системы карты
     Navigation.setupEventListeners(); // Настройка всех обработчиков событий
-    NotificationSystem.init(); // Инициализация системы уведомлений
 
-    // Активируем экран карты по умолчанию при загрузке приложения
+    // Фильтры карты из ссылки, по которой открыто приложение (адрес страницы или start_param)
+    const initialFilters = FilterLink.readInitial();
+    MapSystem.updateFilters(initialFilters);
+    Navigation.syncFilterControls(initialFilters);
+    if (initialFilters.search) {
+        SearchSystem.handleInput(initialFilters.search);
+    }
+    NotificationSystem.init(); // Инициализация системы уведомлений
+    EstablishmentMerge.init(); // Экран объединения изменений заведения
+    OfflineMode.init(); // Service worker и отправка изменений, сделанных без связи
+    EventLog.init(); // Отправка журнала действий, накопленного с прошлого запуска
+    StatsSystem.init(); // Экран статистики предпринимателя
+    ModerationSystem.init(); // Вход в модерацию для администраторов
+    FavoriteLists.init(); // Именованные списки заведений
+
+    // Активируем экран карты по умолчанию при загрузке приложения,
+    // а если приложение открыто по ссылке на заведение или список — показываем его
     Navigation.goToScreen('main-map-screen');
+    DeepLink.openInitial();
 
     // Пример: при изменении темы Telegram обновляем карту (если необходимо)
     TelegramWebApp.getWebApp().onEvent('themeChanged', () => {
@@ -2130,10 +6819,4 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log("Theme changed, map might need update.");
         }
     });
-
-    // Пример использования системы рекомендаций (в будущем можно отображать на отдельном экране)
-    const recommendations = RecommendationSystem.getRecommendations();
-    if (recommendations.length > 0) {
-        console.log("Рекомендованные заведения:", recommendations);
-    }
 });
@@ -0,0 +1,105 @@
+/**
+ * sw.js
+ * Service worker MapCost: кэширует оболочку приложения (страницу, стили, скрипты),
+ * чтобы приложение открывалось без сети, например в метро.
+ *
+ * - Оболочка и справочник категорий: сначала сеть, без сети — сохраненная копия.
+ *   Так обновления приложения появляются сразу, как только есть связь.
+ * - Загруженные фотографии (/api/uploads/...) не меняются, поэтому берутся из кэша.
+ * - Остальные запросы к API не кэшируются: заведения и избранное приложение хранит
+ *   в IndexedDB (модуль OfflineStore в app.js), изменения — в очереди отправки.
+ * Скрипты и тайлы Яндекс.Карт загружаются с серверов Яндекса и не кэшируются,
+ * поэтому без сети заведения показываются списком.
+ */
+
+// При изменении списка файлов оболочки или логики кэширования нужно увеличить версию
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `mapcost-shell-${CACHE_VERSION}`;
+const UPLOADS_CACHE = `mapcost-uploads-${CACHE_VERSION}`;
+const SHELL_URLS = [
+    '/',
+    '/style.css',
+    '/app.js',
+    'https://telegram.org/js/telegram-web-app.js',
+];
+const NETWORK_FIRST_PATHS = ['/', '/index.html', '/style.css', '/app.js', '/api/categories'];
+const MAX_UPLOADS = 200; // Сколько фотографий хранить в кэше
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => Promise.all(SHELL_URLS.map(url => {
+        // Скрипт Telegram загружается с другого домена без CORS: такой ответ непрозрачен (opaque),
+        // и cache.add его не принимает, поэтому сохраняем ответ сами
+        const request = url.startsWith('http') ? new Request(url, { mode: 'no-cors' }) : new Request(url);
+        return fetch(request)
+            .then(response => cache.put(request, response))
+            .catch(error => console.warn('Не удалось сохранить в кэш:', url, error));
+    }))).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    // Удаляем кэши прежних версий
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('mapcost-') && key !== SHELL_CACHE && key !== UPLOADS_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+/**
+ * @function networkFirst
+ * @description Запрашивает ресурс из сети и обновляет сохраненную копию; без сети возвращает копию.
+ * @param {Request} request - Запрос.
+ * @param {string} [fallbackUrl] - Что вернуть, если нет ни сети, ни копии запроса (для страниц — оболочку).
+ * @returns {Promise<Response>}
+ */
+const networkFirst = async (request, fallbackUrl) => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' })
+            || (fallbackUrl && await cache.match(fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+/**
+ * @function cacheFirst
+ * @description Возвращает сохраненную копию ресурса, а если ее нет — загружает и сохраняет.
+ * Хранится не более MAX_UPLOADS последних ресурсов.
+ * @param {Request} request - Запрос.
+ * @returns {Promise<Response>}
+ */
+const cacheFirst = async (request) => {
+    const cache = await caches.open(UPLOADS_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_UPLOADS)).map(key => cache.delete(key)));
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, '/'));
+    } else if (url.origin === self.location.origin && NETWORK_FIRST_PATHS.includes(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin && url.pathname.startsWith('/api/uploads/')) {
+        event.respondWith(cacheFirst(request));
+    } else if (SHELL_URLS.includes(url.href)) {
+        event.respondWith(networkFirst(request));
+    }
+});
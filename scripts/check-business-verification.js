@@ -0,0 +1,85 @@
+/**
+ * check-business-verification.js
+ * Проверка верификации ИНН предпринимателя (PUT /api/update-business-profile) с заглушкой DaData
+ * (DADATA_API_BASE_URL). Запуск — npm test.
+ *
+ * Первая проверка ИНН при регистрации падает (DaData отвечает 500), и заведение предпринимателя
+ * остается черновиком. Сохранение профиля без изменения ИНН проверяет его снова: профиль
+ * становится верифицированным, а черновик публикуется.
+ */
+const assert = require('assert');
+const { startStubServer, startApp } = require('./lib/testServer');
+
+const OWNER_ID = 100;
+const INN = '7707083893';
+
+let dadataAvailable = false;
+
+/**
+ * Отвечает как API подсказок DaData (findById/party): 500, пока dadataAvailable не включен.
+ * @param {string} path - Путь запроса.
+ * @returns {{status?: number, body: object}}
+ */
+const handleStubRequest = (path) => {
+    if (path !== '/findById/party') return { status: 404, body: {} };
+    if (!dadataAvailable) return { status: 500, body: { message: 'Internal Server Error' } };
+    return {
+        body: {
+            suggestions: [{
+                data: {
+                    name: { full_with_opf: 'ООО "Тест"' },
+                    ogrn: '1027700132195',
+                    address: { value: 'г Москва' },
+                    okved: '56.10',
+                    state: { status: 'ACTIVE' },
+                },
+            }],
+        },
+    };
+};
+
+const main = async () => {
+    const stub = await startStubServer(handleStubRequest);
+    process.env.TELEGRAM_BOT_TOKEN = 'TEST:TOKEN';
+    process.env.DADATA_API_BASE_URL = stub.url;
+    const { call, close } = await startApp();
+    const dadataCalls = () => stub.requests.filter(request => request.path === '/findById/party').length;
+
+    try {
+        const registered = await call('POST', '/api/register-business', {
+            businessName: 'Тест', businessCategory: 'food', contactPerson: 'Иван', email: 'test@example.com',
+            businessLocation: [55.75, 37.62], inn: INN,
+        }, OWNER_ID);
+        assert.strictEqual(registered.status, 201);
+        assert.strictEqual(registered.data.isVerified, false, 'ИНН верифицирован, хотя DaData ответила 500');
+
+        const created = await call('POST', '/api/establishments', { name: 'Кофейня у парка', category: 'coffee_shops', coordinates: [55.75, 37.62] }, OWNER_ID);
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual(created.data.status, 'pending');
+
+        // ИНН в запросе не передается: форма могла изменить только контактное лицо
+        dadataAvailable = true;
+        const updated = await call('PUT', '/api/update-business-profile', { contactPerson: 'Петр' }, OWNER_ID);
+        assert.strictEqual(updated.status, 200);
+        assert.strictEqual(updated.data.isVerified, true, 'ИНН не перепроверен при сохранении профиля');
+        assert.strictEqual(updated.data.inn, INN);
+        const own = updated.data.establishments.find(item => item.id === created.data.id);
+        assert.strictEqual(own.status, 'published', 'черновик не опубликован после верификации');
+        assert.strictEqual((await call('GET', `/api/establishments/${created.data.id}`, undefined, 1)).status, 200);
+
+        // Верифицированный профиль с тем же ИНН повторно не проверяется
+        const callsBefore = dadataCalls();
+        assert.strictEqual((await call('PUT', '/api/update-business-profile', { contactPerson: 'Иван', inn: INN }, OWNER_ID)).status, 200);
+        assert.strictEqual(dadataCalls(), callsBefore, 'ИНН верифицированного профиля проверен повторно');
+
+        console.log('check-business-verification: ok');
+    } finally {
+        close();
+        stub.close();
+    }
+};
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,25 @@
+/**
+ * check-coordinates.js
+ * Проверка разбора координат из параметров запроса: near=lat,lon (api/lib/geo.js)
+ * и bbox=minLat,minLon,maxLat,maxLon (api/lib/viewport.js). Запуск — npm test.
+ * Пустые части не должны читаться как 0 (Number('') === 0).
+ */
+const assert = require('assert');
+const { parseNear, DEFAULT_RADIUS } = require('../api/lib/geo');
+const { parseBbox } = require('../api/lib/viewport');
+
+assert.deepStrictEqual(parseNear('55.75, 37.62', '500').value, { center: [55.75, 37.62], radius: 500 });
+assert.deepStrictEqual(parseNear('0,0', undefined).value, { center: [0, 0], radius: DEFAULT_RADIUS });
+[',', '55.7,', ',37.6', ' ,37.6', '55.7, ', 'abc,37.6', '55.7', '91,0', undefined].forEach(near => {
+    const { value, error } = parseNear(near, undefined);
+    assert.strictEqual(value, null, `near=${near}: разобрано как ${JSON.stringify(value)}`);
+    assert.ok(error, `near=${near}: нет сообщения об ошибке`);
+});
+assert.ok(parseNear('55.7,37.6', ' ').error, 'radius из пробелов принят');
+
+assert.deepStrictEqual(parseBbox('55,37,56,38').value, { minLat: 55, minLon: 37, maxLat: 56, maxLon: 38 });
+[',,,', '55,37,56,', '55,,56,38'].forEach(bbox => {
+    assert.strictEqual(parseBbox(bbox).value, null, `bbox=${bbox}: разобрано`);
+});
+
+console.log('check-coordinates: ok');
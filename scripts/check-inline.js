@@ -0,0 +1,49 @@
+/**
+ * check-inline.js
+ * Проверка инлайн-режима бота (POST /api/telegram/webhook): запуск — npm test.
+ * Отправляет вебхуку обновление из api/fixtures/inlineQueryUpdate.json и проверяет,
+ * что ответ — answerInlineQuery с карточками заведений (venue) и кнопкой web_app.
+ */
+const assert = require('assert');
+const fixture = require('../api/fixtures/inlineQueryUpdate.json');
+
+// Сервер не запускается сам (NODE_ENV=production), данные живут только в памяти процесса
+process.env.NODE_ENV = 'production';
+process.env.STORAGE_DRIVER = 'memory';
+process.env.TELEGRAM_MINI_APP_URL = 'https://t.me/mapcost_bot/app';
+process.env.TELEGRAM_WEB_APP_URL = 'https://mapcost.example/';
+delete process.env.TELEGRAM_WEBHOOK_SECRET;
+
+const app = require('../api/index');
+
+const server = app.listen(0, async () => {
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/api/telegram/webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(fixture),
+        });
+        assert.strictEqual(response.status, 200);
+        const answer = await response.json();
+
+        assert.strictEqual(answer.method, 'answerInlineQuery');
+        assert.strictEqual(answer.inline_query_id, fixture.inline_query.id);
+        assert.ok(answer.results.length > 0, `"${fixture.inline_query.query}": ничего не найдено`);
+        answer.results.forEach(result => {
+            assert.strictEqual(result.type, 'venue');
+            assert.ok(Number.isFinite(result.latitude) && Number.isFinite(result.longitude), `${result.id}: нет координат`);
+            assert.ok(result.title && result.address, `${result.id}: нет названия или адреса`);
+            const [[button]] = result.reply_markup.inline_keyboard;
+            assert.strictEqual(button.url, `https://t.me/mapcost_bot/app?startapp=est_${result.id}`);
+        });
+        assert.ok(answer.button && answer.button.text, 'нет кнопки над результатами');
+        assert.deepStrictEqual(answer.button.web_app, { url: process.env.TELEGRAM_WEB_APP_URL });
+
+        console.log('check-inline: ok');
+    } catch (error) {
+        console.error(error);
+        process.exitCode = 1;
+    } finally {
+        server.close();
+    }
+});
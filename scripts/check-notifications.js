@@ -0,0 +1,103 @@
+/**
+ * check-notifications.js
+ * Проверка подписки на уведомления и рассылки (api/lib/notifications.js) с заглушкой Telegram Bot API
+ * (TELEGRAM_API_BASE_URL) и DaData (DADATA_API_BASE_URL) вместо настоящих сервисов. Запуск — npm test.
+ *
+ * Подписчики: 1 — все категории, 2 — только кофейни, 3 — подписался и отписался,
+ * 4 — заблокировал бота (sendMessage отвечает 403). Предприниматель 100 публикует кофейню и ресторан.
+ */
+const assert = require('assert');
+const { startStubServer, startApp, waitFor } = require('./lib/testServer');
+
+const BOT_TOKEN = 'TEST:TOKEN';
+const BLOCKED_USER_ID = 4;
+const OWNER_ID = 100;
+
+/**
+ * Отвечает как Bot API (sendMessage) и API подсказок DaData (findById/party).
+ * @param {string} path - Путь запроса.
+ * @param {object} body - Тело запроса.
+ * @returns {{status?: number, body: object}}
+ */
+const handleStubRequest = (path, body) => {
+    if (path === `/bot${BOT_TOKEN}/sendMessage`) {
+        return body.chat_id === BLOCKED_USER_ID
+            ? { status: 403, body: { ok: false, error_code: 403, description: 'Forbidden: bot was blocked by the user' } }
+            : { body: { ok: true, result: { message_id: 1, chat: { id: body.chat_id }, text: body.text } } };
+    }
+    if (path === '/findById/party') {
+        return {
+            body: {
+                suggestions: [{
+                    data: {
+                        name: { full_with_opf: 'ООО "Тест"' },
+                        ogrn: '1027700132195',
+                        address: { value: 'г Москва' },
+                        okved: '56.10',
+                        state: { status: 'ACTIVE' },
+                    },
+                }],
+            },
+        };
+    }
+    return { status: 404, body: { ok: false, error_code: 404, description: 'Not Found' } };
+};
+
+const main = async () => {
+    const stub = await startStubServer(handleStubRequest);
+    process.env.TELEGRAM_BOT_TOKEN = BOT_TOKEN;
+    process.env.TELEGRAM_API_BASE_URL = stub.url;
+    process.env.DADATA_API_BASE_URL = stub.url;
+    const { call, close } = await startApp();
+
+    /**
+     * Возвращает ID чатов, которым отправлено сообщение о заведении.
+     * @param {string} name - Название заведения.
+     * @returns {Array<number>}
+     */
+    const recipientsOf = (name) => stub.requests
+        .filter(request => request.path.endsWith('/sendMessage') && request.body.text.includes(name))
+        .map(request => request.body.chat_id)
+        .sort((a, b) => a - b);
+
+    try {
+        assert.strictEqual((await call('POST', '/api/notifications/subscribe', {}, 1)).status, 200);
+        const filtered = await call('POST', '/api/notifications/subscribe', { categories: ['coffee_shops'] }, 2);
+        assert.deepStrictEqual(filtered.data.categories, ['coffee_shops']);
+        assert.strictEqual((await call('POST', '/api/notifications/subscribe', {}, 3)).status, 200);
+        assert.strictEqual((await call('POST', '/api/notifications/unsubscribe', undefined, 3)).status, 200);
+        assert.strictEqual((await call('GET', '/api/notifications/status', undefined, 3)).data.subscribed, false);
+        assert.strictEqual((await call('POST', '/api/notifications/subscribe', {}, BLOCKED_USER_ID)).status, 200);
+        assert.strictEqual((await call('POST', '/api/notifications/subscribe', { categories: ['nope'] }, 5)).status, 400);
+
+        const profile = await call('POST', '/api/register-business', {
+            businessName: 'Тест', businessCategory: 'food', contactPerson: 'Иван', email: 'test@example.com',
+            businessLocation: [55.75, 37.62], inn: '7707083893',
+        }, OWNER_ID);
+        assert.strictEqual(profile.status, 201);
+        assert.strictEqual(profile.data.isVerified, true, 'ИНН не прошел проверку через заглушку DaData');
+
+        const coffee = await call('POST', '/api/establishments', { name: 'Кофейня у парка', category: 'coffee_shops', coordinates: [55.75, 37.62] }, OWNER_ID);
+        assert.strictEqual(coffee.status, 201);
+        // Рассылка идет после ответа маршрута: ждем, пока подписка заблокировавшего бота отключится
+        await waitFor(async () => !(await call('GET', '/api/notifications/status', undefined, BLOCKED_USER_ID)).data.subscribed);
+        assert.deepStrictEqual(recipientsOf('Кофейня у парка'), [1, 2, BLOCKED_USER_ID]);
+
+        const restaurant = await call('POST', '/api/establishments', { name: 'Ресторан на углу', category: 'restaurants', coordinates: [55.76, 37.63] }, OWNER_ID);
+        assert.strictEqual(restaurant.status, 201);
+        await waitFor(() => recipientsOf('Ресторан на углу').length > 0);
+        // Даем рассылке закончиться, чтобы лишние сообщения тоже попали в проверку
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(recipientsOf('Ресторан на углу'), [1]);
+
+        console.log('check-notifications: ok');
+    } finally {
+        close();
+        stub.close();
+    }
+};
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,45 @@
+/**
+ * check-search.js
+ * Проверка полнотекстового поиска (api/lib/search.js): запуск — npm test.
+ * Запросы в неправильной раскладке, в том числе с клавишами [ ] ; ' , . `,
+ * которыми в раскладке ЙЦУКЕН набираются буквы х ъ ж э б ю ё.
+ */
+const assert = require('assert');
+const { createSearchIndex, swapKeyboardLayout } = require('../api/lib/search');
+
+const items = [
+    { id: 'bread', name: 'Хлеб и кофе', description: '', contact: '' },
+    { id: 'bar', name: 'Бар у моста', description: '', contact: '' },
+    { id: 'heat', name: 'Жара', description: 'Шашлык и гриль', contact: '' },
+    { id: 'hello', name: 'Привет', description: '', contact: '' },
+    { id: 'tree', name: 'Ёлка', description: '', contact: '' },
+];
+const index = createSearchIndex(items);
+
+/**
+ * Проверяет, что запрос находит заведение (первым в выдаче).
+ * @param {string} query - Поисковый запрос.
+ * @param {string} expectedId - ID ожидаемого заведения.
+ * @param {string|null} [expectedCorrection] - Ожидаемый исправленный запрос.
+ */
+const expectFound = (query, expectedId, expectedCorrection) => {
+    const { results, correctedQuery } = index.search(query);
+    assert.ok(results.length > 0, `"${query}": ничего не найдено`);
+    assert.strictEqual(results[0].item.id, expectedId, `"${query}": первым найдено ${results[0].item.id}`);
+    if (expectedCorrection !== undefined) {
+        assert.strictEqual(correctedQuery, expectedCorrection, `"${query}": исправленный запрос ${correctedQuery}`);
+    }
+};
+
+assert.strictEqual(swapKeyboardLayout('[kt,'), 'хлеб');
+assert.strictEqual(swapKeyboardLayout('{kt<'), 'хлеб');
+
+expectFound('ghbdtn', 'hello', 'привет');
+expectFound('[kt,', 'bread', 'хлеб');
+expectFound(',fh', 'bar', 'бар');
+expectFound(';fhf', 'heat', 'жара');
+expectFound('Ghbdtn', 'hello', 'привет');
+expectFound('`krf', 'tree', 'елка');
+expectFound('хлеб', 'bread', null);
+
+console.log('check-search: ok');
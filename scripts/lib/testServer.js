@@ -0,0 +1,106 @@
+/**
+ * testServer.js
+ * Общие функции проверок из scripts/: заглушка внешнего HTTP API (Telegram Bot API, DaData)
+ * и запуск приложения (api/index.js) на свободном порту с запросами от имени пользователя Telegram.
+ */
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * @function startStubServer
+ * @description Запускает заглушку внешнего API. Каждый запрос с JSON-телом передается обработчику.
+ * @param {function(string, object): {status?: number, body: object}} handle - Обработчик (путь, тело запроса).
+ * @returns {Promise<{ url: string, requests: Array<{path: string, body: object}>, close: function(): void }>}
+ */
+const startStubServer = (handle) => new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : {};
+            requests.push({ path: req.url, body });
+            const { status = 200, body: answer } = handle(req.url, body);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(answer));
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => server.close(),
+    }));
+});
+
+/**
+ * @function signInitData
+ * @description Подписывает initData Telegram Mini App токеном бота (как это делает Telegram).
+ * @param {string} botToken - Токен бота.
+ * @param {object} user - Пользователь Telegram ({ id, first_name }).
+ * @returns {string} Строка initData для заголовка X-Telegram-Init-Data.
+ */
+const signInitData = (botToken, user) => {
+    const params = new URLSearchParams({ auth_date: String(Math.floor(Date.now() / 1000)), user: JSON.stringify(user) });
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+    params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+    return params.toString();
+};
+
+/**
+ * @function startApp
+ * @description Запускает приложение с хранилищем в памяти. Переменные окружения нужно задать
+ * до вызова: приложение читает их при загрузке.
+ * @returns {Promise<{ call: function(string, string, object=, number=): Promise<{status: number, data: object}>, close: function(): void }>}
+ * call(method, path, body, userId) выполняет запрос к API от имени пользователя Telegram с этим ID.
+ */
+const startApp = () => {
+    // Сервер не запускается сам (NODE_ENV=production), данные живут только в памяти процесса
+    process.env.NODE_ENV = 'production';
+    process.env.STORAGE_DRIVER = 'memory';
+    const app = require('../../api/index');
+
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            const call = async (method, path, body, userId = 1) => {
+                const response = await fetch(`${base}${path}`, {
+                    method,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Telegram-Init-Data': signInitData(process.env.TELEGRAM_BOT_TOKEN, { id: userId, first_name: 'Тест' }),
+                    },
+                    body: body && JSON.stringify(body),
+                });
+                return { status: response.status, data: await response.json() };
+            };
+            resolve({ call, close: () => server.close() });
+        });
+    });
+};
+
+/**
+ * @function waitFor
+ * @description Ждет выполнения условия (например, окончания рассылки, которую маршрут не дожидается).
+ * @param {function(): (boolean|Promise<boolean>)} condition - Условие.
+ * @param {number} [timeoutMs=5000] - Сколько ждать.
+ * @returns {Promise<void>}
+ * @throws {Error} Если условие не выполнилось за timeoutMs.
+ */
+const waitFor = async (condition, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) throw new Error('Условие не выполнилось вовремя.');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+module.exports = {
+    startStubServer,
+    signInitData,
+    startApp,
+    waitFor,
+};